@@ -0,0 +1,2417 @@
+/**
+ * Cliente de la API de User Management Service.
+ * Archivo generado por scripts/generateClient.js a partir de la especificación OpenAPI: no editar a mano.
+ */
+
+export declare class ApiError extends Error {
+  readonly status: number;
+  readonly details?: Record<string, string>;
+  /** Código del catálogo de errores (/api/docs/errors) */
+  readonly code?: string;
+  constructor(status: number, message: string, details?: Record<string, string>, code?: string);
+}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  accessToken?: string | null;
+  fetch?: typeof fetch;
+}
+
+export type HealthResponse = {
+  status: string;
+  timestamp: string;
+  service: string;
+};
+
+export type RegisterBody = {
+  email: string;
+  password: string;
+  firstName: string;
+  lastName: string;
+  username?: string;
+  role?: never;
+};
+
+export type RegisterResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+    tokens: {
+      accessToken: string;
+      refreshToken: string;
+    };
+  };
+};
+
+export type LoginBody = {
+  email: string;
+  password: string;
+};
+
+export type LoginResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+    tokens: {
+      accessToken: string;
+      refreshToken: string;
+    };
+  } | {
+    mfaRequired: true;
+    mfaToken: string;
+  } | {
+    mfaEnrollmentRequired: true;
+    mfaToken: string;
+  } | {
+    reactivationRequired: true;
+    reactivationToken: string;
+    purgeScheduledAt?: string | null;
+  };
+};
+
+export type MfaVerifyBody = {
+  mfaToken: string;
+  code?: string;
+  recoveryCode?: string;
+};
+
+export type MfaVerifyResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+    tokens: {
+      accessToken: string;
+      refreshToken: string;
+    };
+  };
+};
+
+export type RefreshTokenBody = {
+  refreshToken: string;
+};
+
+export type RefreshTokenResponse = {
+  success: true;
+  message?: string;
+  data: {
+    tokens: {
+      accessToken: string;
+      refreshToken: string;
+    };
+  };
+};
+
+export type VerifyEmailResponse = {
+  success: true;
+  message: string;
+};
+
+export type ResendVerificationBody = {
+  email: string;
+};
+
+export type ResendVerificationResponse = {
+  success: true;
+  message: string;
+};
+
+export type ForgotPasswordBody = {
+  email: string;
+};
+
+export type ForgotPasswordResponse = {
+  success: true;
+  message: string;
+};
+
+export type ResetPasswordBody = {
+  token: string;
+  newPassword: string;
+};
+
+export type ResetPasswordResponse = {
+  success: true;
+  message: string;
+};
+
+export type RequestReactivationBody = {
+  email: string;
+};
+
+export type RequestReactivationResponse = {
+  success: true;
+  message: string;
+};
+
+export type ReactivateAccountBody = {
+  token: string;
+};
+
+export type ReactivateAccountResponse = {
+  success: true;
+  message: string;
+};
+
+export type OauthUnlinkResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type AcceptInvitationBody = {
+  token: string;
+  password: string;
+  firstName: string;
+  lastName: string;
+  username?: string;
+};
+
+export type AcceptInvitationResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+    tokens: {
+      accessToken: string;
+      refreshToken: string;
+    };
+  } | {
+    mfaRequired: true;
+    mfaToken: string;
+  } | {
+    mfaEnrollmentRequired: true;
+    mfaToken: string;
+  } | {
+    reactivationRequired: true;
+    reactivationToken: string;
+    purgeScheduledAt?: string | null;
+  };
+};
+
+export type OauthLinkResponse = {
+  success: true;
+  message?: string;
+  data: {
+    authorizationUrl: string;
+  };
+};
+
+export type GetProfileResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type UpdateProfileBody = {
+  firstName?: string;
+  lastName?: string;
+  username?: string;
+  avatar?: string;
+  preferences?: {
+    language?: string;
+    timezone?: string;
+    notifications?: {
+      email?: boolean;
+      push?: boolean;
+    };
+  };
+  learningProfile?: {
+    level?: "beginner" | "intermediate" | "advanced";
+    skills?: Array<{
+      name: string;
+      level: "beginner" | "intermediate" | "advanced" | "expert";
+    }>;
+    interests?: Array<string>;
+  };
+};
+
+export type UpdateProfileResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type DeleteAccountResponse = {
+  success: true;
+  message?: string;
+  data: {
+    reactivableUntil: string | null;
+  };
+};
+
+export type ChangePasswordBody = {
+  currentPassword: string;
+  newPassword: string;
+};
+
+export type ChangePasswordResponse = {
+  success: true;
+  message: string;
+};
+
+export type MfaSetupBody = {
+  mfaToken?: string;
+};
+
+export type MfaSetupResponse = {
+  success: true;
+  message?: string;
+  data: {
+    secret: string;
+    otpauthUri: string;
+  };
+};
+
+export type MfaConfirmBody = {
+  code: string;
+  mfaToken?: string;
+};
+
+export type MfaConfirmResponse = {
+  success: true;
+  message?: string;
+  data: {
+    recoveryCodes: Array<string>;
+    user?: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+    tokens?: {
+      accessToken: string;
+      refreshToken: string;
+    };
+  };
+};
+
+export type MfaDisableBody = {
+  password: string;
+  code?: string;
+  recoveryCode?: string;
+};
+
+export type MfaDisableResponse = {
+  success: true;
+  message: string;
+};
+
+export type MfaRegenerateRecoveryCodesBody = {
+  code: string;
+};
+
+export type MfaRegenerateRecoveryCodesResponse = {
+  success: true;
+  message?: string;
+  data: {
+    recoveryCodes: Array<string>;
+  };
+};
+
+export type LogoutResponse = {
+  success: true;
+  message: string;
+};
+
+export type LogoutAllResponse = {
+  success: true;
+  message: string;
+};
+
+export type GetSessionsResponse = {
+  success: true;
+  message?: string;
+  data: {
+    sessions: Array<{
+      id: string;
+      device?: string | null | "";
+      userAgent?: string | null | "";
+      ip?: string | null | "";
+      createdAt?: string;
+      lastUsedAt?: string;
+      current: boolean;
+    }>;
+  };
+};
+
+export type RevokeSessionResponse = {
+  success: true;
+  message: string;
+};
+
+export type GetMyPermissionsResponse = {
+  success: true;
+  message?: string;
+  data: {
+    role: "student" | "instructor" | "admin";
+    permissions: Array<string>;
+  };
+};
+
+export type ExportMyDataResponse = {
+  formatVersion: number;
+  exportedAt: string;
+  profile: {
+    _id: string;
+    email?: string;
+    firstName?: string;
+    lastName?: string;
+    username?: string;
+    role?: "student" | "instructor" | "admin";
+    avatar?: string | null;
+    isEmailVerified?: boolean;
+    emailVerificationExpires?: string | null;
+    emailVerificationSentAt?: string | null;
+    passwordResetExpires?: string | null;
+    passwordResetRequired?: boolean;
+    oauthProvider?: "google" | "github" | null;
+    oauthId?: string | null;
+    oauthAccounts?: Array<{
+      provider: "google" | "github";
+      email?: string;
+      linkedAt?: string;
+    }>;
+    mfa?: {
+      enabled?: boolean;
+      enabledAt?: string | null;
+    };
+    preferences?: {
+      language?: string;
+      timezone?: string;
+      notifications?: {
+        email?: boolean;
+        push?: boolean;
+      };
+    };
+    learningProfile?: {
+      level?: "beginner" | "intermediate" | "advanced";
+      skills?: Array<{
+        _id?: string;
+        name?: string;
+        level?: "beginner" | "intermediate" | "advanced" | "expert";
+      }>;
+      interests?: Array<string>;
+    };
+    isActive?: boolean;
+    deactivatedAt?: string | null;
+    deactivatedBy?: "self" | "admin" | null;
+    purgeScheduledAt?: string | null;
+    lastLogin?: string | null;
+    erasureRequestedAt?: string | null;
+    erasureScheduledAt?: string | null;
+    erasureBlockedAt?: string | null;
+    anonymizedAt?: string | null;
+    createdAt?: string;
+    updatedAt?: string;
+    __v?: number;
+  };
+  preferences?: {
+    language?: string;
+    timezone?: string;
+    notifications?: {
+      email?: boolean;
+      push?: boolean;
+    };
+  };
+  learningProfile?: {
+    level?: "beginner" | "intermediate" | "advanced";
+    skills?: Array<{
+      _id?: string;
+      name?: string;
+      level?: "beginner" | "intermediate" | "advanced" | "expert";
+    }>;
+    interests?: Array<string>;
+  };
+  sessions: Array<{
+    id: string;
+    device?: string | null | "";
+    userAgent?: string | null | "";
+    ip?: string | null | "";
+    createdAt?: string;
+    lastUsedAt?: string;
+    current: boolean;
+  }>;
+  auditEvents: Array<{
+    _id?: string;
+    action: "user.register" | "user.invitation_accept" | "auth.login" | "auth.mfa_login" | "auth.oauth_login" | "auth.refresh_token_reuse" | "auth.logout" | "auth.logout_all" | "auth.session_revoke" | "account.password_change" | "account.password_reset_request" | "account.password_reset" | "account.email_verify" | "account.deactivate" | "account.reactivation_request" | "account.reactivate" | "account.purge" | "account.oauth_link" | "account.oauth_unlink" | "account.mfa_enable" | "account.mfa_disable" | "account.mfa_recovery_codes_regenerate" | "account.mfa_recovery_code_use" | "account.data_export" | "account.erasure_request" | "account.erasure_cancel" | "account.erase" | "admin.user_list" | "admin.user_export" | "admin.user_read" | "admin.user_update" | "admin.role_change" | "admin.user_activate" | "admin.user_deactivate" | "admin.sessions_revoke" | "admin.password_reset_force" | "admin.user_delete" | "admin.user_unlock" | "admin.role_permissions_update" | "admin.invitation_create" | "admin.invitation_revoke" | "admin.user_import" | "admin.audit_read" | "admin.webhook_create" | "admin.webhook_update" | "admin.webhook_delete" | "admin.webhook_redeliver" | "admin.filter_preset_create" | "admin.filter_preset_delete";
+    outcome: "success" | "failure";
+    actor?: string | {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+    } | null;
+    target?: string | {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+    } | null;
+    ip?: string | null | "";
+    userAgent?: string | null | "";
+    requestId?: string | null;
+    metadata?: Record<string, unknown>;
+    createdAt?: string;
+  }>;
+};
+
+export type RequestErasureBody = {
+  confirmEmail: string;
+};
+
+export type RequestErasureResponse = {
+  success: true;
+  message?: string;
+  data: {
+    scheduledAt: string;
+  };
+};
+
+export type CancelErasureResponse = {
+  success: true;
+  message: string;
+};
+
+export type GetRolePermissionsResponse = {
+  success: true;
+  message?: string;
+  data: {
+    permissions: Array<{
+      key: "users:read" | "users:export" | "users:update" | "users:change-role" | "users:deactivate" | "users:delete" | "users:unlock" | "sessions:revoke" | "roles:manage" | "invitations:manage" | "users:import" | "audit:read" | "webhooks:manage";
+      description: string;
+    }>;
+    roles: {
+      [key: string]: Array<string>;
+    };
+  };
+};
+
+export type UpdateRolePermissionsBody = {
+  permissions: Array<"users:read" | "users:export" | "users:update" | "users:change-role" | "users:deactivate" | "users:delete" | "users:unlock" | "sessions:revoke" | "roles:manage" | "invitations:manage" | "users:import" | "audit:read" | "webhooks:manage">;
+};
+
+export type UpdateRolePermissionsResponse = {
+  success: true;
+  message?: string;
+  data: {
+    role: "student" | "instructor" | "admin";
+    permissions: Array<string>;
+  };
+};
+
+export type CreateInvitationBody = {
+  email: string;
+  role: "student" | "instructor" | "admin";
+};
+
+export type CreateInvitationResponse = {
+  success: true;
+  message?: string;
+  data: {
+    invitation: {
+      _id: string;
+      email: string;
+      role: "student" | "instructor" | "admin";
+      invitedBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      status?: "pending" | "accepted" | "revoked";
+      expiresAt?: string;
+      acceptedAt?: string | null;
+      acceptedUser?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      revokedAt?: string | null;
+      revokedBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type ListInvitationsResponse = {
+  success: true;
+  message?: string;
+  data: {
+    invitations: Array<{
+      _id: string;
+      email: string;
+      role: "student" | "instructor" | "admin";
+      invitedBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      status?: "pending" | "accepted" | "revoked";
+      expiresAt?: string;
+      acceptedAt?: string | null;
+      acceptedUser?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      revokedAt?: string | null;
+      revokedBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    }>;
+  };
+};
+
+export type RevokeInvitationResponse = {
+  success: true;
+  message: string;
+};
+
+export type ImportUsersQuery = {
+  dryRun?: boolean;
+  role?: "student" | "instructor" | "admin";
+};
+
+export type ImportUsersResponse = {
+  success: true;
+  message?: string;
+  data: {
+    dryRun: true;
+    counts: {
+      total: number;
+      pending: number;
+      created: number;
+      invalid: number;
+      duplicate: number;
+      failed: number;
+    };
+    rows: Array<{
+      line: number;
+      email?: string | null;
+      status: "pending" | "created" | "invalid" | "duplicate" | "failed";
+      reasons: Array<string>;
+    }>;
+  };
+} | {
+  success: true;
+  message?: string;
+  data: {
+    job: {
+      _id: string;
+      format: "csv" | "ndjson";
+      role: "student" | "instructor" | "admin";
+      status: "pending" | "running" | "completed";
+      counts: {
+        total: number;
+        pending: number;
+        created: number;
+        invalid: number;
+        duplicate: number;
+        failed: number;
+      };
+      progress: number;
+      rows: Array<{
+        line: number;
+        email?: string | null;
+        status: "pending" | "created" | "invalid" | "duplicate" | "failed";
+        reasons: Array<string>;
+      }>;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      startedAt?: string | null;
+      completedAt?: string | null;
+      createdAt?: string;
+    };
+  };
+};
+
+export type GetImportJobResponse = {
+  success: true;
+  message?: string;
+  data: {
+    job: {
+      _id: string;
+      format: "csv" | "ndjson";
+      role: "student" | "instructor" | "admin";
+      status: "pending" | "running" | "completed";
+      counts: {
+        total: number;
+        pending: number;
+        created: number;
+        invalid: number;
+        duplicate: number;
+        failed: number;
+      };
+      progress: number;
+      rows: Array<{
+        line: number;
+        email?: string | null;
+        status: "pending" | "created" | "invalid" | "duplicate" | "failed";
+        reasons: Array<string>;
+      }>;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      startedAt?: string | null;
+      completedAt?: string | null;
+      createdAt?: string;
+    };
+  };
+};
+
+export type ExportUsersQuery = {
+  filter?: {
+    role?: "student" | "instructor" | "admin" | {
+      eq?: "student" | "instructor" | "admin";
+      ne?: "student" | "instructor" | "admin";
+      in?: Array<"student" | "instructor" | "admin"> | string;
+      nin?: Array<"student" | "instructor" | "admin"> | string;
+    };
+    isActive?: boolean | {
+      eq?: boolean;
+    };
+    isEmailVerified?: boolean | {
+      eq?: boolean;
+    };
+    mfaEnabled?: boolean | {
+      eq?: boolean;
+    };
+    createdAt?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+      exists?: boolean;
+    };
+    lastLogin?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+      exists?: boolean;
+    };
+    level?: "beginner" | "intermediate" | "advanced" | {
+      eq?: "beginner" | "intermediate" | "advanced";
+      ne?: "beginner" | "intermediate" | "advanced";
+      in?: Array<"beginner" | "intermediate" | "advanced"> | string;
+      nin?: Array<"beginner" | "intermediate" | "advanced"> | string;
+    };
+    skill?: string | {
+      eq?: string;
+      ne?: string;
+      in?: Array<string> | string;
+      nin?: Array<string> | string;
+    };
+    interest?: string | {
+      eq?: string;
+      ne?: string;
+      in?: Array<string> | string;
+      nin?: Array<string> | string;
+    };
+    oauthProvider?: "google" | "github" | {
+      eq?: "google" | "github";
+      ne?: "google" | "github";
+      in?: Array<"google" | "github"> | string;
+      nin?: Array<"google" | "github"> | string;
+    };
+    language?: string | {
+      eq?: string;
+      ne?: string;
+      in?: Array<string> | string;
+      nin?: Array<string> | string;
+    };
+  };
+  role?: "student" | "instructor" | "admin";
+  search?: string;
+  preset?: string;
+  format?: "csv" | "ndjson";
+  fields?: string;
+};
+
+export type ListFilterPresetsResponse = {
+  success: true;
+  message?: string;
+  data: {
+    presets: Array<{
+      _id: string;
+      name: string;
+      description?: string | "";
+      query: Record<string, unknown>;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    }>;
+  };
+};
+
+export type CreateFilterPresetBody = {
+  name: string;
+  description?: string | "";
+  query: {
+    filter?: {
+      role?: "student" | "instructor" | "admin" | {
+        eq?: "student" | "instructor" | "admin";
+        ne?: "student" | "instructor" | "admin";
+        in?: Array<"student" | "instructor" | "admin"> | string;
+        nin?: Array<"student" | "instructor" | "admin"> | string;
+      };
+      isActive?: boolean | {
+        eq?: boolean;
+      };
+      isEmailVerified?: boolean | {
+        eq?: boolean;
+      };
+      mfaEnabled?: boolean | {
+        eq?: boolean;
+      };
+      createdAt?: {
+        gt?: string;
+        gte?: string;
+        lt?: string;
+        lte?: string;
+        exists?: boolean;
+      };
+      lastLogin?: {
+        gt?: string;
+        gte?: string;
+        lt?: string;
+        lte?: string;
+        exists?: boolean;
+      };
+      level?: "beginner" | "intermediate" | "advanced" | {
+        eq?: "beginner" | "intermediate" | "advanced";
+        ne?: "beginner" | "intermediate" | "advanced";
+        in?: Array<"beginner" | "intermediate" | "advanced"> | string;
+        nin?: Array<"beginner" | "intermediate" | "advanced"> | string;
+      };
+      skill?: string | {
+        eq?: string;
+        ne?: string;
+        in?: Array<string> | string;
+        nin?: Array<string> | string;
+      };
+      interest?: string | {
+        eq?: string;
+        ne?: string;
+        in?: Array<string> | string;
+        nin?: Array<string> | string;
+      };
+      oauthProvider?: "google" | "github" | {
+        eq?: "google" | "github";
+        ne?: "google" | "github";
+        in?: Array<"google" | "github"> | string;
+        nin?: Array<"google" | "github"> | string;
+      };
+      language?: string | {
+        eq?: string;
+        ne?: string;
+        in?: Array<string> | string;
+        nin?: Array<string> | string;
+      };
+    };
+    role?: "student" | "instructor" | "admin";
+    search?: string;
+    sort?: "createdAt" | "-createdAt" | "lastLogin" | "-lastLogin" | "email" | "-email" | "role" | "-role" | "relevance";
+  };
+};
+
+export type CreateFilterPresetResponse = {
+  success: true;
+  message?: string;
+  data: {
+    preset: {
+      _id: string;
+      name: string;
+      description?: string | "";
+      query: Record<string, unknown>;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type DeleteFilterPresetResponse = {
+  success: true;
+  message: string;
+};
+
+export type GetAllUsersQuery = {
+  filter?: {
+    role?: "student" | "instructor" | "admin" | {
+      eq?: "student" | "instructor" | "admin";
+      ne?: "student" | "instructor" | "admin";
+      in?: Array<"student" | "instructor" | "admin"> | string;
+      nin?: Array<"student" | "instructor" | "admin"> | string;
+    };
+    isActive?: boolean | {
+      eq?: boolean;
+    };
+    isEmailVerified?: boolean | {
+      eq?: boolean;
+    };
+    mfaEnabled?: boolean | {
+      eq?: boolean;
+    };
+    createdAt?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+      exists?: boolean;
+    };
+    lastLogin?: {
+      gt?: string;
+      gte?: string;
+      lt?: string;
+      lte?: string;
+      exists?: boolean;
+    };
+    level?: "beginner" | "intermediate" | "advanced" | {
+      eq?: "beginner" | "intermediate" | "advanced";
+      ne?: "beginner" | "intermediate" | "advanced";
+      in?: Array<"beginner" | "intermediate" | "advanced"> | string;
+      nin?: Array<"beginner" | "intermediate" | "advanced"> | string;
+    };
+    skill?: string | {
+      eq?: string;
+      ne?: string;
+      in?: Array<string> | string;
+      nin?: Array<string> | string;
+    };
+    interest?: string | {
+      eq?: string;
+      ne?: string;
+      in?: Array<string> | string;
+      nin?: Array<string> | string;
+    };
+    oauthProvider?: "google" | "github" | {
+      eq?: "google" | "github";
+      ne?: "google" | "github";
+      in?: Array<"google" | "github"> | string;
+      nin?: Array<"google" | "github"> | string;
+    };
+    language?: string | {
+      eq?: string;
+      ne?: string;
+      in?: Array<string> | string;
+      nin?: Array<string> | string;
+    };
+  };
+  role?: "student" | "instructor" | "admin";
+  search?: string;
+  sort?: "createdAt" | "-createdAt" | "lastLogin" | "-lastLogin" | "email" | "-email" | "role" | "-role" | "relevance";
+  preset?: string;
+  limit?: number;
+  cursor?: string;
+  fields?: string;
+  includeTotal?: boolean;
+};
+
+export type GetAllUsersResponse = {
+  success: true;
+  message?: string;
+  data: {
+    users: Array<{
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    }>;
+    pagination: {
+      limit: number;
+      sort: string;
+      nextCursor: string | null;
+      total?: number;
+    };
+  };
+};
+
+export type GetUserByIdResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+    loginStatus: {
+      failedAttempts: number;
+      locked: boolean;
+      lockedUntil: string | null;
+    };
+  };
+};
+
+export type AdminUpdateUserBody = {
+  firstName?: string;
+  lastName?: string;
+  username?: string;
+  avatar?: string;
+  isEmailVerified?: boolean;
+  preferences?: {
+    language?: string;
+    timezone?: string;
+    notifications?: {
+      email?: boolean;
+      push?: boolean;
+    };
+  };
+  learningProfile?: {
+    level?: "beginner" | "intermediate" | "advanced";
+    skills?: Array<{
+      name: string;
+      level: "beginner" | "intermediate" | "advanced" | "expert";
+    }>;
+    interests?: Array<string>;
+  };
+};
+
+export type AdminUpdateUserResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type DeleteUserBody = {
+  confirmEmail: string;
+};
+
+export type DeleteUserResponse = {
+  success: true;
+  message: string;
+};
+
+export type UnlockUserResponse = {
+  success: true;
+  message: string;
+};
+
+export type ChangeUserRoleBody = {
+  role: "student" | "instructor" | "admin";
+};
+
+export type ChangeUserRoleResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type ActivateUserBody = Record<string, unknown>;
+
+export type ActivateUserResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type DeactivateUserBody = {
+  reason?: string;
+};
+
+export type DeactivateUserResponse = {
+  success: true;
+  message?: string;
+  data: {
+    user: {
+      _id: string;
+      email?: string;
+      firstName?: string;
+      lastName?: string;
+      username?: string;
+      role?: "student" | "instructor" | "admin";
+      avatar?: string | null;
+      isEmailVerified?: boolean;
+      emailVerificationExpires?: string | null;
+      emailVerificationSentAt?: string | null;
+      passwordResetExpires?: string | null;
+      passwordResetRequired?: boolean;
+      oauthProvider?: "google" | "github" | null;
+      oauthId?: string | null;
+      oauthAccounts?: Array<{
+        provider: "google" | "github";
+        email?: string;
+        linkedAt?: string;
+      }>;
+      mfa?: {
+        enabled?: boolean;
+        enabledAt?: string | null;
+      };
+      preferences?: {
+        language?: string;
+        timezone?: string;
+        notifications?: {
+          email?: boolean;
+          push?: boolean;
+        };
+      };
+      learningProfile?: {
+        level?: "beginner" | "intermediate" | "advanced";
+        skills?: Array<{
+          _id?: string;
+          name?: string;
+          level?: "beginner" | "intermediate" | "advanced" | "expert";
+        }>;
+        interests?: Array<string>;
+      };
+      isActive?: boolean;
+      deactivatedAt?: string | null;
+      deactivatedBy?: "self" | "admin" | null;
+      purgeScheduledAt?: string | null;
+      lastLogin?: string | null;
+      erasureRequestedAt?: string | null;
+      erasureScheduledAt?: string | null;
+      erasureBlockedAt?: string | null;
+      anonymizedAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type RevokeUserSessionsBody = Record<string, unknown>;
+
+export type RevokeUserSessionsResponse = {
+  success: true;
+  message: string;
+};
+
+export type ForcePasswordResetBody = Record<string, unknown>;
+
+export type ForcePasswordResetResponse = {
+  success: true;
+  message: string;
+};
+
+export type ListAuditEventsQuery = {
+  actor?: string;
+  target?: string;
+  action?: "user.register" | "user.invitation_accept" | "auth.login" | "auth.mfa_login" | "auth.oauth_login" | "auth.refresh_token_reuse" | "auth.logout" | "auth.logout_all" | "auth.session_revoke" | "account.password_change" | "account.password_reset_request" | "account.password_reset" | "account.email_verify" | "account.deactivate" | "account.reactivation_request" | "account.reactivate" | "account.purge" | "account.oauth_link" | "account.oauth_unlink" | "account.mfa_enable" | "account.mfa_disable" | "account.mfa_recovery_codes_regenerate" | "account.mfa_recovery_code_use" | "account.data_export" | "account.erasure_request" | "account.erasure_cancel" | "account.erase" | "admin.user_list" | "admin.user_export" | "admin.user_read" | "admin.user_update" | "admin.role_change" | "admin.user_activate" | "admin.user_deactivate" | "admin.sessions_revoke" | "admin.password_reset_force" | "admin.user_delete" | "admin.user_unlock" | "admin.role_permissions_update" | "admin.invitation_create" | "admin.invitation_revoke" | "admin.user_import" | "admin.audit_read" | "admin.webhook_create" | "admin.webhook_update" | "admin.webhook_delete" | "admin.webhook_redeliver" | "admin.filter_preset_create" | "admin.filter_preset_delete";
+  outcome?: "success" | "failure";
+  ip?: string;
+  requestId?: string;
+  from?: string;
+  to?: string;
+  limit?: number;
+  cursor?: string;
+};
+
+export type ListAuditEventsResponse = {
+  success: true;
+  message?: string;
+  data: {
+    events: Array<{
+      _id?: string;
+      action: "user.register" | "user.invitation_accept" | "auth.login" | "auth.mfa_login" | "auth.oauth_login" | "auth.refresh_token_reuse" | "auth.logout" | "auth.logout_all" | "auth.session_revoke" | "account.password_change" | "account.password_reset_request" | "account.password_reset" | "account.email_verify" | "account.deactivate" | "account.reactivation_request" | "account.reactivate" | "account.purge" | "account.oauth_link" | "account.oauth_unlink" | "account.mfa_enable" | "account.mfa_disable" | "account.mfa_recovery_codes_regenerate" | "account.mfa_recovery_code_use" | "account.data_export" | "account.erasure_request" | "account.erasure_cancel" | "account.erase" | "admin.user_list" | "admin.user_export" | "admin.user_read" | "admin.user_update" | "admin.role_change" | "admin.user_activate" | "admin.user_deactivate" | "admin.sessions_revoke" | "admin.password_reset_force" | "admin.user_delete" | "admin.user_unlock" | "admin.role_permissions_update" | "admin.invitation_create" | "admin.invitation_revoke" | "admin.user_import" | "admin.audit_read" | "admin.webhook_create" | "admin.webhook_update" | "admin.webhook_delete" | "admin.webhook_redeliver" | "admin.filter_preset_create" | "admin.filter_preset_delete";
+      outcome: "success" | "failure";
+      actor?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      target?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      ip?: string | null | "";
+      userAgent?: string | null | "";
+      requestId?: string | null;
+      metadata?: Record<string, unknown>;
+      createdAt?: string;
+    }>;
+    nextCursor: string | null;
+  };
+};
+
+export type CreateWebhookBody = {
+  url: string;
+  eventTypes: Array<"user.created" | "user.email_verified" | "user.updated" | "user.role_changed" | "user.activated" | "user.deactivated" | "user.deleted" | "user.erased">;
+  description?: string | "";
+};
+
+export type CreateWebhookResponse = {
+  success: true;
+  message?: string;
+  data: {
+    subscription: {
+      _id: string;
+      url: string;
+      eventTypes: Array<"user.created" | "user.email_verified" | "user.updated" | "user.role_changed" | "user.activated" | "user.deactivated" | "user.deleted" | "user.erased">;
+      description?: string | "";
+      isActive?: boolean;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+    secret: string;
+  };
+};
+
+export type ListWebhooksResponse = {
+  success: true;
+  message?: string;
+  data: {
+    webhooks: Array<{
+      _id: string;
+      url: string;
+      eventTypes: Array<"user.created" | "user.email_verified" | "user.updated" | "user.role_changed" | "user.activated" | "user.deactivated" | "user.deleted" | "user.erased">;
+      description?: string | "";
+      isActive?: boolean;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    }>;
+  };
+};
+
+export type GetWebhookResponse = {
+  success: true;
+  message?: string;
+  data: {
+    webhook: {
+      _id: string;
+      url: string;
+      eventTypes: Array<"user.created" | "user.email_verified" | "user.updated" | "user.role_changed" | "user.activated" | "user.deactivated" | "user.deleted" | "user.erased">;
+      description?: string | "";
+      isActive?: boolean;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type UpdateWebhookBody = {
+  url?: string;
+  eventTypes?: Array<"user.created" | "user.email_verified" | "user.updated" | "user.role_changed" | "user.activated" | "user.deactivated" | "user.deleted" | "user.erased">;
+  description?: string | "";
+  isActive?: boolean;
+};
+
+export type UpdateWebhookResponse = {
+  success: true;
+  message?: string;
+  data: {
+    webhook: {
+      _id: string;
+      url: string;
+      eventTypes: Array<"user.created" | "user.email_verified" | "user.updated" | "user.role_changed" | "user.activated" | "user.deactivated" | "user.deleted" | "user.erased">;
+      description?: string | "";
+      isActive?: boolean;
+      createdBy?: string | {
+        _id: string;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+      } | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export type DeleteWebhookResponse = {
+  success: true;
+  message: string;
+};
+
+export type ListWebhookDeliveriesQuery = {
+  status?: "pending" | "succeeded" | "dead_letter";
+  eventType?: "user.created" | "user.email_verified" | "user.updated" | "user.role_changed" | "user.activated" | "user.deactivated" | "user.deleted" | "user.erased";
+  limit?: number;
+  cursor?: string;
+};
+
+export type ListWebhookDeliveriesResponse = {
+  success: true;
+  message?: string;
+  data: {
+    deliveries: Array<{
+      _id: string;
+      subscription: string;
+      eventId: string;
+      eventType: string;
+      payload: Record<string, unknown>;
+      status: "pending" | "succeeded" | "dead_letter";
+      attempts?: number;
+      nextAttemptAt?: string | null;
+      lockedUntil?: string | null;
+      lockedBy?: string | null;
+      lastStatusCode?: number | null;
+      lastError?: string | null;
+      attemptLog?: Array<{
+        attemptedAt?: string;
+        statusCode?: number | null;
+        error?: string | null;
+        durationMs?: number;
+      }>;
+      deliveredAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    }>;
+    nextCursor: string | null;
+  };
+};
+
+export type RedeliverWebhookResponse = {
+  success: true;
+  message?: string;
+  data: {
+    delivery: {
+      _id: string;
+      subscription: string;
+      eventId: string;
+      eventType: string;
+      payload: Record<string, unknown>;
+      status: "pending" | "succeeded" | "dead_letter";
+      attempts?: number;
+      nextAttemptAt?: string | null;
+      lockedUntil?: string | null;
+      lockedBy?: string | null;
+      lastStatusCode?: number | null;
+      lastError?: string | null;
+      attemptLog?: Array<{
+        attemptedAt?: string;
+        statusCode?: number | null;
+        error?: string | null;
+        durationMs?: number;
+      }>;
+      deliveredAt?: string | null;
+      createdAt?: string;
+      updatedAt?: string;
+      __v?: number;
+    };
+  };
+};
+
+export declare class UserManagementClient {
+  baseUrl: string;
+  accessToken: string | null;
+  constructor(options?: ClientOptions);
+  setAccessToken(accessToken: string | null): void;
+  url(path: string, query?: Record<string, unknown>): string;
+  request(options: {
+    method: string;
+    path: string;
+    body?: unknown;
+    query?: Record<string, unknown>;
+    contentType?: string;
+    raw?: boolean;
+  }): Promise<any>;
+
+  /**
+   * Estado del servicio
+   * GET /health
+   */
+  health(): Promise<HealthResponse>;
+
+  /**
+   * Register a student account
+   * POST /api/v2/users/register
+   */
+  register(body: RegisterBody): Promise<RegisterResponse>;
+
+  /**
+   * Log in with email and password
+   * POST /api/v2/users/login
+   */
+  login(body: LoginBody): Promise<LoginResponse>;
+
+  /**
+   * Complete a login with an MFA code or recovery code
+   * POST /api/v2/users/mfa/verify
+   */
+  mfaVerify(body: MfaVerifyBody): Promise<MfaVerifyResponse>;
+
+  /**
+   * Rotate a refresh token
+   * POST /api/v2/users/refresh
+   */
+  refreshToken(body: RefreshTokenBody): Promise<RefreshTokenResponse>;
+
+  /**
+   * Verify the email address with the emailed token
+   * GET /api/v2/users/verify-email/{token}
+   */
+  verifyEmail(token: string): Promise<VerifyEmailResponse>;
+
+  /**
+   * Resend the verification email
+   * POST /api/v2/users/resend-verification
+   */
+  resendVerification(body: ResendVerificationBody): Promise<ResendVerificationResponse>;
+
+  /**
+   * Send a password reset link
+   * POST /api/v2/users/forgot-password
+   */
+  forgotPassword(body: ForgotPasswordBody): Promise<ForgotPasswordResponse>;
+
+  /**
+   * Set a new password with a reset token
+   * POST /api/v2/users/reset-password
+   */
+  resetPassword(body: ResetPasswordBody): Promise<ResetPasswordResponse>;
+
+  /**
+   * Send a reactivation link for a self-deactivated account
+   * POST /api/v2/users/reactivation/request
+   */
+  requestReactivation(body: RequestReactivationBody): Promise<RequestReactivationResponse>;
+
+  /**
+   * Reactivate a self-deactivated account
+   * POST /api/v2/users/reactivate
+   */
+  reactivateAccount(body: ReactivateAccountBody): Promise<ReactivateAccountResponse>;
+
+  /**
+   * Start an OAuth login
+   * GET /api/v2/users/oauth/{provider}
+   */
+  oauthStart(provider: string): string;
+
+  /**
+   * Unlink an OAuth provider
+   * DELETE /api/v2/users/oauth/{provider}
+   */
+  oauthUnlink(provider: string): Promise<OauthUnlinkResponse>;
+
+  /**
+   * OAuth provider callback
+   * GET /api/v2/users/oauth/{provider}/callback
+   */
+  oauthCallback(provider: string): string;
+
+  /**
+   * Register with an invitation
+   * POST /api/v2/users/invitations/accept
+   */
+  acceptInvitation(body: AcceptInvitationBody): Promise<AcceptInvitationResponse>;
+
+  /**
+   * Start linking an OAuth provider to the account
+   * POST /api/v2/users/oauth/{provider}/link
+   */
+  oauthLink(provider: string): Promise<OauthLinkResponse>;
+
+  /**
+   * Get the authenticated user profile
+   * GET /api/v2/users/profile
+   */
+  getProfile(): Promise<GetProfileResponse>;
+
+  /**
+   * Update the authenticated user profile
+   * PUT /api/v2/users/profile
+   */
+  updateProfile(body?: UpdateProfileBody): Promise<UpdateProfileResponse>;
+
+  /**
+   * Deactivate the authenticated user account
+   * DELETE /api/v2/users/account
+   */
+  deleteAccount(): Promise<DeleteAccountResponse>;
+
+  /**
+   * Change the password
+   * POST /api/v2/users/change-password
+   */
+  changePassword(body: ChangePasswordBody): Promise<ChangePasswordResponse>;
+
+  /**
+   * Generate a TOTP secret to enroll in MFA
+   * POST /api/v2/users/mfa/setup
+   */
+  mfaSetup(body?: MfaSetupBody): Promise<MfaSetupResponse>;
+
+  /**
+   * Enable MFA with a code from the authenticator app
+   * POST /api/v2/users/mfa/confirm
+   */
+  mfaConfirm(body: MfaConfirmBody): Promise<MfaConfirmResponse>;
+
+  /**
+   * Disable MFA
+   * POST /api/v2/users/mfa/disable
+   */
+  mfaDisable(body: MfaDisableBody): Promise<MfaDisableResponse>;
+
+  /**
+   * Replace the MFA recovery codes
+   * POST /api/v2/users/mfa/recovery-codes
+   */
+  mfaRegenerateRecoveryCodes(body: MfaRegenerateRecoveryCodesBody): Promise<MfaRegenerateRecoveryCodesResponse>;
+
+  /**
+   * Log out of the current session
+   * POST /api/v2/users/logout
+   */
+  logout(): Promise<LogoutResponse>;
+
+  /**
+   * Log out of every session
+   * POST /api/v2/users/logout-all
+   */
+  logoutAll(): Promise<LogoutAllResponse>;
+
+  /**
+   * List active sessions
+   * GET /api/v2/users/sessions
+   */
+  getSessions(): Promise<GetSessionsResponse>;
+
+  /**
+   * Close one session
+   * DELETE /api/v2/users/sessions/{id}
+   */
+  revokeSession(id: string): Promise<RevokeSessionResponse>;
+
+  /**
+   * Get the effective permissions of the authenticated user
+   * GET /api/v2/users/me/permissions
+   */
+  getMyPermissions(): Promise<GetMyPermissionsResponse>;
+
+  /**
+   * Download a JSON file with my personal data
+   * GET /api/v2/users/me/export
+   */
+  exportMyData(): Promise<ExportMyDataResponse>;
+
+  /**
+   * Request the erasure of my personal data
+   * POST /api/v2/users/me/erasure
+   */
+  requestErasure(body: RequestErasureBody): Promise<RequestErasureResponse>;
+
+  /**
+   * Cancel a pending erasure request
+   * DELETE /api/v2/users/me/erasure
+   */
+  cancelErasure(): Promise<CancelErasureResponse>;
+
+  /**
+   * List the permission registry and the permissions of each role
+   * GET /api/v2/users/roles
+   */
+  getRolePermissions(): Promise<GetRolePermissionsResponse>;
+
+  /**
+   * Replace the permissions of a role
+   * PUT /api/v2/users/roles/{role}/permissions
+   */
+  updateRolePermissions(role: string, body: UpdateRolePermissionsBody): Promise<UpdateRolePermissionsResponse>;
+
+  /**
+   * Invite an email address to register with a role
+   * POST /api/v2/users/invitations
+   */
+  createInvitation(body: CreateInvitationBody): Promise<CreateInvitationResponse>;
+
+  /**
+   * List pending invitations
+   * GET /api/v2/users/invitations
+   */
+  listInvitations(): Promise<ListInvitationsResponse>;
+
+  /**
+   * Revoke a pending invitation
+   * DELETE /api/v2/users/invitations/{id}
+   */
+  revokeInvitation(id: string): Promise<RevokeInvitationResponse>;
+
+  /**
+   * Import users from a CSV or NDJSON file
+   * POST /api/v2/users/user-imports
+   */
+  importUsers(body: string | Blob, query?: ImportUsersQuery, contentType?: "text/csv" | "application/x-ndjson"): Promise<ImportUsersResponse>;
+
+  /**
+   * Get the progress and row report of an import
+   * GET /api/v2/users/user-imports/{id}
+   */
+  getImportJob(id: string): Promise<GetImportJobResponse>;
+
+  /**
+   * Stream the users that match the list filters as CSV or NDJSON
+   * GET /api/v2/users/user-exports
+   */
+  exportUsers(query?: ExportUsersQuery): Promise<Response>;
+
+  /**
+   * List saved user list filters
+   * GET /api/v2/users/user-filter-presets
+   */
+  listFilterPresets(): Promise<ListFilterPresetsResponse>;
+
+  /**
+   * Save a user list filter
+   * POST /api/v2/users/user-filter-presets
+   */
+  createFilterPreset(body: CreateFilterPresetBody): Promise<CreateFilterPresetResponse>;
+
+  /**
+   * Delete a saved filter
+   * DELETE /api/v2/users/user-filter-presets/{id}
+   */
+  deleteFilterPreset(id: string): Promise<DeleteFilterPresetResponse>;
+
+  /**
+   * List users with filters, search, sorting and cursor pagination
+   * GET /api/v2/users/users
+   */
+  getAllUsers(query?: GetAllUsersQuery): Promise<GetAllUsersResponse>;
+
+  /**
+   * Get a user and its login lockout state
+   * GET /api/v2/users/users/{id}
+   */
+  getUserById(id: string): Promise<GetUserByIdResponse>;
+
+  /**
+   * Edit a user profile
+   * PATCH /api/v2/users/users/{id}
+   */
+  adminUpdateUser(id: string, body: AdminUpdateUserBody): Promise<AdminUpdateUserResponse>;
+
+  /**
+   * Delete an account permanently
+   * DELETE /api/v2/users/users/{id}
+   */
+  deleteUser(id: string, body: DeleteUserBody): Promise<DeleteUserResponse>;
+
+  /**
+   * Unlock an account locked by failed logins
+   * POST /api/v2/users/users/{id}/unlock
+   */
+  unlockUser(id: string): Promise<UnlockUserResponse>;
+
+  /**
+   * Change the role of a user
+   * PATCH /api/v2/users/users/{id}/role
+   */
+  changeUserRole(id: string, body: ChangeUserRoleBody): Promise<ChangeUserRoleResponse>;
+
+  /**
+   * Activate a deactivated account
+   * POST /api/v2/users/users/{id}/activate
+   */
+  activateUser(id: string, body?: ActivateUserBody): Promise<ActivateUserResponse>;
+
+  /**
+   * Deactivate an account and close its sessions
+   * POST /api/v2/users/users/{id}/deactivate
+   */
+  deactivateUser(id: string, body?: DeactivateUserBody): Promise<DeactivateUserResponse>;
+
+  /**
+   * Close every session of a user
+   * DELETE /api/v2/users/users/{id}/sessions
+   */
+  revokeUserSessions(id: string, body?: RevokeUserSessionsBody): Promise<RevokeUserSessionsResponse>;
+
+  /**
+   * Force a user to reset the password
+   * POST /api/v2/users/users/{id}/password-reset
+   */
+  forcePasswordReset(id: string, body?: ForcePasswordResetBody): Promise<ForcePasswordResetResponse>;
+
+  /**
+   * Query the audit log
+   * GET /api/v2/users/audit-events
+   */
+  listAuditEvents(query?: ListAuditEventsQuery): Promise<ListAuditEventsResponse>;
+
+  /**
+   * Subscribe a URL to event types
+   * POST /api/v2/users/webhooks
+   */
+  createWebhook(body: CreateWebhookBody): Promise<CreateWebhookResponse>;
+
+  /**
+   * List webhook subscriptions
+   * GET /api/v2/users/webhooks
+   */
+  listWebhooks(): Promise<ListWebhooksResponse>;
+
+  /**
+   * Get a webhook subscription
+   * GET /api/v2/users/webhooks/{id}
+   */
+  getWebhook(id: string): Promise<GetWebhookResponse>;
+
+  /**
+   * Update a webhook subscription
+   * PATCH /api/v2/users/webhooks/{id}
+   */
+  updateWebhook(id: string, body: UpdateWebhookBody): Promise<UpdateWebhookResponse>;
+
+  /**
+   * Delete a webhook subscription and its delivery log
+   * DELETE /api/v2/users/webhooks/{id}
+   */
+  deleteWebhook(id: string): Promise<DeleteWebhookResponse>;
+
+  /**
+   * Query the delivery log of a subscription
+   * GET /api/v2/users/webhooks/{id}/deliveries
+   */
+  listWebhookDeliveries(id: string, query?: ListWebhookDeliveriesQuery): Promise<ListWebhookDeliveriesResponse>;
+
+  /**
+   * Queue a delivery again
+   * POST /api/v2/users/webhooks/{id}/deliveries/{deliveryId}/redeliver
+   */
+  redeliverWebhook(id: string, deliveryId: string): Promise<RedeliverWebhookResponse>;
+}
@@ -0,0 +1,580 @@
+/**
+ * Cliente de la API de User Management Service.
+ * Archivo generado por scripts/generateClient.js a partir de la especificación OpenAPI: no editar a mano.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UserManagementApi = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Error de la API: respuesta problem+json (RFC 7807) con el status HTTP, el código del
+   * catálogo de /api/docs/errors y los detalles de validación
+   */
+  class ApiError extends Error {
+    constructor(status, message, details, code) {
+      super(message);
+      this.name = 'ApiError';
+      this.status = status;
+      this.details = details;
+      this.code = code;
+    }
+  }
+
+  /**
+   * Serializa la query string: los objetos como filter[campo][operador]=valor y los
+   * arrays separados por comas
+   */
+  const serializeQuery = (query, prefix, params = new URLSearchParams()) => {
+    Object.entries(query || {}).forEach(([key, value]) => {
+      const name = prefix ? prefix + '[' + key + ']' : key;
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (Array.isArray(value)) {
+        params.append(name, value.join(','));
+      } else if (typeof value === 'object' && !(value instanceof Date)) {
+        serializeQuery(value, name, params);
+      } else {
+        params.append(name, value instanceof Date ? value.toISOString() : String(value));
+      }
+    });
+    return params;
+  };
+
+  class UserManagementClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - URL del servicio (por defecto, el mismo origen)
+     * @param {string} [options.accessToken] - Access token que se envía como Bearer
+     * @param {Function} [options.fetch] - Implementación de fetch (por defecto, la global)
+     */
+    constructor({ baseUrl = '', accessToken = null, fetch: fetchImplementation } = {}) {
+      this.baseUrl = baseUrl.replace(/\/$/, '');
+      this.accessToken = accessToken;
+      this.fetch = fetchImplementation || globalThis.fetch.bind(globalThis);
+    }
+
+    setAccessToken(accessToken) {
+      this.accessToken = accessToken;
+    }
+
+    url(path, query) {
+      const search = serializeQuery(query).toString();
+      return this.baseUrl + path + (search ? '?' + search : '');
+    }
+
+    async request({ method, path, body, query, contentType = 'application/json', raw = false }) {
+      const headers = {};
+      if (this.accessToken) {
+        headers.Authorization = 'Bearer ' + this.accessToken;
+      }
+      let payload;
+      if (body !== undefined) {
+        headers['Content-Type'] = contentType;
+        payload = contentType === 'application/json' ? JSON.stringify(body) : body;
+      }
+
+      const response = await this.fetch(this.url(path, query), { method, headers, body: payload });
+      if (!response.ok) {
+        const problem = await response.json().catch(() => ({}));
+        throw new ApiError(response.status, problem.detail || response.statusText, problem.details, problem.code);
+      }
+      return raw ? response : response.json();
+    }
+
+    /**
+     * Estado del servicio
+     * GET /health
+     */
+    health() {
+      return this.request({ method: 'GET', path: '/health' });
+    }
+
+    /**
+     * Register a student account
+     * POST /api/v2/users/register
+     */
+    register(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/register', body });
+    }
+
+    /**
+     * Log in with email and password
+     * POST /api/v2/users/login
+     */
+    login(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/login', body });
+    }
+
+    /**
+     * Complete a login with an MFA code or recovery code
+     * POST /api/v2/users/mfa/verify
+     */
+    mfaVerify(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/mfa/verify', body });
+    }
+
+    /**
+     * Rotate a refresh token
+     * POST /api/v2/users/refresh
+     */
+    refreshToken(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/refresh', body });
+    }
+
+    /**
+     * Verify the email address with the emailed token
+     * GET /api/v2/users/verify-email/{token}
+     */
+    verifyEmail(token) {
+      return this.request({ method: 'GET', path: `/api/v2/users/verify-email/${encodeURIComponent(token)}` });
+    }
+
+    /**
+     * Resend the verification email
+     * POST /api/v2/users/resend-verification
+     */
+    resendVerification(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/resend-verification', body });
+    }
+
+    /**
+     * Send a password reset link
+     * POST /api/v2/users/forgot-password
+     */
+    forgotPassword(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/forgot-password', body });
+    }
+
+    /**
+     * Set a new password with a reset token
+     * POST /api/v2/users/reset-password
+     */
+    resetPassword(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/reset-password', body });
+    }
+
+    /**
+     * Send a reactivation link for a self-deactivated account
+     * POST /api/v2/users/reactivation/request
+     */
+    requestReactivation(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/reactivation/request', body });
+    }
+
+    /**
+     * Reactivate a self-deactivated account
+     * POST /api/v2/users/reactivate
+     */
+    reactivateAccount(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/reactivate', body });
+    }
+
+    /**
+     * Start an OAuth login
+     * GET /api/v2/users/oauth/{provider}
+     */
+    oauthStart(provider) {
+      return this.url(`/api/v2/users/oauth/${encodeURIComponent(provider)}`);
+    }
+
+    /**
+     * Unlink an OAuth provider
+     * DELETE /api/v2/users/oauth/{provider}
+     */
+    oauthUnlink(provider) {
+      return this.request({ method: 'DELETE', path: `/api/v2/users/oauth/${encodeURIComponent(provider)}` });
+    }
+
+    /**
+     * OAuth provider callback
+     * GET /api/v2/users/oauth/{provider}/callback
+     */
+    oauthCallback(provider) {
+      return this.url(`/api/v2/users/oauth/${encodeURIComponent(provider)}/callback`);
+    }
+
+    /**
+     * Register with an invitation
+     * POST /api/v2/users/invitations/accept
+     */
+    acceptInvitation(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/invitations/accept', body });
+    }
+
+    /**
+     * Start linking an OAuth provider to the account
+     * POST /api/v2/users/oauth/{provider}/link
+     */
+    oauthLink(provider) {
+      return this.request({ method: 'POST', path: `/api/v2/users/oauth/${encodeURIComponent(provider)}/link` });
+    }
+
+    /**
+     * Get the authenticated user profile
+     * GET /api/v2/users/profile
+     */
+    getProfile() {
+      return this.request({ method: 'GET', path: '/api/v2/users/profile' });
+    }
+
+    /**
+     * Update the authenticated user profile
+     * PUT /api/v2/users/profile
+     */
+    updateProfile(body = {}) {
+      return this.request({ method: 'PUT', path: '/api/v2/users/profile', body });
+    }
+
+    /**
+     * Deactivate the authenticated user account
+     * DELETE /api/v2/users/account
+     */
+    deleteAccount() {
+      return this.request({ method: 'DELETE', path: '/api/v2/users/account' });
+    }
+
+    /**
+     * Change the password
+     * POST /api/v2/users/change-password
+     */
+    changePassword(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/change-password', body });
+    }
+
+    /**
+     * Generate a TOTP secret to enroll in MFA
+     * POST /api/v2/users/mfa/setup
+     */
+    mfaSetup(body = {}) {
+      return this.request({ method: 'POST', path: '/api/v2/users/mfa/setup', body });
+    }
+
+    /**
+     * Enable MFA with a code from the authenticator app
+     * POST /api/v2/users/mfa/confirm
+     */
+    mfaConfirm(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/mfa/confirm', body });
+    }
+
+    /**
+     * Disable MFA
+     * POST /api/v2/users/mfa/disable
+     */
+    mfaDisable(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/mfa/disable', body });
+    }
+
+    /**
+     * Replace the MFA recovery codes
+     * POST /api/v2/users/mfa/recovery-codes
+     */
+    mfaRegenerateRecoveryCodes(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/mfa/recovery-codes', body });
+    }
+
+    /**
+     * Log out of the current session
+     * POST /api/v2/users/logout
+     */
+    logout() {
+      return this.request({ method: 'POST', path: '/api/v2/users/logout' });
+    }
+
+    /**
+     * Log out of every session
+     * POST /api/v2/users/logout-all
+     */
+    logoutAll() {
+      return this.request({ method: 'POST', path: '/api/v2/users/logout-all' });
+    }
+
+    /**
+     * List active sessions
+     * GET /api/v2/users/sessions
+     */
+    getSessions() {
+      return this.request({ method: 'GET', path: '/api/v2/users/sessions' });
+    }
+
+    /**
+     * Close one session
+     * DELETE /api/v2/users/sessions/{id}
+     */
+    revokeSession(id) {
+      return this.request({ method: 'DELETE', path: `/api/v2/users/sessions/${encodeURIComponent(id)}` });
+    }
+
+    /**
+     * Get the effective permissions of the authenticated user
+     * GET /api/v2/users/me/permissions
+     */
+    getMyPermissions() {
+      return this.request({ method: 'GET', path: '/api/v2/users/me/permissions' });
+    }
+
+    /**
+     * Download a JSON file with my personal data
+     * GET /api/v2/users/me/export
+     */
+    exportMyData() {
+      return this.request({ method: 'GET', path: '/api/v2/users/me/export' });
+    }
+
+    /**
+     * Request the erasure of my personal data
+     * POST /api/v2/users/me/erasure
+     */
+    requestErasure(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/me/erasure', body });
+    }
+
+    /**
+     * Cancel a pending erasure request
+     * DELETE /api/v2/users/me/erasure
+     */
+    cancelErasure() {
+      return this.request({ method: 'DELETE', path: '/api/v2/users/me/erasure' });
+    }
+
+    /**
+     * List the permission registry and the permissions of each role
+     * GET /api/v2/users/roles
+     */
+    getRolePermissions() {
+      return this.request({ method: 'GET', path: '/api/v2/users/roles' });
+    }
+
+    /**
+     * Replace the permissions of a role
+     * PUT /api/v2/users/roles/{role}/permissions
+     */
+    updateRolePermissions(role, body) {
+      return this.request({ method: 'PUT', path: `/api/v2/users/roles/${encodeURIComponent(role)}/permissions`, body });
+    }
+
+    /**
+     * Invite an email address to register with a role
+     * POST /api/v2/users/invitations
+     */
+    createInvitation(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/invitations', body });
+    }
+
+    /**
+     * List pending invitations
+     * GET /api/v2/users/invitations
+     */
+    listInvitations() {
+      return this.request({ method: 'GET', path: '/api/v2/users/invitations' });
+    }
+
+    /**
+     * Revoke a pending invitation
+     * DELETE /api/v2/users/invitations/{id}
+     */
+    revokeInvitation(id) {
+      return this.request({ method: 'DELETE', path: `/api/v2/users/invitations/${encodeURIComponent(id)}` });
+    }
+
+    /**
+     * Import users from a CSV or NDJSON file
+     * POST /api/v2/users/user-imports
+     */
+    importUsers(body, query = {}, contentType = 'text/csv') {
+      return this.request({ method: 'POST', path: '/api/v2/users/user-imports', body, query, contentType });
+    }
+
+    /**
+     * Get the progress and row report of an import
+     * GET /api/v2/users/user-imports/{id}
+     */
+    getImportJob(id) {
+      return this.request({ method: 'GET', path: `/api/v2/users/user-imports/${encodeURIComponent(id)}` });
+    }
+
+    /**
+     * Stream the users that match the list filters as CSV or NDJSON
+     * GET /api/v2/users/user-exports
+     */
+    exportUsers(query = {}) {
+      return this.request({ method: 'GET', path: '/api/v2/users/user-exports', query, raw: true });
+    }
+
+    /**
+     * List saved user list filters
+     * GET /api/v2/users/user-filter-presets
+     */
+    listFilterPresets() {
+      return this.request({ method: 'GET', path: '/api/v2/users/user-filter-presets' });
+    }
+
+    /**
+     * Save a user list filter
+     * POST /api/v2/users/user-filter-presets
+     */
+    createFilterPreset(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/user-filter-presets', body });
+    }
+
+    /**
+     * Delete a saved filter
+     * DELETE /api/v2/users/user-filter-presets/{id}
+     */
+    deleteFilterPreset(id) {
+      return this.request({ method: 'DELETE', path: `/api/v2/users/user-filter-presets/${encodeURIComponent(id)}` });
+    }
+
+    /**
+     * List users with filters, search, sorting and cursor pagination
+     * GET /api/v2/users/users
+     */
+    getAllUsers(query = {}) {
+      return this.request({ method: 'GET', path: '/api/v2/users/users', query });
+    }
+
+    /**
+     * Get a user and its login lockout state
+     * GET /api/v2/users/users/{id}
+     */
+    getUserById(id) {
+      return this.request({ method: 'GET', path: `/api/v2/users/users/${encodeURIComponent(id)}` });
+    }
+
+    /**
+     * Edit a user profile
+     * PATCH /api/v2/users/users/{id}
+     */
+    adminUpdateUser(id, body) {
+      return this.request({ method: 'PATCH', path: `/api/v2/users/users/${encodeURIComponent(id)}`, body });
+    }
+
+    /**
+     * Delete an account permanently
+     * DELETE /api/v2/users/users/{id}
+     */
+    deleteUser(id, body) {
+      return this.request({ method: 'DELETE', path: `/api/v2/users/users/${encodeURIComponent(id)}`, body });
+    }
+
+    /**
+     * Unlock an account locked by failed logins
+     * POST /api/v2/users/users/{id}/unlock
+     */
+    unlockUser(id) {
+      return this.request({ method: 'POST', path: `/api/v2/users/users/${encodeURIComponent(id)}/unlock` });
+    }
+
+    /**
+     * Change the role of a user
+     * PATCH /api/v2/users/users/{id}/role
+     */
+    changeUserRole(id, body) {
+      return this.request({ method: 'PATCH', path: `/api/v2/users/users/${encodeURIComponent(id)}/role`, body });
+    }
+
+    /**
+     * Activate a deactivated account
+     * POST /api/v2/users/users/{id}/activate
+     */
+    activateUser(id, body = {}) {
+      return this.request({ method: 'POST', path: `/api/v2/users/users/${encodeURIComponent(id)}/activate`, body });
+    }
+
+    /**
+     * Deactivate an account and close its sessions
+     * POST /api/v2/users/users/{id}/deactivate
+     */
+    deactivateUser(id, body = {}) {
+      return this.request({ method: 'POST', path: `/api/v2/users/users/${encodeURIComponent(id)}/deactivate`, body });
+    }
+
+    /**
+     * Close every session of a user
+     * DELETE /api/v2/users/users/{id}/sessions
+     */
+    revokeUserSessions(id, body = {}) {
+      return this.request({ method: 'DELETE', path: `/api/v2/users/users/${encodeURIComponent(id)}/sessions`, body });
+    }
+
+    /**
+     * Force a user to reset the password
+     * POST /api/v2/users/users/{id}/password-reset
+     */
+    forcePasswordReset(id, body = {}) {
+      return this.request({ method: 'POST', path: `/api/v2/users/users/${encodeURIComponent(id)}/password-reset`, body });
+    }
+
+    /**
+     * Query the audit log
+     * GET /api/v2/users/audit-events
+     */
+    listAuditEvents(query = {}) {
+      return this.request({ method: 'GET', path: '/api/v2/users/audit-events', query });
+    }
+
+    /**
+     * Subscribe a URL to event types
+     * POST /api/v2/users/webhooks
+     */
+    createWebhook(body) {
+      return this.request({ method: 'POST', path: '/api/v2/users/webhooks', body });
+    }
+
+    /**
+     * List webhook subscriptions
+     * GET /api/v2/users/webhooks
+     */
+    listWebhooks() {
+      return this.request({ method: 'GET', path: '/api/v2/users/webhooks' });
+    }
+
+    /**
+     * Get a webhook subscription
+     * GET /api/v2/users/webhooks/{id}
+     */
+    getWebhook(id) {
+      return this.request({ method: 'GET', path: `/api/v2/users/webhooks/${encodeURIComponent(id)}` });
+    }
+
+    /**
+     * Update a webhook subscription
+     * PATCH /api/v2/users/webhooks/{id}
+     */
+    updateWebhook(id, body) {
+      return this.request({ method: 'PATCH', path: `/api/v2/users/webhooks/${encodeURIComponent(id)}`, body });
+    }
+
+    /**
+     * Delete a webhook subscription and its delivery log
+     * DELETE /api/v2/users/webhooks/{id}
+     */
+    deleteWebhook(id) {
+      return this.request({ method: 'DELETE', path: `/api/v2/users/webhooks/${encodeURIComponent(id)}` });
+    }
+
+    /**
+     * Query the delivery log of a subscription
+     * GET /api/v2/users/webhooks/{id}/deliveries
+     */
+    listWebhookDeliveries(id, query = {}) {
+      return this.request({ method: 'GET', path: `/api/v2/users/webhooks/${encodeURIComponent(id)}/deliveries`, query });
+    }
+
+    /**
+     * Queue a delivery again
+     * POST /api/v2/users/webhooks/{id}/deliveries/{deliveryId}/redeliver
+     */
+    redeliverWebhook(id, deliveryId) {
+      return this.request({ method: 'POST', path: `/api/v2/users/webhooks/${encodeURIComponent(id)}/deliveries/${encodeURIComponent(deliveryId)}/redeliver` });
+    }
+  }
+
+  return { UserManagementClient, ApiError };
+}));
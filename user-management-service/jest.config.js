@@ -2,6 +2,10 @@ module.exports = {
   testEnvironment: 'node',
   coveragePathIgnorePatterns: ['/node_modules/', '/tests/'],
   testMatch: ['**/tests/**/*.test.js'],
+  // MongoDB en memoria (mongodb-memory-server) para los tests que usan los modelos
+  globalSetup: '<rootDir>/tests/setup/globalSetup.js',
+  globalTeardown: '<rootDir>/tests/setup/globalTeardown.js',
+  setupFilesAfterEnv: ['<rootDir>/tests/setup/database.js'],
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/config/server.js',
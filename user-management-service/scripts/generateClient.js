@@ -0,0 +1,25 @@
+/**
+ * @fileoverview Generate Client - Regenera el paquete client/ a partir de la especificación OpenAPI
+ * @description Se ejecuta con `npm run generate:client` después de cambiar una ruta, un schema
+ * de petición (schemas/userSchemas) o de respuesta (schemas/responseSchemas). Necesita las
+ * mismas variables de entorno que el servicio (carga .env).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const userRoutes = require('../src/routes/userRoutes');
+const { buildOpenApiDocument } = require('../src/utils/openapi');
+const { generateClient } = require('../src/utils/clientGenerator');
+const { CURRENT_API_VERSION, apiBasePath } = require('../src/config/apiVersions');
+
+const CLIENT_DIR = path.join(__dirname, '..', 'client');
+
+// El cliente usa la versión actual de la API
+const files = generateClient(buildOpenApiDocument([
+  { basePath: apiBasePath(CURRENT_API_VERSION), router: userRoutes, version: CURRENT_API_VERSION },
+]));
+Object.entries(files).forEach(([name, content]) => {
+  fs.writeFileSync(path.join(CLIENT_DIR, name), content);
+  console.log(`client/${name}`);
+});
+process.exit(0);
@@ -4,6 +4,7 @@
  * rutas y manejo de errores para el servicio de gestión de usuarios.
  */
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -12,11 +13,35 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const config = require('./config/env');
 const logger = require('./utils/logger');
-const { errorHandler } = require('./utils/errorHandler');
+const { AppError, errorHandler } = require('./utils/errorHandler');
+const requestId = require('./middlewares/requestIdMiddleware');
+const locale = require('./middlewares/localeMiddleware');
+const { validateResponses } = require('./middlewares/responseValidationMiddleware');
+const { apiVersion } = require('./middlewares/apiVersionMiddleware');
+const { rateLimitHandler } = require('./middlewares/rateLimitMiddleware');
+const { ERROR_CODES } = require('./config/errorCodes');
+const {
+  API_VERSIONS,
+  CURRENT_API_VERSION,
+  UNVERSIONED_API_VERSION,
+  apiBasePath,
+} = require('./config/apiVersions');
 const userRoutes = require('./routes/userRoutes');
+const { buildOpenApiDocument } = require('./utils/openapi');
 
 const app = express();
 
+/**
+ * Request ID - Asigna un ID a cada petición (header X-Request-Id)
+ * Va primero para que todas las respuestas, incluidas las de error, lo incluyan
+ */
+app.use(requestId);
+
+/**
+ * Locale - Idioma de los mensajes de la petición (req.t); ver utils/i18n
+ */
+app.use(locale);
+
 // ============================================================================
 // MIDDLEWARES DE SEGURIDAD
 // ============================================================================
@@ -68,6 +93,14 @@ app.use(express.static('public'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+/**
+ * Response Validation - Valida cada respuesta 2xx contra su schema (src/schemas/responseSchemas)
+ * Solo en desarrollo y en los tests, salvo que RESPONSE_VALIDATION indique otra cosa
+ */
+if (config.responseValidation.enabled) {
+  app.use(validateResponses);
+}
+
 // ============================================================================
 // MIDDLEWARES DE SEGURIDAD ADICIONALES
 // ============================================================================
@@ -81,6 +114,7 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 100, // máximo 100 requests por ventana
   message: 'Too many requests from this IP, please try again later.',
+  handler: rateLimitHandler,
 });
 app.use('/api/', limiter);
 
@@ -117,14 +151,62 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * User Routes - Todas las rutas relacionadas con usuarios
- * Prefijo: /api/users
+ * API Docs - Especificación OpenAPI 3.1 de cada versión de la API, generada a partir de las
+ * rutas y sus schemas Joi, y el visor de la documentación (public/docs)
+ * @route GET /api/docs/openapi.json - Versión actual
+ * @route GET /api/docs/:version/openapi.json
+ * @route GET /api/docs
+ */
+const openApiDocuments = Object.fromEntries(Object.keys(API_VERSIONS).map((version) => [
+  version,
+  buildOpenApiDocument([{ basePath: apiBasePath(version), router: userRoutes, version }]),
+]));
+app.get('/api/docs/openapi.json', (req, res) => {
+  res.status(200).json(openApiDocuments[CURRENT_API_VERSION]);
+});
+app.get('/api/docs/:version/openapi.json', (req, res, next) => {
+  if (!openApiDocuments[req.params.version]) {
+    return next();
+  }
+  res.status(200).json(openApiDocuments[req.params.version]);
+});
+app.use('/api/docs', express.static(path.join(__dirname, '..', 'public', 'docs')));
+
+/**
+ * Error Catalog - Códigos de error de la API (config/errorCodes); el campo type de cada
+ * respuesta de error apunta a su entrada
+ * @route GET /api/docs/errors
+ * @route GET /api/docs/errors/:code
+ */
+app.get('/api/docs/errors', (req, res) => {
+  res.status(200).json(ERROR_CODES);
+});
+app.get('/api/docs/errors/:code', (req, res, next) => {
+  const entry = ERROR_CODES[req.params.code];
+  if (!entry) {
+    return next(new AppError(`Unknown error code ${req.params.code}`, 404, 'RESOURCE_NOT_FOUND'));
+  }
+  res.status(200).json({ code: req.params.code, ...entry });
+});
+
+/**
+ * Client SDK - Cliente JS/TS generado a partir de la especificación (npm run generate:client)
+ * @route GET /client/index.js
+ */
+app.use('/client', express.static(path.join(__dirname, '..', 'client')));
+
+/**
+ * User Routes - Todas las rutas relacionadas con usuarios, una vez por versión de la API
+ * Prefijos: /api/v1/users, /api/v2/users... y /api/users (alias de UNVERSIONED_API_VERSION)
  * Ejemplos:
- * - POST /api/users/register
- * - POST /api/users/login
- * - GET /api/users/profile
+ * - POST /api/v2/users/register
+ * - POST /api/v2/users/login
+ * - GET /api/v2/users/profile
  */
-app.use('/api/users', userRoutes);
+Object.keys(API_VERSIONS).forEach((version) => {
+  app.use(apiBasePath(version), apiVersion(version), userRoutes);
+});
+app.use('/api/users', apiVersion(UNVERSIONED_API_VERSION, { unversioned: true }), userRoutes);
 
 // ============================================================================
 // MANEJO DE ERRORES
@@ -140,10 +222,7 @@ app.use((req, res, next) => {
     path: req.path,
     url: req.url,
   });
-  res.status(404).json({
-    success: false,
-    error: 'Route not found',
-  });
+  next(new AppError('Route not found', 404, 'ROUTE_NOT_FOUND'));
 });
 
 /**
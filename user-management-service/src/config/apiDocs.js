@@ -0,0 +1,376 @@
+/**
+ * @fileoverview API Docs - Metadatos de las rutas para la especificación OpenAPI
+ * @description Lo que no se puede deducir del router: resumen, grupo y respuestas de cada
+ * ruta. Los parámetros, el body, la autenticación y los permisos salen de los middlewares
+ * de la propia ruta (ver utils/openapi). Cada ruta de userRoutes debe tener aquí su
+ * entrada (clave 'MÉTODO /ruta', con la ruta relativa a /api/users): los tests fallan si
+ * se añade una ruta sin documentarla.
+ */
+
+const { EXPORT_CONTENT_TYPES } = require('../utils/exportFormat');
+
+/**
+ * @constant API_TAGS
+ * @description Grupos de rutas, en el orden en que se muestran en la documentación
+ */
+const API_TAGS = [
+  { name: 'Auth', description: 'Registration, login, tokens and account recovery' },
+  { name: 'OAuth', description: 'Sign-in and account linking with external providers' },
+  { name: 'Profile', description: 'The authenticated user account' },
+  { name: 'MFA', description: 'Two-factor authentication with TOTP codes' },
+  { name: 'Sessions', description: 'Active sessions of the authenticated user' },
+  { name: 'Privacy', description: 'Personal data export and erasure (GDPR)' },
+  { name: 'Roles', description: 'Role permissions' },
+  { name: 'Invitations', description: 'Invitations to register with a role' },
+  { name: 'Users', description: 'User administration' },
+  { name: 'Bulk operations', description: 'User import, export and saved list filters' },
+  { name: 'Audit', description: 'Security audit log' },
+  { name: 'Webhooks', description: 'Event subscriptions and their delivery log' },
+];
+
+/**
+ * @constant ROUTE_DOCS
+ * @description Documentación de cada ruta: 'MÉTODO /ruta' → { tag, summary, responses }
+ *
+ * responses: código → descripción. Las respuestas 400 (validación), 401 (autenticación),
+ * 403 (permisos) y 429 (rate limit) se añaden solas según los middlewares de la ruta.
+ * requestContentTypes / responseContentTypes: cuerpos que no son JSON (importación, exportación).
+ */
+const ROUTE_DOCS = {
+  // Rutas públicas
+  'POST /register': {
+    tag: 'Auth',
+    summary: 'Register a student account',
+    responses: { 201: 'User created, with its tokens', 409: 'Email or username already registered' },
+  },
+  'POST /login': {
+    tag: 'Auth',
+    summary: 'Log in with email and password',
+    responses: {
+      200: 'Tokens, or an mfaToken when the account has MFA enabled',
+      401: 'Invalid email or password',
+      403: 'Account deactivated, unverified or pending a password reset',
+      429: 'Too many failed login attempts',
+    },
+  },
+  'POST /mfa/verify': {
+    tag: 'MFA',
+    summary: 'Complete a login with an MFA code or recovery code',
+    responses: { 200: 'Tokens of the new session', 401: 'Invalid MFA token or code' },
+  },
+  'POST /refresh': {
+    tag: 'Auth',
+    summary: 'Rotate a refresh token',
+    responses: { 200: 'New token pair', 401: 'Invalid, expired or reused refresh token' },
+  },
+  'GET /verify-email/:token': {
+    tag: 'Auth',
+    summary: 'Verify the email address with the emailed token',
+    responses: { 200: 'Email verified', 400: 'Invalid or expired verification token' },
+  },
+  'POST /resend-verification': {
+    tag: 'Auth',
+    summary: 'Resend the verification email',
+    responses: { 200: 'Generic response, whether or not the email is registered' },
+  },
+  'POST /forgot-password': {
+    tag: 'Auth',
+    summary: 'Send a password reset link',
+    responses: { 200: 'Generic response, whether or not the email is registered' },
+  },
+  'POST /reset-password': {
+    tag: 'Auth',
+    summary: 'Set a new password with a reset token',
+    responses: { 200: 'Password changed and all sessions revoked', 400: 'Invalid or expired password reset token' },
+  },
+  'POST /reactivation/request': {
+    tag: 'Auth',
+    summary: 'Send a reactivation link for a self-deactivated account',
+    responses: { 200: 'Generic response, whether or not the account can be reactivated' },
+  },
+  'POST /reactivate': {
+    tag: 'Auth',
+    summary: 'Reactivate a self-deactivated account',
+    responses: { 200: 'Account reactivated', 400: 'Invalid or expired reactivation token' },
+  },
+  'GET /oauth/:provider': {
+    tag: 'OAuth',
+    summary: 'Start an OAuth login',
+    responses: { 302: 'Redirect to the provider authorization page', 404: 'OAuth provider not supported' },
+  },
+  'GET /oauth/:provider/callback': {
+    tag: 'OAuth',
+    summary: 'OAuth provider callback',
+    responses: {
+      200: 'Tokens (or the linked provider) when no frontend redirect URL is configured',
+      302: 'Redirect to the frontend with the tokens (or the linked provider) in the URL fragment',
+      400: 'Invalid OAuth state or authorization error',
+      409: 'The email or provider account belongs to another user',
+      502: 'The provider request failed',
+    },
+  },
+  'POST /invitations/accept': {
+    tag: 'Invitations',
+    summary: 'Register with an invitation',
+    responses: { 201: 'User created with the invitation role, with its tokens', 400: 'Invalid or expired invitation' },
+  },
+
+  // Cuenta propia
+  'POST /oauth/:provider/link': {
+    tag: 'OAuth',
+    summary: 'Start linking an OAuth provider to the account',
+    responses: { 200: 'Provider authorization URL', 404: 'OAuth provider not supported' },
+  },
+  'DELETE /oauth/:provider': {
+    tag: 'OAuth',
+    summary: 'Unlink an OAuth provider',
+    responses: {
+      200: 'Provider unlinked',
+      400: 'The provider is the only sign-in method',
+      404: 'OAuth provider is not linked',
+    },
+  },
+  'GET /profile': {
+    tag: 'Profile',
+    summary: 'Get the authenticated user profile',
+    responses: { 200: 'User profile' },
+  },
+  'PUT /profile': {
+    tag: 'Profile',
+    summary: 'Update the authenticated user profile',
+    responses: { 200: 'Updated profile', 409: 'Username already taken' },
+  },
+  'DELETE /account': {
+    tag: 'Profile',
+    summary: 'Deactivate the authenticated user account',
+    responses: { 200: 'Account deactivated and sessions revoked' },
+  },
+  'POST /change-password': {
+    tag: 'Profile',
+    summary: 'Change the password',
+    responses: { 200: 'Password changed', 401: 'Current password is incorrect' },
+  },
+  'POST /mfa/setup': {
+    tag: 'MFA',
+    summary: 'Generate a TOTP secret to enroll in MFA',
+    responses: { 200: 'Secret and otpauth:// URI', 409: 'MFA is already enabled' },
+  },
+  'POST /mfa/confirm': {
+    tag: 'MFA',
+    summary: 'Enable MFA with a code from the authenticator app',
+    responses: { 200: 'MFA enabled, with the recovery codes', 400: 'No pending MFA enrollment', 401: 'Invalid MFA code' },
+  },
+  'POST /mfa/disable': {
+    tag: 'MFA',
+    summary: 'Disable MFA',
+    responses: { 200: 'MFA disabled', 400: 'MFA is not enabled', 401: 'Invalid MFA code', 403: 'MFA is required for the role' },
+  },
+  'POST /mfa/recovery-codes': {
+    tag: 'MFA',
+    summary: 'Replace the MFA recovery codes',
+    responses: { 200: 'New recovery codes', 400: 'MFA is not enabled', 401: 'Invalid MFA code' },
+  },
+  'POST /logout': {
+    tag: 'Sessions',
+    summary: 'Log out of the current session',
+    responses: { 200: 'Session closed' },
+  },
+  'POST /logout-all': {
+    tag: 'Sessions',
+    summary: 'Log out of every session',
+    responses: { 200: 'All sessions closed' },
+  },
+  'GET /sessions': {
+    tag: 'Sessions',
+    summary: 'List active sessions',
+    responses: { 200: 'Active sessions' },
+  },
+  'DELETE /sessions/:id': {
+    tag: 'Sessions',
+    summary: 'Close one session',
+    responses: { 200: 'Session closed', 404: 'Session not found' },
+  },
+  'GET /me/permissions': {
+    tag: 'Profile',
+    summary: 'Get the effective permissions of the authenticated user',
+    responses: { 200: 'Role and permissions' },
+  },
+  'GET /me/export': {
+    tag: 'Privacy',
+    summary: 'Download a JSON file with my personal data',
+    responses: { 200: 'Personal data export (attachment)' },
+  },
+  'POST /me/erasure': {
+    tag: 'Privacy',
+    summary: 'Request the erasure of my personal data',
+    responses: { 202: 'Erasure scheduled after the grace period', 409: 'Account erasure already requested' },
+  },
+  'DELETE /me/erasure': {
+    tag: 'Privacy',
+    summary: 'Cancel a pending erasure request',
+    responses: { 200: 'Erasure request cancelled', 404: 'No pending erasure request' },
+  },
+
+  // Administración
+  'GET /roles': {
+    tag: 'Roles',
+    summary: 'List the permission registry and the permissions of each role',
+    responses: { 200: 'Permissions and roles' },
+  },
+  'PUT /roles/:role/permissions': {
+    tag: 'Roles',
+    summary: 'Replace the permissions of a role',
+    responses: { 200: 'Updated role', 400: 'Unknown permissions', 404: 'Role not found' },
+  },
+  'POST /invitations': {
+    tag: 'Invitations',
+    summary: 'Invite an email address to register with a role',
+    responses: { 201: 'Invitation created and emailed', 409: 'Email already registered or already invited' },
+  },
+  'GET /invitations': {
+    tag: 'Invitations',
+    summary: 'List pending invitations',
+    responses: { 200: 'Pending invitations' },
+  },
+  'DELETE /invitations/:id': {
+    tag: 'Invitations',
+    summary: 'Revoke a pending invitation',
+    responses: { 200: 'Invitation revoked', 404: 'Invitation not found' },
+  },
+  'POST /user-imports': {
+    tag: 'Bulk operations',
+    summary: 'Import users from a CSV or NDJSON file',
+    requestContentTypes: ['text/csv', 'application/x-ndjson'],
+    responses: {
+      200: 'Dry run report with the status of every row',
+      202: 'Import queued, with its job',
+      415: 'The body is not CSV or NDJSON',
+    },
+  },
+  'GET /user-imports/:id': {
+    tag: 'Bulk operations',
+    summary: 'Get the progress and row report of an import',
+    responses: { 200: 'Import job', 404: 'Import job not found' },
+  },
+  'GET /user-exports': {
+    tag: 'Bulk operations',
+    summary: 'Stream the users that match the list filters as CSV or NDJSON',
+    responseContentTypes: Object.values(EXPORT_CONTENT_TYPES),
+    responses: { 200: 'Export file (attachment)', 404: 'Filter preset not found' },
+  },
+  'GET /user-filter-presets': {
+    tag: 'Bulk operations',
+    summary: 'List saved user list filters',
+    responses: { 200: 'Saved filters' },
+  },
+  'POST /user-filter-presets': {
+    tag: 'Bulk operations',
+    summary: 'Save a user list filter',
+    responses: { 201: 'Saved filter', 409: 'name already exists' },
+  },
+  'DELETE /user-filter-presets/:id': {
+    tag: 'Bulk operations',
+    summary: 'Delete a saved filter',
+    responses: { 200: 'Filter deleted', 404: 'Filter preset not found' },
+  },
+  'GET /users': {
+    tag: 'Users',
+    summary: 'List users with filters, search, sorting and cursor pagination',
+    responses: { 200: 'Page of users', 404: 'Filter preset not found' },
+  },
+  'GET /users/:id': {
+    tag: 'Users',
+    summary: 'Get a user and its login lockout state',
+    responses: { 200: 'User', 404: 'User not found' },
+  },
+  'POST /users/:id/unlock': {
+    tag: 'Users',
+    summary: 'Unlock an account locked by failed logins',
+    responses: { 200: 'Account unlocked', 404: 'User not found' },
+  },
+  'PATCH /users/:id': {
+    tag: 'Users',
+    summary: 'Edit a user profile',
+    responses: { 200: 'Updated user', 404: 'User not found', 409: 'Username already taken' },
+  },
+  'PATCH /users/:id/role': {
+    tag: 'Users',
+    summary: 'Change the role of a user',
+    responses: { 200: 'Updated user', 404: 'User not found', 409: 'Cannot remove the last active admin' },
+  },
+  'POST /users/:id/activate': {
+    tag: 'Users',
+    summary: 'Activate a deactivated account',
+    responses: { 200: 'Account activated', 404: 'User not found' },
+  },
+  'POST /users/:id/deactivate': {
+    tag: 'Users',
+    summary: 'Deactivate an account and close its sessions',
+    responses: { 200: 'Account deactivated', 404: 'User not found', 409: 'Cannot remove the last active admin' },
+  },
+  'DELETE /users/:id/sessions': {
+    tag: 'Users',
+    summary: 'Close every session of a user',
+    responses: { 200: 'Sessions closed', 404: 'User not found' },
+  },
+  'POST /users/:id/password-reset': {
+    tag: 'Users',
+    summary: 'Force a user to reset the password',
+    responses: { 200: 'Password reset required and email sent', 404: 'User not found' },
+  },
+  'DELETE /users/:id': {
+    tag: 'Users',
+    summary: 'Delete an account permanently',
+    responses: {
+      200: 'User deleted',
+      400: 'Confirmation email does not match the account',
+      404: 'User not found',
+      409: 'Cannot remove the last active admin',
+    },
+  },
+  'GET /audit-events': {
+    tag: 'Audit',
+    summary: 'Query the audit log',
+    responses: { 200: 'Page of audit events' },
+  },
+  'POST /webhooks': {
+    tag: 'Webhooks',
+    summary: 'Subscribe a URL to event types',
+    responses: { 201: 'Subscription, including its signing secret' },
+  },
+  'GET /webhooks': {
+    tag: 'Webhooks',
+    summary: 'List webhook subscriptions',
+    responses: { 200: 'Subscriptions' },
+  },
+  'GET /webhooks/:id': {
+    tag: 'Webhooks',
+    summary: 'Get a webhook subscription',
+    responses: { 200: 'Subscription', 404: 'Webhook subscription not found' },
+  },
+  'PATCH /webhooks/:id': {
+    tag: 'Webhooks',
+    summary: 'Update a webhook subscription',
+    responses: { 200: 'Updated subscription', 404: 'Webhook subscription not found' },
+  },
+  'DELETE /webhooks/:id': {
+    tag: 'Webhooks',
+    summary: 'Delete a webhook subscription and its delivery log',
+    responses: { 200: 'Subscription deleted', 404: 'Webhook subscription not found' },
+  },
+  'GET /webhooks/:id/deliveries': {
+    tag: 'Webhooks',
+    summary: 'Query the delivery log of a subscription',
+    responses: { 200: 'Page of deliveries', 404: 'Webhook subscription not found' },
+  },
+  'POST /webhooks/:id/deliveries/:deliveryId/redeliver': {
+    tag: 'Webhooks',
+    summary: 'Queue a delivery again',
+    responses: { 202: 'Delivery queued', 404: 'Webhook delivery not found', 409: 'Webhook delivery is already pending' },
+  },
+};
+
+module.exports = {
+  API_TAGS,
+  ROUTE_DOCS,
+};
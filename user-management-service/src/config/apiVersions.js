@@ -0,0 +1,54 @@
+/**
+ * @fileoverview API Versions - Versiones de la API y su calendario de retirada
+ * @description El mismo router de usuarios se monta en /api/v1/users, /api/v2/users y en
+ * /api/users (alias sin versión que atiende UNVERSIONED_API_VERSION, para las apps que ya
+ * están publicadas). Lo que cambia entre versiones son los schemas: un schema de
+ * schemas/userSchemas puede ser un mapa { v1, v2 } con el contrato desde cada versión.
+ * Las fechas de retirada se configuran con API_V1_DEPRECATED_AT y API_V1_SUNSET_AT.
+ */
+
+const config = require('./env');
+
+/**
+ * @constant API_VERSIONS
+ * @description Versiones en orden. Una versión obsoleta declara desde cuándo lo es
+ * (cabecera Deprecation), cuándo deja de responder (cabecera Sunset; después, 410) y la
+ * versión que la sustituye (cabecera Link rel="successor-version"). legacyErrors mantiene
+ * el formato de error anterior a problem+json ({ success: false, error, code })
+ */
+const API_VERSIONS = {
+  v1: {
+    deprecatedAt: config.apiVersions.v1.deprecatedAt,
+    sunsetAt: config.apiVersions.v1.sunsetAt,
+    successor: 'v2',
+    legacyErrors: true,
+  },
+  v2: {},
+};
+
+/**
+ * Versión actual: la que documenta /api/docs/openapi.json y usa el cliente generado
+ */
+const CURRENT_API_VERSION = 'v2';
+
+/**
+ * Versión que atiende el prefijo sin versión (/api/users). El alias anuncia la obsolescencia
+ * de su versión pero no se retira con ella: las apps publicadas siguen funcionando pasado el
+ * Sunset de v1
+ */
+const UNVERSIONED_API_VERSION = 'v1';
+
+/**
+ * @function apiBasePath
+ * @description Prefijo de las rutas de usuarios de una versión
+ * @param {string} version - Versión ('v1', 'v2'...)
+ * @returns {string} Prefijo, p. ej. '/api/v2/users'
+ */
+const apiBasePath = (version) => `/api/${version}/users`;
+
+module.exports = {
+  API_VERSIONS,
+  CURRENT_API_VERSION,
+  UNVERSIONED_API_VERSION,
+  apiBasePath,
+};
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Audit Actions - Registro de acciones que se guardan en el log de auditoría
+ * @description Todas las operaciones relevantes para la seguridad registran un AuditEvent
+ * con una de estas acciones (formato dominio.acción). Usar siempre las constantes para
+ * que los filtros del endpoint de consulta coincidan con lo que se escribe.
+ */
+
+/**
+ * @constant AUDIT_ACTIONS
+ * @description Acciones auditadas: constante → identificador guardado en la base de datos
+ */
+const AUDIT_ACTIONS = {
+  // Registro y autenticación
+  REGISTER: 'user.register',
+  INVITATION_ACCEPT: 'user.invitation_accept',
+  LOGIN: 'auth.login',
+  MFA_LOGIN: 'auth.mfa_login',
+  OAUTH_LOGIN: 'auth.oauth_login',
+  REFRESH_TOKEN_REUSE: 'auth.refresh_token_reuse',
+  LOGOUT: 'auth.logout',
+  LOGOUT_ALL: 'auth.logout_all',
+  SESSION_REVOKE: 'auth.session_revoke',
+
+  // Cuenta propia
+  PASSWORD_CHANGE: 'account.password_change',
+  PASSWORD_RESET_REQUEST: 'account.password_reset_request',
+  PASSWORD_RESET: 'account.password_reset',
+  EMAIL_VERIFY: 'account.email_verify',
+  ACCOUNT_DEACTIVATE: 'account.deactivate',
+  ACCOUNT_REACTIVATION_REQUEST: 'account.reactivation_request',
+  ACCOUNT_REACTIVATE: 'account.reactivate',
+  ACCOUNT_PURGE: 'account.purge',
+  OAUTH_LINK: 'account.oauth_link',
+  OAUTH_UNLINK: 'account.oauth_unlink',
+  MFA_ENABLE: 'account.mfa_enable',
+  MFA_DISABLE: 'account.mfa_disable',
+  MFA_RECOVERY_CODES_REGENERATE: 'account.mfa_recovery_codes_regenerate',
+  MFA_RECOVERY_CODE_USE: 'account.mfa_recovery_code_use',
+  ACCOUNT_DATA_EXPORT: 'account.data_export',
+  ACCOUNT_ERASURE_REQUEST: 'account.erasure_request',
+  ACCOUNT_ERASURE_CANCEL: 'account.erasure_cancel',
+  ACCOUNT_ERASE: 'account.erase',
+
+  // Administración
+  ADMIN_USER_LIST: 'admin.user_list',
+  ADMIN_USER_EXPORT: 'admin.user_export',
+  ADMIN_USER_READ: 'admin.user_read',
+  ADMIN_USER_UPDATE: 'admin.user_update',
+  ADMIN_ROLE_CHANGE: 'admin.role_change',
+  ADMIN_USER_ACTIVATE: 'admin.user_activate',
+  ADMIN_USER_DEACTIVATE: 'admin.user_deactivate',
+  ADMIN_SESSIONS_REVOKE: 'admin.sessions_revoke',
+  ADMIN_PASSWORD_RESET_FORCE: 'admin.password_reset_force',
+  ADMIN_USER_DELETE: 'admin.user_delete',
+  ADMIN_USER_UNLOCK: 'admin.user_unlock',
+  ADMIN_ROLE_PERMISSIONS_UPDATE: 'admin.role_permissions_update',
+  ADMIN_INVITATION_CREATE: 'admin.invitation_create',
+  ADMIN_INVITATION_REVOKE: 'admin.invitation_revoke',
+  ADMIN_USER_IMPORT: 'admin.user_import',
+  ADMIN_AUDIT_READ: 'admin.audit_read',
+  ADMIN_WEBHOOK_CREATE: 'admin.webhook_create',
+  ADMIN_WEBHOOK_UPDATE: 'admin.webhook_update',
+  ADMIN_WEBHOOK_DELETE: 'admin.webhook_delete',
+  ADMIN_WEBHOOK_REDELIVER: 'admin.webhook_redeliver',
+  ADMIN_FILTER_PRESET_CREATE: 'admin.filter_preset_create',
+  ADMIN_FILTER_PRESET_DELETE: 'admin.filter_preset_delete',
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+};
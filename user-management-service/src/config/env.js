@@ -6,6 +6,7 @@
 
 require('dotenv').config();
 const Joi = require('joi');
+const locales = require('../locales');
 
 /**
  * @schema envSchema
@@ -30,6 +31,134 @@ const envSchema = Joi.object({
   JWT_REFRESH_SECRET: Joi.string().required(), // Secreto para firmar refresh tokens
   JWT_REFRESH_EXPIRES_IN: Joi.string().default('30d'), // Expiración de refresh tokens
   
+  // URL pública del servicio (se usa para construir enlaces en los emails)
+  APP_URL: Joi.string().uri().optional(),
+  
+  // Configuración de sesiones
+  MAX_SESSIONS_PER_USER: Joi.number().integer().min(1).default(10), // Sesiones simultáneas por usuario
+  
+  // Configuración de verificación de email
+  REQUIRE_EMAIL_VERIFICATION: Joi.boolean().default(false), // Rechazar login de cuentas sin verificar
+  EMAIL_VERIFICATION_EXPIRES_HOURS: Joi.number().min(1).default(24), // Validez del token de verificación
+  EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS: Joi.number().min(0).default(60), // Tiempo mínimo entre reenvíos
+  
+  // Configuración de reseteo de contraseña
+  PASSWORD_RESET_EXPIRES_MINUTES: Joi.number().min(1).default(60), // Validez del token de reseteo
+  PASSWORD_RESET_URL: Joi.string().uri().optional(), // Página del frontend que recibe ?token=
+  
+  // Configuración de invitaciones (única forma de obtener roles distintos de student)
+  INVITATION_EXPIRES_HOURS: Joi.number().min(1).default(72), // Validez del enlace de invitación
+  INVITATION_URL: Joi.string().uri().optional(), // Página del frontend que recibe ?token=
+  
+  // Configuración de envío de emails
+  MAIL_TRANSPORT: Joi.string().valid('console', 'file').default('console'), // Transporte de emails
+  MAIL_FROM: Joi.string().default('no-reply@learning-platform.local'), // Remitente de los emails
+  MAIL_FILE_DIR: Joi.string().default('tmp/mail'), // Directorio del transporte 'file'
+  
+  // Configuración de autenticación de dos factores (TOTP)
+  MFA_ISSUER: Joi.string().default('Learning Platform'), // Emisor que muestran las apps autenticadoras
+  MFA_CHALLENGE_EXPIRES_IN: Joi.string().default('5m'), // Validez del token del segundo paso del login
+  MFA_REQUIRED_ROLES: Joi.string().allow('').default('instructor,admin'), // Roles que deben usar MFA
+  
+  // Configuración de OAuth (Google y GitHub con authorization code + PKCE)
+  OAUTH_STATE_TTL_MINUTES: Joi.number().min(1).default(10), // Validez del parámetro state
+  OAUTH_SUCCESS_REDIRECT_URL: Joi.string().uri().optional(), // Frontend que recibe los tokens en el fragmento
+  OAUTH_GOOGLE_CLIENT_ID: Joi.string().optional(),
+  OAUTH_GOOGLE_CLIENT_SECRET: Joi.string().optional(),
+  OAUTH_GOOGLE_AUTHORIZATION_URL: Joi.string().uri().default('https://accounts.google.com/o/oauth2/v2/auth'),
+  OAUTH_GOOGLE_TOKEN_URL: Joi.string().uri().default('https://oauth2.googleapis.com/token'),
+  OAUTH_GOOGLE_USERINFO_URL: Joi.string().uri().default('https://openidconnect.googleapis.com/v1/userinfo'),
+  OAUTH_GITHUB_CLIENT_ID: Joi.string().optional(),
+  OAUTH_GITHUB_CLIENT_SECRET: Joi.string().optional(),
+  OAUTH_GITHUB_AUTHORIZATION_URL: Joi.string().uri().default('https://github.com/login/oauth/authorize'),
+  OAUTH_GITHUB_TOKEN_URL: Joi.string().uri().default('https://github.com/login/oauth/access_token'),
+  OAUTH_GITHUB_USERINFO_URL: Joi.string().uri().default('https://api.github.com/user'),
+  OAUTH_GITHUB_EMAILS_URL: Joi.string().uri().default('https://api.github.com/user/emails'),
+  
+  // Protección contra fuerza bruta en el login
+  LOGIN_MAX_ATTEMPTS: Joi.number().integer().min(1).default(5), // Fallos por cuenta antes del bloqueo
+  LOGIN_MAX_ATTEMPTS_PER_IP: Joi.number().integer().min(1).default(20), // Fallos por IP antes del bloqueo
+  LOGIN_BACKOFF_AFTER: Joi.number().integer().min(1).default(3), // Fallos por cuenta antes de aplicar espera
+  LOGIN_BACKOFF_BASE_SECONDS: Joi.number().min(0).default(1), // Espera inicial (se duplica con cada fallo)
+  LOGIN_FAILURE_WINDOW_MINUTES: Joi.number().min(1).default(15), // Olvido de los fallos sin actividad
+  LOGIN_LOCK_MINUTES: Joi.number().min(1).default(15), // Duración del bloqueo temporal
+  LOGIN_ATTEMPT_STORE: Joi.string().valid('memory', 'redis').default('memory'), // Almacén de contadores
+  REDIS_URL: Joi.string().uri().when('LOGIN_ATTEMPT_STORE', {
+    is: 'redis',
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+  
+  // Caché de la asignación de permisos por rol (segundos que tarda en propagarse un cambio entre instancias)
+  PERMISSIONS_CACHE_SECONDS: Joi.number().min(0).default(30),
+  
+  // Política de retención del log de auditoría (los eventos más antiguos se eliminan automáticamente)
+  AUDIT_RETENTION_DAYS: Joi.number().integer().min(1).default(365),
+  
+  // Eventos de dominio (outbox + relay)
+  EVENTS_TRANSPORTS: Joi.string().allow('')
+    .pattern(/^\s*(inprocess|webhook|subscriptions)(\s*,\s*(inprocess|webhook|subscriptions))*\s*$/)
+    .default('inprocess,subscriptions'), // Transportes separados por comas: inprocess, webhook, subscriptions
+  EVENTS_WEBHOOK_URL: Joi.string().uri().when('EVENTS_TRANSPORTS', {
+    is: Joi.string().pattern(/\bwebhook\b/),
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }), // Endpoint que recibe los eventos por HTTP
+  EVENTS_WEBHOOK_TIMEOUT_MS: Joi.number().integer().min(100).default(10000), // Timeout de cada envío
+  EVENTS_RELAY_ENABLED: Joi.boolean().default(true), // Arrancar el relay con el servidor
+  EVENTS_RELAY_INTERVAL_MS: Joi.number().integer().min(100).default(1000), // Espera entre lotes
+  EVENTS_RELAY_BATCH_SIZE: Joi.number().integer().min(1).default(50), // Eventos por lote
+  EVENTS_RELAY_LEASE_SECONDS: Joi.number().integer().min(1).default(60), // Reserva de un evento por instancia
+  EVENTS_MAX_ATTEMPTS: Joi.number().integer().min(1).default(10), // Intentos antes de marcarlo como fallido
+  EVENTS_RETRY_BASE_SECONDS: Joi.number().min(0).default(5), // Espera inicial entre reintentos (se duplica)
+  EVENTS_RETENTION_DAYS: Joi.number().integer().min(1).default(7), // Días que se conservan los eventos publicados
+  
+  // Webhooks salientes (suscripciones gestionadas por administradores)
+  WEBHOOKS_DISPATCHER_ENABLED: Joi.boolean().default(true), // Arrancar el envío de entregas con el servidor
+  WEBHOOKS_DISPATCH_INTERVAL_MS: Joi.number().integer().min(100).default(1000), // Espera entre lotes
+  WEBHOOKS_BATCH_SIZE: Joi.number().integer().min(1).default(20), // Entregas por lote
+  WEBHOOKS_TIMEOUT_MS: Joi.number().integer().min(100).default(10000), // Timeout de cada envío
+  WEBHOOKS_LEASE_SECONDS: Joi.number().integer().min(1).default(60), // Reserva de una entrega por instancia
+  WEBHOOKS_MAX_ATTEMPTS: Joi.number().integer().min(1).default(8), // Intentos antes de pasar a dead letter
+  WEBHOOKS_RETRY_BASE_SECONDS: Joi.number().min(0).default(30), // Espera inicial entre reintentos (se duplica)
+  WEBHOOKS_RETENTION_DAYS: Joi.number().integer().min(1).default(30), // Días sin actividad que se conservan las entregas
+  WEBHOOK_ALLOW_PRIVATE_TARGETS: Joi.boolean().default(false), // Permitir URLs privadas, de loopback o link-local (solo desarrollo y tests)
+  
+  // Derecho al olvido (RGPD): borrado de datos personales tras un periodo de gracia
+  ERASURE_GRACE_DAYS: Joi.number().min(0).default(30), // Días para cancelar la solicitud antes del borrado
+  ERASURE_WORKER_ENABLED: Joi.boolean().default(true), // Arrancar el proceso de borrado con el servidor
+  ERASURE_WORKER_INTERVAL_MS: Joi.number().integer().min(1000).default(60000), // Espera entre lotes
+  ERASURE_BATCH_SIZE: Joi.number().integer().min(1).default(20), // Cuentas borradas por lote
+  
+  // Cuentas desactivadas por su dueño: reactivación y purga al terminar el plazo
+  ACCOUNT_REACTIVATION_DAYS: Joi.number().min(0).default(30), // Días en los que la cuenta puede reactivarse
+  ACCOUNT_REACTIVATION_LINK_EXPIRES_HOURS: Joi.number().min(1).default(24), // Validez del enlace enviado por email
+  ACCOUNT_REACTIVATION_URL: Joi.string().uri().optional(), // Página del frontend que recibe ?token=
+  ACCOUNT_PURGE_MODE: Joi.string().valid('anonymize', 'delete').default('anonymize'), // Qué hacer al vencer el plazo
+  ACCOUNT_PURGE_WORKER_ENABLED: Joi.boolean().default(true), // Arrancar el proceso de purga con el servidor
+  ACCOUNT_PURGE_WORKER_INTERVAL_MS: Joi.number().integer().min(1000).default(60000), // Espera entre lotes
+  ACCOUNT_PURGE_BATCH_SIZE: Joi.number().integer().min(1).default(20), // Cuentas purgadas por lote
+  
+  // Importación de usuarios en bloque (CSV/NDJSON)
+  USER_IMPORT_MAX_ROWS: Joi.number().integer().min(1).max(10000).default(5000), // Filas por archivo
+  USER_IMPORT_WORKER_ENABLED: Joi.boolean().default(true), // Arrancar el proceso de importación con el servidor
+  USER_IMPORT_WORKER_INTERVAL_MS: Joi.number().integer().min(1000).default(5000), // Espera entre lotes
+  USER_IMPORT_BATCH_SIZE: Joi.number().integer().min(1).max(1000).default(100), // Usuarios creados por lote
+  
+  // Validación de las respuestas contra src/schemas/responseSchemas (por defecto, fuera de producción)
+  RESPONSE_VALIDATION: Joi.boolean().when('NODE_ENV', {
+    is: 'production',
+    then: Joi.boolean().default(false),
+    otherwise: Joi.boolean().default(true),
+  }),
+  
+  // Calendario de retirada de la API v1 (fechas ISO 8601): desde API_V1_SUNSET_AT, /api/v1 responde 410
+  API_V1_DEPRECATED_AT: Joi.date().iso().default(new Date('2026-11-01T00:00:00Z')),
+  API_V1_SUNSET_AT: Joi.date().iso().greater(Joi.ref('API_V1_DEPRECATED_AT')).default(new Date('2027-05-01T00:00:00Z')),
+  
+  // Idioma de los mensajes sin preferencia del usuario ni Accept-Language (un catálogo de src/locales)
+  DEFAULT_LOCALE: Joi.string().valid(...Object.keys(locales)).default('en'),
+  
   // Configuración de bcrypt
   BCRYPT_SALT_ROUNDS: Joi.number().default(12), // Número de rounds para hashear contraseñas
   
@@ -50,6 +179,9 @@ if (error) {
   throw new Error(`Config validation error: ${error.message}`);
 }
 
+// URL pública del servicio: por defecto, el propio servidor en localhost
+const appUrl = envVars.APP_URL || `http://localhost:${envVars.PORT}`;
+
 /**
  * @module config
  * @description Objeto de configuración exportado con todas las variables validadas
@@ -63,6 +195,94 @@ if (error) {
  * @property {string} jwt.expiresIn - Tiempo de expiración de access tokens
  * @property {string} jwt.refreshSecret - Secreto para refresh tokens
  * @property {string} jwt.refreshExpiresIn - Tiempo de expiración de refresh tokens
+ * @property {string} appUrl - URL pública del servicio para enlaces en emails
+ * @property {Object} sessions - Configuración de sesiones (refresh tokens)
+ * @property {number} sessions.maxPerUser - Máximo de sesiones simultáneas por usuario
+ * @property {Object} emailVerification - Configuración de verificación de email
+ * @property {boolean} emailVerification.required - Si el login rechaza cuentas sin verificar
+ * @property {number} emailVerification.expiresHours - Horas de validez del token de verificación
+ * @property {number} emailVerification.resendIntervalSeconds - Segundos mínimos entre reenvíos
+ * @property {Object} passwordReset - Configuración de reseteo de contraseña
+ * @property {number} passwordReset.expiresMinutes - Minutos de validez del token de reseteo
+ * @property {string} passwordReset.url - Página del frontend a la que apunta el enlace del email
+ * @property {Object} invitations - Configuración de invitaciones
+ * @property {number} invitations.expiresHours - Horas de validez de una invitación
+ * @property {string} invitations.url - Página del frontend a la que apunta el enlace de invitación
+ * @property {Object} mail - Configuración de envío de emails
+ * @property {string} mail.transport - Transporte: 'console' o 'file'
+ * @property {string} mail.from - Remitente de los emails
+ * @property {string} mail.fileDir - Directorio donde el transporte 'file' guarda los emails
+ * @property {Object} mfa - Configuración de autenticación de dos factores
+ * @property {string} mfa.issuer - Emisor mostrado en las apps autenticadoras
+ * @property {string} mfa.challengeExpiresIn - Expiración del token de desafío MFA
+ * @property {Array<string>} mfa.requiredRoles - Roles obligados a usar MFA
+ * @property {Object} oauth - Configuración de login con proveedores OAuth
+ * @property {number} oauth.stateTtlMinutes - Minutos de validez de una autorización en curso
+ * @property {string} [oauth.successRedirectUrl] - Frontend al que se redirige tras el callback
+ * @property {Object} oauth.providers - Endpoints y credenciales por proveedor ('google', 'github');
+ * un proveedor sin clientId se considera deshabilitado
+ * @property {Object} loginProtection - Configuración de la protección contra fuerza bruta
+ * @property {number} loginProtection.maxAttempts - Fallos por cuenta que provocan el bloqueo
+ * @property {number} loginProtection.maxAttemptsPerIp - Fallos por IP que provocan el bloqueo de la IP
+ * @property {number} loginProtection.backoffAfter - Fallos por cuenta a partir de los que se exige esperar
+ * @property {number} loginProtection.backoffBaseMs - Espera inicial en milisegundos
+ * @property {number} loginProtection.failureWindowMs - Tiempo sin fallos tras el que se reinician los contadores
+ * @property {number} loginProtection.lockMs - Duración del bloqueo temporal en milisegundos
+ * @property {string} loginProtection.store - Almacén de contadores: 'memory' o 'redis'
+ * @property {Object} redis - Configuración de Redis
+ * @property {string} [redis.url] - URL de conexión (requerida si loginProtection.store es 'redis')
+ * @property {Object} permissions - Configuración del modelo de permisos
+ * @property {number} permissions.cacheSeconds - Segundos que se cachea la asignación rol → permisos
+ * @property {Object} audit - Configuración del log de auditoría
+ * @property {number} audit.retentionDays - Días que se conservan los eventos de auditoría
+ * @property {Object} events - Configuración de los eventos de dominio
+ * @property {Array<string>} events.transports - Transportes configurados ('inprocess', 'webhook', 'subscriptions')
+ * @property {string} [events.webhookUrl] - Endpoint del transporte 'webhook'
+ * @property {number} events.webhookTimeoutMs - Timeout de cada envío del transporte 'webhook'
+ * @property {boolean} events.relayEnabled - Si el servidor arranca el relay del outbox
+ * @property {number} events.relayIntervalMs - Milisegundos de espera entre lotes del relay
+ * @property {number} events.relayBatchSize - Eventos publicados por lote
+ * @property {number} events.relayLeaseMs - Milisegundos que un relay reserva un evento
+ * @property {number} events.maxAttempts - Intentos antes de marcar un evento como fallido
+ * @property {number} events.retryBaseMs - Espera inicial entre reintentos en milisegundos
+ * @property {number} events.retentionDays - Días que se conservan los eventos ya publicados
+ * @property {Object} webhooks - Configuración de los webhooks salientes
+ * @property {boolean} webhooks.dispatcherEnabled - Si el servidor arranca el envío de entregas
+ * @property {number} webhooks.dispatchIntervalMs - Milisegundos de espera entre lotes
+ * @property {number} webhooks.batchSize - Entregas enviadas por lote
+ * @property {number} webhooks.timeoutMs - Timeout de cada envío
+ * @property {number} webhooks.leaseMs - Milisegundos que una instancia reserva una entrega
+ * @property {number} webhooks.maxAttempts - Intentos antes de pasar una entrega a dead letter
+ * @property {number} webhooks.retryBaseMs - Espera inicial entre reintentos en milisegundos
+ * @property {number} webhooks.retentionDays - Días sin actividad que se conservan las entregas
+ * @property {boolean} webhooks.allowPrivateTargets - Si las entregas pueden ir a direcciones privadas,
+ * de loopback o link-local
+ * @property {Object} erasure - Configuración del derecho al olvido
+ * @property {number} erasure.graceMs - Milisegundos entre la solicitud y el borrado
+ * @property {boolean} erasure.workerEnabled - Si el servidor arranca el proceso de borrado
+ * @property {number} erasure.workerIntervalMs - Milisegundos de espera entre lotes
+ * @property {number} erasure.batchSize - Cuentas borradas por lote
+ * @property {Object} accountReactivation - Configuración de la reactivación de cuentas desactivadas
+ * @property {number} accountReactivation.windowMs - Milisegundos en los que la cuenta puede reactivarse
+ * @property {number} accountReactivation.linkExpiresHours - Horas de validez del enlace de reactivación
+ * @property {string} accountReactivation.url - Página del frontend a la que apunta el enlace de reactivación
+ * @property {Object} accountPurge - Configuración de la purga de cuentas desactivadas
+ * @property {string} accountPurge.mode - 'anonymize' (como el derecho al olvido) o 'delete' (borra el documento)
+ * @property {boolean} accountPurge.workerEnabled - Si el servidor arranca el proceso de purga
+ * @property {number} accountPurge.workerIntervalMs - Milisegundos de espera entre lotes
+ * @property {number} accountPurge.batchSize - Cuentas purgadas por lote
+ * @property {Object} userImport - Configuración de la importación de usuarios en bloque
+ * @property {number} userImport.maxRows - Filas máximas por archivo
+ * @property {boolean} userImport.workerEnabled - Si el servidor arranca el proceso de importación
+ * @property {number} userImport.workerIntervalMs - Milisegundos de espera entre lotes
+ * @property {number} userImport.batchSize - Usuarios creados por lote
+ * @property {Object} responseValidation - Validación de las respuestas de la API
+ * @property {boolean} responseValidation.enabled - Si cada respuesta 2xx se valida contra su schema
+ * @property {Object} apiVersions - Calendario de retirada de las versiones de la API
+ * @property {Date} apiVersions.v1.deprecatedAt - Fecha desde la que v1 está obsoleta (cabecera Deprecation)
+ * @property {Date} apiVersions.v1.sunsetAt - Fecha desde la que v1 responde 410 (cabecera Sunset)
+ * @property {Object} i18n - Idioma de los mensajes de la API y de los emails
+ * @property {string} i18n.defaultLocale - Idioma por defecto
  * @property {Object} bcrypt - Configuración de bcrypt
  * @property {number} bcrypt.saltRounds - Número de rounds para hashear contraseñas
  * @property {Object} cors - Configuración de CORS
@@ -82,6 +302,132 @@ module.exports = {
     refreshSecret: envVars.JWT_REFRESH_SECRET,
     refreshExpiresIn: envVars.JWT_REFRESH_EXPIRES_IN,
   },
+  appUrl,
+  sessions: {
+    maxPerUser: envVars.MAX_SESSIONS_PER_USER,
+  },
+  emailVerification: {
+    required: envVars.REQUIRE_EMAIL_VERIFICATION,
+    expiresHours: envVars.EMAIL_VERIFICATION_EXPIRES_HOURS,
+    resendIntervalSeconds: envVars.EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS,
+  },
+  passwordReset: {
+    expiresMinutes: envVars.PASSWORD_RESET_EXPIRES_MINUTES,
+    url: envVars.PASSWORD_RESET_URL || `${appUrl}/reset-password`,
+  },
+  invitations: {
+    expiresHours: envVars.INVITATION_EXPIRES_HOURS,
+    url: envVars.INVITATION_URL || `${appUrl}/accept-invitation`,
+  },
+  mail: {
+    transport: envVars.MAIL_TRANSPORT,
+    from: envVars.MAIL_FROM,
+    fileDir: envVars.MAIL_FILE_DIR,
+  },
+  mfa: {
+    issuer: envVars.MFA_ISSUER,
+    challengeExpiresIn: envVars.MFA_CHALLENGE_EXPIRES_IN,
+    requiredRoles: envVars.MFA_REQUIRED_ROLES.split(',').map((role) => role.trim()).filter(Boolean),
+  },
+  oauth: {
+    stateTtlMinutes: envVars.OAUTH_STATE_TTL_MINUTES,
+    successRedirectUrl: envVars.OAUTH_SUCCESS_REDIRECT_URL,
+    providers: {
+      google: {
+        clientId: envVars.OAUTH_GOOGLE_CLIENT_ID,
+        clientSecret: envVars.OAUTH_GOOGLE_CLIENT_SECRET,
+        authorizationUrl: envVars.OAUTH_GOOGLE_AUTHORIZATION_URL,
+        tokenUrl: envVars.OAUTH_GOOGLE_TOKEN_URL,
+        userInfoUrl: envVars.OAUTH_GOOGLE_USERINFO_URL,
+        scope: 'openid email profile',
+      },
+      github: {
+        clientId: envVars.OAUTH_GITHUB_CLIENT_ID,
+        clientSecret: envVars.OAUTH_GITHUB_CLIENT_SECRET,
+        authorizationUrl: envVars.OAUTH_GITHUB_AUTHORIZATION_URL,
+        tokenUrl: envVars.OAUTH_GITHUB_TOKEN_URL,
+        userInfoUrl: envVars.OAUTH_GITHUB_USERINFO_URL,
+        emailsUrl: envVars.OAUTH_GITHUB_EMAILS_URL,
+        scope: 'read:user user:email',
+      },
+    },
+  },
+  loginProtection: {
+    maxAttempts: envVars.LOGIN_MAX_ATTEMPTS,
+    maxAttemptsPerIp: envVars.LOGIN_MAX_ATTEMPTS_PER_IP,
+    backoffAfter: envVars.LOGIN_BACKOFF_AFTER,
+    backoffBaseMs: envVars.LOGIN_BACKOFF_BASE_SECONDS * 1000,
+    failureWindowMs: envVars.LOGIN_FAILURE_WINDOW_MINUTES * 60000,
+    lockMs: envVars.LOGIN_LOCK_MINUTES * 60000,
+    store: envVars.LOGIN_ATTEMPT_STORE,
+  },
+  redis: {
+    url: envVars.REDIS_URL,
+  },
+  permissions: {
+    cacheSeconds: envVars.PERMISSIONS_CACHE_SECONDS,
+  },
+  audit: {
+    retentionDays: envVars.AUDIT_RETENTION_DAYS,
+  },
+  events: {
+    transports: envVars.EVENTS_TRANSPORTS.split(',').map((name) => name.trim()).filter(Boolean),
+    webhookUrl: envVars.EVENTS_WEBHOOK_URL,
+    webhookTimeoutMs: envVars.EVENTS_WEBHOOK_TIMEOUT_MS,
+    relayEnabled: envVars.EVENTS_RELAY_ENABLED,
+    relayIntervalMs: envVars.EVENTS_RELAY_INTERVAL_MS,
+    relayBatchSize: envVars.EVENTS_RELAY_BATCH_SIZE,
+    relayLeaseMs: envVars.EVENTS_RELAY_LEASE_SECONDS * 1000,
+    maxAttempts: envVars.EVENTS_MAX_ATTEMPTS,
+    retryBaseMs: envVars.EVENTS_RETRY_BASE_SECONDS * 1000,
+    retentionDays: envVars.EVENTS_RETENTION_DAYS,
+  },
+  webhooks: {
+    dispatcherEnabled: envVars.WEBHOOKS_DISPATCHER_ENABLED,
+    dispatchIntervalMs: envVars.WEBHOOKS_DISPATCH_INTERVAL_MS,
+    batchSize: envVars.WEBHOOKS_BATCH_SIZE,
+    timeoutMs: envVars.WEBHOOKS_TIMEOUT_MS,
+    leaseMs: envVars.WEBHOOKS_LEASE_SECONDS * 1000,
+    maxAttempts: envVars.WEBHOOKS_MAX_ATTEMPTS,
+    retryBaseMs: envVars.WEBHOOKS_RETRY_BASE_SECONDS * 1000,
+    retentionDays: envVars.WEBHOOKS_RETENTION_DAYS,
+    allowPrivateTargets: envVars.WEBHOOK_ALLOW_PRIVATE_TARGETS,
+  },
+  erasure: {
+    graceMs: envVars.ERASURE_GRACE_DAYS * 86400000,
+    workerEnabled: envVars.ERASURE_WORKER_ENABLED,
+    workerIntervalMs: envVars.ERASURE_WORKER_INTERVAL_MS,
+    batchSize: envVars.ERASURE_BATCH_SIZE,
+  },
+  accountReactivation: {
+    windowMs: envVars.ACCOUNT_REACTIVATION_DAYS * 86400000,
+    linkExpiresHours: envVars.ACCOUNT_REACTIVATION_LINK_EXPIRES_HOURS,
+    url: envVars.ACCOUNT_REACTIVATION_URL || `${appUrl}/reactivate-account`,
+  },
+  accountPurge: {
+    mode: envVars.ACCOUNT_PURGE_MODE,
+    workerEnabled: envVars.ACCOUNT_PURGE_WORKER_ENABLED,
+    workerIntervalMs: envVars.ACCOUNT_PURGE_WORKER_INTERVAL_MS,
+    batchSize: envVars.ACCOUNT_PURGE_BATCH_SIZE,
+  },
+  userImport: {
+    maxRows: envVars.USER_IMPORT_MAX_ROWS,
+    workerEnabled: envVars.USER_IMPORT_WORKER_ENABLED,
+    workerIntervalMs: envVars.USER_IMPORT_WORKER_INTERVAL_MS,
+    batchSize: envVars.USER_IMPORT_BATCH_SIZE,
+  },
+  responseValidation: {
+    enabled: envVars.RESPONSE_VALIDATION,
+  },
+  apiVersions: {
+    v1: {
+      deprecatedAt: envVars.API_V1_DEPRECATED_AT,
+      sunsetAt: envVars.API_V1_SUNSET_AT,
+    },
+  },
+  i18n: {
+    defaultLocale: envVars.DEFAULT_LOCALE,
+  },
   bcrypt: {
     saltRounds: envVars.BCRYPT_SALT_ROUNDS,
   },
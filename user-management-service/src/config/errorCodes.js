@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Error Codes - Catálogo de códigos de error de la API
+ * @description Cada AppError lleva uno de estos códigos (new AppError(mensaje, status, código)).
+ * Los clientes deben decidir por el código, nunca por el mensaje, que puede cambiar. El
+ * catálogo se publica en /api/docs/errors y cada respuesta de error enlaza su entrada en
+ * el campo type (RFC 7807). Un test comprueba que todos los códigos usados están aquí y
+ * con el mismo status.
+ */
+
+/**
+ * Prefijo del campo type de las respuestas de error: type = ERROR_TYPE_BASE/CÓDIGO
+ */
+const ERROR_TYPE_BASE = '/api/docs/errors';
+
+/**
+ * @constant ERROR_CODES
+ * @description Catálogo: código → { status, title, description }. title es el resumen estable
+ * del tipo de error; el mensaje de cada AppError es el detail de esa ocurrencia.
+ */
+const ERROR_CODES = {
+  // Genéricos
+  VALIDATION_FAILED: {
+    status: 400,
+    title: 'Validation failed',
+    description: 'El body o la query string no cumplen el schema de la ruta; details indica el error de cada campo',
+  },
+  MALFORMED_REQUEST_BODY: { status: 400, title: 'Malformed request body', description: 'El body no es un JSON válido' },
+  INVALID_CURSOR: { status: 400, title: 'Invalid cursor', description: 'El cursor de paginación está mal formado o no corresponde a la ordenación pedida' },
+  RESOURCE_NOT_FOUND: { status: 404, title: 'Resource not found', description: 'El identificador no es un ObjectId válido o el recurso no existe' },
+  ROUTE_NOT_FOUND: { status: 404, title: 'Route not found', description: 'No existe ninguna ruta con ese método y path' },
+  RESOURCE_CONFLICT: { status: 409, title: 'Resource already exists', description: 'Otro recurso ya usa un valor que debe ser único' },
+  API_VERSION_RETIRED: { status: 410, title: 'API version retired', description: 'La versión de la API pasó su fecha de Sunset; hay que usar la indicada en detail' },
+  PAYLOAD_TOO_LARGE: { status: 413, title: 'Payload too large', description: 'El body supera el tamaño máximo admitido' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, title: 'Unsupported media type', description: 'El Content-Type del body no es uno de los que acepta la ruta' },
+  RATE_LIMITED: { status: 429, title: 'Too many requests', description: 'Se superó el límite de peticiones por IP de la ruta; hay que esperar al final de la ventana' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error', description: 'Error inesperado del servicio' },
+  RESPONSE_SCHEMA_MISMATCH: {
+    status: 500,
+    title: 'Response does not match its schema',
+    description: 'Solo en desarrollo y tests: la respuesta no cumple su schema (ver RESPONSE_VALIDATION)',
+  },
+
+  // Autenticación
+  AUTH_TOKEN_MISSING: { status: 401, title: 'Access token missing', description: 'Falta la cabecera Authorization: Bearer <token>' },
+  AUTH_TOKEN_INVALID: { status: 401, title: 'Invalid access token', description: 'El access token no es válido (firma, formato o secreto)' },
+  AUTH_SESSION_REVOKED: { status: 401, title: 'Session has been revoked', description: 'La sesión del access token se cerró (logout, revocación, cambio de rol o desactivación)' },
+  AUTH_TOKEN_EXPIRED: { status: 401, title: 'Access token expired', description: 'El access token caducó; hay que renovarlo con el refresh token' },
+  AUTH_REQUIRED: { status: 401, title: 'Authentication required', description: 'La ruta exige un usuario autenticado' },
+  AUTH_INVALID_CREDENTIALS: { status: 401, title: 'Invalid email or password', description: 'Email o contraseña incorrectos' },
+  AUTH_REFRESH_TOKEN_INVALID: { status: 401, title: 'Invalid refresh token', description: 'El refresh token no es válido, caducó o fue revocado' },
+  AUTH_REFRESH_TOKEN_REUSED: {
+    status: 401,
+    title: 'Refresh token reuse detected',
+    description: 'Se usó un refresh token ya rotado; por seguridad se cerraron todas las sesiones del usuario',
+  },
+  AUTH_MFA_TOKEN_INVALID: { status: 401, title: 'Invalid MFA token', description: 'El mfaToken del login no es válido o caducó; hay que repetir el login' },
+  AUTH_PASSWORD_INCORRECT: { status: 401, title: 'Current password is incorrect', description: 'La contraseña actual enviada para confirmar la operación no es correcta' },
+  AUTH_PASSWORD_RESET_REQUIRED: {
+    status: 403,
+    title: 'Password reset required',
+    description: 'Un administrador forzó el reseteo de la contraseña; el usuario recibió un email para elegir otra',
+  },
+  AUTH_EMAIL_NOT_VERIFIED: { status: 403, title: 'Email address is not verified', description: 'La cuenta debe verificar su email antes de iniciar sesión' },
+  AUTH_LOGIN_LOCKED: {
+    status: 429,
+    title: 'Too many failed login attempts',
+    description: 'La cuenta está bloqueada temporalmente por intentos fallidos; la cabecera Retry-After indica cuánto esperar',
+  },
+  PERMISSION_DENIED: { status: 403, title: 'Insufficient permissions', description: 'El rol del usuario no tiene el permiso que exige la ruta' },
+
+  // Usuarios y cuentas
+  USER_NOT_FOUND: { status: 404, title: 'User not found', description: 'No existe ningún usuario con ese identificador' },
+  USER_EMAIL_TAKEN: { status: 409, title: 'Email already registered', description: 'Ya existe una cuenta con ese email' },
+  USER_USERNAME_TAKEN: { status: 409, title: 'Username already taken', description: 'Otro usuario ya usa ese username' },
+  USER_LAST_ADMIN: { status: 409, title: 'Cannot remove the last active admin', description: 'La operación dejaría el servicio sin ningún administrador activo' },
+  ACCOUNT_DEACTIVATED: { status: 403, title: 'Account is deactivated', description: 'La cuenta está desactivada; puede reactivarse durante el periodo de gracia' },
+  CONFIRMATION_EMAIL_MISMATCH: { status: 400, title: 'Confirmation email does not match', description: 'El email de confirmación no coincide con el de la cuenta' },
+  SESSION_NOT_FOUND: { status: 404, title: 'Session not found', description: 'No existe ninguna sesión activa del usuario con ese identificador' },
+  VERIFICATION_TOKEN_INVALID: { status: 400, title: 'Invalid verification token', description: 'El enlace de verificación de email no es válido o caducó' },
+  PASSWORD_RESET_TOKEN_INVALID: { status: 400, title: 'Invalid password reset token', description: 'El enlace de reseteo de contraseña no es válido o caducó' },
+  REACTIVATION_TOKEN_INVALID: { status: 400, title: 'Invalid reactivation token', description: 'El enlace de reactivación no es válido, caducó o la cuenta ya no puede reactivarse' },
+
+  // MFA
+  MFA_CODE_INVALID: { status: 401, title: 'Invalid MFA code', description: 'El código TOTP o de recuperación no es correcto o ya se usó' },
+  MFA_REQUIRED: { status: 403, title: 'MFA is required', description: 'La política exige MFA para el rol del usuario; no puede desactivarlo' },
+  MFA_NOT_ENABLED: { status: 400, title: 'MFA is not enabled', description: 'La cuenta no tiene MFA activo' },
+  MFA_ENROLLMENT_NOT_FOUND: { status: 400, title: 'No pending MFA enrollment', description: 'No hay un alta de MFA pendiente de confirmar; hay que empezarla de nuevo' },
+  MFA_ALREADY_ENABLED: { status: 409, title: 'MFA is already enabled', description: 'La cuenta ya tiene MFA activo' },
+
+  // OAuth
+  OAUTH_AUTHORIZATION_FAILED: { status: 400, title: 'OAuth authorization failed', description: 'El proveedor devolvió un error o faltan code y state en el callback' },
+  OAUTH_STATE_INVALID: { status: 400, title: 'Invalid OAuth state', description: 'El state del callback no existe o caducó; hay que empezar el login de nuevo' },
+  OAUTH_EMAIL_MISSING: { status: 400, title: 'OAuth email missing', description: 'El proveedor no devolvió un email verificado' },
+  OAUTH_LAST_SIGN_IN_METHOD: {
+    status: 400,
+    title: 'Cannot unlink the only sign-in method',
+    description: 'La cuenta no tiene contraseña ni otro proveedor; hay que crear una contraseña antes de desvincularlo',
+  },
+  OAUTH_PROVIDER_NOT_SUPPORTED: { status: 404, title: 'OAuth provider not supported', description: 'El proveedor no existe o no está configurado' },
+  OAUTH_PROVIDER_NOT_LINKED: { status: 404, title: 'OAuth provider is not linked', description: 'La cuenta no tiene vinculado ese proveedor' },
+  OAUTH_EMAIL_TAKEN: {
+    status: 409,
+    title: 'Email already registered',
+    description: 'Ya existe una cuenta con el email del proveedor; hay que iniciar sesión y vincularlo desde el perfil',
+  },
+  OAUTH_ACCOUNT_LINKED_ELSEWHERE: { status: 409, title: 'Provider account already linked', description: 'La cuenta del proveedor está vinculada a otro usuario' },
+  OAUTH_PROVIDER_ERROR: { status: 502, title: 'OAuth provider request failed', description: 'El proveedor respondió con un error al canjear el código o al pedir el perfil' },
+
+  // Privacidad
+  ERASURE_NOT_REQUESTED: { status: 404, title: 'No pending erasure request', description: 'La cuenta no tiene una solicitud de borrado pendiente' },
+  ERASURE_ALREADY_REQUESTED: { status: 409, title: 'Account erasure already requested', description: 'La cuenta ya tiene un borrado programado' },
+
+  // Roles y permisos
+  PERMISSION_UNKNOWN: { status: 400, title: 'Unknown permissions', description: 'Algún permiso no existe en el registro de permisos' },
+  ROLE_MANAGEMENT_PERMISSION_REQUIRED: {
+    status: 400,
+    title: 'The admin role cannot lose role management',
+    description: 'El rol admin debe conservar el permiso de gestión de roles',
+  },
+  ROLE_NOT_FOUND: { status: 404, title: 'Role not found', description: 'El rol no existe' },
+
+  // Invitaciones
+  INVITATION_INVALID: { status: 400, title: 'Invalid or expired invitation', description: 'La invitación no existe, caducó, fue revocada o ya se usó' },
+  INVITATION_NOT_FOUND: { status: 404, title: 'Invitation not found', description: 'No existe ninguna invitación pendiente con ese identificador' },
+  INVITATION_ALREADY_PENDING: { status: 409, title: 'Invitation already pending', description: 'Ya hay una invitación pendiente para ese email' },
+
+  // Importación y listados
+  IMPORT_FILE_EMPTY: { status: 400, title: 'Import file is empty', description: 'El archivo no contiene ningún usuario' },
+  IMPORT_TOO_MANY_ROWS: { status: 400, title: 'Import file too large', description: 'El archivo supera el máximo de usuarios por importación (USER_IMPORT_MAX_ROWS)' },
+  IMPORT_JOB_NOT_FOUND: { status: 404, title: 'Import job not found', description: 'No existe ninguna importación con ese identificador' },
+  FILTER_PRESET_NOT_FOUND: { status: 404, title: 'Filter preset not found', description: 'No existe ningún filtro guardado del usuario con ese identificador' },
+
+  // Webhooks
+  WEBHOOK_NOT_FOUND: { status: 404, title: 'Webhook subscription not found', description: 'No existe ninguna suscripción con ese identificador' },
+  WEBHOOK_TARGET_FORBIDDEN: { status: 400, title: 'Webhook URL not allowed', description: 'La URL apunta a una dirección privada, de loopback o link-local (ver WEBHOOK_ALLOW_PRIVATE_TARGETS)' },
+  WEBHOOK_DELIVERY_NOT_FOUND: { status: 404, title: 'Webhook delivery not found', description: 'No existe ninguna entrega de la suscripción con ese identificador' },
+  WEBHOOK_DELIVERY_PENDING: { status: 409, title: 'Webhook delivery already pending', description: 'La entrega ya está pendiente de envío' },
+};
+
+module.exports = {
+  ERROR_TYPE_BASE,
+  ERROR_CODES,
+};
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Event Types - Eventos de dominio que publica el servicio
+ * @description Eventos del ciclo de vida de los usuarios a los que reaccionan los demás
+ * servicios de la plataforma (cursos, matrículas, recomendaciones) y los sistemas externos
+ * suscritos por webhook. Se escriben en el outbox junto con el cambio del usuario y el
+ * relay los publica en los transportes.
+ */
+
+/**
+ * @constant EVENT_TYPES
+ * @description Tipos de evento: constante → nombre publicado
+ */
+const EVENT_TYPES = {
+  USER_CREATED: 'user.created',
+  USER_EMAIL_VERIFIED: 'user.email_verified',
+  USER_UPDATED: 'user.updated',
+  USER_ROLE_CHANGED: 'user.role_changed',
+  USER_ACTIVATED: 'user.activated',
+  USER_DEACTIVATED: 'user.deactivated',
+  USER_DELETED: 'user.deleted',
+  USER_ERASED: 'user.erased',
+};
+
+module.exports = {
+  EVENT_TYPES,
+};
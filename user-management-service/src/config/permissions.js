@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Permissions Registry - Registro de permisos y asignación por defecto a roles
+ * @description Define todos los permisos que pueden exigir las rutas (formato recurso:acción)
+ * y los permisos que tiene cada rol mientras un administrador no edite la asignación
+ * (la asignación editada se guarda en la colección rolepermissions).
+ */
+
+/**
+ * Roles de usuario (deben coincidir con el enum de role en userModel)
+ */
+const ROLES = ['student', 'instructor', 'admin'];
+
+/**
+ * @constant PERMISSIONS
+ * @description Registro de permisos: clave → descripción
+ */
+const PERMISSIONS = {
+  'users:read': 'Ver la lista de usuarios y el detalle de cualquier usuario',
+  'users:export': 'Exportar usuarios en bloque (CSV o NDJSON) con su perfil de aprendizaje y preferencias',
+  'users:update': 'Editar los datos de cualquier usuario y forzar el reseteo de su contraseña',
+  'users:change-role': 'Cambiar el rol de cualquier usuario',
+  'users:deactivate': 'Activar y desactivar cuentas',
+  'users:delete': 'Eliminar cuentas definitivamente',
+  'users:unlock': 'Desbloquear cuentas bloqueadas por intentos fallidos de login',
+  'sessions:revoke': 'Cerrar las sesiones de cualquier usuario',
+  'roles:manage': 'Ver y editar los permisos de cada rol',
+  'invitations:manage': 'Crear, listar y revocar invitaciones con rol',
+  'users:import': 'Importar usuarios en bloque desde CSV o NDJSON y consultar el progreso',
+  'audit:read': 'Consultar el log de auditoría',
+  'webhooks:manage': 'Gestionar las suscripciones de webhooks y consultar y reenviar sus entregas',
+};
+
+/**
+ * Permiso que un administrador nunca puede quitarse (evita que nadie pueda volver a editar roles)
+ */
+const ROLE_MANAGEMENT_PERMISSION = 'roles:manage';
+
+/**
+ * @constant DEFAULT_ROLE_PERMISSIONS
+ * @description Permisos de cada rol cuando no hay una asignación guardada en la base de datos
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  student: [],
+  instructor: [],
+  admin: Object.keys(PERMISSIONS),
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_MANAGEMENT_PERMISSION,
+  DEFAULT_ROLE_PERMISSIONS,
+};
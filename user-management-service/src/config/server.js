@@ -3,14 +3,22 @@
  * @description Este archivo es el punto de entrada principal que:
  * 1. Conecta a MongoDB
  * 2. Inicia el servidor Express
- * 3. Maneja el graceful shutdown
- * 4. Maneja errores no capturados
+ * 3. Arranca los procesos en segundo plano (relay del outbox, envío de webhooks, borrado RGPD
+ *    y purga de cuentas desactivadas)
+ * 4. Maneja el graceful shutdown
+ * 5. Maneja errores no capturados
  */
 
 const app = require('../app');
 const config = require('./env');
 const logger = require('../utils/logger');
 const connectDB = require('./db');
+const outboxRelay = require('../services/outboxRelay');
+const webhookDispatcher = require('../services/webhookDispatcher');
+const erasureWorker = require('../services/erasureWorker');
+const accountPurgeWorker = require('../services/accountPurgeWorker');
+const userImportWorker = require('../services/userImportWorker');
+const userService = require('../services/userService');
 
 // ============================================================================
 // INICIALIZACIÓN DEL SERVIDOR
@@ -27,6 +35,28 @@ connectDB()
       logger.info(`User Management Service running on port ${config.port} in ${config.env} mode`);
     });
 
+    // Publicar los eventos del outbox (puede desactivarse si el relay corre en otro proceso)
+    if (config.events.relayEnabled) {
+      outboxRelay.start();
+    }
+    if (config.webhooks.dispatcherEnabled) {
+      webhookDispatcher.start();
+    }
+    if (config.erasure.workerEnabled) {
+      erasureWorker.start();
+    }
+    if (config.accountPurge.workerEnabled) {
+      accountPurgeWorker.start();
+    }
+    if (config.userImport.workerEnabled) {
+      userImportWorker.start();
+    }
+
+    // Tokens de búsqueda de los usuarios creados antes de que existiera el campo
+    userService.backfillSearchTokens().catch((error) => {
+      logger.error(`Error computing search tokens: ${error.message}`);
+    });
+
     // ========================================================================
     // GRACEFUL SHUTDOWN
     // ========================================================================
@@ -36,12 +66,17 @@ connectDB()
      * @description Cierra el servidor de forma ordenada cuando se recibe señal de terminación
      * 
      * @description Flujo:
-     * 1. Cierra el servidor HTTP para dejar de aceptar nuevas conexiones
+     * 1. Detiene los procesos en segundo plano y cierra el servidor HTTP para dejar de aceptar nuevas conexiones
      * 2. Espera a que las conexiones existentes terminen
      * 3. Si después de 10 segundos aún hay conexiones, fuerza el cierre
      */
     const gracefulShutdown = () => {
       logger.info('Received shutdown signal, closing server gracefully...');
+      outboxRelay.stop();
+      webhookDispatcher.stop();
+      erasureWorker.stop();
+      accountPurgeWorker.stop();
+      userImportWorker.stop();
       server.close(() => {
         logger.info('HTTP server closed');
         process.exit(0);
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview User Listing - Campos permitidos en el listado de usuarios para administradores
+ * @description El listado (GET /api/users/users) solo ordena por campos con índice, para
+ * que la paginación por cursor siga siendo rápida con muchos usuarios, y solo devuelve
+ * en los sparse fieldsets (fields=) campos sin credenciales ni tokens. Los filtros
+ * (filter[campo][operador]=valor) solo admiten los campos de USER_FILTER_FIELDS. La
+ * exportación (GET /api/users/user-exports) solo admite las columnas de USER_EXPORT_FIELDS.
+ */
+
+/**
+ * @constant USER_SORT_FIELDS
+ * @description Campos por los que se puede ordenar (prefijo '-' para orden descendente)
+ */
+const USER_SORT_FIELDS = ['createdAt', 'lastLogin', 'email', 'role'];
+
+/**
+ * @constant USER_LIST_FIELDS
+ * @description Campos que se pueden pedir con fields= (el _id se devuelve siempre)
+ */
+const USER_LIST_FIELDS = [
+  'email',
+  'username',
+  'firstName',
+  'lastName',
+  'role',
+  'avatar',
+  'isEmailVerified',
+  'isActive',
+  'deactivatedAt',
+  'lastLogin',
+  'preferences',
+  'learningProfile',
+  'createdAt',
+  'updatedAt',
+];
+
+/**
+ * @constant USER_EXPORT_FIELDS
+ * @description Columnas de la exportación (el _id se exporta siempre). Son rutas hoja para
+ * que cada una sea una columna del CSV; 'preferences' y 'learningProfile' se pueden pedir
+ * enteros y equivalen a todas sus columnas
+ */
+const USER_EXPORT_FIELDS = [
+  'email',
+  'username',
+  'firstName',
+  'lastName',
+  'role',
+  'isEmailVerified',
+  'isActive',
+  'deactivatedAt',
+  'lastLogin',
+  'createdAt',
+  'updatedAt',
+  'preferences.language',
+  'preferences.timezone',
+  'preferences.notifications.email',
+  'preferences.notifications.push',
+  'learningProfile.level',
+  'learningProfile.skills',
+  'learningProfile.interests',
+];
+
+/**
+ * @constant FILTER_OPERATORS
+ * @description Operadores admitidos según el tipo del campo (eq es el operador por defecto:
+ * filter[campo]=valor equivale a filter[campo][eq]=valor)
+ */
+const FILTER_OPERATORS = {
+  boolean: ['eq'],
+  enum: ['eq', 'ne', 'in', 'nin'],
+  string: ['eq', 'ne', 'in', 'nin'],
+  date: ['gt', 'gte', 'lt', 'lte', 'exists'],
+};
+
+/**
+ * @constant RELATIVE_DATE_PATTERN
+ * @description Fechas relativas en los filtros: '-90d' es hace 90 días (se calcula en cada
+ * consulta, así que un filtro guardado sigue siendo válido con el paso del tiempo)
+ */
+const RELATIVE_DATE_PATTERN = /^-(\d{1,5})d$/;
+
+/**
+ * @constant USER_FILTER_FIELDS
+ * @description Campos filtrables: nombre en la query → ruta en el modelo, tipo y valores permitidos
+ */
+const USER_FILTER_FIELDS = {
+  role: { path: 'role', type: 'enum', values: ['student', 'instructor', 'admin'] },
+  isActive: { path: 'isActive', type: 'boolean' },
+  isEmailVerified: { path: 'isEmailVerified', type: 'boolean' },
+  mfaEnabled: { path: 'mfa.enabled', type: 'boolean' },
+  createdAt: { path: 'createdAt', type: 'date' },
+  lastLogin: { path: 'lastLogin', type: 'date' },
+  level: { path: 'learningProfile.level', type: 'enum', values: ['beginner', 'intermediate', 'advanced'] },
+  skill: { path: 'learningProfile.skills.name', type: 'string' },
+  interest: { path: 'learningProfile.interests', type: 'string' },
+  oauthProvider: { path: 'oauthAccounts.provider', type: 'enum', values: ['google', 'github'] },
+  language: { path: 'preferences.language', type: 'string' },
+};
+
+module.exports = {
+  USER_SORT_FIELDS,
+  USER_LIST_FIELDS,
+  USER_EXPORT_FIELDS,
+  FILTER_OPERATORS,
+  RELATIVE_DATE_PATTERN,
+  USER_FILTER_FIELDS,
+};
@@ -4,10 +4,38 @@
  * y delegan la lógica de negocio al servicio correspondiente.
  */
 
+const { pipeline } = require('stream/promises');
 const userService = require('../services/userService');
+const oauthService = require('../services/oauthService');
+const mfaService = require('../services/mfaService');
+const permissionService = require('../services/permissionService');
+const adminService = require('../services/adminService');
+const invitationService = require('../services/invitationService');
+const auditService = require('../services/auditService');
+const webhookService = require('../services/webhookService');
+const filterPresetService = require('../services/filterPresetService');
+const userImportService = require('../services/userImportService');
+const privacyService = require('../services/privacyService');
+const config = require('../config/env');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 
+/**
+ * @function getRequestContext
+ * @description Extrae de la petición los datos del cliente que se guardan con cada sesión
+ * y con cada evento de auditoría
+ * @param {Object} req - Objeto de petición Express
+ * @returns {Object} Objeto con userAgent, ip, requestId y, si hay usuario autenticado,
+ * actorId y sessionId
+ */
+const getRequestContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+  requestId: req.id,
+  actorId: req.user ? req.user.id : null,
+  sessionId: req.user ? req.user.sid : null,
+});
+
 /**
  * @class UserController
  * @description Controlador para manejar todas las operaciones relacionadas con usuarios
@@ -25,7 +53,7 @@ class UserController {
    * @param {string} req.body.firstName - Nombre del usuario (requerido)
    * @param {string} req.body.lastName - Apellido del usuario (requerido)
    * @param {string} [req.body.username] - Nombre de usuario único (opcional)
-   * @param {string} [req.body.role] - Rol del usuario: 'student', 'instructor', 'admin' (opcional, default: 'student')
+   * (el rol no se acepta: el registro público siempre crea estudiantes)
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
    * @returns {Object} 201 - Usuario creado exitosamente con tokens de acceso
@@ -43,7 +71,7 @@ class UserController {
       });
 
       // Delegar la lógica de negocio al servicio
-      const { user, tokens } = await userService.createUser(req.body);
+      const { user, tokens } = await userService.createUser(req.body, getRequestContext(req));
       
       console.log('✅ [REGISTER] Usuario registrado exitosamente:', {
         userId: user._id,
@@ -82,6 +110,9 @@ class UserController {
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
    * @returns {Object} 200 - Login exitoso con tokens de acceso
+   * @returns {Object} 200 - { mfaRequired | mfaEnrollmentRequired, mfaToken } si se requiere segundo factor
+   * @returns {Object} 200 - { reactivationRequired, reactivationToken, purgeScheduledAt } si el usuario
+   * desactivó su cuenta y aún puede reactivarla (POST /api/users/reactivate)
    * @returns {Object} 401 - Credenciales inválidas
    * @returns {Object} 403 - Cuenta desactivada
    */
@@ -92,8 +123,18 @@ class UserController {
 
       const { email, password } = req.body;
       // Autenticar usuario y obtener tokens
-      const { user, tokens } = await userService.loginUser(email, password);
-      
+      const result = await userService.loginUser(email, password, getRequestContext(req));
+
+      // Primer factor correcto, pero falta el segundo (o reactivar la cuenta): devolver el desafío
+      if (!result.tokens) {
+        console.log('🔐 [LOGIN] Paso adicional requerido:', req.body.email);
+        return res.status(200).json({
+          success: true,
+          data: result,
+        });
+      }
+
+      const { user, tokens } = result;
       console.log('✅ [LOGIN] Login exitoso:', {
         userId: user._id,
         email: user.email,
@@ -118,26 +159,56 @@ class UserController {
   }
 
   /**
-   * @method getProfile
-   * @description Obtiene el perfil del usuario autenticado
-   * @route GET /api/users/profile
-   * @access Private (requiere autenticación)
+   * @method acceptInvitation
+   * @description Registra al invitado con el email y el rol de su invitación
+   * @route POST /api/users/invitations/accept
+   * @access Public
    * @param {Object} req - Objeto de petición Express
-   * @param {Object} req.user - Usuario autenticado (agregado por middleware de autenticación)
-   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {string} req.body.token - Token de la invitación recibido por email
+   * @param {string} req.body.password - Contraseña
+   * @param {string} req.body.firstName - Nombre
+   * @param {string} req.body.lastName - Apellido
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
-   * @returns {Object} 200 - Perfil del usuario
-   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 201 - Usuario creado con tokens, o desafío de alta MFA si el rol lo exige
+   * @returns {Object} 400 - Invitación inválida, expirada, revocada o ya usada
+   * @returns {Object} 409 - Email o username ya registrados
    */
-  async getProfile(req, res, next) {
+  async acceptInvitation(req, res, next) {
     try {
-      // Obtener usuario por ID del token JWT
-      const user = await userService.getUserById(req.user.id);
-      
+      const { token, ...userData } = req.body;
+      const result = await userService.acceptInvitation(token, userData, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method refreshToken
+   * @description Intercambia un refresh token válido por un nuevo par de tokens
+   * @route POST /api/users/refresh
+   * @access Public
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.refreshToken - Refresh token emitido en login, registro o rotación previa
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Nuevos tokens de acceso (el refresh token anterior queda invalidado)
+   * @returns {Object} 401 - Token inválido, expirado o reutilizado (se revocan todas las sesiones)
+   * @returns {Object} 403 - Cuenta desactivada
+   */
+  async refreshToken(req, res, next) {
+    try {
+      const tokens = await userService.rotateRefreshToken(req.body.refreshToken, getRequestContext(req));
+
       res.status(200).json({
         success: true,
-        data: { user },
+        data: { tokens },
       });
     } catch (error) {
       next(error);
@@ -145,33 +216,25 @@ class UserController {
   }
 
   /**
-   * @method updateProfile
-   * @description Actualiza el perfil del usuario autenticado
-   * @route PUT /api/users/profile
-   * @access Private (requiere autenticación)
+   * @method verifyEmail
+   * @description Verifica el email del usuario con el token recibido por correo
+   * @route GET /api/users/verify-email/:token
+   * @access Public
    * @param {Object} req - Objeto de petición Express
-   * @param {Object} req.user - Usuario autenticado
-   * @param {string} req.user.id - ID del usuario autenticado
-   * @param {Object} req.body - Datos a actualizar
-   * @param {string} [req.body.firstName] - Nuevo nombre
-   * @param {string} [req.body.lastName] - Nuevo apellido
-   * @param {string} [req.body.username] - Nuevo username
-   * @param {Object} [req.body.preferences] - Preferencias del usuario
-   * @param {Object} [req.body.learningProfile] - Perfil de aprendizaje
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.token - Token de verificación
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
-   * @returns {Object} 200 - Perfil actualizado exitosamente
-   * @returns {Object} 404 - Usuario no encontrado
-   * @returns {Object} 409 - Username ya en uso
+   * @returns {Object} 200 - Email verificado exitosamente
+   * @returns {Object} 400 - Token inválido, ya usado o expirado
    */
-  async updateProfile(req, res, next) {
+  async verifyEmail(req, res, next) {
     try {
-      // Actualizar usuario con los datos proporcionados
-      const user = await userService.updateUser(req.user.id, req.body);
-      
+      await userService.verifyEmail(req.params.token, getRequestContext(req));
+
       res.status(200).json({
         success: true,
-        data: { user },
+        message: req.t('messages.emailVerified'),
       });
     } catch (error) {
       next(error);
@@ -179,26 +242,24 @@ class UserController {
   }
 
   /**
-   * @method deleteAccount
-   * @description Desactiva la cuenta del usuario autenticado (soft delete)
-   * @route DELETE /api/users/account
-   * @access Private (requiere autenticación)
+   * @method resendVerification
+   * @description Reenvía el email de verificación de una cuenta
+   * @route POST /api/users/resend-verification
+   * @access Public
    * @param {Object} req - Objeto de petición Express
-   * @param {Object} req.user - Usuario autenticado
-   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.email - Email de la cuenta
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
-   * @returns {Object} 200 - Cuenta desactivada exitosamente
-   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 200 - Respuesta genérica (no revela si la cuenta existe)
    */
-  async deleteAccount(req, res, next) {
+  async resendVerification(req, res, next) {
     try {
-      // Marcar cuenta como inactiva (no eliminar físicamente)
-      await userService.deleteUser(req.user.id);
-      
+      const { messageKey } = await userService.resendVerification(req.body.email.toLowerCase());
+
       res.status(200).json({
         success: true,
-        message: 'Account deactivated successfully',
+        message: req.t(messageKey),
       });
     } catch (error) {
       next(error);
@@ -206,30 +267,52 @@ class UserController {
   }
 
   /**
-   * @method changePassword
-   * @description Cambia la contraseña del usuario autenticado
-   * @route POST /api/users/change-password
-   * @access Private (requiere autenticación)
+   * @method forgotPassword
+   * @description Envía un enlace para restablecer la contraseña
+   * @route POST /api/users/forgot-password
+   * @access Public
    * @param {Object} req - Objeto de petición Express
-   * @param {Object} req.user - Usuario autenticado
-   * @param {string} req.user.id - ID del usuario autenticado
-   * @param {Object} req.body - Datos para cambio de contraseña
-   * @param {string} req.body.currentPassword - Contraseña actual
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.email - Email de la cuenta
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Respuesta genérica (no revela si la cuenta existe)
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const { messageKey } = await userService.forgotPassword(req.body.email.toLowerCase(), getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method resetPassword
+   * @description Establece una nueva contraseña con el token recibido por email
+   * @route POST /api/users/reset-password
+   * @access Public
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.token - Token de reseteo
    * @param {string} req.body.newPassword - Nueva contraseña (mínimo 8 caracteres)
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
-   * @returns {Object} 200 - Contraseña cambiada exitosamente
-   * @returns {Object} 401 - Contraseña actual incorrecta
-   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 200 - Contraseña restablecida (todas las sesiones quedan cerradas)
+   * @returns {Object} 400 - Token inválido, ya usado o expirado
    */
-  async changePassword(req, res, next) {
+  async resetPassword(req, res, next) {
     try {
-      const { currentPassword, newPassword } = req.body;
-      await userService.changePassword(req.user.id, currentPassword, newPassword);
-      
+      const { token, newPassword } = req.body;
+      const { messageKey } = await userService.resetPassword(token, newPassword, getRequestContext(req));
+
       res.status(200).json({
         success: true,
-        message: 'Password changed successfully',
+        message: req.t(messageKey),
       });
     } catch (error) {
       next(error);
@@ -237,24 +320,120 @@ class UserController {
   }
 
   /**
-   * @method getAllUsers
-   * @description Lista todos los usuarios con paginación (solo para administradores)
-   * @route GET /api/users/users
-   * @access Private (requiere autenticación y rol admin)
+   * @method requestReactivation
+   * @description Envía un enlace para reactivar una cuenta desactivada por su dueño
+   * @route POST /api/users/reactivation/request
+   * @access Public
    * @param {Object} req - Objeto de petición Express
-   * @param {Object} req.query - Parámetros de consulta
-   * @param {number} [req.query.page=1] - Número de página
-   * @param {number} [req.query.limit=10] - Resultados por página
-   * @param {string} [req.query.role] - Filtrar por rol: 'student', 'instructor', 'admin'
-   * @param {string} [req.query.search] - Búsqueda por email, nombre o apellido
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.email - Email de la cuenta
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
-   * @returns {Object} 200 - Lista de usuarios con información de paginación
+   * @returns {Object} 200 - Respuesta genérica (no revela si la cuenta existe)
    */
-  async getAllUsers(req, res, next) {
+  async requestReactivation(req, res, next) {
     try {
-      const result = await userService.getAllUsers(req.query);
-      
+      const { messageKey } = await userService.requestReactivation(req.body.email, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method reactivateAccount
+   * @description Reactiva una cuenta desactivada por su dueño
+   * @route POST /api/users/reactivate
+   * @access Public
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.token - Token de reactivación (devuelto por el login o recibido por email)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Cuenta reactivada (el usuario debe volver a iniciar sesión)
+   * @returns {Object} 400 - Token inválido, ya usado o expirado
+   */
+  async reactivateAccount(req, res, next) {
+    try {
+      await userService.reactivateAccount(req.body.token, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.accountReactivated'),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method oauthStart
+   * @description Inicia el login con un proveedor OAuth redirigiendo a su pantalla de autorización
+   * @route GET /api/users/oauth/:provider
+   * @access Public
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.provider - Proveedor: 'google', 'github'
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 302 - Redirección al proveedor (con state y code_challenge PKCE)
+   * @returns {Object} 404 - Proveedor no soportado o no configurado
+   */
+  async oauthStart(req, res, next) {
+    try {
+      const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider);
+      res.redirect(302, authorizationUrl);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method oauthCallback
+   * @description Recibe el código de autorización del proveedor e inicia sesión o vincula la cuenta
+   * @route GET /api/users/oauth/:provider/callback
+   * @access Public (protegido por el parámetro state)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.provider - Proveedor: 'google', 'github'
+   * @param {Object} req.query - Query string enviada por el proveedor (code, state o error)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario y tokens, desafío MFA, o usuario actualizado si se vinculó un proveedor
+   * @returns {Object} 302 - Redirección a OAUTH_SUCCESS_REDIRECT_URL si está configurada
+   * @returns {Object} 400 - State inválido/expirado o autorización rechazada
+   * @returns {Object} 409 - Conflicto de cuentas (email no verificado o proveedor ya vinculado)
+   */
+  async oauthCallback(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const { profile, mode, userId } = await oauthService.completeAuthorization(provider, req.query);
+      const redirectUrl = config.oauth.successRedirectUrl;
+
+      if (mode === 'link') {
+        const user = await userService.linkOAuthAccount(userId, provider, profile, getRequestContext(req));
+
+        if (redirectUrl) {
+          return res.redirect(302, `${redirectUrl}#${new URLSearchParams({ linked: provider })}`);
+        }
+        return res.status(200).json({
+          success: true,
+          data: { user },
+        });
+      }
+
+      const result = await userService.loginWithOAuth(provider, profile, getRequestContext(req));
+
+      // Los tokens viajan en el fragmento para que no queden en logs de servidores ni en Referer
+      if (redirectUrl) {
+        const { user, isNewUser, ...credentials } = result;
+        const fragment = new URLSearchParams(credentials.tokens || credentials);
+        return res.redirect(302, `${redirectUrl}#${fragment}`);
+      }
       res.status(200).json({
         success: true,
         data: result,
@@ -265,22 +444,54 @@ class UserController {
   }
 
   /**
-   * @method getUserById
-   * @description Obtiene un usuario específico por ID (solo para administradores)
-   * @route GET /api/users/users/:id
-   * @access Private (requiere autenticación y rol admin)
+   * @method oauthLink
+   * @description Inicia la vinculación de un proveedor OAuth a la cuenta autenticada
+   * @route POST /api/users/oauth/:provider/link
+   * @access Private (requiere autenticación)
    * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
    * @param {Object} req.params - Parámetros de ruta
-   * @param {string} req.params.id - ID del usuario a obtener
+   * @param {string} req.params.provider - Proveedor: 'google', 'github'
    * @param {Object} res - Objeto de respuesta Express
    * @param {Function} next - Función para pasar al siguiente middleware
-   * @returns {Object} 200 - Usuario encontrado
-   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 200 - URL de autorización a la que el cliente debe navegar
+   * @returns {Object} 404 - Proveedor no soportado o no configurado
    */
-  async getUserById(req, res, next) {
+  async oauthLink(req, res, next) {
     try {
-      const user = await userService.getUserById(req.params.id);
-      
+      const authorizationUrl = await oauthService.createAuthorizationUrl(req.params.provider, {
+        mode: 'link',
+        userId: req.user.id,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { authorizationUrl },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method oauthUnlink
+   * @description Desvincula un proveedor OAuth de la cuenta autenticada
+   * @route DELETE /api/users/oauth/:provider
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.provider - Proveedor: 'google', 'github'
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario actualizado
+   * @returns {Object} 400 - Es el único método de acceso de la cuenta
+   * @returns {Object} 404 - Proveedor no vinculado
+   */
+  async oauthUnlink(req, res, next) {
+    try {
+      const user = await userService.unlinkOAuthAccount(req.user.id, req.params.provider, getRequestContext(req));
+
       res.status(200).json({
         success: true,
         data: { user },
@@ -289,6 +500,1286 @@ class UserController {
       next(error);
     }
   }
+
+  /**
+   * @method mfaVerify
+   * @description Segundo paso del login: verifica el código MFA y devuelve los tokens de acceso
+   * @route POST /api/users/mfa/verify
+   * @access Public (requiere el mfaToken del primer paso)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.mfaToken - Token de desafío devuelto por el login
+   * @param {string} [req.body.code] - Código TOTP de 6 dígitos
+   * @param {string} [req.body.recoveryCode] - Código de recuperación (alternativa al código TOTP)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Login exitoso con tokens de acceso
+   * @returns {Object} 401 - Token de desafío o código inválido
+   */
+  async mfaVerify(req, res, next) {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body;
+      const { user, tokens } = await userService.completeMfaLogin(
+        mfaToken,
+        { code, recoveryCode },
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: {
+          user,
+          tokens,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method mfaSetup
+   * @description Genera un secreto TOTP para dar de alta MFA
+   * @route POST /api/users/mfa/setup
+   * @access Private (access token, o mfaToken de alta obligatoria en el body)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Secreto en base32 y URI otpauth:// para mostrar como QR
+   * @returns {Object} 409 - MFA ya está activo
+   */
+  async mfaSetup(req, res, next) {
+    try {
+      const { secret, otpauthUri } = await mfaService.startEnrollment(req.user.id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          secret,
+          otpauthUri,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method mfaConfirm
+   * @description Activa MFA verificando un código de la app autenticadora
+   * @route POST /api/users/mfa/confirm
+   * @access Private (access token, o mfaToken de alta obligatoria en el body)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.code - Código TOTP de 6 dígitos
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Códigos de recuperación (y tokens de acceso si el alta completó un login)
+   * @returns {Object} 401 - Código inválido
+   */
+  async mfaConfirm(req, res, next) {
+    try {
+      const { recoveryCodes } = await mfaService.confirmEnrollment(req.user.id, req.body.code, getRequestContext(req));
+      const data = { recoveryCodes };
+
+      // Alta obligatoria durante el login: completar el login con los tokens de sesión
+      if (req.user.mfaEnrollment) {
+        const { user, tokens } = await userService.completeMfaEnrollmentLogin(
+          req.user.id,
+          getRequestContext(req)
+        );
+        data.user = user;
+        data.tokens = tokens;
+      }
+
+      res.status(200).json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method mfaDisable
+   * @description Desactiva MFA para el usuario autenticado
+   * @route POST /api/users/mfa/disable
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.password - Contraseña actual
+   * @param {string} [req.body.code] - Código TOTP de 6 dígitos
+   * @param {string} [req.body.recoveryCode] - Código de recuperación
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - MFA desactivado
+   * @returns {Object} 401 - Contraseña o código incorrecto
+   * @returns {Object} 403 - La política exige MFA para el rol del usuario
+   */
+  async mfaDisable(req, res, next) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      const { messageKey } = await mfaService.disable(req.user.id, password, { code, recoveryCode }, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method mfaRegenerateRecoveryCodes
+   * @description Reemplaza los códigos de recuperación MFA del usuario autenticado
+   * @route POST /api/users/mfa/recovery-codes
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {Object} req.body - Datos de la petición
+   * @param {string} req.body.code - Código TOTP de 6 dígitos
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Nuevos códigos de recuperación (los anteriores quedan invalidados)
+   * @returns {Object} 401 - Código inválido
+   */
+  async mfaRegenerateRecoveryCodes(req, res, next) {
+    try {
+      const { recoveryCodes } = await mfaService.regenerateRecoveryCodes(
+        req.user.id,
+        { code: req.body.code },
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getProfile
+   * @description Obtiene el perfil del usuario autenticado
+   * @route GET /api/users/profile
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado (agregado por middleware de autenticación)
+   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Perfil del usuario
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async getProfile(req, res, next) {
+    try {
+      // Obtener usuario por ID del token JWT
+      const user = await userService.getUserById(req.user.id);
+      
+      res.status(200).json({
+        success: true,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method updateProfile
+   * @description Actualiza el perfil del usuario autenticado
+   * @route PUT /api/users/profile
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {Object} req.body - Datos a actualizar
+   * @param {string} [req.body.firstName] - Nuevo nombre
+   * @param {string} [req.body.lastName] - Nuevo apellido
+   * @param {string} [req.body.username] - Nuevo username
+   * @param {Object} [req.body.preferences] - Preferencias del usuario
+   * @param {Object} [req.body.learningProfile] - Perfil de aprendizaje
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Perfil actualizado exitosamente
+   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 409 - Username ya en uso
+   */
+  async updateProfile(req, res, next) {
+    try {
+      // Actualizar usuario con los datos proporcionados
+      const user = await userService.updateUser(req.user.id, req.body, getRequestContext(req));
+      
+      res.status(200).json({
+        success: true,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method deleteAccount
+   * @description Desactiva la cuenta del usuario autenticado (soft delete)
+   * @route DELETE /api/users/account
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Cuenta desactivada; data.reactivableUntil indica hasta cuándo puede reactivarse
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async deleteAccount(req, res, next) {
+    try {
+      // Marcar cuenta como inactiva (no eliminar físicamente)
+      const user = await userService.deleteUser(req.user.id, getRequestContext(req));
+      
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.accountDeactivated'),
+        data: {
+          reactivableUntil: user.purgeScheduledAt,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method exportMyData
+   * @description Descarga un archivo JSON con los datos personales del usuario autenticado
+   * @route GET /api/users/me/export
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Archivo (Content-Disposition: attachment) con profile, preferences,
+   * learningProfile, sessions y auditEvents
+   */
+  async exportMyData(req, res, next) {
+    try {
+      const data = await privacyService.exportUserData(req.user.id, getRequestContext(req));
+
+      // El archivo contiene datos personales: no debe quedar en cachés intermedias
+      res.set('Cache-Control', 'no-store');
+      res.attachment(`user-data-${req.user.id}.json`);
+      res.status(200).json(data);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method requestErasure
+   * @description Solicita el borrado de los datos personales tras el periodo de gracia
+   * @route POST /api/users/me/erasure
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.body.confirmEmail - Email de la cuenta, como confirmación
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 202 - Borrado programado (scheduledAt)
+   * @returns {Object} 400 - El email de confirmación no coincide
+   * @returns {Object} 409 - Ya hay una solicitud pendiente o es el último administrador activo
+   */
+  async requestErasure(req, res, next) {
+    try {
+      const result = await privacyService.requestErasure(req.user.id, req.body.confirmEmail, getRequestContext(req));
+
+      res.status(202).json({
+        success: true,
+        message: req.t('messages.erasureScheduled'),
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method cancelErasure
+   * @description Cancela la solicitud de borrado pendiente
+   * @route DELETE /api/users/me/erasure
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Solicitud cancelada
+   * @returns {Object} 404 - No hay una solicitud pendiente
+   */
+  async cancelErasure(req, res, next) {
+    try {
+      const result = await privacyService.cancelErasure(req.user.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(result.messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method changePassword
+   * @description Cambia la contraseña del usuario autenticado
+   * @route POST /api/users/change-password
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {Object} req.body - Datos para cambio de contraseña
+   * @param {string} req.body.currentPassword - Contraseña actual
+   * @param {string} req.body.newPassword - Nueva contraseña (mínimo 8 caracteres)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Contraseña cambiada exitosamente
+   * @returns {Object} 401 - Contraseña actual incorrecta
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async changePassword(req, res, next) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      await userService.changePassword(req.user.id, currentPassword, newPassword, getRequestContext(req));
+      
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.passwordChanged'),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method logout
+   * @description Cierra la sesión actual invalidando su refresh token
+   * @route POST /api/users/logout
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {string} req.user.sid - ID de la sesión del access token
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Sesión cerrada (también si ya estaba cerrada)
+   */
+  async logout(req, res, next) {
+    try {
+      // Logout es idempotente: si la sesión ya no existe, la respuesta es la misma
+      await userService.revokeSession(req.user.id, req.user.sid, getRequestContext(req)).catch((error) => {
+        if (error.statusCode !== 404) throw error;
+      });
+
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.loggedOut'),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method logoutAll
+   * @description Cierra todas las sesiones del usuario autenticado en todos sus dispositivos
+   * @route POST /api/users/logout-all
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Todas las sesiones cerradas
+   */
+  async logoutAll(req, res, next) {
+    try {
+      await userService.revokeAllSessions(req.user.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.loggedOutEverywhere'),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getSessions
+   * @description Lista las sesiones activas (dispositivos) del usuario autenticado
+   * @route GET /api/users/sessions
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado
+   * @param {string} req.user.id - ID del usuario autenticado
+   * @param {string} req.user.sid - ID de la sesión actual (se marca con current: true)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Lista de sesiones con dispositivo, user agent, IP, creación y último uso
+   */
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await userService.getSessions(req.user.id, req.user.sid);
+
+      res.status(200).json({
+        success: true,
+        data: { sessions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method revokeSession
+   * @description Cierra una sesión concreta del usuario autenticado
+   * @route DELETE /api/users/sessions/:id
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.id - ID de la sesión a cerrar
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Sesión cerrada
+   * @returns {Object} 404 - Sesión no encontrada
+   */
+  async revokeSession(req, res, next) {
+    try {
+      await userService.revokeSession(req.user.id, req.params.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.sessionRevoked'),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getMyPermissions
+   * @description Obtiene los permisos efectivos del usuario autenticado (según su rol)
+   * @route GET /api/users/me/permissions
+   * @access Private (requiere autenticación)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.user - Usuario autenticado (del middleware authenticate)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Rol y lista de permisos
+   */
+  async getMyPermissions(req, res, next) {
+    try {
+      const permissions = await permissionService.getPermissionsForRole(req.user.role);
+
+      res.status(200).json({
+        success: true,
+        data: { role: req.user.role, permissions },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getRolePermissions
+   * @description Obtiene el registro de permisos y la asignación vigente de cada rol
+   * @route GET /api/users/roles
+   * @access Private (requiere el permiso roles:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Permisos registrados y permisos por rol
+   */
+  async getRolePermissions(req, res, next) {
+    try {
+      const roles = await permissionService.getRoleMapping();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          permissions: permissionService.getRegistry(),
+          roles,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method updateRolePermissions
+   * @description Reemplaza los permisos de un rol
+   * @route PUT /api/users/roles/:role/permissions
+   * @access Private (requiere el permiso roles:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.role - Rol a editar
+   * @param {Array<string>} req.body.permissions - Nuevas claves de permisos
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Rol y permisos actualizados
+   * @returns {Object} 400 - Permiso desconocido o se quita roles:manage al rol admin
+   * @returns {Object} 404 - Rol no encontrado
+   */
+  async updateRolePermissions(req, res, next) {
+    try {
+      const result = await permissionService.updateRolePermissions(
+        req.params.role,
+        req.body.permissions,
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.rolePermissionsUpdated'),
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method importUsers
+   * @description Importa usuarios desde un archivo CSV o NDJSON enviado como cuerpo de la petición
+   * @route POST /api/users/user-imports
+   * @access Private (requiere el permiso users:import)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.body - Contenido del archivo (Content-Type text/csv o application/x-ndjson)
+   * @param {boolean} req.query.dryRun - Solo validar y devolver el informe por fila
+   * @param {string} req.query.role - Rol de los usuarios importados
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Informe por fila (dryRun)
+   * @returns {Object} 202 - Importación encolada (su progreso se consulta en /user-imports/:id)
+   * @returns {Object} 400 - Archivo vacío o con demasiadas filas
+   * @returns {Object} 415 - El cuerpo no es CSV ni NDJSON
+   */
+  async importUsers(req, res, next) {
+    try {
+      let format = null;
+      if (req.is('text/csv')) {
+        format = 'csv';
+      } else if (req.is(['application/x-ndjson', 'application/ndjson'])) {
+        format = 'ndjson';
+      }
+      if (!format || typeof req.body !== 'string') {
+        throw new AppError('Send the file as text/csv or application/x-ndjson', 415, 'UNSUPPORTED_MEDIA_TYPE', {
+          accepted: 'text/csv, application/x-ndjson',
+        });
+      }
+
+      const result = await userImportService.startImport(req.body, format, req.query, getRequestContext(req));
+      if (req.query.dryRun) {
+        return res.status(200).json({
+          success: true,
+          data: result,
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: req.t('messages.userImportQueued'),
+        data: { job: result },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getImportJob
+   * @description Consulta el progreso y el informe por fila de una importación
+   * @route GET /api/users/user-imports/:id
+   * @access Private (requiere el permiso users:import)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID de la importación
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Importación con status, counts, progress y rows
+   * @returns {Object} 404 - La importación no existe
+   */
+  async getImportJob(req, res, next) {
+    try {
+      const job = await userImportService.getJob(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { job },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method createInvitation
+   * @description Invita a un email a registrarse con un rol (se envía el enlace por email)
+   * @route POST /api/users/invitations
+   * @access Private (requiere el permiso invitations:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.body.email - Email invitado
+   * @param {string} req.body.role - Rol con el que se registrará
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 201 - Invitación creada
+   * @returns {Object} 409 - Email registrado o con una invitación pendiente
+   */
+  async createInvitation(req, res, next) {
+    try {
+      const invitation = await invitationService.createInvitation(req.body, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        data: { invitation },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method listInvitations
+   * @description Lista las invitaciones pendientes
+   * @route GET /api/users/invitations
+   * @access Private (requiere el permiso invitations:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Lista de invitaciones pendientes
+   */
+  async listInvitations(req, res, next) {
+    try {
+      const invitations = await invitationService.listPendingInvitations();
+
+      res.status(200).json({
+        success: true,
+        data: { invitations },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method revokeInvitation
+   * @description Revoca una invitación pendiente
+   * @route DELETE /api/users/invitations/:id
+   * @access Private (requiere el permiso invitations:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID de la invitación
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Invitación revocada
+   * @returns {Object} 404 - No existe una invitación pendiente con ese ID
+   */
+  async revokeInvitation(req, res, next) {
+    try {
+      await invitationService.revokeInvitation(req.params.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.invitationRevoked'),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getAllUsers
+   * @description Lista todos los usuarios con paginación por cursor
+   * @route GET /api/users/users
+   * @access Private (requiere el permiso users:read)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.query - Parámetros de consulta (validados por userListQuery)
+   * @param {number} [req.query.limit=10] - Resultados por página
+   * @param {string} [req.query.cursor] - Cursor nextCursor de la página anterior
+   * @param {string} [req.query.sort] - Campo de orden ('-' para descendente) o 'relevance' (con search)
+   * @param {Array<string>} [req.query.fields] - Campos a devolver
+   * @param {boolean} [req.query.includeTotal=false] - Incluir el total de resultados
+   * @param {Object} [req.query.filter] - Filtros por campo y operador (ver config/userListing)
+   * @param {string} [req.query.preset] - ID de un filtro guardado
+   * @param {string} [req.query.role] - Filtrar por rol: 'student', 'instructor', 'admin'
+   * @param {string} [req.query.search] - Búsqueda por email, nombre, username, habilidades e intereses
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Lista de usuarios y pagination ({ limit, sort, nextCursor, total? })
+   * @returns {Object} 400 - Parámetros, filtros o cursor inválidos
+   * @returns {Object} 404 - El filtro guardado no existe
+   */
+  async getAllUsers(req, res, next) {
+    try {
+      const result = await adminService.listUsers(req.query, getRequestContext(req));
+      
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method exportUsers
+   * @description Exporta en streaming los usuarios que coinciden con los filtros, en CSV o NDJSON
+   * @route GET /api/users/user-exports
+   * @access Private (requiere el permiso users:export)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.query - Parámetros validados por userExportQuery (format, fields y los
+   * filtros del listado: filter, preset, role, search)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Archivo users-<fecha>.csv o .ndjson (Content-Disposition: attachment)
+   * @returns {Object} 400 - Parámetros inválidos
+   * @returns {Object} 404 - El filtro guardado no existe
+   */
+  async exportUsers(req, res, next) {
+    try {
+      const { cursor, transform, contentType } = await adminService.exportUsers(req.query, getRequestContext(req));
+
+      // El archivo contiene datos personales: no debe quedar en cachés intermedias
+      res.set('Cache-Control', 'no-store');
+      res.attachment(`users-${new Date().toISOString().slice(0, 10)}.${req.query.format}`);
+      res.status(200).type(contentType);
+      await pipeline(cursor, transform, res);
+    } catch (error) {
+      // Con la descarga empezada ya no se puede responder con un error: la conexión se corta
+      if (res.headersSent) {
+        logger.error(`Error streaming user export: ${error.message}`);
+        return;
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * @method listFilterPresets
+   * @description Lista los filtros guardados del listado de usuarios
+   * @route GET /api/users/user-filter-presets
+   * @access Private (requiere el permiso users:read)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Lista de filtros guardados
+   */
+  async listFilterPresets(req, res, next) {
+    try {
+      const presets = await filterPresetService.listPresets();
+
+      res.status(200).json({
+        success: true,
+        data: { presets },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method createFilterPreset
+   * @description Guarda un filtro del listado de usuarios
+   * @route POST /api/users/user-filter-presets
+   * @access Private (requiere el permiso users:read)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.body.name - Nombre único
+   * @param {string} [req.body.description] - Descripción libre
+   * @param {Object} req.body.query - filter, role, search y/o sort con el formato del listado
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 201 - Filtro guardado
+   * @returns {Object} 409 - Ya existe un filtro con ese nombre
+   */
+  async createFilterPreset(req, res, next) {
+    try {
+      const preset = await filterPresetService.createPreset(req.body, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        data: { preset },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method deleteFilterPreset
+   * @description Elimina un filtro guardado
+   * @route DELETE /api/users/user-filter-presets/:id
+   * @access Private (requiere el permiso users:read)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del filtro guardado
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Mensaje de éxito
+   * @returns {Object} 404 - El filtro guardado no existe
+   */
+  async deleteFilterPreset(req, res, next) {
+    try {
+      const result = await filterPresetService.deletePreset(req.params.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(result.messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getUserById
+   * @description Obtiene un usuario específico por ID
+   * @route GET /api/users/users/:id
+   * @access Private (requiere el permiso users:read)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.params - Parámetros de ruta
+   * @param {string} req.params.id - ID del usuario a obtener
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario encontrado y su estado de bloqueo por intentos fallidos
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async getUserById(req, res, next) {
+    try {
+      const result = await adminService.getUser(req.params.id, getRequestContext(req));
+      
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method unlockUser
+   * @description Desbloquea una cuenta bloqueada por intentos fallidos de login
+   * @route POST /api/users/users/:id/unlock
+   * @access Private (requiere el permiso users:unlock)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario a desbloquear
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Cuenta desbloqueada
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async unlockUser(req, res, next) {
+    try {
+      const result = await userService.unlockUser(req.params.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(result.messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method adminUpdateUser
+   * @description Edita el perfil de un usuario
+   * @route PATCH /api/users/users/:id
+   * @access Private (requiere el permiso users:update)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario
+   * @param {Object} req.body - Campos a actualizar (ver userSchemas.adminUpdateUser)
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario actualizado
+   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 409 - Username en uso
+   */
+  async adminUpdateUser(req, res, next) {
+    try {
+      const user = await adminService.updateUser(req.params.id, req.body, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method changeUserRole
+   * @description Cambia el rol de un usuario (sus sesiones se cierran)
+   * @route PATCH /api/users/users/:id/role
+   * @access Private (requiere el permiso users:change-role)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario
+   * @param {string} req.body.role - Nuevo rol
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario actualizado
+   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 409 - Se degradaría al último administrador activo
+   */
+  async changeUserRole(req, res, next) {
+    try {
+      const user = await adminService.changeRole(req.params.id, req.body.role, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method activateUser
+   * @description Reactiva una cuenta desactivada
+   * @route POST /api/users/users/:id/activate
+   * @access Private (requiere el permiso users:deactivate)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario activado
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async activateUser(req, res, next) {
+    try {
+      const user = await adminService.setActive(req.params.id, true, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method deactivateUser
+   * @description Desactiva una cuenta y cierra sus sesiones
+   * @route POST /api/users/users/:id/deactivate
+   * @access Private (requiere el permiso users:deactivate)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario
+   * @param {string} [req.body.reason] - Motivo de la desactivación
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario desactivado
+   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 409 - Es el último administrador activo
+   */
+  async deactivateUser(req, res, next) {
+    try {
+      const user = await adminService.setActive(req.params.id, false, getRequestContext(req), req.body.reason);
+
+      res.status(200).json({
+        success: true,
+        data: { user },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method revokeUserSessions
+   * @description Cierra todas las sesiones de un usuario
+   * @route DELETE /api/users/users/:id/sessions
+   * @access Private (requiere el permiso sessions:revoke)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Sesiones cerradas
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async revokeUserSessions(req, res, next) {
+    try {
+      const result = await adminService.revokeSessions(req.params.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(result.messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method forcePasswordReset
+   * @description Obliga a un usuario a restablecer su contraseña por email
+   * @route POST /api/users/users/:id/password-reset
+   * @access Private (requiere el permiso users:update)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Email de reseteo enviado
+   * @returns {Object} 404 - Usuario no encontrado
+   */
+  async forcePasswordReset(req, res, next) {
+    try {
+      const result = await adminService.forcePasswordReset(req.params.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(result.messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method deleteUser
+   * @description Elimina definitivamente una cuenta (hard delete)
+   * @route DELETE /api/users/users/:id
+   * @access Private (requiere el permiso users:delete)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID del usuario
+   * @param {string} req.body.confirmEmail - Email de la cuenta, como confirmación
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Usuario eliminado
+   * @returns {Object} 400 - El email de confirmación no coincide
+   * @returns {Object} 404 - Usuario no encontrado
+   * @returns {Object} 409 - Es el último administrador activo
+   */
+  async deleteUser(req, res, next) {
+    try {
+      const result = await adminService.deleteUser(req.params.id, req.body.confirmEmail, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(result.messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method listAuditEvents
+   * @description Consulta el log de auditoría, del evento más reciente al más antiguo
+   * @route GET /api/users/audit-events
+   * @access Private (requiere el permiso audit:read)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} req.query - Filtros validados (actor, target, action, outcome, ip,
+   * requestId, from, to), limit y cursor
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Eventos y nextCursor (null en la última página)
+   * @returns {Object} 400 - Filtros o cursor inválidos
+   */
+  async listAuditEvents(req, res, next) {
+    try {
+      const result = await auditService.query(req.query, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method createWebhook
+   * @description Crea una suscripción de webhook
+   * @route POST /api/users/webhooks
+   * @access Private (requiere el permiso webhooks:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.body.url - Endpoint que recibe las entregas
+   * @param {Array<string>} req.body.eventTypes - Tipos de evento suscritos
+   * @param {string} [req.body.description] - Descripción libre
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 201 - Suscripción creada y secreto de firma (solo se muestra esta vez)
+   */
+  async createWebhook(req, res, next) {
+    try {
+      const result = await webhookService.createSubscription(req.body, getRequestContext(req));
+
+      res.status(201).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method listWebhooks
+   * @description Lista las suscripciones de webhooks
+   * @route GET /api/users/webhooks
+   * @access Private (requiere el permiso webhooks:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Lista de suscripciones
+   */
+  async listWebhooks(req, res, next) {
+    try {
+      const webhooks = await webhookService.listSubscriptions();
+
+      res.status(200).json({
+        success: true,
+        data: { webhooks },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method getWebhook
+   * @description Obtiene una suscripción de webhook
+   * @route GET /api/users/webhooks/:id
+   * @access Private (requiere el permiso webhooks:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID de la suscripción
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Suscripción
+   * @returns {Object} 404 - La suscripción no existe
+   */
+  async getWebhook(req, res, next) {
+    try {
+      const webhook = await webhookService.getSubscription(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: { webhook },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method updateWebhook
+   * @description Actualiza la URL, los eventos, la descripción o el estado de una suscripción
+   * @route PATCH /api/users/webhooks/:id
+   * @access Private (requiere el permiso webhooks:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID de la suscripción
+   * @param {Object} req.body - Campos a actualizar
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Suscripción actualizada
+   * @returns {Object} 404 - La suscripción no existe
+   */
+  async updateWebhook(req, res, next) {
+    try {
+      const webhook = await webhookService.updateSubscription(req.params.id, req.body, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t('messages.webhookUpdated'),
+        data: { webhook },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method deleteWebhook
+   * @description Elimina una suscripción de webhook y su log de entregas
+   * @route DELETE /api/users/webhooks/:id
+   * @access Private (requiere el permiso webhooks:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID de la suscripción
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Mensaje de éxito
+   * @returns {Object} 404 - La suscripción no existe
+   */
+  async deleteWebhook(req, res, next) {
+    try {
+      const result = await webhookService.deleteSubscription(req.params.id, getRequestContext(req));
+
+      res.status(200).json({
+        success: true,
+        message: req.t(result.messageKey),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method listWebhookDeliveries
+   * @description Consulta el log de entregas de una suscripción, de la más reciente a la más antigua
+   * @route GET /api/users/webhooks/:id/deliveries
+   * @access Private (requiere el permiso webhooks:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID de la suscripción
+   * @param {Object} req.query - Filtros validados (status, eventType), limit y cursor
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 200 - Entregas y nextCursor (null en la última página)
+   * @returns {Object} 404 - La suscripción no existe
+   */
+  async listWebhookDeliveries(req, res, next) {
+    try {
+      const result = await webhookService.listDeliveries(req.params.id, req.query);
+
+      res.status(200).json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * @method redeliverWebhook
+   * @description Vuelve a poner en cola una entrega entregada o en dead letter
+   * @route POST /api/users/webhooks/:id/deliveries/:deliveryId/redeliver
+   * @access Private (requiere el permiso webhooks:manage)
+   * @param {Object} req - Objeto de petición Express
+   * @param {string} req.params.id - ID de la suscripción
+   * @param {string} req.params.deliveryId - ID de la entrega
+   * @param {Object} res - Objeto de respuesta Express
+   * @param {Function} next - Función para pasar al siguiente middleware
+   * @returns {Object} 202 - Entrega en cola
+   * @returns {Object} 404 - La entrega no existe
+   * @returns {Object} 409 - La entrega ya está pendiente
+   */
+  async redeliverWebhook(req, res, next) {
+    try {
+      const delivery = await webhookService.redeliver(req.params.id, req.params.deliveryId, getRequestContext(req));
+
+      res.status(202).json({
+        success: true,
+        message: req.t('messages.webhookDeliveryQueued'),
+        data: { delivery },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new UserController();
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview English - Catálogo de mensajes en inglés
+ * @description Las claves de todos los catálogos son las mismas (un test lo comprueba).
+ * {{nombre}} es un parámetro que se sustituye al traducir; en joi y validation,
+ * {{#label}} y {{#limit}} son plantillas de Joi y se dejan tal cual.
+ */
+
+module.exports = {
+  // Detail de las respuestas de error, por código de config/errorCodes
+  errors: {
+    VALIDATION_FAILED: 'Validation failed',
+    MALFORMED_REQUEST_BODY: 'The request body is not valid JSON',
+    INVALID_CURSOR: 'Invalid cursor',
+    RESOURCE_NOT_FOUND: 'Resource not found',
+    ROUTE_NOT_FOUND: 'Route not found',
+    RESOURCE_CONFLICT: '{{field}} already exists',
+    API_VERSION_RETIRED: 'API {{version}} was retired on {{sunsetAt}}; use {{successor}}',
+    PAYLOAD_TOO_LARGE: 'The request body exceeds the limit of {{limit}} bytes',
+    UNSUPPORTED_MEDIA_TYPE: 'Send the request body as {{accepted}}',
+    RATE_LIMITED: 'Too many requests from this IP, please try again later',
+    INTERNAL_ERROR: 'Internal server error',
+    RESPONSE_SCHEMA_MISMATCH: 'Response does not match its schema',
+    AUTH_TOKEN_MISSING: 'No token provided',
+    AUTH_TOKEN_INVALID: 'Invalid access token',
+    AUTH_SESSION_REVOKED: 'Session has been revoked',
+    AUTH_TOKEN_EXPIRED: 'Access token expired',
+    AUTH_REQUIRED: 'Authentication required',
+    AUTH_INVALID_CREDENTIALS: 'Invalid email or password',
+    AUTH_REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token',
+    AUTH_REFRESH_TOKEN_REUSED: 'Refresh token reuse detected',
+    AUTH_MFA_TOKEN_INVALID: 'Invalid or expired MFA token',
+    AUTH_PASSWORD_INCORRECT: 'Current password is incorrect',
+    AUTH_PASSWORD_RESET_REQUIRED: 'Password reset required. Check your email',
+    AUTH_EMAIL_NOT_VERIFIED: 'Email address is not verified',
+    AUTH_LOGIN_LOCKED: 'Too many failed login attempts, please try again later',
+    PERMISSION_DENIED: 'Insufficient permissions',
+    USER_NOT_FOUND: 'User not found',
+    USER_EMAIL_TAKEN: 'Email already registered',
+    USER_USERNAME_TAKEN: 'Username already taken',
+    USER_LAST_ADMIN: 'Cannot remove the last active admin',
+    ACCOUNT_DEACTIVATED: 'Account is deactivated',
+    CONFIRMATION_EMAIL_MISMATCH: 'Confirmation email does not match the account',
+    SESSION_NOT_FOUND: 'Session not found',
+    VERIFICATION_TOKEN_INVALID: 'Invalid or expired verification token',
+    PASSWORD_RESET_TOKEN_INVALID: 'Invalid or expired password reset token',
+    REACTIVATION_TOKEN_INVALID: 'Invalid or expired reactivation token',
+    MFA_CODE_INVALID: 'Invalid MFA code',
+    MFA_REQUIRED: 'MFA is required for the {{role}} role',
+    MFA_NOT_ENABLED: 'MFA is not enabled',
+    MFA_ENROLLMENT_NOT_FOUND: 'No pending MFA enrollment',
+    MFA_ALREADY_ENABLED: 'MFA is already enabled',
+    OAUTH_AUTHORIZATION_FAILED: 'OAuth authorization failed: {{error}}',
+    OAUTH_STATE_INVALID: 'Invalid or expired OAuth state',
+    OAUTH_EMAIL_MISSING: 'OAuth provider did not return an email address',
+    OAUTH_LAST_SIGN_IN_METHOD: 'Cannot unlink the only sign-in method. Set a password first',
+    OAUTH_PROVIDER_NOT_SUPPORTED: 'OAuth provider not supported',
+    OAUTH_PROVIDER_NOT_LINKED: 'OAuth provider is not linked',
+    OAUTH_EMAIL_TAKEN: 'An account with this email already exists. Log in and link the provider from your profile',
+    OAUTH_ACCOUNT_LINKED_ELSEWHERE: 'This provider account is already linked to another user',
+    OAUTH_PROVIDER_ERROR: 'OAuth provider request failed',
+    ERASURE_NOT_REQUESTED: 'No pending erasure request',
+    ERASURE_ALREADY_REQUESTED: 'Account erasure already requested',
+    PERMISSION_UNKNOWN: 'Unknown permissions: {{permissions}}',
+    ROLE_MANAGEMENT_PERMISSION_REQUIRED: 'The admin role cannot lose the {{permission}} permission',
+    ROLE_NOT_FOUND: 'Role not found',
+    INVITATION_INVALID: 'Invalid or expired invitation',
+    INVITATION_NOT_FOUND: 'Invitation not found',
+    INVITATION_ALREADY_PENDING: 'A pending invitation already exists for this email',
+    IMPORT_FILE_EMPTY: 'The file does not contain any user',
+    IMPORT_TOO_MANY_ROWS: 'The file exceeds the limit of {{maxRows}} users',
+    IMPORT_JOB_NOT_FOUND: 'Import job not found',
+    FILTER_PRESET_NOT_FOUND: 'Filter preset not found',
+    WEBHOOK_NOT_FOUND: 'Webhook subscription not found',
+    WEBHOOK_TARGET_FORBIDDEN: 'Webhook URL must not point to a private, loopback or link-local address',
+    WEBHOOK_DELIVERY_NOT_FOUND: 'Webhook delivery not found',
+    WEBHOOK_DELIVERY_PENDING: 'Webhook delivery is already pending',
+  },
+
+  // Mensajes de Joi por tipo de error (los details de VALIDATION_FAILED)
+  joi: {
+    'alternatives.match': '{{#label}} does not match any of the allowed types',
+    'alternatives.types': '{{#label}} must be one of {{#types}}',
+    'any.invalid': '{{#label}} contains an invalid value',
+    'any.only': '{{#label}} must be one of {{#valids}}',
+    'any.required': '{{#label}} is required',
+    'any.unknown': '{{#label}} is not allowed',
+    'array.base': '{{#label}} must be an array',
+    'array.includes': '{{#label}} does not match any of the allowed types',
+    'array.max': '{{#label}} must contain less than or equal to {{#limit}} items',
+    'array.min': '{{#label}} must contain at least {{#limit}} items',
+    'array.unique': '{{#label}} contains a duplicate value',
+    'boolean.base': '{{#label}} must be a boolean',
+    'date.base': '{{#label}} must be a valid date',
+    'date.format': '{{#label}} must be in ISO 8601 date format',
+    'date.greater': '{{#label}} must be greater than {{:#limit}}',
+    'date.max': '{{#label}} must be less than or equal to {{:#limit}}',
+    'date.min': '{{#label}} must be greater than or equal to {{:#limit}}',
+    'number.base': '{{#label}} must be a number',
+    'number.greater': '{{#label}} must be greater than {{#limit}}',
+    'number.integer': '{{#label}} must be an integer',
+    'number.max': '{{#label}} must be less than or equal to {{#limit}}',
+    'number.min': '{{#label}} must be greater than or equal to {{#limit}}',
+    'object.base': '{{#label}} must be of type object',
+    'object.min': '{{#label}} must have at least {{#limit}} keys',
+    'object.missing': '{{#label}} must contain at least one of {{#peersWithLabels}}',
+    'object.unknown': '{{#label}} is not allowed',
+    'object.xor': '{{#label}} contains a conflict between exclusive peers {{#peersWithLabels}}',
+    'string.alphanum': '{{#label}} must only contain alpha-numeric characters',
+    'string.base': '{{#label}} must be a string',
+    'string.email': '{{#label}} must be a valid email',
+    'string.empty': '{{#label}} is not allowed to be empty',
+    'string.hex': '{{#label}} must only contain hexadecimal characters',
+    'string.ip': '{{#label}} must be a valid ip address with a {{#cidr}} CIDR',
+    'string.ipVersion': '{{#label}} must be a valid ip address of one of the following versions {{#version}} with a {{#cidr}} CIDR',
+    'string.isoDate': '{{#label}} must be in ISO 8601 date format',
+    'string.length': '{{#label}} length must be {{#limit}} characters long',
+    'string.max': '{{#label}} length must be less than or equal to {{#limit}} characters long',
+    'string.min': '{{#label}} length must be at least {{#limit}} characters long',
+    'string.pattern.base': '{{#label}} fails to match the required pattern: {{#regex}}',
+    'string.uri': '{{#label}} must be a valid uri',
+  },
+
+  // Mensajes propios de los schemas de schemas/userSchemas
+  validation: {
+    roleOnRegistration: '{{#label}} cannot be set on registration; roles are granted through invitations',
+    fieldsNotAllowed: '{{#label}} can only contain: {{fields}}',
+  },
+
+  // Mensajes de las respuestas correctas
+  messages: {
+    emailVerified: 'Email verified successfully',
+    verificationEmailSent: 'If the account exists and is not verified, a verification email has been sent',
+    passwordResetEmailSent: 'If the account exists, a password reset email has been sent',
+    passwordReset: 'Password reset successfully',
+    reactivationEmailSent: 'If the account can be reactivated, a reactivation email has been sent',
+    accountReactivated: 'Account reactivated. Log in to continue',
+    mfaDisabled: 'MFA disabled successfully',
+    accountDeactivated: 'Account deactivated successfully',
+    erasureScheduled: 'Account erasure scheduled. You can cancel it until the scheduled date',
+    erasureCancelled: 'Account erasure cancelled',
+    passwordChanged: 'Password changed successfully',
+    loggedOut: 'Logged out successfully',
+    loggedOutEverywhere: 'Logged out from all sessions successfully',
+    sessionRevoked: 'Session revoked successfully',
+    allSessionsRevoked: 'All sessions revoked successfully',
+    rolePermissionsUpdated: 'Role permissions updated successfully',
+    userImportQueued: 'User import queued',
+    invitationRevoked: 'Invitation revoked successfully',
+    filterPresetDeleted: 'Filter preset deleted successfully',
+    userUnlocked: 'User unlocked successfully',
+    passwordResetForced: 'Password reset email sent. The user must reset the password to log in',
+    userDeleted: 'User deleted permanently',
+    webhookUpdated: 'Webhook subscription updated successfully',
+    webhookDeleted: 'Webhook subscription deleted successfully',
+    webhookDeliveryQueued: 'Webhook delivery queued',
+  },
+
+  // Nombres de los roles de config/permissions en los emails
+  roles: {
+    student: 'student',
+    instructor: 'instructor',
+    admin: 'admin',
+  },
+
+  // Emails de services/mailService: asunto y líneas del cuerpo
+  emails: {
+    anAdministrator: 'An administrator',
+    verification: {
+      subject: 'Verify your email address',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        'Please confirm your email address by opening the following link:',
+        '{{link}}',
+        '',
+        'This link expires in {{hours}} hours.',
+      ],
+    },
+    passwordReset: {
+      subject: 'Reset your password',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        'We received a request to reset your password. Open the following link to choose a new one:',
+        '{{link}}',
+        '',
+        'This link expires in {{minutes}} minutes and can only be used once.',
+        'If you did not request a password reset, you can ignore this email.',
+      ],
+    },
+    invitation: {
+      subject: 'You have been invited to the Learning Platform',
+      body: [
+        'Hi,',
+        '',
+        '{{invitedBy}} invited you to join the Learning Platform as {{role}}.',
+        'Open the following link to create your account:',
+        '{{link}}',
+        '',
+        'This invitation expires in {{hours}} hours and can only be used once.',
+      ],
+    },
+    accountSetup: {
+      subject: 'Your Learning Platform account is ready',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        '{{invitedBy}} created a Learning Platform account for you as {{role}}.',
+        'Open the following link to choose your password and sign in:',
+        '{{link}}',
+        '',
+        'This link expires in {{hours}} hours and can only be used once.',
+        'If it expires, use "Forgot password" on the sign-in page to get a new one.',
+      ],
+    },
+    erasureScheduled: {
+      subject: 'Your account is scheduled for deletion',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        'We received your request to delete your account. Your personal data will be erased on {{date}}.',
+        'Until then you can log in and cancel the request from your account settings.',
+        '',
+        'If you did not request this, log in and cancel it, then change your password.',
+      ],
+    },
+    reactivation: {
+      subject: 'Reactivate your account',
+      body: [
+        'Hi {{firstName}},',
+        '',
+        'Open the following link to reactivate your account:',
+        '{{link}}',
+        '',
+        'This link expires in {{hours}} hours.',
+        'If you do not reactivate it, your account will be permanently removed on {{date}}.',
+      ],
+    },
+  },
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Español - Catálogo de mensajes en español
+ * @description Mismas claves y parámetros que locales/en.
+ */
+
+module.exports = {
+  errors: {
+    VALIDATION_FAILED: 'Error de validación',
+    MALFORMED_REQUEST_BODY: 'El cuerpo de la petición no es un JSON válido',
+    INVALID_CURSOR: 'Cursor no válido',
+    RESOURCE_NOT_FOUND: 'Recurso no encontrado',
+    ROUTE_NOT_FOUND: 'Ruta no encontrada',
+    RESOURCE_CONFLICT: '{{field}} ya existe',
+    API_VERSION_RETIRED: 'La API {{version}} se retiró el {{sunsetAt}}; usa {{successor}}',
+    PAYLOAD_TOO_LARGE: 'El cuerpo de la petición supera el límite de {{limit}} bytes',
+    UNSUPPORTED_MEDIA_TYPE: 'Envía el cuerpo de la petición como {{accepted}}',
+    RATE_LIMITED: 'Demasiadas peticiones desde esta IP; inténtalo de nuevo más tarde',
+    INTERNAL_ERROR: 'Error interno del servidor',
+    RESPONSE_SCHEMA_MISMATCH: 'La respuesta no cumple su schema',
+    AUTH_TOKEN_MISSING: 'No se ha enviado ningún token',
+    AUTH_TOKEN_INVALID: 'Token de acceso no válido',
+    AUTH_SESSION_REVOKED: 'La sesión fue revocada',
+    AUTH_TOKEN_EXPIRED: 'El token de acceso ha caducado',
+    AUTH_REQUIRED: 'Es necesario iniciar sesión',
+    AUTH_INVALID_CREDENTIALS: 'Email o contraseña incorrectos',
+    AUTH_REFRESH_TOKEN_INVALID: 'Refresh token no válido o caducado',
+    AUTH_REFRESH_TOKEN_REUSED: 'Se ha detectado la reutilización de un refresh token',
+    AUTH_MFA_TOKEN_INVALID: 'Token MFA no válido o caducado',
+    AUTH_PASSWORD_INCORRECT: 'La contraseña actual no es correcta',
+    AUTH_PASSWORD_RESET_REQUIRED: 'Debes restablecer tu contraseña. Revisa tu email',
+    AUTH_EMAIL_NOT_VERIFIED: 'La dirección de email no está verificada',
+    AUTH_LOGIN_LOCKED: 'Demasiados intentos de inicio de sesión fallidos; inténtalo de nuevo más tarde',
+    PERMISSION_DENIED: 'No tienes permisos suficientes',
+    USER_NOT_FOUND: 'Usuario no encontrado',
+    USER_EMAIL_TAKEN: 'El email ya está registrado',
+    USER_USERNAME_TAKEN: 'El nombre de usuario ya está en uso',
+    USER_LAST_ADMIN: 'No se puede quitar al último administrador activo',
+    ACCOUNT_DEACTIVATED: 'La cuenta está desactivada',
+    CONFIRMATION_EMAIL_MISMATCH: 'El email de confirmación no coincide con el de la cuenta',
+    SESSION_NOT_FOUND: 'Sesión no encontrada',
+    VERIFICATION_TOKEN_INVALID: 'Token de verificación no válido o caducado',
+    PASSWORD_RESET_TOKEN_INVALID: 'Token de restablecimiento de contraseña no válido o caducado',
+    REACTIVATION_TOKEN_INVALID: 'Token de reactivación no válido o caducado',
+    MFA_CODE_INVALID: 'Código MFA no válido',
+    MFA_REQUIRED: 'El MFA es obligatorio para el rol {{role}}',
+    MFA_NOT_ENABLED: 'El MFA no está activado',
+    MFA_ENROLLMENT_NOT_FOUND: 'No hay ningún alta de MFA pendiente',
+    MFA_ALREADY_ENABLED: 'El MFA ya está activado',
+    OAUTH_AUTHORIZATION_FAILED: 'Falló la autorización OAuth: {{error}}',
+    OAUTH_STATE_INVALID: 'State de OAuth no válido o caducado',
+    OAUTH_EMAIL_MISSING: 'El proveedor OAuth no ha devuelto ninguna dirección de email',
+    OAUTH_LAST_SIGN_IN_METHOD: 'No se puede desvincular el único método de inicio de sesión. Crea antes una contraseña',
+    OAUTH_PROVIDER_NOT_SUPPORTED: 'Proveedor OAuth no soportado',
+    OAUTH_PROVIDER_NOT_LINKED: 'El proveedor OAuth no está vinculado',
+    OAUTH_EMAIL_TAKEN: 'Ya existe una cuenta con este email. Inicia sesión y vincula el proveedor desde tu perfil',
+    OAUTH_ACCOUNT_LINKED_ELSEWHERE: 'Esta cuenta del proveedor ya está vinculada a otro usuario',
+    OAUTH_PROVIDER_ERROR: 'Falló la petición al proveedor OAuth',
+    ERASURE_NOT_REQUESTED: 'No hay ninguna solicitud de borrado pendiente',
+    ERASURE_ALREADY_REQUESTED: 'Ya se ha solicitado el borrado de la cuenta',
+    PERMISSION_UNKNOWN: 'Permisos desconocidos: {{permissions}}',
+    ROLE_MANAGEMENT_PERMISSION_REQUIRED: 'El rol admin no puede perder el permiso {{permission}}',
+    ROLE_NOT_FOUND: 'Rol no encontrado',
+    INVITATION_INVALID: 'Invitación no válida o caducada',
+    INVITATION_NOT_FOUND: 'Invitación no encontrada',
+    INVITATION_ALREADY_PENDING: 'Ya existe una invitación pendiente para este email',
+    IMPORT_FILE_EMPTY: 'El archivo no contiene ningún usuario',
+    IMPORT_TOO_MANY_ROWS: 'El archivo supera el límite de {{maxRows}} usuarios',
+    IMPORT_JOB_NOT_FOUND: 'Importación no encontrada',
+    FILTER_PRESET_NOT_FOUND: 'Filtro guardado no encontrado',
+    WEBHOOK_NOT_FOUND: 'Suscripción de webhook no encontrada',
+    WEBHOOK_TARGET_FORBIDDEN: 'La URL del webhook no puede apuntar a una dirección privada, de loopback o link-local',
+    WEBHOOK_DELIVERY_NOT_FOUND: 'Entrega de webhook no encontrada',
+    WEBHOOK_DELIVERY_PENDING: 'La entrega del webhook ya está pendiente',
+  },
+
+  joi: {
+    'alternatives.match': '{{#label}} no coincide con ninguno de los tipos permitidos',
+    'alternatives.types': '{{#label}} debe ser uno de {{#types}}',
+    'any.invalid': '{{#label}} contiene un valor no válido',
+    'any.only': '{{#label}} debe ser uno de {{#valids}}',
+    'any.required': '{{#label}} es obligatorio',
+    'any.unknown': '{{#label}} no está permitido',
+    'array.base': '{{#label}} debe ser un array',
+    'array.includes': '{{#label}} no coincide con ninguno de los tipos permitidos',
+    'array.max': '{{#label}} debe contener como máximo {{#limit}} elementos',
+    'array.min': '{{#label}} debe contener al menos {{#limit}} elementos',
+    'array.unique': '{{#label}} contiene un valor duplicado',
+    'boolean.base': '{{#label}} debe ser un booleano',
+    'date.base': '{{#label}} debe ser una fecha válida',
+    'date.format': '{{#label}} debe ser una fecha en formato ISO 8601',
+    'date.greater': '{{#label}} debe ser posterior a {{:#limit}}',
+    'date.max': '{{#label}} debe ser anterior o igual a {{:#limit}}',
+    'date.min': '{{#label}} debe ser posterior o igual a {{:#limit}}',
+    'number.base': '{{#label}} debe ser un número',
+    'number.greater': '{{#label}} debe ser mayor que {{#limit}}',
+    'number.integer': '{{#label}} debe ser un número entero',
+    'number.max': '{{#label}} debe ser menor o igual que {{#limit}}',
+    'number.min': '{{#label}} debe ser mayor o igual que {{#limit}}',
+    'object.base': '{{#label}} debe ser un objeto',
+    'object.min': '{{#label}} debe tener al menos {{#limit}} claves',
+    'object.missing': '{{#label}} debe contener al menos uno de {{#peersWithLabels}}',
+    'object.unknown': '{{#label}} no está permitido',
+    'object.xor': '{{#label}} contiene a la vez campos excluyentes {{#peersWithLabels}}',
+    'string.alphanum': '{{#label}} solo puede contener letras y números',
+    'string.base': '{{#label}} debe ser un texto',
+    'string.email': '{{#label}} debe ser un email válido',
+    'string.empty': '{{#label}} no puede estar vacío',
+    'string.hex': '{{#label}} solo puede contener caracteres hexadecimales',
+    'string.ip': '{{#label}} debe ser una dirección IP válida con CIDR {{#cidr}}',
+    'string.ipVersion': '{{#label}} debe ser una dirección IP válida de una de las versiones {{#version}} con CIDR {{#cidr}}',
+    'string.isoDate': '{{#label}} debe ser una fecha en formato ISO 8601',
+    'string.length': '{{#label}} debe tener {{#limit}} caracteres',
+    'string.max': '{{#label}} debe tener como máximo {{#limit}} caracteres',
+    'string.min': '{{#label}} debe tener al menos {{#limit}} caracteres',
+    'string.pattern.base': '{{#label}} no cumple el formato requerido: {{#regex}}',
+    'string.uri': '{{#label}} debe ser una URI válida',
+  },
+
+  validation: {
+    roleOnRegistration: '{{#label}} no se puede indicar en el registro; los roles se otorgan mediante invitaciones',
+    fieldsNotAllowed: '{{#label}} solo puede contener: {{fields}}',
+  },
+
+  messages: {
+    emailVerified: 'Email verificado correctamente',
+    verificationEmailSent: 'Si la cuenta existe y no está verificada, se ha enviado un email de verificación',
+    passwordResetEmailSent: 'Si la cuenta existe, se ha enviado un email para restablecer la contraseña',
+    passwordReset: 'Contraseña restablecida correctamente',
+    reactivationEmailSent: 'Si la cuenta se puede reactivar, se ha enviado un email de reactivación',
+    accountReactivated: 'Cuenta reactivada. Inicia sesión para continuar',
+    mfaDisabled: 'MFA desactivado correctamente',
+    accountDeactivated: 'Cuenta desactivada correctamente',
+    erasureScheduled: 'Borrado de la cuenta programado. Puedes cancelarlo hasta la fecha prevista',
+    erasureCancelled: 'Borrado de la cuenta cancelado',
+    passwordChanged: 'Contraseña cambiada correctamente',
+    loggedOut: 'Sesión cerrada correctamente',
+    loggedOutEverywhere: 'Se han cerrado todas las sesiones correctamente',
+    sessionRevoked: 'Sesión revocada correctamente',
+    allSessionsRevoked: 'Todas las sesiones revocadas correctamente',
+    rolePermissionsUpdated: 'Permisos del rol actualizados correctamente',
+    userImportQueued: 'Importación de usuarios en cola',
+    invitationRevoked: 'Invitación revocada correctamente',
+    filterPresetDeleted: 'Filtro guardado eliminado correctamente',
+    userUnlocked: 'Usuario desbloqueado correctamente',
+    passwordResetForced: 'Email de restablecimiento enviado. El usuario debe restablecer la contraseña para iniciar sesión',
+    userDeleted: 'Usuario eliminado definitivamente',
+    webhookUpdated: 'Suscripción de webhook actualizada correctamente',
+    webhookDeleted: 'Suscripción de webhook eliminada correctamente',
+    webhookDeliveryQueued: 'Entrega de webhook en cola',
+  },
+
+  roles: {
+    student: 'estudiante',
+    instructor: 'instructor',
+    admin: 'administrador',
+  },
+
+  emails: {
+    anAdministrator: 'Un administrador',
+    verification: {
+      subject: 'Verifica tu dirección de email',
+      body: [
+        'Hola, {{firstName}}:',
+        '',
+        'Confirma tu dirección de email abriendo el siguiente enlace:',
+        '{{link}}',
+        '',
+        'Este enlace caduca en {{hours}} horas.',
+      ],
+    },
+    passwordReset: {
+      subject: 'Restablece tu contraseña',
+      body: [
+        'Hola, {{firstName}}:',
+        '',
+        'Hemos recibido una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva:',
+        '{{link}}',
+        '',
+        'Este enlace caduca en {{minutes}} minutos y solo se puede usar una vez.',
+        'Si no has solicitado restablecer la contraseña, puedes ignorar este email.',
+      ],
+    },
+    invitation: {
+      subject: 'Te han invitado a la Learning Platform',
+      body: [
+        'Hola:',
+        '',
+        '{{invitedBy}} te ha invitado a unirte a la Learning Platform como {{role}}.',
+        'Abre el siguiente enlace para crear tu cuenta:',
+        '{{link}}',
+        '',
+        'Esta invitación caduca en {{hours}} horas y solo se puede usar una vez.',
+      ],
+    },
+    accountSetup: {
+      subject: 'Tu cuenta de la Learning Platform está lista',
+      body: [
+        'Hola, {{firstName}}:',
+        '',
+        '{{invitedBy}} ha creado una cuenta de la Learning Platform para ti como {{role}}.',
+        'Abre el siguiente enlace para elegir tu contraseña e iniciar sesión:',
+        '{{link}}',
+        '',
+        'Este enlace caduca en {{hours}} horas y solo se puede usar una vez.',
+        'Si caduca, usa "¿Olvidaste tu contraseña?" en la página de inicio de sesión para recibir otro.',
+      ],
+    },
+    erasureScheduled: {
+      subject: 'El borrado de tu cuenta está programado',
+      body: [
+        'Hola, {{firstName}}:',
+        '',
+        'Hemos recibido tu solicitud para eliminar tu cuenta. Tus datos personales se borrarán el {{date}}.',
+        'Hasta entonces puedes iniciar sesión y cancelar la solicitud desde los ajustes de tu cuenta.',
+        '',
+        'Si no lo has solicitado tú, inicia sesión, cancélala y cambia tu contraseña.',
+      ],
+    },
+    reactivation: {
+      subject: 'Reactiva tu cuenta',
+      body: [
+        'Hola, {{firstName}}:',
+        '',
+        'Abre el siguiente enlace para reactivar tu cuenta:',
+        '{{link}}',
+        '',
+        'Este enlace caduca en {{hours}} horas.',
+        'Si no la reactivas, tu cuenta se eliminará definitivamente el {{date}}.',
+      ],
+    },
+  },
+};
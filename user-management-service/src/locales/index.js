@@ -0,0 +1,11 @@
+/**
+ * @fileoverview Locales - Catálogos de mensajes por idioma
+ * @description Un archivo por idioma con las mismas claves. Para añadir un idioma basta con
+ * un catálogo nuevo aquí: pasa a ser un valor válido de DEFAULT_LOCALE y de Accept-Language.
+ */
+
+module.exports = {
+  en: require('./en'),
+  es: require('./es'),
+  pt: require('./pt'),
+};
@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Português - Catálogo de mensajes en portugués
+ * @description Mismas claves y parámetros que locales/en.
+ */
+
+module.exports = {
+  errors: {
+    VALIDATION_FAILED: 'Erro de validação',
+    MALFORMED_REQUEST_BODY: 'O corpo da requisição não é um JSON válido',
+    INVALID_CURSOR: 'Cursor inválido',
+    RESOURCE_NOT_FOUND: 'Recurso não encontrado',
+    ROUTE_NOT_FOUND: 'Rota não encontrada',
+    RESOURCE_CONFLICT: '{{field}} já existe',
+    API_VERSION_RETIRED: 'A API {{version}} foi desativada em {{sunsetAt}}; use {{successor}}',
+    PAYLOAD_TOO_LARGE: 'O corpo da requisição excede o limite de {{limit}} bytes',
+    UNSUPPORTED_MEDIA_TYPE: 'Envie o corpo da requisição como {{accepted}}',
+    RATE_LIMITED: 'Muitas requisições a partir deste IP; tente novamente mais tarde',
+    INTERNAL_ERROR: 'Erro interno do servidor',
+    RESPONSE_SCHEMA_MISMATCH: 'A resposta não corresponde ao seu schema',
+    AUTH_TOKEN_MISSING: 'Nenhum token foi enviado',
+    AUTH_TOKEN_INVALID: 'Token de acesso inválido',
+    AUTH_SESSION_REVOKED: 'A sessão foi revogada',
+    AUTH_TOKEN_EXPIRED: 'O token de acesso expirou',
+    AUTH_REQUIRED: 'É necessário iniciar sessão',
+    AUTH_INVALID_CREDENTIALS: 'Email ou senha incorretos',
+    AUTH_REFRESH_TOKEN_INVALID: 'Refresh token inválido ou expirado',
+    AUTH_REFRESH_TOKEN_REUSED: 'Foi detectada a reutilização de um refresh token',
+    AUTH_MFA_TOKEN_INVALID: 'Token MFA inválido ou expirado',
+    AUTH_PASSWORD_INCORRECT: 'A senha atual está incorreta',
+    AUTH_PASSWORD_RESET_REQUIRED: 'Você precisa redefinir sua senha. Verifique seu email',
+    AUTH_EMAIL_NOT_VERIFIED: 'O endereço de email não foi verificado',
+    AUTH_LOGIN_LOCKED: 'Muitas tentativas de login malsucedidas; tente novamente mais tarde',
+    PERMISSION_DENIED: 'Você não tem permissões suficientes',
+    USER_NOT_FOUND: 'Usuário não encontrado',
+    USER_EMAIL_TAKEN: 'O email já está cadastrado',
+    USER_USERNAME_TAKEN: 'O nome de usuário já está em uso',
+    USER_LAST_ADMIN: 'Não é possível remover o último administrador ativo',
+    ACCOUNT_DEACTIVATED: 'A conta está desativada',
+    CONFIRMATION_EMAIL_MISMATCH: 'O email de confirmação não corresponde ao da conta',
+    SESSION_NOT_FOUND: 'Sessão não encontrada',
+    VERIFICATION_TOKEN_INVALID: 'Token de verificação inválido ou expirado',
+    PASSWORD_RESET_TOKEN_INVALID: 'Token de redefinição de senha inválido ou expirado',
+    REACTIVATION_TOKEN_INVALID: 'Token de reativação inválido ou expirado',
+    MFA_CODE_INVALID: 'Código MFA inválido',
+    MFA_REQUIRED: 'O MFA é obrigatório para o papel {{role}}',
+    MFA_NOT_ENABLED: 'O MFA não está ativado',
+    MFA_ENROLLMENT_NOT_FOUND: 'Não há nenhuma ativação de MFA pendente',
+    MFA_ALREADY_ENABLED: 'O MFA já está ativado',
+    OAUTH_AUTHORIZATION_FAILED: 'A autorização OAuth falhou: {{error}}',
+    OAUTH_STATE_INVALID: 'State de OAuth inválido ou expirado',
+    OAUTH_EMAIL_MISSING: 'O provedor OAuth não retornou nenhum endereço de email',
+    OAUTH_LAST_SIGN_IN_METHOD: 'Não é possível desvincular o único método de login. Crie uma senha primeiro',
+    OAUTH_PROVIDER_NOT_SUPPORTED: 'Provedor OAuth não suportado',
+    OAUTH_PROVIDER_NOT_LINKED: 'O provedor OAuth não está vinculado',
+    OAUTH_EMAIL_TAKEN: 'Já existe uma conta com este email. Faça login e vincule o provedor a partir do seu perfil',
+    OAUTH_ACCOUNT_LINKED_ELSEWHERE: 'Esta conta do provedor já está vinculada a outro usuário',
+    OAUTH_PROVIDER_ERROR: 'A requisição ao provedor OAuth falhou',
+    ERASURE_NOT_REQUESTED: 'Não há nenhuma solicitação de exclusão pendente',
+    ERASURE_ALREADY_REQUESTED: 'A exclusão da conta já foi solicitada',
+    PERMISSION_UNKNOWN: 'Permissões desconhecidas: {{permissions}}',
+    ROLE_MANAGEMENT_PERMISSION_REQUIRED: 'O papel admin não pode perder a permissão {{permission}}',
+    ROLE_NOT_FOUND: 'Papel não encontrado',
+    INVITATION_INVALID: 'Convite inválido ou expirado',
+    INVITATION_NOT_FOUND: 'Convite não encontrado',
+    INVITATION_ALREADY_PENDING: 'Já existe um convite pendente para este email',
+    IMPORT_FILE_EMPTY: 'O arquivo não contém nenhum usuário',
+    IMPORT_TOO_MANY_ROWS: 'O arquivo excede o limite de {{maxRows}} usuários',
+    IMPORT_JOB_NOT_FOUND: 'Importação não encontrada',
+    FILTER_PRESET_NOT_FOUND: 'Filtro salvo não encontrado',
+    WEBHOOK_NOT_FOUND: 'Assinatura de webhook não encontrada',
+    WEBHOOK_TARGET_FORBIDDEN: 'A URL do webhook não pode apontar para um endereço privado, de loopback ou link-local',
+    WEBHOOK_DELIVERY_NOT_FOUND: 'Entrega de webhook não encontrada',
+    WEBHOOK_DELIVERY_PENDING: 'A entrega do webhook já está pendente',
+  },
+
+  joi: {
+    'alternatives.match': '{{#label}} não corresponde a nenhum dos tipos permitidos',
+    'alternatives.types': '{{#label}} deve ser um de {{#types}}',
+    'any.invalid': '{{#label}} contém um valor inválido',
+    'any.only': '{{#label}} deve ser um de {{#valids}}',
+    'any.required': '{{#label}} é obrigatório',
+    'any.unknown': '{{#label}} não é permitido',
+    'array.base': '{{#label}} deve ser um array',
+    'array.includes': '{{#label}} não corresponde a nenhum dos tipos permitidos',
+    'array.max': '{{#label}} deve conter no máximo {{#limit}} itens',
+    'array.min': '{{#label}} deve conter pelo menos {{#limit}} itens',
+    'array.unique': '{{#label}} contém um valor duplicado',
+    'boolean.base': '{{#label}} deve ser um booleano',
+    'date.base': '{{#label}} deve ser uma data válida',
+    'date.format': '{{#label}} deve ser uma data no formato ISO 8601',
+    'date.greater': '{{#label}} deve ser posterior a {{:#limit}}',
+    'date.max': '{{#label}} deve ser anterior ou igual a {{:#limit}}',
+    'date.min': '{{#label}} deve ser posterior ou igual a {{:#limit}}',
+    'number.base': '{{#label}} deve ser um número',
+    'number.greater': '{{#label}} deve ser maior que {{#limit}}',
+    'number.integer': '{{#label}} deve ser um número inteiro',
+    'number.max': '{{#label}} deve ser menor ou igual a {{#limit}}',
+    'number.min': '{{#label}} deve ser maior ou igual a {{#limit}}',
+    'object.base': '{{#label}} deve ser um objeto',
+    'object.min': '{{#label}} deve ter pelo menos {{#limit}} chaves',
+    'object.missing': '{{#label}} deve conter pelo menos um de {{#peersWithLabels}}',
+    'object.unknown': '{{#label}} não é permitido',
+    'object.xor': '{{#label}} contém ao mesmo tempo campos exclusivos {{#peersWithLabels}}',
+    'string.alphanum': '{{#label}} deve conter apenas letras e números',
+    'string.base': '{{#label}} deve ser um texto',
+    'string.email': '{{#label}} deve ser um email válido',
+    'string.empty': '{{#label}} não pode estar vazio',
+    'string.hex': '{{#label}} deve conter apenas caracteres hexadecimais',
+    'string.ip': '{{#label}} deve ser um endereço IP válido com CIDR {{#cidr}}',
+    'string.ipVersion': '{{#label}} deve ser um endereço IP válido de uma das versões {{#version}} com CIDR {{#cidr}}',
+    'string.isoDate': '{{#label}} deve ser uma data no formato ISO 8601',
+    'string.length': '{{#label}} deve ter {{#limit}} caracteres',
+    'string.max': '{{#label}} deve ter no máximo {{#limit}} caracteres',
+    'string.min': '{{#label}} deve ter pelo menos {{#limit}} caracteres',
+    'string.pattern.base': '{{#label}} não corresponde ao formato exigido: {{#regex}}',
+    'string.uri': '{{#label}} deve ser uma URI válida',
+  },
+
+  validation: {
+    roleOnRegistration: '{{#label}} não pode ser definido no cadastro; os papéis são concedidos por convite',
+    fieldsNotAllowed: '{{#label}} só pode conter: {{fields}}',
+  },
+
+  messages: {
+    emailVerified: 'Email verificado com sucesso',
+    verificationEmailSent: 'Se a conta existir e não estiver verificada, um email de verificação foi enviado',
+    passwordResetEmailSent: 'Se a conta existir, um email de redefinição de senha foi enviado',
+    passwordReset: 'Senha redefinida com sucesso',
+    reactivationEmailSent: 'Se a conta puder ser reativada, um email de reativação foi enviado',
+    accountReactivated: 'Conta reativada. Faça login para continuar',
+    mfaDisabled: 'MFA desativado com sucesso',
+    accountDeactivated: 'Conta desativada com sucesso',
+    erasureScheduled: 'Exclusão da conta agendada. Você pode cancelá-la até a data prevista',
+    erasureCancelled: 'Exclusão da conta cancelada',
+    passwordChanged: 'Senha alterada com sucesso',
+    loggedOut: 'Sessão encerrada com sucesso',
+    loggedOutEverywhere: 'Todas as sessões foram encerradas com sucesso',
+    sessionRevoked: 'Sessão revogada com sucesso',
+    allSessionsRevoked: 'Todas as sessões foram revogadas com sucesso',
+    rolePermissionsUpdated: 'Permissões do papel atualizadas com sucesso',
+    userImportQueued: 'Importação de usuários na fila',
+    invitationRevoked: 'Convite revogado com sucesso',
+    filterPresetDeleted: 'Filtro salvo excluído com sucesso',
+    userUnlocked: 'Usuário desbloqueado com sucesso',
+    passwordResetForced: 'Email de redefinição enviado. O usuário precisa redefinir a senha para fazer login',
+    userDeleted: 'Usuário excluído permanentemente',
+    webhookUpdated: 'Assinatura de webhook atualizada com sucesso',
+    webhookDeleted: 'Assinatura de webhook excluída com sucesso',
+    webhookDeliveryQueued: 'Entrega de webhook na fila',
+  },
+
+  roles: {
+    student: 'estudante',
+    instructor: 'instrutor',
+    admin: 'administrador',
+  },
+
+  emails: {
+    anAdministrator: 'Um administrador',
+    verification: {
+      subject: 'Verifique seu endereço de email',
+      body: [
+        'Olá, {{firstName}},',
+        '',
+        'Confirme seu endereço de email abrindo o link a seguir:',
+        '{{link}}',
+        '',
+        'Este link expira em {{hours}} horas.',
+      ],
+    },
+    passwordReset: {
+      subject: 'Redefina sua senha',
+      body: [
+        'Olá, {{firstName}},',
+        '',
+        'Recebemos uma solicitação para redefinir sua senha. Abra o link a seguir para escolher uma nova:',
+        '{{link}}',
+        '',
+        'Este link expira em {{minutes}} minutos e só pode ser usado uma vez.',
+        'Se você não solicitou a redefinição de senha, pode ignorar este email.',
+      ],
+    },
+    invitation: {
+      subject: 'Você foi convidado para a Learning Platform',
+      body: [
+        'Olá,',
+        '',
+        '{{invitedBy}} convidou você para participar da Learning Platform como {{role}}.',
+        'Abra o link a seguir para criar sua conta:',
+        '{{link}}',
+        '',
+        'Este convite expira em {{hours}} horas e só pode ser usado uma vez.',
+      ],
+    },
+    accountSetup: {
+      subject: 'Sua conta da Learning Platform está pronta',
+      body: [
+        'Olá, {{firstName}},',
+        '',
+        '{{invitedBy}} criou uma conta da Learning Platform para você como {{role}}.',
+        'Abra o link a seguir para escolher sua senha e fazer login:',
+        '{{link}}',
+        '',
+        'Este link expira em {{hours}} horas e só pode ser usado uma vez.',
+        'Se ele expirar, use "Esqueci minha senha" na página de login para receber outro.',
+      ],
+    },
+    erasureScheduled: {
+      subject: 'A exclusão da sua conta está agendada',
+      body: [
+        'Olá, {{firstName}},',
+        '',
+        'Recebemos sua solicitação para excluir sua conta. Seus dados pessoais serão apagados em {{date}}.',
+        'Até lá, você pode fazer login e cancelar a solicitação nas configurações da sua conta.',
+        '',
+        'Se não foi você quem solicitou, faça login, cancele a solicitação e altere sua senha.',
+      ],
+    },
+    reactivation: {
+      subject: 'Reative sua conta',
+      body: [
+        'Olá, {{firstName}},',
+        '',
+        'Abra o link a seguir para reativar sua conta:',
+        '{{link}}',
+        '',
+        'Este link expira em {{hours}} horas.',
+        'Se você não reativá-la, sua conta será removida permanentemente em {{date}}.',
+      ],
+    },
+  },
+};
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview API Version Middleware - Versión de la API de cada petición
+ * @description Marca la petición con la versión del prefijo por el que entró (req.apiVersion)
+ * y, si esa versión está obsoleta, anuncia su retirada con las cabeceras Deprecation
+ * (RFC 9745), Sunset (RFC 8594) y Link rel="successor-version". Pasada la fecha de
+ * Sunset, la versión responde 410.
+ */
+
+const Joi = require('joi');
+const { AppError } = require('../utils/errorHandler');
+const { API_VERSIONS, CURRENT_API_VERSION, apiBasePath } = require('../config/apiVersions');
+
+/**
+ * @function getVersionedSchema
+ * @description Elige el schema de una versión de la API
+ * @param {Object} schema - Schema Joi, o mapa { v1: schema, v2: schema } con el contrato desde cada versión
+ * @param {string} [version] - Versión de la petición (por defecto, la actual)
+ * @returns {Object} Schema Joi de la versión: el de la última versión del mapa que no es posterior
+ *
+ * @example
+ * // register: { v1: legacy, v2: current } → v1 usa legacy; v2 y las siguientes, current
+ * getVersionedSchema(userSchemas.register, 'v1');
+ */
+const getVersionedSchema = (schema, version = CURRENT_API_VERSION) => {
+  if (Joi.isSchema(schema)) {
+    return schema;
+  }
+  const versions = Object.keys(API_VERSIONS);
+  const applicable = versions
+    .slice(0, versions.indexOf(version) + 1)
+    .filter((candidate) => schema[candidate]);
+  return schema[applicable[applicable.length - 1]];
+};
+
+/**
+ * @function apiVersion
+ * @description Middleware factory que fija la versión de la API de las rutas que monta
+ * @param {string} version - Versión del prefijo ('v1', 'v2'...)
+ * @param {Object} [options={}] - Opciones
+ * @param {boolean} [options.unversioned=false] - Prefijo sin versión (/api/users): anuncia la
+ * obsolescencia sin cabecera Sunset y nunca responde 410
+ * @returns {Function} Middleware de Express
+ *
+ * @example
+ * app.use('/api/v1/users', apiVersion('v1'), userRoutes);
+ *
+ * @throws {AppError} 410 - Si la versión ya pasó su fecha de Sunset
+ */
+const apiVersion = (version, { unversioned = false } = {}) => {
+  const { deprecatedAt, sunsetAt, successor } = API_VERSIONS[version];
+
+  return (req, res, next) => {
+    req.apiVersion = version;
+    res.set('API-Version', version);
+
+    if (deprecatedAt) {
+      // Deprecation es una fecha de Structured Fields (@segundos); Sunset, una fecha HTTP
+      res.set('Deprecation', `@${Math.floor(deprecatedAt.getTime() / 1000)}`);
+      res.set('Link', `<${apiBasePath(successor)}${req.path}>; rel="successor-version"`);
+      if (unversioned) {
+        return next();
+      }
+      res.set('Sunset', sunsetAt.toUTCString());
+
+      if (Date.now() >= sunsetAt.getTime()) {
+        const params = { version, sunsetAt: sunsetAt.toISOString(), successor: apiBasePath(successor) };
+        return next(new AppError(`API ${version} was retired on ${params.sunsetAt}; use ${params.successor}`, 410, 'API_VERSION_RETIRED', params));
+      }
+    }
+    next();
+  };
+};
+
+module.exports = {
+  getVersionedSchema,
+  apiVersion,
+};
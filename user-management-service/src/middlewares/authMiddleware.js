@@ -4,6 +4,7 @@
  */
 
 const userService = require('../services/userService');
+const permissionService = require('../services/permissionService');
 const { AppError } = require('../utils/errorHandler');
 
 /**
@@ -17,11 +18,12 @@ const { AppError } = require('../utils/errorHandler');
  * 
  * @description Este middleware:
  * 1. Extrae el token del header Authorization
- * 2. Verifica que el token sea válido usando JWT
- * 3. Decodifica el token y agrega la información del usuario a req.user
- * 4. Si el token es inválido o falta, retorna error 401
+ * 2. Verifica que el token sea válido usando JWT y que su sesión siga abierta
+ * 3. Decodifica el token y agrega la información del usuario a req.user (con el rol actual)
+ * 4. Si el token es inválido, falta o su sesión se cerró, retorna error 401
  * 
- * @throws {AppError} 401 - Si no se proporciona token o es inválido
+ * @throws {AppError} 401 - Si no se proporciona token, es inválido o su sesión se cerró
+ * @throws {AppError} 403 - Si la cuenta está desactivada
  * 
  * @example
  * // En las rutas:
@@ -35,7 +37,7 @@ const authenticate = async (req, res, next) => {
     // Verificar que el header Authorization exista y tenga el formato correcto
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       console.error('❌ [AUTH] Token no proporcionado');
-      throw new AppError('No token provided', 401);
+      throw new AppError('No token provided', 401, 'AUTH_TOKEN_MISSING');
     }
 
     // Extraer el token (remover el prefijo "Bearer ")
@@ -63,6 +65,33 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * @function authenticateMfaEnrollment
+ * @description Middleware para las rutas de alta de MFA. Acepta un access token normal o,
+ * si la política obliga al rol del usuario a usar MFA y aún no lo tiene activo, el mfaToken
+ * de alta emitido por el login (en el body), ya que ese usuario no puede obtener tokens de sesión.
+ * @param {Object} req - Objeto de petición Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar al siguiente middleware
+ *
+ * @description Con mfaToken, req.user queda como { id, mfaEnrollment: true }.
+ *
+ * @throws {AppError} 401 - Si no se proporciona ningún token o es inválido
+ */
+const authenticateMfaEnrollment = (req, res, next) => {
+  if (req.body && req.body.mfaToken) {
+    try {
+      const { id } = userService.verifyMfaEnrollmentToken(req.body.mfaToken);
+      req.user = { id, mfaEnrollment: true };
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  }
+
+  return authenticate(req, res, next);
+};
+
 /**
  * @function authorize
  * @description Middleware factory que verifica que el usuario tenga los roles necesarios
@@ -89,20 +118,63 @@ const authorize = (...roles) => {
   return (req, res, next) => {
     // Verificar que el usuario esté autenticado
     if (!req.user) {
-      return next(new AppError('Authentication required', 401));
+      return next(new AppError('Authentication required', 401, 'AUTH_REQUIRED'));
     }
 
     // Verificar que el rol del usuario esté en la lista de roles permitidos
     if (!roles.includes(req.user.role)) {
-      return next(new AppError('Insufficient permissions', 403));
+      return next(new AppError('Insufficient permissions', 403, 'PERMISSION_DENIED'));
     }
 
     next();
   };
 };
 
+/**
+ * @function authorizePermission
+ * @description Middleware factory que verifica que el rol del usuario tenga los permisos necesarios
+ * @param {...string} permissions - Permisos requeridos (todos), p. ej. 'users:read'
+ * @returns {Function} Middleware que verifica los permisos del usuario
+ *
+ * @description Los permisos se resuelven a partir del rol del usuario con la asignación
+ * vigente (ver PermissionService) y quedan disponibles en req.user.permissions.
+ * El middleware devuelto expone permissions para la especificación OpenAPI.
+ *
+ * @throws {AppError} 401 - Si no hay usuario autenticado
+ * @throws {AppError} 403 - Si al rol del usuario le falta alguno de los permisos
+ *
+ * @example
+ * router.get('/users', authenticate, authorizePermission('users:read'), userController.getAllUsers);
+ */
+const authorizePermission = (...permissions) => {
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.user) {
+        throw new AppError('Authentication required', 401, 'AUTH_REQUIRED');
+      }
+
+      req.user.permissions = await permissionService.getPermissionsForRole(req.user.role);
+
+      const missing = permissions.filter((permission) => !req.user.permissions.includes(permission));
+      if (missing.length > 0) {
+        console.error('❌ [AUTH] Permisos insuficientes:', { role: req.user.role, missing });
+        throw new AppError('Insufficient permissions', 403, 'PERMISSION_DENIED');
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  middleware.permissions = permissions;
+  return middleware;
+};
+
 module.exports = {
   authenticate,
+  authenticateMfaEnrollment,
   authorize,
+  authorizePermission,
 };
 
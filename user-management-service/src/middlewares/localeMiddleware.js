@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Locale Middleware - Idioma de los mensajes de cada petición
+ * @description Expone req.t para traducir los mensajes de las respuestas con los catálogos
+ * de src/locales. El idioma se resuelve al traducir (ver utils/i18n), así que después de
+ * authenticate ya usa la preferencia del usuario.
+ */
+
+const { translate, resolveLocale } = require('../utils/i18n');
+
+/**
+ * @function locale
+ * @description Middleware que establece req.t(key, params)
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Siguiente middleware
+ *
+ * @description La respuesta indica el idioma de sus mensajes en Content-Language y varía
+ * según Accept-Language (Vary), para que una caché no sirva un idioma a quien pidió otro.
+ *
+ * @example
+ * res.status(200).json({ success: true, message: req.t('messages.passwordChanged') });
+ */
+const locale = (req, res, next) => {
+  req.t = (key, params) => {
+    const resolved = resolveLocale(req);
+    res.set('Content-Language', resolved);
+    return translate(resolved, key, params);
+  };
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = locale;
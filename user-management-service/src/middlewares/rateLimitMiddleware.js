@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Rate Limit Middleware - Límites de peticiones para rutas sensibles
+ * @description Limitadores más estrictos que el global de /api/ para endpoints que
+ * envían emails (para que no puedan usarse para inundar buzones de terceros) y para
+ * los que verifican códigos de un solo uso.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * @function rateLimitHandler
+ * @description Handler de express-rate-limit: pasa el rechazo al errorHandler para que
+ * responda como cualquier otro error (429 RATE_LIMITED). Retry-After ya lo fija el limitador.
+ * @param {Object} req - Objeto de petición Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar al siguiente middleware
+ * @param {Object} options - Opciones del limitador (message, statusCode)
+ */
+const rateLimitHandler = (req, res, next, options) => {
+  next(new AppError(options.message, options.statusCode, 'RATE_LIMITED'));
+};
+
+/**
+ * @constant emailLimiter
+ * @description Limita los endpoints que disparan el envío de un email
+ * Configuración: máximo 5 peticiones por 15 minutos por IP
+ *
+ * @example
+ * router.post('/resend-verification', emailLimiter, validate(schema), controller.resend);
+ */
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5, // máximo 5 emails por ventana
+  message: 'Too many email requests from this IP, please try again later.',
+  handler: rateLimitHandler,
+});
+
+/**
+ * @constant mfaLimiter
+ * @description Limita los intentos de código MFA para dificultar la fuerza bruta
+ * de los 10^6 códigos TOTP posibles
+ * Configuración: máximo 10 peticiones por 15 minutos por IP
+ */
+const mfaLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // máximo 10 intentos por ventana
+  message: 'Too many MFA attempts from this IP, please try again later.',
+  handler: rateLimitHandler,
+});
+
+module.exports = {
+  rateLimitHandler,
+  emailLimiter,
+  mfaLimiter,
+};
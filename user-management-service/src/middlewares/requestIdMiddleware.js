@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Request ID Middleware - Identificador de cada petición
+ * @description Asigna a cada petición un ID que se devuelve en el header X-Request-Id
+ * y se guarda en los eventos de auditoría, para poder correlacionar un evento con los
+ * logs de la petición que lo generó.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Formato aceptado para un X-Request-Id recibido (p. ej. del API gateway)
+ */
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * @function requestId
+ * @description Middleware que establece req.id y el header X-Request-Id de la respuesta
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {Function} next - Siguiente middleware
+ *
+ * @description Reutiliza el X-Request-Id de la petición si tiene un formato válido;
+ * si no, genera un UUID v4.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Response Validation Middleware - Valida las respuestas contra su schema Joi
+ * @description Comprueba cada respuesta JSON 2xx contra el schema de su operación (ver
+ * schemas/responseSchemas). Se activa en desarrollo y en los tests (RESPONSE_VALIDATION):
+ * una respuesta que no cumple su contrato se convierte en un error 500 con los detalles,
+ * de modo que un campo que cambia o se escapa rompe los tests en lugar de llegar a los clientes.
+ */
+
+const Joi = require('joi');
+const responseSchemas = require('../schemas/responseSchemas');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+/**
+ * @function getResponseSchema
+ * @description Obtiene el schema de la respuesta de una operación
+ * @param {string} operationId - Nombre del método del controlador
+ * @param {number} statusCode - Código de estado de la respuesta
+ * @returns {Object|undefined} Schema Joi, o undefined si la operación no tiene schema para ese código
+ */
+const getResponseSchema = (operationId, statusCode) => {
+  const schema = responseSchemas[operationId];
+  if (!schema || Joi.isSchema(schema)) {
+    return schema;
+  }
+  return schema[statusCode];
+};
+
+/**
+ * @function validateResponses
+ * @description Middleware que envuelve res.json para validar el cuerpo antes de enviarlo
+ * @param {Object} req - Objeto de petición Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función para pasar al siguiente middleware
+ *
+ * @description La operación es el último handler de la ruta que atendió la petición
+ * (req.route), el mismo nombre que el operationId de la especificación OpenAPI. Las
+ * respuestas de error no se validan: las construye el errorHandler.
+ *
+ * @throws {AppError} 500 - Desde res.json, si el cuerpo no cumple el schema (el controlador
+ * lo pasa a next como cualquier otro error)
+ */
+const validateResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    const handlers = req.route ? req.route.stack : [];
+    const isSuccess = res.statusCode >= 200 && res.statusCode < 300;
+    const schema = isSuccess && handlers.length > 0
+      && getResponseSchema(handlers[handlers.length - 1].handle.name, res.statusCode);
+
+    if (schema) {
+      // Se valida lo que recibe el cliente: fechas como strings ISO e IDs como strings
+      const { error } = schema.validate(JSON.parse(JSON.stringify(body)), { abortEarly: false });
+      if (error) {
+        const details = error.details.reduce((acc, detail) => {
+          acc[detail.path.join('.')] = detail.message;
+          return acc;
+        }, {});
+        logger.error(`Response of ${req.method} ${req.originalUrl} does not match its schema: ${JSON.stringify(details)}`);
+        const responseError = new AppError('Response does not match its schema', 500, 'RESPONSE_SCHEMA_MISMATCH');
+        responseError.details = details;
+        throw responseError;
+      }
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = {
+  getResponseSchema,
+  validateResponses,
+};
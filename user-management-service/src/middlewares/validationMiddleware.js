@@ -1,37 +1,86 @@
 /**
  * @fileoverview Validation Middleware - Valida datos de entrada usando Joi
- * @description Middleware que valida los datos del cuerpo de la petición
- * contra un schema Joi antes de que lleguen al controlador.
+ * @description Middleware que valida los datos del cuerpo (o de la query string) de la
+ * petición contra un schema Joi antes de que lleguen al controlador.
  */
 
 const { AppError } = require('../utils/errorHandler');
+const { getVersionedSchema } = require('./apiVersionMiddleware');
+const { JOI_MESSAGES, resolveLocale } = require('../utils/i18n');
+const { API_VERSIONS } = require('../config/apiVersions');
+
+/**
+ * Campos que no se escriben en el log: contraseñas, tokens (refresh, reset, MFA) y códigos
+ */
+const SECRET_FIELDS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'token',
+  'refreshToken',
+  'mfaToken',
+  'code',
+  'mfaCode',
+  'recoveryCode',
+];
+
+/**
+ * @function redact
+ * @description Copia los datos de entrada para el log con los campos secretos ocultos
+ * @param {*} data - Body o query de la petición
+ * @returns {*} Copia con '[REDACTED]' en lugar de cada valor de SECRET_FIELDS
+ */
+const redact = (data) => {
+  if (Array.isArray(data)) {
+    return data.map(redact);
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  return Object.entries(data).reduce((acc, [key, value]) => {
+    acc[key] = SECRET_FIELDS.includes(key) ? '[REDACTED]' : redact(value);
+    return acc;
+  }, {});
+};
 
 /**
  * @function validate
  * @description Middleware factory que retorna un middleware de validación
- * @param {Object} schema - Schema Joi para validar los datos
- * @returns {Function} Middleware de Express que valida req.body contra el schema
+ * @param {Object} schema - Schema Joi para validar los datos, o mapa { v1, v2 } con el schema
+ * de cada versión de la API (ver getVersionedSchema)
+ * @param {string} [property='body'] - Parte de la petición a validar ('body' o 'query')
+ * @returns {Function} Middleware de Express que valida req[property] contra el schema
  * 
  * @example
  * // En las rutas:
  * router.post('/register', validate(userSchemas.register), userController.register);
+ * router.get('/audit-events', validate(userSchemas.auditEventQuery, 'query'), userController.listAuditEvents);
  * 
  * @description Este middleware:
- * 1. Valida req.body contra el schema proporcionado
- * 2. Si hay errores, retorna un error 400 con detalles de validación
+ * 1. Valida req[property] contra el schema proporcionado (el de la versión de la petición,
+ *    req.apiVersion, si es un mapa por versión)
+ * 2. Si hay errores, retorna un error 400 con detalles de validación (en el idioma de la petición;
+ *    en inglés en las versiones con legacyErrors)
  * 3. Si es válido, continúa al siguiente middleware
- * 4. Strip unknown: elimina campos no definidos en el schema
+ * 4. Strip unknown: elimina campos no definidos en el schema y reemplaza req[property]
+ *    por el valor validado (en la query, los valores ya convertidos: números, fechas...)
  * 5. Abort early: false permite validar todos los campos antes de retornar errores
+ *
+ * El middleware devuelto expone schema y property para que la especificación OpenAPI
+ * (ver utils/openapi) documente cada ruta con el mismo schema que la valida.
  */
-const validate = (schema) => {
-  return (req, res, next) => {
+const validate = (schema, property = 'body') => {
+  const middleware = (req, res, next) => {
     console.log('🔍 [VALIDATION] Validando datos de entrada...');
-    console.log('🔍 [VALIDATION] Body recibido:', JSON.stringify(req.body, null, 2));
+    console.log(`🔍 [VALIDATION] ${property} recibido:`, JSON.stringify(redact(req[property]), null, 2));
 
-    // Validar el cuerpo de la petición contra el schema
-    const { error } = schema.validate(req.body, {
+    // Validar la parte de la petición contra el schema de su versión de la API
+    const { error, value } = getVersionedSchema(schema, req.apiVersion).validate(req[property], {
       abortEarly: false, // Validar todos los campos antes de retornar errores
       stripUnknown: true, // Eliminar campos no definidos en el schema
+      messages: JOI_MESSAGES, // Mensajes de src/locales en el idioma de la petición
+      // Los errores con el formato anterior (legacyErrors) no se traducen
+      errors: { language: req.apiVersion && API_VERSIONS[req.apiVersion].legacyErrors ? 'en' : resolveLocale(req) },
     });
 
     // Si hay errores de validación
@@ -44,15 +93,22 @@ const validate = (schema) => {
       
       console.error('❌ [VALIDATION] Error de validación:', details);
       // Crear error de validación con código 400 y detalles
-      const validationError = new AppError('Validation failed', 400);
+      const validationError = new AppError('Validation failed', 400, 'VALIDATION_FAILED');
       validationError.details = details;
       return next(validationError);
     }
 
     console.log('✅ [VALIDATION] Validación exitosa');
+    // Reemplazar el body por el valor validado: sin campos desconocidos (p. ej. un "role"
+    // enviado a /profile) y con las conversiones del schema (lowercase, trim, defaults)
+    req[property] = value;
     // Si la validación es exitosa, continuar al siguiente middleware
     next();
   };
+
+  middleware.schema = schema;
+  middleware.property = property;
+  return middleware;
 };
 
 module.exports = validate;
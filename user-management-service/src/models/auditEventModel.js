@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Audit Event Model - Log de auditoría inmutable
+ * @description Cada documento registra una operación relevante para la seguridad:
+ * quién la hizo, sobre qué usuario, desde dónde y con qué resultado. Los eventos no se
+ * pueden modificar ni eliminar desde la aplicación; solo expiran por el índice TTL de la
+ * política de retención (AUDIT_RETENTION_DAYS). La única excepción es el borrado RGPD, que
+ * sustituye el email de metadata.email (AuditService.anonymizeEmail).
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/env');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+/**
+ * @schema auditEventSchema
+ * @description Esquema de Mongoose que define un evento de auditoría
+ *
+ * @property {String} action - Acción auditada (ver config/auditActions)
+ * @property {String} outcome - Resultado: 'success' o 'failure'
+ * @property {ObjectId} actor - Usuario que realizó la acción (null si es anónima, p. ej. un login fallido)
+ * @property {ObjectId} target - Usuario afectado por la acción
+ * @property {String} ip - IP del cliente
+ * @property {String} userAgent - Header User-Agent del cliente
+ * @property {String} requestId - ID de la petición (header X-Request-Id)
+ * @property {Object} metadata - Datos adicionales de la acción (motivo del fallo, rol nuevo, etc.)
+ * @property {Date} createdAt - Fecha del evento
+ */
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true,
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  requestId: {
+    type: String,
+    default: null,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+}, {
+  versionKey: false,
+});
+
+/**
+ * Índices para los filtros del endpoint de consulta (ordenado por _id descendente)
+ */
+auditEventSchema.index({ actor: 1, _id: -1 });
+auditEventSchema.index({ target: 1, _id: -1 });
+auditEventSchema.index({ action: 1, _id: -1 });
+
+/**
+ * Índice TTL: política de retención. Si se cambia AUDIT_RETENTION_DAYS en una base de
+ * datos existente hay que actualizar el índice con collMod (Mongoose no lo modifica).
+ */
+auditEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.audit.retentionDays * 86400 }
+);
+
+// ============================================================================
+// INMUTABILIDAD
+// ============================================================================
+
+/**
+ * @function rejectChange
+ * @description Hook que impide modificar o eliminar eventos desde la aplicación
+ * @param {Function} next - Callback de Mongoose
+ */
+function rejectChange(next) {
+  next(new Error('Audit events are immutable'));
+}
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+auditEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+auditEventSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: true, query: true }, rejectChange);
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Invitation Model - Invitaciones para registrarse con un rol concreto
+ * @description Los roles distintos de 'student' solo se otorgan mediante invitaciones:
+ * un administrador invita a un email con un rol y el invitado se registra con el
+ * enlace firmado que recibe por email. El documento guarda el estado de la invitación
+ * para poder listarla, revocarla y aceptarla una sola vez.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema invitationSchema
+ * @description Esquema de Mongoose que define una invitación
+ *
+ * @property {String} email - Email invitado (el registro usa este email)
+ * @property {String} role - Rol con el que se registrará el invitado
+ * @property {ObjectId} invitedBy - Administrador que creó la invitación
+ * @property {String} status - 'pending', 'accepted' o 'revoked'
+ * @property {Date} expiresAt - Fecha de expiración del enlace
+ * @property {Date} acceptedAt - Fecha de aceptación
+ * @property {ObjectId} acceptedUser - Usuario creado al aceptar
+ * @property {Date} revokedAt - Fecha de revocación
+ * @property {ObjectId} revokedBy - Administrador que la revocó
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ['student', 'instructor', 'admin'],
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Índice para buscar las invitaciones pendientes de un email
+ */
+invitationSchema.index({ email: 1, status: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview OAuth State Model - Autorizaciones OAuth en curso
+ * @description Guarda el parámetro state y el code_verifier PKCE de cada autorización
+ * iniciada contra un proveedor OAuth, para validarlos en el callback. Los documentos
+ * expiran automáticamente mediante un índice TTL.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema oauthStateSchema
+ * @description Esquema de Mongoose que define una autorización OAuth pendiente
+ *
+ * @property {String} stateHash - Hash SHA-256 del parámetro state (único)
+ * @property {String} provider - Proveedor: 'google', 'github'
+ * @property {String} codeVerifier - code_verifier PKCE asociado al code_challenge enviado
+ * @property {String} mode - 'login' (iniciar sesión o registrarse) o 'link' (vincular a una cuenta)
+ * @property {ObjectId} userId - Usuario que vincula el proveedor (solo en modo 'link')
+ * @property {Date} expiresAt - Fecha de expiración (el documento se elimina automáticamente)
+ */
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    enum: ['google', 'github'],
+    required: true,
+  },
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  mode: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login',
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+/**
+ * Índice TTL: MongoDB elimina el documento cuando se alcanza expiresAt
+ */
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model('OAuthState', oauthStateSchema);
+
+module.exports = OAuthState;
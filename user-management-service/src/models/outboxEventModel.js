@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Outbox Event Model - Eventos de dominio pendientes de publicar
+ * @description Cada evento se guarda en la misma operación que el cambio del usuario
+ * (transacción cuando MongoDB la soporta) y el relay lo publica después en todos los
+ * transportes configurados. La entrega es at-least-once: eventId es la clave de
+ * idempotencia con la que los consumidores descartan duplicados.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/env');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * @schema outboxEventSchema
+ * @description Esquema de Mongoose que define un evento del outbox
+ *
+ * @property {String} eventId - ID único del evento (UUID, clave de idempotencia)
+ * @property {String} type - Tipo de evento (ver config/eventTypes)
+ * @property {String} aggregateId - ID del usuario al que se refiere el evento
+ * @property {Object} data - Datos del evento
+ * @property {Object} metadata - Contexto de la petición que lo originó (requestId, actorId)
+ * @property {Date} occurredAt - Fecha del cambio
+ * @property {String} status - 'pending', 'published' o 'failed' (agotó los reintentos)
+ * @property {Array<String>} deliveredTo - Transportes que ya confirmaron la entrega
+ * @property {Number} attempts - Intentos de publicación fallidos
+ * @property {Date} nextAttemptAt - Fecha a partir de la que se puede volver a intentar
+ * @property {Date} lockedUntil - Fin de la reserva del relay que lo está publicando
+ * @property {String} lockedBy - Instancia del relay que lo reservó
+ * @property {String} lastError - Último error de publicación
+ * @property {Date} publishedAt - Fecha de publicación en todos los transportes
+ */
+const outboxEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    enum: Object.values(EVENT_TYPES),
+    required: true,
+  },
+  aggregateId: {
+    type: String,
+    required: true,
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'published', 'failed'],
+    default: 'pending',
+  },
+  deliveredTo: {
+    type: [String],
+    default: [],
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  versionKey: false,
+});
+
+/**
+ * Índice para que el relay encuentre los eventos pendientes en orden de llegada
+ */
+outboxEventSchema.index({ status: 1, nextAttemptAt: 1, _id: 1 });
+
+/**
+ * Índice TTL: los eventos publicados se eliminan tras EVENTS_RETENTION_DAYS
+ * (los pendientes y fallidos no tienen publishedAt y se conservan)
+ */
+outboxEventSchema.index(
+  { publishedAt: 1 },
+  { expireAfterSeconds: config.events.retentionDays * 86400 }
+);
+
+const OutboxEvent = mongoose.model('OutboxEvent', outboxEventSchema);
+
+module.exports = OutboxEvent;
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Role Permission Model - Permisos asignados a cada rol
+ * @description Guarda la asignación rol → permisos editada por los administradores.
+ * Un rol sin documento usa los permisos por defecto de config/permissions.
+ */
+
+const mongoose = require('mongoose');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+
+/**
+ * @schema rolePermissionSchema
+ * @description Esquema de Mongoose que define los permisos de un rol
+ *
+ * @property {String} role - Rol: 'student', 'instructor', 'admin' (único)
+ * @property {Array<String>} permissions - Claves de permisos del registro
+ * @property {Array<String>} registeredPermissions - Claves del registro cuando se guardó la
+ * asignación (los permisos por defecto añadidos después se suman a permissions)
+ * @property {ObjectId} updatedBy - Administrador que hizo el último cambio
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+      unique: true,
+    },
+    permissions: [{
+      type: String,
+      enum: Object.keys(PERMISSIONS),
+    }],
+    registeredPermissions: [String],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+
+module.exports = RolePermission;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview User Filter Preset Model - Filtros guardados del listado de usuarios
+ * @description Un administrador guarda una combinación de filtros, búsqueda y orden de
+ * GET /api/users/users con un nombre ("Sin verificar", "Inactivos 90 días"...) para que
+ * cualquier administrador la reutilice con preset=<id>.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema userFilterPresetSchema
+ * @description Esquema de Mongoose que define un filtro guardado
+ *
+ * @property {String} name - Nombre único del filtro
+ * @property {String} description - Descripción libre
+ * @property {Object} query - filter, role, search y/o sort, validados por el schema
+ * createFilterPreset (los campos se guardan por su nombre en la query, no por su ruta en
+ * el modelo, y las fechas relativas como '-90d' se calculan al aplicarlo)
+ * @property {ObjectId} createdBy - Administrador que creó el filtro
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const userFilterPresetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    query: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+const UserFilterPreset = mongoose.model('UserFilterPreset', userFilterPresetSchema);
+
+module.exports = UserFilterPreset;
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview User Import Job Model - Importaciones de usuarios en bloque
+ * @description Cada importación real (no dryRun) guarda sus filas ya validadas y el
+ * UserImportWorker las crea por lotes en segundo plano. El documento es a la vez la cola
+ * de trabajo y el informe por fila que consulta el administrador para ver el progreso.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * @schema importRowSchema
+ * @description Fila del archivo importado
+ *
+ * @property {Number} line - Línea del archivo (para localizar la fila en el informe)
+ * @property {String} email - Email de la fila (si se pudo leer)
+ * @property {Object} data - Datos validados (email, firstName, lastName, username)
+ * @property {ObjectId} userId - ID reservado para el usuario (hace idempotente la creación si el lote se reintenta)
+ * @property {String} status - 'pending', 'created', 'invalid', 'duplicate' o 'failed'
+ * @property {Array<String>} reasons - Motivos por los que la fila no se importó
+ */
+const importRowSchema = new mongoose.Schema(
+  {
+    line: { type: Number, required: true },
+    email: { type: String, default: null },
+    data: { type: mongoose.Schema.Types.Mixed, default: null },
+    userId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    status: {
+      type: String,
+      enum: ['pending', 'created', 'invalid', 'duplicate', 'failed'],
+      required: true,
+    },
+    reasons: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * @schema userImportJobSchema
+ * @description Esquema de Mongoose que define una importación de usuarios
+ *
+ * @property {String} format - 'csv' o 'ndjson'
+ * @property {String} role - Rol con el que se crean los usuarios
+ * @property {String} status - 'pending', 'running' o 'completed'
+ * @property {Array} rows - Filas del archivo con su estado (ver importRowSchema)
+ * @property {Object} counts - Filas por estado (total, pending, created, invalid, duplicate, failed)
+ * @property {Date} leaseExpiresAt - Fin de la reserva de la instancia que procesa la importación
+ * @property {ObjectId} createdBy - Administrador que lanzó la importación
+ * @property {Date} startedAt - Inicio del procesamiento
+ * @property {Date} completedAt - Fin del procesamiento
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const userImportJobSchema = new mongoose.Schema(
+  {
+    format: {
+      type: String,
+      enum: ['csv', 'ndjson'],
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['student', 'instructor', 'admin'],
+      default: 'student',
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed'],
+      default: 'pending',
+    },
+    rows: {
+      type: [importRowSchema],
+      default: [],
+    },
+    counts: {
+      total: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Índice para que el worker encuentre las importaciones sin terminar
+ */
+userImportJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+const UserImportJob = mongoose.model('UserImportJob', userImportJobSchema);
+
+module.exports = UserImportJob;
@@ -7,29 +7,44 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const config = require('../config/env');
+const { hashToken, generateRandomToken } = require('../utils/tokenUtils');
+const { SEARCH_FIELDS, buildSearchTokens } = require('../utils/searchUtils');
 
 /**
  * @schema userSchema
  * @description Esquema de Mongoose que define la estructura del documento User
  * 
  * @property {String} email - Email del usuario (único, requerido, indexado)
- * @property {String} password - Contraseña hasheada (requerida si no hay OAuth)
+ * @property {String} password - Contraseña hasheada (requerida si no hay OAuth ni un reseteo pendiente)
  * @property {String} firstName - Nombre del usuario (requerido)
  * @property {String} lastName - Apellido del usuario (requerido)
  * @property {String} username - Nombre de usuario único (opcional, indexado)
  * @property {String} role - Rol: 'student', 'instructor', 'admin' (default: 'student')
  * @property {String} avatar - URL del avatar (opcional)
  * @property {Boolean} isEmailVerified - Estado de verificación de email
- * @property {String} emailVerificationToken - Token para verificar email
- * @property {String} passwordResetToken - Token para reset de contraseña
+ * @property {String} emailVerificationToken - Hash del token para verificar email
+ * @property {Date} emailVerificationExpires - Expiración del token de verificación
+ * @property {Date} emailVerificationSentAt - Fecha del último envío del email de verificación
+ * @property {String} passwordResetToken - Hash del token para reset de contraseña
  * @property {Date} passwordResetExpires - Expiración del token de reset
+ * @property {Boolean} passwordResetRequired - Un admin exigió cambiar la contraseña (bloquea el login)
  * @property {String} oauthProvider - Proveedor OAuth: 'google', 'github', null
  * @property {String} oauthId - ID del usuario en el proveedor OAuth
+ * @property {Array} oauthAccounts - Proveedores OAuth vinculados (provider, providerId, email, linkedAt)
+ * @property {Object} mfa - Autenticación de dos factores (TOTP y códigos de recuperación)
  * @property {Object} preferences - Preferencias del usuario
  * @property {Object} learningProfile - Perfil de aprendizaje del usuario
  * @property {Boolean} isActive - Estado activo/inactivo de la cuenta
+ * @property {Date} deactivatedAt - Fecha en que se desactivó la cuenta (null si está activa)
+ * @property {String} deactivatedBy - Quién la desactivó: 'self' (el propio usuario) o 'admin'
+ * @property {Date} purgeScheduledAt - Fin del plazo de reactivación; después la cuenta se purga (solo 'self')
  * @property {Date} lastLogin - Última fecha de login
- * @property {Array} refreshTokens - Array de refresh tokens JWT
+ * @property {Array} refreshTokens - Sesiones activas: hash SHA-256 del refresh token y datos del dispositivo
+ * @property {Date} erasureRequestedAt - Fecha en que el usuario solicitó borrar sus datos (RGPD)
+ * @property {Date} erasureScheduledAt - Fecha a partir de la que se borrarán sus datos (null si no hay solicitud pendiente)
+ * @property {Date} erasureBlockedAt - Último intento de borrado rechazado por ser el último administrador activo
+ * @property {Date} anonymizedAt - Fecha en que se borraron sus datos personales
+ * @property {Array} searchTokens - Palabras normalizadas para la búsqueda (calculadas al guardar, ver utils/searchUtils)
  * @property {Date} createdAt - Fecha de creación (automático)
  * @property {Date} updatedAt - Fecha de última actualización (automático)
  */
@@ -51,8 +66,9 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: function () {
-        // Solo requerido si no hay proveedor OAuth
-        return !this.oauthProvider;
+        // No requerido con proveedor OAuth ni en las cuentas importadas, que eligen la
+        // contraseña con el enlace de reseteo (passwordResetRequired bloquea el login hasta entonces)
+        return !this.oauthProvider && !this.passwordResetRequired;
       },
       minlength: 8,
       select: false, // No incluir en queries por defecto (seguridad)
@@ -101,11 +117,23 @@ const userSchema = new mongoose.Schema(
     emailVerificationToken: {
       type: String,
       default: null,
+      index: true,
+    },
+    
+    emailVerificationExpires: {
+      type: Date,
+      default: null,
+    },
+    
+    emailVerificationSentAt: {
+      type: Date,
+      default: null,
     },
     
     passwordResetToken: {
       type: String,
       default: null,
+      index: true,
     },
     
     passwordResetExpires: {
@@ -113,6 +141,12 @@ const userSchema = new mongoose.Schema(
       default: null,
     },
     
+    // Activado por un admin al forzar el reseteo: el login se rechaza hasta completarlo
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    
     // ========================================================================
     // OAUTH (Autenticación externa)
     // ========================================================================
@@ -128,6 +162,64 @@ const userSchema = new mongoose.Schema(
       default: null,
     },
     
+    // Todos los proveedores vinculados a la cuenta. oauthProvider/oauthId apuntan al
+    // proveedor principal (con el que se creó la cuenta o el primero vinculado).
+    oauthAccounts: [{
+      _id: false,
+      provider: {
+        type: String,
+        enum: ['google', 'github'],
+        required: true,
+      },
+      providerId: {
+        type: String,
+        required: true,
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    
+    // ========================================================================
+    // AUTENTICACIÓN DE DOS FACTORES (TOTP)
+    // ========================================================================
+    
+    mfa: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+      // Secreto TOTP activo (base32)
+      secret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // Secreto generado en /mfa/setup que aún no se confirmó con un código
+      pendingSecret: {
+        type: String,
+        default: null,
+        select: false,
+      },
+      // Hashes SHA-256 de los códigos de recuperación que quedan sin usar
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Último paso TOTP aceptado: impide reutilizar un código dentro de su ventana
+      lastUsedStep: {
+        type: Number,
+        default: null,
+        select: false,
+      },
+    },
+    
     // ========================================================================
     // PREFERENCIAS DEL USUARIO
     // ========================================================================
@@ -176,18 +268,82 @@ const userSchema = new mongoose.Schema(
       default: true,
     },
     
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    // Solo el propio usuario puede reactivar (y solo se purgan) las cuentas que desactivó él
+    deactivatedBy: {
+      type: String,
+      enum: ['self', 'admin', null],
+      default: null,
+    },
+    
+    purgeScheduledAt: {
+      type: Date,
+      default: null,
+    },
+    
     lastLogin: {
       type: Date,
       default: null,
     },
     
+    // Cada entrada representa una sesión (un dispositivo). El _id de la entrada es
+    // el identificador de sesión (claim "sid" de los tokens) y se conserva al rotar.
     refreshTokens: [{
-      token: String,
+      // Hash SHA-256 del refresh token vigente (nunca se guarda el token en texto plano)
+      tokenHash: String,
+      device: String,
+      userAgent: String,
+      ip: String,
       createdAt: {
         type: Date,
         default: Date.now,
       },
+      lastUsedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      expiresAt: Date,
     }],
+    
+    // ========================================================================
+    // PRIVACIDAD (RGPD)
+    // ========================================================================
+    
+    erasureRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    erasureScheduledAt: {
+      type: Date,
+      default: null,
+    },
+    
+    // El borrado se pospone mientras sea el último administrador activo (ver ErasureWorker)
+    erasureBlockedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    // Los datos personales se borraron: el documento se conserva solo por su _id
+    anonymizedAt: {
+      type: Date,
+      default: null,
+    },
+    
+    // ========================================================================
+    // BÚSQUEDA
+    // ========================================================================
+    
+    // Email, nombre, username, habilidades e intereses en minúsculas y sin tildes
+    searchTokens: {
+      type: [String],
+      select: false,
+    },
   },
   {
     timestamps: true, // Agrega automáticamente createdAt y updatedAt
@@ -199,6 +355,21 @@ const userSchema = new mongoose.Schema(
         delete ret.refreshTokens;
         delete ret.emailVerificationToken;
         delete ret.passwordResetToken;
+        delete ret.searchTokens;
+        if (ret.mfa) {
+          delete ret.mfa.secret;
+          delete ret.mfa.pendingSecret;
+          delete ret.mfa.recoveryCodes;
+          delete ret.mfa.lastUsedStep;
+        }
+        // Mostrar qué proveedores están vinculados, pero no sus identificadores externos
+        if (ret.oauthAccounts) {
+          ret.oauthAccounts = ret.oauthAccounts.map(({ provider, email, linkedAt }) => ({
+            provider,
+            email,
+            linkedAt,
+          }));
+        }
         return ret;
       },
     },
@@ -214,12 +385,30 @@ const userSchema = new mongoose.Schema(
  * - Email: búsquedas por email (login, registro)
  * - Username: búsquedas por username
  * - Skills: búsquedas por habilidades en el perfil de aprendizaje
- * - CreatedAt: ordenamiento por fecha de creación
+ * - CreatedAt, LastLogin, Role: orden del listado de administración (desempate por _id para el cursor)
+ * - RefreshTokens: búsqueda del dueño de un refresh token al rotarlo
+ * - OAuthAccounts: búsqueda de la cuenta vinculada a un proveedor en el login OAuth
+ * - ErasureScheduledAt: cuentas cuyo borrado solicitado ya venció (solo las que tienen solicitud)
+ * - PurgeScheduledAt: cuentas desactivadas cuyo plazo de reactivación ya venció
+ * - SearchTokens: búsqueda por prefijo de email, nombre, username, habilidades e intereses
  */
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ 'learningProfile.skills.name': 1 });
-userSchema.index({ createdAt: -1 });
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ lastLogin: -1, _id: -1 });
+userSchema.index({ role: 1, _id: 1 });
+userSchema.index({ 'refreshTokens.tokenHash': 1 });
+userSchema.index({ 'oauthAccounts.provider': 1, 'oauthAccounts.providerId': 1 });
+userSchema.index(
+  { erasureScheduledAt: 1 },
+  { partialFilterExpression: { erasureScheduledAt: { $type: 'date' } } }
+);
+userSchema.index({ searchTokens: 1 });
+userSchema.index(
+  { purgeScheduledAt: 1 },
+  { partialFilterExpression: { purgeScheduledAt: { $type: 'date' } } }
+);
 
 // ============================================================================
 // HOOKS (Middleware de Mongoose)
@@ -247,6 +436,21 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+/**
+ * @hook pre-save
+ * @description Recalcula los tokens de búsqueda cuando cambia alguno de los campos que
+ * los componen. Las actualizaciones con findByIdAndUpdate/updateOne no pasan por este
+ * hook y deben actualizar searchTokens ellas mismas (ver UserService.updateUser).
+ *
+ * @param {Function} next - Función para continuar el proceso de guardado
+ */
+userSchema.pre('save', function (next) {
+  if (this.isNew || SEARCH_FIELDS.some((field) => this.isModified(field))) {
+    this.searchTokens = buildSearchTokens(this);
+  }
+  next();
+});
+
 // ============================================================================
 // MÉTODOS DE INSTANCIA
 // ============================================================================
@@ -268,30 +472,35 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 /**
  * @method generateVerificationToken
  * @description Genera un token aleatorio para verificar el email del usuario
- * @returns {string} Token de verificación generado
+ * @returns {string} Token de verificación generado (en texto plano)
  * 
- * @description El token se guarda en el documento y puede ser usado para
- * verificar el email del usuario mediante un enlace enviado por correo.
+ * @description En el documento solo se guarda el hash SHA-256 del token, junto con
+ * su expiración (EMAIL_VERIFICATION_EXPIRES_HOURS). El token en texto plano se envía
+ * al usuario por correo y no vuelve a estar disponible.
  */
 userSchema.methods.generateVerificationToken = function () {
-  const crypto = require('crypto');
-  this.emailVerificationToken = crypto.randomBytes(32).toString('hex');
-  return this.emailVerificationToken;
+  const token = generateRandomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = Date.now() + config.emailVerification.expiresHours * 3600000;
+  this.emailVerificationSentAt = Date.now();
+  return token;
 };
 
 /**
  * @method generatePasswordResetToken
  * @description Genera un token aleatorio para resetear la contraseña
- * @returns {string} Token de reset generado
+ * @param {number} [expiresMinutes=PASSWORD_RESET_EXPIRES_MINUTES] - Minutos de validez del token
+ * @returns {string} Token de reset generado (en texto plano)
  * 
- * @description El token se guarda en el documento junto con una fecha de expiración
- * (1 hora por defecto). Puede ser usado para permitir al usuario resetear su contraseña.
+ * @description En el documento solo se guarda el hash SHA-256 del token junto con una
+ * fecha de expiración (PASSWORD_RESET_EXPIRES_MINUTES, 1 hora por defecto). Generar un
+ * token nuevo invalida el anterior.
  */
-userSchema.methods.generatePasswordResetToken = function () {
-  const crypto = require('crypto');
-  this.passwordResetToken = crypto.randomBytes(32).toString('hex');
-  this.passwordResetExpires = Date.now() + 3600000; // 1 hora desde ahora
-  return this.passwordResetToken;
+userSchema.methods.generatePasswordResetToken = function (expiresMinutes = config.passwordReset.expiresMinutes) {
+  const token = generateRandomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = Date.now() + expiresMinutes * 60000;
+  return token;
 };
 
 /**
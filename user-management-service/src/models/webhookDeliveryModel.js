@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Webhook Delivery Model - Entregas de eventos a las suscripciones de webhooks
+ * @description Cada evento genera una entrega por suscripción activa. El dispatcher las
+ * envía, reintenta las fallidas con espera exponencial y, tras WEBHOOKS_MAX_ATTEMPTS
+ * intentos, las deja en dead letter hasta que un administrador las reenvíe.
+ * El documento es también el log de entregas que consultan los administradores.
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config/env');
+
+/**
+ * @schema attemptSchema
+ * @description Resultado de un intento de envío
+ *
+ * @property {Date} attemptedAt - Fecha del intento
+ * @property {Number} statusCode - Código HTTP de la respuesta (null si no hubo respuesta)
+ * @property {String} error - Motivo del fallo (null si tuvo éxito)
+ * @property {Number} durationMs - Duración de la petición
+ */
+const attemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: { type: Date, default: Date.now },
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number },
+  },
+  { _id: false }
+);
+
+/**
+ * @schema webhookDeliverySchema
+ * @description Esquema de Mongoose que define una entrega de webhook
+ *
+ * @property {ObjectId} subscription - Suscripción destinataria
+ * @property {String} eventId - ID del evento (clave de idempotencia para el receptor)
+ * @property {String} eventType - Tipo de evento
+ * @property {Object} payload - Evento que se envía como body
+ * @property {String} status - 'pending', 'succeeded' o 'dead_letter'
+ * @property {Number} attempts - Intentos fallidos desde el último (re)envío
+ * @property {Date} nextAttemptAt - Fecha a partir de la que se puede volver a intentar
+ * @property {Date} lockedUntil - Fin de la reserva del dispatcher que la está enviando
+ * @property {String} lockedBy - Instancia del dispatcher que la reservó
+ * @property {Number} lastStatusCode - Código HTTP de la última respuesta
+ * @property {String} lastError - Último error de envío
+ * @property {Array<Object>} attemptLog - Últimos intentos (ver attemptSchema)
+ * @property {Date} deliveredAt - Fecha de la entrega con éxito
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    eventType: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'dead_letter'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lastStatusCode: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    attemptLog: {
+      type: [attemptSchema],
+      default: [],
+    },
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Un evento genera una sola entrega por suscripción aunque el relay lo publique más de una vez
+ */
+webhookDeliverySchema.index({ subscription: 1, eventId: 1 }, { unique: true });
+
+/**
+ * Índice para que el dispatcher encuentre las entregas pendientes en orden de llegada
+ */
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1, _id: 1 });
+
+/**
+ * Índice para el log de entregas de una suscripción (del más reciente al más antiguo)
+ */
+webhookDeliverySchema.index({ subscription: 1, _id: -1 });
+
+/**
+ * Índice TTL: las entregas se eliminan tras WEBHOOKS_RETENTION_DAYS sin actividad
+ * (un reenvío actualiza updatedAt y reinicia el plazo)
+ */
+webhookDeliverySchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: config.webhooks.retentionDays * 86400 }
+);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Webhook Subscription Model - Suscripciones de sistemas externos a los eventos
+ * @description Un administrador suscribe una URL (LMS, CRM...) a uno o varios tipos de
+ * evento. Cada evento publicado genera una entrega (WebhookDelivery) por suscripción
+ * activa, firmada con el secreto de la suscripción.
+ */
+
+const mongoose = require('mongoose');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * @schema webhookSubscriptionSchema
+ * @description Esquema de Mongoose que define una suscripción de webhook
+ *
+ * @property {String} url - Endpoint que recibe las entregas (POST JSON)
+ * @property {Array<String>} eventTypes - Tipos de evento suscritos (ver config/eventTypes)
+ * @property {String} secret - Secreto de la firma HMAC (nunca se devuelve salvo al crearla)
+ * @property {String} description - Descripción libre (p. ej. el sistema destinatario)
+ * @property {Boolean} isActive - Si se generan entregas para la suscripción
+ * @property {ObjectId} createdBy - Administrador que creó la suscripción
+ * @property {Date} createdAt - Fecha de creación (automático)
+ * @property {Date} updatedAt - Fecha de última actualización (automático)
+ */
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    eventTypes: {
+      type: [{ type: String, enum: Object.values(EVENT_TYPES) }],
+      validate: {
+        validator: (eventTypes) => eventTypes.length > 0,
+        message: 'At least one event type is required',
+      },
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Índice para encontrar las suscripciones activas de un tipo de evento
+ */
+webhookSubscriptionSchema.index({ eventTypes: 1, isActive: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
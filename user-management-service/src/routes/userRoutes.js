@@ -6,12 +6,22 @@
 
 const express = require('express');
 const userController = require('../controllers/userController');
-const { authenticate, authorize } = require('../middlewares/authMiddleware');
+const {
+  authenticate,
+  authenticateMfaEnrollment,
+  authorizePermission,
+} = require('../middlewares/authMiddleware');
 const validate = require('../middlewares/validationMiddleware');
+const { emailLimiter, mfaLimiter } = require('../middlewares/rateLimitMiddleware');
 const userSchemas = require('../schemas/userSchemas');
 
 const router = express.Router();
 
+/**
+ * Cuerpo de la importación de usuarios: el archivo CSV o NDJSON como texto
+ */
+const importFileBody = express.text({ type: ['text/csv', 'application/x-ndjson', 'application/ndjson'], limit: '10mb' });
+
 // ============================================================================
 // RUTAS PÚBLICAS (No requieren autenticación)
 // ============================================================================
@@ -32,10 +42,122 @@ router.post('/register', validate(userSchemas.register), userController.register
  */
 router.post('/login', validate(userSchemas.login), userController.login);
 
+/**
+ * @route POST /api/users/mfa/verify
+ * @description Segundo paso del login para usuarios con MFA activo
+ * @access Public (requiere el mfaToken devuelto por el login)
+ * @middleware mfaLimiter - Limita los intentos de código por IP
+ * @middleware validate(userSchemas.mfaVerify) - Valida el token y el código
+ */
+router.post('/mfa/verify', mfaLimiter, validate(userSchemas.mfaVerify), userController.mfaVerify);
+
+/**
+ * @route POST /api/users/refresh
+ * @description Rota un refresh token: devuelve un nuevo par de tokens e invalida el anterior
+ * @access Public
+ * @middleware validate(userSchemas.refreshToken) - Valida que se envíe el refresh token
+ */
+router.post('/refresh', validate(userSchemas.refreshToken), userController.refreshToken);
+
+/**
+ * @route GET /api/users/verify-email/:token
+ * @description Verifica el email del usuario con el token enviado por correo
+ * @access Public
+ * @param {string} token - Token de verificación
+ */
+router.get('/verify-email/:token', userController.verifyEmail);
+
+/**
+ * @route POST /api/users/resend-verification
+ * @description Reenvía el email de verificación (respuesta genérica, con throttling)
+ * @access Public
+ * @middleware emailLimiter - Limita los envíos de email por IP
+ * @middleware validate(userSchemas.resendVerification) - Valida el email
+ */
+router.post('/resend-verification', emailLimiter, validate(userSchemas.resendVerification), userController.resendVerification);
+
+/**
+ * @route POST /api/users/forgot-password
+ * @description Envía un enlace de un solo uso para restablecer la contraseña
+ * @access Public
+ * @middleware emailLimiter - Limita los envíos de email por IP
+ * @middleware validate(userSchemas.forgotPassword) - Valida el email
+ */
+router.post('/forgot-password', emailLimiter, validate(userSchemas.forgotPassword), userController.forgotPassword);
+
+/**
+ * @route POST /api/users/reset-password
+ * @description Establece una nueva contraseña y revoca todas las sesiones
+ * @access Public
+ * @middleware validate(userSchemas.resetPassword) - Valida el token y la nueva contraseña
+ */
+router.post('/reset-password', validate(userSchemas.resetPassword), userController.resetPassword);
+
+/**
+ * @route POST /api/users/reactivation/request
+ * @description Envía un enlace para reactivar una cuenta desactivada por su dueño (respuesta genérica)
+ * @access Public
+ * @middleware emailLimiter - Limita los envíos de email por IP
+ * @middleware validate(userSchemas.requestReactivation) - Valida el email
+ */
+router.post('/reactivation/request', emailLimiter, validate(userSchemas.requestReactivation), userController.requestReactivation);
+
+/**
+ * @route POST /api/users/reactivate
+ * @description Reactiva una cuenta desactivada por su dueño dentro del plazo de reactivación
+ * @access Public
+ * @middleware validate(userSchemas.reactivateAccount) - Valida el token
+ */
+router.post('/reactivate', validate(userSchemas.reactivateAccount), userController.reactivateAccount);
+
+/**
+ * @route GET /api/users/oauth/:provider
+ * @description Inicia el login OAuth (authorization code + PKCE) redirigiendo al proveedor
+ * @access Public
+ * @param {string} provider - Proveedor: 'google', 'github'
+ */
+router.get('/oauth/:provider', userController.oauthStart);
+
+/**
+ * @route GET /api/users/oauth/:provider/callback
+ * @description Callback del proveedor: inicia sesión, registra o vincula la cuenta
+ * @access Public
+ * @param {string} provider - Proveedor: 'google', 'github'
+ * @query {string} code - Código de autorización
+ * @query {string} state - State emitido al iniciar la autorización
+ */
+router.get('/oauth/:provider/callback', userController.oauthCallback);
+
+/**
+ * @route POST /api/users/invitations/accept
+ * @description Registra al invitado con el email y el rol de su invitación
+ * @access Public
+ * @middleware validate(userSchemas.acceptInvitation) - Valida el token y los datos del usuario
+ */
+router.post('/invitations/accept', validate(userSchemas.acceptInvitation), userController.acceptInvitation);
+
 // ============================================================================
 // RUTAS PROTEGIDAS (Requieren autenticación con JWT)
 // ============================================================================
 
+/**
+ * @route POST /api/users/oauth/:provider/link
+ * @description Inicia la vinculación de un proveedor OAuth a la cuenta autenticada
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ * @param {string} provider - Proveedor: 'google', 'github'
+ */
+router.post('/oauth/:provider/link', authenticate, userController.oauthLink);
+
+/**
+ * @route DELETE /api/users/oauth/:provider
+ * @description Desvincula un proveedor OAuth de la cuenta autenticada
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ * @param {string} provider - Proveedor: 'google', 'github'
+ */
+router.delete('/oauth/:provider', authenticate, userController.oauthUnlink);
+
 /**
  * @route GET /api/users/profile
  * @description Obtiene el perfil del usuario autenticado
@@ -70,32 +192,442 @@ router.delete('/account', authenticate, userController.deleteAccount);
  */
 router.post('/change-password', authenticate, validate(userSchemas.changePassword), userController.changePassword);
 
+/**
+ * @route POST /api/users/mfa/setup
+ * @description Genera un secreto TOTP y su URI otpauth:// para dar de alta MFA
+ * @access Private (access token, o mfaToken de alta obligatoria en el body)
+ * @middleware authenticateMfaEnrollment - Verifica el access token o el mfaToken de alta
+ * @middleware validate(userSchemas.mfaSetup) - Valida el body
+ */
+router.post('/mfa/setup', authenticateMfaEnrollment, validate(userSchemas.mfaSetup), userController.mfaSetup);
+
+/**
+ * @route POST /api/users/mfa/confirm
+ * @description Activa MFA con un código de la app autenticadora y devuelve los códigos de recuperación
+ * @access Private (access token, o mfaToken de alta obligatoria en el body)
+ * @middleware mfaLimiter - Limita los intentos de código por IP
+ * @middleware authenticateMfaEnrollment - Verifica el access token o el mfaToken de alta
+ * @middleware validate(userSchemas.mfaConfirm) - Valida el código
+ */
+router.post('/mfa/confirm', mfaLimiter, authenticateMfaEnrollment, validate(userSchemas.mfaConfirm), userController.mfaConfirm);
+
+/**
+ * @route POST /api/users/mfa/disable
+ * @description Desactiva MFA (no permitido para roles a los que la política lo exige)
+ * @access Private
+ * @middleware mfaLimiter - Limita los intentos de código por IP
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware validate(userSchemas.mfaDisable) - Valida la contraseña y el código
+ */
+router.post('/mfa/disable', mfaLimiter, authenticate, validate(userSchemas.mfaDisable), userController.mfaDisable);
+
+/**
+ * @route POST /api/users/mfa/recovery-codes
+ * @description Reemplaza los códigos de recuperación MFA
+ * @access Private
+ * @middleware mfaLimiter - Limita los intentos de código por IP
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware validate(userSchemas.mfaCode) - Valida el código TOTP
+ */
+router.post('/mfa/recovery-codes', mfaLimiter, authenticate, validate(userSchemas.mfaCode), userController.mfaRegenerateRecoveryCodes);
+
+/**
+ * @route POST /api/users/logout
+ * @description Cierra la sesión actual (invalida su refresh token)
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ */
+router.post('/logout', authenticate, userController.logout);
+
+/**
+ * @route POST /api/users/logout-all
+ * @description Cierra todas las sesiones del usuario en todos sus dispositivos
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ */
+router.post('/logout-all', authenticate, userController.logoutAll);
+
+/**
+ * @route GET /api/users/sessions
+ * @description Lista las sesiones activas del usuario autenticado
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ */
+router.get('/sessions', authenticate, userController.getSessions);
+
+/**
+ * @route DELETE /api/users/sessions/:id
+ * @description Cierra una sesión concreta del usuario autenticado
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ * @param {string} id - ID de la sesión
+ */
+router.delete('/sessions/:id', authenticate, userController.revokeSession);
+
+/**
+ * @route GET /api/users/me/permissions
+ * @description Obtiene los permisos efectivos del usuario autenticado
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ */
+router.get('/me/permissions', authenticate, userController.getMyPermissions);
+
+/**
+ * @route GET /api/users/me/export
+ * @description Descarga un archivo JSON con los datos personales del usuario autenticado (RGPD)
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ */
+router.get('/me/export', authenticate, userController.exportMyData);
+
+/**
+ * @route POST /api/users/me/erasure
+ * @description Solicita el borrado de los datos personales tras el periodo de gracia (RGPD)
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware validate(userSchemas.requestErasure) - Valida el email de confirmación
+ */
+router.post('/me/erasure', authenticate, validate(userSchemas.requestErasure), userController.requestErasure);
+
+/**
+ * @route DELETE /api/users/me/erasure
+ * @description Cancela la solicitud de borrado pendiente
+ * @access Private
+ * @middleware authenticate - Verifica el token JWT
+ */
+router.delete('/me/erasure', authenticate, userController.cancelErasure);
+
 // ============================================================================
-// RUTAS ADMINISTRATIVAS (Requieren autenticación y rol admin)
+// RUTAS ADMINISTRATIVAS (Requieren autenticación y permisos de administración)
 // ============================================================================
 
+/**
+ * @route GET /api/users/roles
+ * @description Lista el registro de permisos y los permisos asignados a cada rol
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('roles:manage') - Verifica el permiso del rol
+ */
+router.get('/roles', authenticate, authorizePermission('roles:manage'), userController.getRolePermissions);
+
+/**
+ * @route PUT /api/users/roles/:role/permissions
+ * @description Reemplaza los permisos de un rol
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('roles:manage') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.updateRolePermissions) - Valida la lista de permisos
+ * @param {string} role - Rol a editar: 'student', 'instructor', 'admin'
+ */
+router.put('/roles/:role/permissions', authenticate, authorizePermission('roles:manage'), validate(userSchemas.updateRolePermissions), userController.updateRolePermissions);
+
+/**
+ * @route POST /api/users/invitations
+ * @description Invita a un email a registrarse con un rol
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('invitations:manage') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.createInvitation) - Valida el email y el rol
+ */
+router.post('/invitations', authenticate, authorizePermission('invitations:manage'), validate(userSchemas.createInvitation), userController.createInvitation);
+
+/**
+ * @route GET /api/users/invitations
+ * @description Lista las invitaciones pendientes
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('invitations:manage') - Verifica el permiso del rol
+ */
+router.get('/invitations', authenticate, authorizePermission('invitations:manage'), userController.listInvitations);
+
+/**
+ * @route DELETE /api/users/invitations/:id
+ * @description Revoca una invitación pendiente
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('invitations:manage') - Verifica el permiso del rol
+ * @param {string} id - ID de la invitación
+ */
+router.delete('/invitations/:id', authenticate, authorizePermission('invitations:manage'), userController.revokeInvitation);
+
+/**
+ * @route POST /api/users/user-imports
+ * @description Importa usuarios desde un archivo CSV (text/csv) o NDJSON (application/x-ndjson)
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:import') - Verifica el permiso del rol
+ * @middleware importFileBody - Lee el archivo como texto
+ * @middleware validate(userSchemas.userImportQuery, 'query') - Valida las opciones
+ * @query {boolean} [dryRun=false] - Solo validar y devolver el informe por fila
+ * @query {string} [role=student] - Rol de los usuarios importados
+ */
+router.post('/user-imports', authenticate, authorizePermission('users:import'), importFileBody, validate(userSchemas.userImportQuery, 'query'), userController.importUsers);
+
+/**
+ * @route GET /api/users/user-imports/:id
+ * @description Consulta el progreso y el informe por fila de una importación
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:import') - Verifica el permiso del rol
+ * @param {string} id - ID de la importación
+ */
+router.get('/user-imports/:id', authenticate, authorizePermission('users:import'), userController.getImportJob);
+
+/**
+ * @route GET /api/users/user-exports
+ * @description Exporta en streaming (CSV o NDJSON) los usuarios que coinciden con los filtros del listado
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:export') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.userExportQuery, 'query') - Valida el formato, las columnas y los filtros
+ * @query {string} [format=csv] - 'csv' o 'ndjson'
+ * @query {string} [fields] - Columnas separadas por comas (todas por defecto; ver USER_EXPORT_FIELDS)
+ * @query {Object} [filter] - Filtros, como en GET /api/users/users
+ * @query {string} [preset] - ID de un filtro guardado
+ * @query {string} [role] - Filtrar por rol
+ * @query {string} [search] - Búsqueda por prefijo
+ */
+router.get('/user-exports', authenticate, authorizePermission('users:export'), validate(userSchemas.userExportQuery, 'query'), userController.exportUsers);
+
+/**
+ * @route GET /api/users/user-filter-presets
+ * @description Lista los filtros guardados del listado de usuarios
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:read') - Verifica el permiso del rol
+ */
+router.get('/user-filter-presets', authenticate, authorizePermission('users:read'), userController.listFilterPresets);
+
+/**
+ * @route POST /api/users/user-filter-presets
+ * @description Guarda un filtro del listado de usuarios para reutilizarlo con preset=<id>
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:read') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.createFilterPreset) - Valida el nombre y los parámetros guardados
+ */
+router.post('/user-filter-presets', authenticate, authorizePermission('users:read'), validate(userSchemas.createFilterPreset), userController.createFilterPreset);
+
+/**
+ * @route DELETE /api/users/user-filter-presets/:id
+ * @description Elimina un filtro guardado
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:read') - Verifica el permiso del rol
+ * @param {string} id - ID del filtro guardado
+ */
+router.delete('/user-filter-presets/:id', authenticate, authorizePermission('users:read'), userController.deleteFilterPreset);
+
 /**
  * @route GET /api/users/users
- * @description Lista todos los usuarios con paginación y filtros
+ * @description Lista todos los usuarios con paginación por cursor, orden y filtros
  * @access Private/Admin
  * @middleware authenticate - Verifica el token JWT
- * @middleware authorize('admin') - Verifica que el usuario tenga rol admin
- * @query {number} [page=1] - Número de página
+ * @middleware authorizePermission('users:read') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.userListQuery, 'query') - Valida los parámetros
  * @query {number} [limit=10] - Resultados por página
+ * @query {string} [cursor] - Cursor nextCursor de la página anterior
+ * @query {string} [sort] - createdAt, lastLogin, email o role ('-' para descendente), o relevance con search
+ * @query {string} [fields] - Campos a devolver separados por comas
+ * @query {boolean} [includeTotal=false] - Incluir el total de resultados
+ * @query {Object} [filter] - filter[campo]=valor o filter[campo][operador]=valor (ver config/userListing)
+ * @query {string} [preset] - ID de un filtro guardado (los parámetros de la petición tienen prioridad)
  * @query {string} [role] - Filtrar por rol
- * @query {string} [search] - Búsqueda por email, nombre o apellido
+ * @query {string} [search] - Búsqueda por prefijo en email, nombre, username, habilidades e intereses
  */
-router.get('/users', authenticate, authorize('admin'), userController.getAllUsers);
+router.get('/users', authenticate, authorizePermission('users:read'), validate(userSchemas.userListQuery, 'query'), userController.getAllUsers);
 
 /**
  * @route GET /api/users/users/:id
- * @description Obtiene un usuario específico por ID
+ * @description Obtiene un usuario específico por ID y su estado de bloqueo por intentos fallidos
  * @access Private/Admin
  * @middleware authenticate - Verifica el token JWT
- * @middleware authorize('admin') - Verifica que el usuario tenga rol admin
+ * @middleware authorizePermission('users:read') - Verifica el permiso del rol
  * @param {string} id - ID del usuario (MongoDB ObjectId)
  */
-router.get('/users/:id', authenticate, authorize('admin'), userController.getUserById);
+router.get('/users/:id', authenticate, authorizePermission('users:read'), userController.getUserById);
 
-module.exports = router;
+/**
+ * @route POST /api/users/users/:id/unlock
+ * @description Desbloquea una cuenta bloqueada por intentos fallidos de login
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:unlock') - Verifica el permiso del rol
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.post('/users/:id/unlock', authenticate, authorizePermission('users:unlock'), userController.unlockUser);
+
+/**
+ * @route PATCH /api/users/users/:id
+ * @description Edita el perfil de un usuario
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:update') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.adminUpdateUser) - Valida los campos a actualizar
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.patch('/users/:id', authenticate, authorizePermission('users:update'), validate(userSchemas.adminUpdateUser), userController.adminUpdateUser);
+
+/**
+ * @route PATCH /api/users/users/:id/role
+ * @description Cambia el rol de un usuario y cierra sus sesiones
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:change-role') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.changeRole) - Valida el nuevo rol
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.patch('/users/:id/role', authenticate, authorizePermission('users:change-role'), validate(userSchemas.changeRole), userController.changeUserRole);
+
+/**
+ * @route POST /api/users/users/:id/activate
+ * @description Reactiva una cuenta desactivada
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:deactivate') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.activateUser) - Valida el body (vacío)
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.post('/users/:id/activate', authenticate, authorizePermission('users:deactivate'), validate(userSchemas.activateUser), userController.activateUser);
+
+/**
+ * @route POST /api/users/users/:id/deactivate
+ * @description Desactiva una cuenta y cierra sus sesiones
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:deactivate') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.deactivateUser) - Valida el motivo (opcional)
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.post('/users/:id/deactivate', authenticate, authorizePermission('users:deactivate'), validate(userSchemas.deactivateUser), userController.deactivateUser);
+
+/**
+ * @route DELETE /api/users/users/:id/sessions
+ * @description Cierra todas las sesiones de un usuario
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('sessions:revoke') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.revokeUserSessions) - Valida el body (vacío)
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.delete('/users/:id/sessions', authenticate, authorizePermission('sessions:revoke'), validate(userSchemas.revokeUserSessions), userController.revokeUserSessions);
+
+/**
+ * @route POST /api/users/users/:id/password-reset
+ * @description Obliga al usuario a restablecer su contraseña (se le envía el email de reseteo)
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:update') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.forcePasswordReset) - Valida el body (vacío)
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.post('/users/:id/password-reset', authenticate, authorizePermission('users:update'), validate(userSchemas.forcePasswordReset), userController.forcePasswordReset);
+
+/**
+ * @route DELETE /api/users/users/:id
+ * @description Elimina definitivamente una cuenta
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('users:delete') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.deleteUser) - Valida el email de confirmación
+ * @param {string} id - ID del usuario (MongoDB ObjectId)
+ */
+router.delete('/users/:id', authenticate, authorizePermission('users:delete'), validate(userSchemas.deleteUser), userController.deleteUser);
+
+/**
+ * @route GET /api/users/audit-events
+ * @description Consulta el log de auditoría con filtros y paginación por cursor
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('audit:read') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.auditEventQuery, 'query') - Valida los filtros
+ * @query {string} [actor] - ID del usuario que realizó la acción
+ * @query {string} [target] - ID del usuario afectado
+ * @query {string} [action] - Acción (p. ej. auth.login)
+ * @query {string} [outcome] - 'success' o 'failure'
+ * @query {string} [ip] - IP del cliente
+ * @query {string} [requestId] - ID de la petición
+ * @query {string} [from] - Fecha mínima (ISO 8601)
+ * @query {string} [to] - Fecha máxima (ISO 8601)
+ * @query {number} [limit=50] - Eventos por página (máximo 100)
+ * @query {string} [cursor] - nextCursor de la página anterior
+ */
+router.get('/audit-events', authenticate, authorizePermission('audit:read'), validate(userSchemas.auditEventQuery, 'query'), userController.listAuditEvents);
+
+/**
+ * @route POST /api/users/webhooks
+ * @description Suscribe una URL a uno o varios tipos de evento (la respuesta incluye el secreto de firma)
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('webhooks:manage') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.createWebhook) - Valida la URL y los tipos de evento
+ */
+router.post('/webhooks', authenticate, authorizePermission('webhooks:manage'), validate(userSchemas.createWebhook), userController.createWebhook);
+
+/**
+ * @route GET /api/users/webhooks
+ * @description Lista las suscripciones de webhooks
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('webhooks:manage') - Verifica el permiso del rol
+ */
+router.get('/webhooks', authenticate, authorizePermission('webhooks:manage'), userController.listWebhooks);
+
+/**
+ * @route GET /api/users/webhooks/:id
+ * @description Obtiene una suscripción de webhook
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('webhooks:manage') - Verifica el permiso del rol
+ * @param {string} id - ID de la suscripción
+ */
+router.get('/webhooks/:id', authenticate, authorizePermission('webhooks:manage'), userController.getWebhook);
+
+/**
+ * @route PATCH /api/users/webhooks/:id
+ * @description Actualiza la URL, los tipos de evento, la descripción o el estado de una suscripción
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('webhooks:manage') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.updateWebhook) - Valida los campos
+ * @param {string} id - ID de la suscripción
+ */
+router.patch('/webhooks/:id', authenticate, authorizePermission('webhooks:manage'), validate(userSchemas.updateWebhook), userController.updateWebhook);
 
+/**
+ * @route DELETE /api/users/webhooks/:id
+ * @description Elimina una suscripción y su log de entregas
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('webhooks:manage') - Verifica el permiso del rol
+ * @param {string} id - ID de la suscripción
+ */
+router.delete('/webhooks/:id', authenticate, authorizePermission('webhooks:manage'), userController.deleteWebhook);
+
+/**
+ * @route GET /api/users/webhooks/:id/deliveries
+ * @description Consulta el log de entregas de una suscripción con paginación por cursor
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('webhooks:manage') - Verifica el permiso del rol
+ * @middleware validate(userSchemas.webhookDeliveryQuery, 'query') - Valida los filtros
+ * @param {string} id - ID de la suscripción
+ * @query {string} [status] - 'pending', 'succeeded' o 'dead_letter'
+ * @query {string} [eventType] - Tipo de evento (p. ej. user.created)
+ * @query {number} [limit=50] - Entregas por página (máximo 100)
+ * @query {string} [cursor] - nextCursor de la página anterior
+ */
+router.get('/webhooks/:id/deliveries', authenticate, authorizePermission('webhooks:manage'), validate(userSchemas.webhookDeliveryQuery, 'query'), userController.listWebhookDeliveries);
+
+/**
+ * @route POST /api/users/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @description Vuelve a poner en cola una entrega entregada o en dead letter
+ * @access Private/Admin
+ * @middleware authenticate - Verifica el token JWT
+ * @middleware authorizePermission('webhooks:manage') - Verifica el permiso del rol
+ * @param {string} id - ID de la suscripción
+ * @param {string} deliveryId - ID de la entrega
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', authenticate, authorizePermission('webhooks:manage'), userController.redeliverWebhook);
+
+module.exports = router;
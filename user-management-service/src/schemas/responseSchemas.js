@@ -0,0 +1,460 @@
+/**
+ * @fileoverview Response Schemas - Schemas Joi de las respuestas de la API
+ * @description Definen el contrato de cada respuesta 2xx en JSON tal como llega al cliente
+ * (fechas como strings ISO 8601 e IDs como strings). En desarrollo y en los tests el
+ * middleware validateResponses comprueba cada respuesta contra su schema, y la
+ * especificación OpenAPI y el cliente generado (client/) salen de ellos.
+ *
+ * Las claves son los nombres de los métodos del controlador (el operationId de la
+ * especificación). Los objetos no admiten claves desconocidas: un campo nuevo en una
+ * respuesta (o un campo sensible que se escapa) se tiene que añadir aquí.
+ */
+
+const Joi = require('joi');
+const { PERMISSIONS } = require('../config/permissions');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+// ============================================================================
+// TIPOS BÁSICOS
+// ============================================================================
+
+const objectId = Joi.string().hex().length(24);
+const date = Joi.date().iso();
+const nullableDate = date.allow(null);
+const role = Joi.string().valid('student', 'instructor', 'admin');
+const skillLevel = Joi.string().valid('beginner', 'intermediate', 'advanced', 'expert');
+
+/**
+ * @function success
+ * @description Respuesta { success: true, data } (con message opcional)
+ * @param {Object} data - Schema de data
+ * @returns {Object} Schema Joi
+ */
+const success = (data) => Joi.object({
+  success: Joi.valid(true).required(),
+  message: Joi.string(),
+  data: data.required(),
+});
+
+/**
+ * @constant successMessage
+ * @description Respuesta { success: true, message } sin datos
+ */
+const successMessage = Joi.object({
+  success: Joi.valid(true).required(),
+  message: Joi.string().required(),
+});
+
+/**
+ * @function document
+ * @description Documento de MongoDB serializado: _id, campos y timestamps
+ * @param {Object} keys - Campos del documento
+ * @returns {Object} Schema Joi
+ */
+const document = (keys) => Joi.object({
+  _id: objectId.required(),
+  ...keys,
+  createdAt: date,
+  updatedAt: date,
+  __v: Joi.number().integer(),
+});
+
+/**
+ * @constant userSummary
+ * @description Usuario de una referencia poblada (populate con email y nombre)
+ */
+const userSummary = Joi.object({
+  _id: objectId.required(),
+  email: Joi.string(),
+  firstName: Joi.string(),
+  lastName: Joi.string(),
+});
+
+/**
+ * @constant userRef
+ * @description Referencia a un usuario: su ID, o el resumen si la consulta la poblaba
+ */
+const userRef = Joi.alternatives(objectId, userSummary).allow(null);
+
+// ============================================================================
+// ENTIDADES
+// ============================================================================
+
+/**
+ * @constant preferences
+ * @description Preferencias del usuario
+ */
+const preferences = Joi.object({
+  language: Joi.string(),
+  timezone: Joi.string(),
+  notifications: Joi.object({
+    email: Joi.boolean(),
+    push: Joi.boolean(),
+  }),
+});
+
+/**
+ * @constant learningProfile
+ * @description Perfil de aprendizaje del usuario
+ */
+const learningProfile = Joi.object({
+  level: Joi.string().valid('beginner', 'intermediate', 'advanced'),
+  skills: Joi.array().items(Joi.object({
+    _id: objectId,
+    name: Joi.string(),
+    level: skillLevel,
+  })),
+  interests: Joi.array().items(Joi.string()),
+});
+
+/**
+ * @constant user
+ * @description Usuario tal como lo serializa toJSON (sin contraseña, tokens ni secretos MFA).
+ * Los listados con fields solo incluyen los campos pedidos, por eso solo _id es obligatorio.
+ */
+const user = document({
+  email: Joi.string(),
+  firstName: Joi.string(),
+  lastName: Joi.string(),
+  username: Joi.string(),
+  role,
+  avatar: Joi.string().allow(null),
+  isEmailVerified: Joi.boolean(),
+  emailVerificationExpires: nullableDate,
+  emailVerificationSentAt: nullableDate,
+  passwordResetExpires: nullableDate,
+  passwordResetRequired: Joi.boolean(),
+  oauthProvider: Joi.string().valid('google', 'github').allow(null),
+  oauthId: Joi.string().allow(null),
+  oauthAccounts: Joi.array().items(Joi.object({
+    provider: Joi.string().valid('google', 'github').required(),
+    email: Joi.string(),
+    linkedAt: date,
+  })),
+  mfa: Joi.object({
+    enabled: Joi.boolean(),
+    enabledAt: nullableDate,
+  }),
+  preferences,
+  learningProfile,
+  isActive: Joi.boolean(),
+  deactivatedAt: nullableDate,
+  deactivatedBy: Joi.string().valid('self', 'admin').allow(null),
+  purgeScheduledAt: nullableDate,
+  lastLogin: nullableDate,
+  erasureRequestedAt: nullableDate,
+  erasureScheduledAt: nullableDate,
+  erasureBlockedAt: nullableDate,
+  anonymizedAt: nullableDate,
+});
+
+/**
+ * @constant tokens
+ * @description Par de tokens de una sesión
+ */
+const tokens = Joi.object({
+  accessToken: Joi.string().required(),
+  refreshToken: Joi.string().required(),
+});
+
+/**
+ * @function authResultBranches
+ * @description Resultados posibles de un login: usuario y tokens, o el paso que falta para
+ * obtenerlos (código MFA, alta de MFA obligatoria o reactivación de una cuenta desactivada
+ * por su dueño)
+ * @param {Object} [extra={}] - Claves que se añaden a todos los resultados
+ * @returns {Array<Object>} Schemas Joi de cada resultado
+ */
+const authResultBranches = (extra = {}) => [
+  Joi.object({ user: user.required(), tokens: tokens.required(), ...extra }),
+  Joi.object({ mfaRequired: Joi.valid(true).required(), mfaToken: Joi.string().required(), ...extra }),
+  Joi.object({ mfaEnrollmentRequired: Joi.valid(true).required(), mfaToken: Joi.string().required(), ...extra }),
+  Joi.object({
+    reactivationRequired: Joi.valid(true).required(),
+    reactivationToken: Joi.string().required(),
+    purgeScheduledAt: nullableDate,
+    ...extra,
+  }),
+];
+
+/**
+ * @constant authResult
+ * @description Resultado de un login (ver authResultBranches)
+ */
+const authResult = Joi.alternatives(...authResultBranches());
+
+/**
+ * @constant session
+ * @description Sesión activa (un dispositivo)
+ */
+const session = Joi.object({
+  id: objectId.required(),
+  device: Joi.string().allow(null, ''),
+  userAgent: Joi.string().allow(null, ''),
+  ip: Joi.string().allow(null, ''),
+  createdAt: date,
+  lastUsedAt: date,
+  current: Joi.boolean().required(),
+});
+
+/**
+ * @constant invitation
+ * @description Invitación (sin el token, que solo viaja en el email)
+ */
+const invitation = document({
+  email: Joi.string().required(),
+  role: role.required(),
+  invitedBy: userRef,
+  status: Joi.string().valid('pending', 'accepted', 'revoked'),
+  expiresAt: date,
+  acceptedAt: nullableDate,
+  acceptedUser: userRef,
+  revokedAt: nullableDate,
+  revokedBy: userRef,
+});
+
+/**
+ * @constant importCounts
+ * @description Filas de una importación por estado
+ */
+const importCounts = Joi.object({
+  total: Joi.number().integer().required(),
+  pending: Joi.number().integer().required(),
+  created: Joi.number().integer().required(),
+  invalid: Joi.number().integer().required(),
+  duplicate: Joi.number().integer().required(),
+  failed: Joi.number().integer().required(),
+});
+
+/**
+ * @constant importRow
+ * @description Fila del informe de una importación
+ */
+const importRow = Joi.object({
+  line: Joi.number().integer().required(),
+  email: Joi.string().allow(null),
+  status: Joi.string().valid('pending', 'created', 'invalid', 'duplicate', 'failed').required(),
+  reasons: Joi.array().items(Joi.string()).required(),
+});
+
+/**
+ * @constant importJob
+ * @description Importación con su progreso (ver UserImportService.toJobReport)
+ */
+const importJob = Joi.object({
+  _id: objectId.required(),
+  format: Joi.string().valid('csv', 'ndjson').required(),
+  role: role.required(),
+  status: Joi.string().valid('pending', 'running', 'completed').required(),
+  counts: importCounts.required(),
+  progress: Joi.number().integer().min(0).max(100).required(),
+  rows: Joi.array().items(importRow).required(),
+  createdBy: userRef,
+  startedAt: nullableDate,
+  completedAt: nullableDate,
+  createdAt: date,
+});
+
+/**
+ * @constant filterPreset
+ * @description Filtro guardado del listado de usuarios
+ */
+const filterPreset = document({
+  name: Joi.string().required(),
+  description: Joi.string().allow(''),
+  query: Joi.object().unknown().required(),
+  createdBy: userRef,
+});
+
+/**
+ * @constant auditEvent
+ * @description Evento del log de auditoría
+ */
+const auditEvent = Joi.object({
+  _id: objectId,
+  action: Joi.string().valid(...Object.values(AUDIT_ACTIONS)).required(),
+  outcome: Joi.string().valid('success', 'failure').required(),
+  actor: userRef,
+  target: userRef,
+  ip: Joi.string().allow(null, ''),
+  userAgent: Joi.string().allow(null, ''),
+  requestId: Joi.string().allow(null),
+  metadata: Joi.object().unknown(),
+  createdAt: date,
+});
+
+/**
+ * @constant webhook
+ * @description Suscripción de webhook (sin el secreto de firma)
+ */
+const webhook = document({
+  url: Joi.string().required(),
+  eventTypes: Joi.array().items(Joi.string().valid(...Object.values(EVENT_TYPES))).required(),
+  description: Joi.string().allow(''),
+  isActive: Joi.boolean(),
+  createdBy: userRef,
+});
+
+/**
+ * @constant webhookDelivery
+ * @description Entrega de un evento a una suscripción, con el log de intentos
+ */
+const webhookDelivery = document({
+  subscription: objectId.required(),
+  eventId: Joi.string().required(),
+  eventType: Joi.string().required(),
+  payload: Joi.object().unknown().required(),
+  status: Joi.string().valid('pending', 'succeeded', 'dead_letter').required(),
+  attempts: Joi.number().integer(),
+  nextAttemptAt: nullableDate,
+  lockedUntil: nullableDate,
+  lockedBy: Joi.string().allow(null),
+  lastStatusCode: Joi.number().integer().allow(null),
+  lastError: Joi.string().allow(null),
+  attemptLog: Joi.array().items(Joi.object({
+    attemptedAt: date,
+    statusCode: Joi.number().integer().allow(null),
+    error: Joi.string().allow(null),
+    durationMs: Joi.number(),
+  })),
+  deliveredAt: nullableDate,
+});
+
+/**
+ * @constant nextCursor
+ * @description Cursor de la página siguiente (null en la última)
+ */
+const nextCursor = Joi.string().allow(null).required();
+
+// ============================================================================
+// RESPUESTAS POR OPERACIÓN
+// ============================================================================
+
+/**
+ * @namespace responseSchemas
+ * @description Schema de la respuesta 2xx de cada operación (clave: método del controlador).
+ * Si una operación responde con varios códigos 2xx distintos, el valor es { código: schema }.
+ * Las rutas que redirigen (oauthStart) o envían un archivo en streaming (exportUsers) no
+ * tienen schema.
+ */
+const responseSchemas = {
+  // Rutas públicas
+  register: success(Joi.object({ user: user.required(), tokens: tokens.required() })),
+  login: success(authResult),
+  mfaVerify: success(Joi.object({ user: user.required(), tokens: tokens.required() })),
+  refreshToken: success(Joi.object({ tokens: tokens.required() })),
+  verifyEmail: successMessage,
+  resendVerification: successMessage,
+  forgotPassword: successMessage,
+  resetPassword: successMessage,
+  requestReactivation: successMessage,
+  reactivateAccount: successMessage,
+  oauthCallback: success(Joi.alternatives(
+    // Vinculación de un proveedor a la cuenta
+    Joi.object({ user: user.required() }),
+    ...authResultBranches({ isNewUser: Joi.boolean().required() })
+  )),
+  acceptInvitation: success(authResult),
+
+  // Cuenta propia
+  oauthLink: success(Joi.object({ authorizationUrl: Joi.string().uri().required() })),
+  oauthUnlink: success(Joi.object({ user: user.required() })),
+  getProfile: success(Joi.object({ user: user.required() })),
+  updateProfile: success(Joi.object({ user: user.required() })),
+  deleteAccount: success(Joi.object({ reactivableUntil: nullableDate.required() })),
+  changePassword: successMessage,
+  mfaSetup: success(Joi.object({ secret: Joi.string().required(), otpauthUri: Joi.string().required() })),
+  mfaConfirm: success(Joi.object({
+    recoveryCodes: Joi.array().items(Joi.string()).required(),
+    user,
+    tokens,
+  })),
+  mfaDisable: successMessage,
+  mfaRegenerateRecoveryCodes: success(Joi.object({ recoveryCodes: Joi.array().items(Joi.string()).required() })),
+  logout: successMessage,
+  logoutAll: successMessage,
+  getSessions: success(Joi.object({ sessions: Joi.array().items(session).required() })),
+  revokeSession: successMessage,
+  getMyPermissions: success(Joi.object({
+    role: role.required(),
+    permissions: Joi.array().items(Joi.string()).required(),
+  })),
+  exportMyData: Joi.object({
+    formatVersion: Joi.number().integer().required(),
+    exportedAt: date.required(),
+    profile: user.required(),
+    preferences,
+    learningProfile,
+    sessions: Joi.array().items(session).required(),
+    auditEvents: Joi.array().items(auditEvent).required(),
+  }),
+  requestErasure: success(Joi.object({ scheduledAt: date.required() })),
+  cancelErasure: successMessage,
+
+  // Administración
+  getRolePermissions: success(Joi.object({
+    permissions: Joi.array().items(Joi.object({
+      key: Joi.string().valid(...Object.keys(PERMISSIONS)).required(),
+      description: Joi.string().required(),
+    })).required(),
+    roles: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string())).required(),
+  })),
+  updateRolePermissions: success(Joi.object({
+    role: role.required(),
+    permissions: Joi.array().items(Joi.string()).required(),
+  })),
+  createInvitation: success(Joi.object({ invitation: invitation.required() })),
+  listInvitations: success(Joi.object({ invitations: Joi.array().items(invitation).required() })),
+  revokeInvitation: successMessage,
+  importUsers: {
+    200: success(Joi.object({
+      dryRun: Joi.valid(true).required(),
+      counts: importCounts.required(),
+      rows: Joi.array().items(importRow).required(),
+    })),
+    202: success(Joi.object({ job: importJob.required() })),
+  },
+  getImportJob: success(Joi.object({ job: importJob.required() })),
+  listFilterPresets: success(Joi.object({ presets: Joi.array().items(filterPreset).required() })),
+  createFilterPreset: success(Joi.object({ preset: filterPreset.required() })),
+  deleteFilterPreset: successMessage,
+  getAllUsers: success(Joi.object({
+    users: Joi.array().items(user).required(),
+    pagination: Joi.object({
+      limit: Joi.number().integer().required(),
+      sort: Joi.string().required(),
+      nextCursor,
+      total: Joi.number().integer(),
+    }).required(),
+  })),
+  getUserById: success(Joi.object({
+    user: user.required(),
+    loginStatus: Joi.object({
+      failedAttempts: Joi.number().integer().required(),
+      locked: Joi.boolean().required(),
+      lockedUntil: nullableDate.required(),
+    }).required(),
+  })),
+  unlockUser: successMessage,
+  adminUpdateUser: success(Joi.object({ user: user.required() })),
+  changeUserRole: success(Joi.object({ user: user.required() })),
+  activateUser: success(Joi.object({ user: user.required() })),
+  deactivateUser: success(Joi.object({ user: user.required() })),
+  revokeUserSessions: successMessage,
+  forcePasswordReset: successMessage,
+  deleteUser: successMessage,
+  listAuditEvents: success(Joi.object({ events: Joi.array().items(auditEvent).required(), nextCursor })),
+  createWebhook: success(Joi.object({ subscription: webhook.required(), secret: Joi.string().required() })),
+  listWebhooks: success(Joi.object({ webhooks: Joi.array().items(webhook).required() })),
+  getWebhook: success(Joi.object({ webhook: webhook.required() })),
+  updateWebhook: success(Joi.object({ webhook: webhook.required() })),
+  deleteWebhook: successMessage,
+  listWebhookDeliveries: success(Joi.object({
+    deliveries: Joi.array().items(webhookDelivery).required(),
+    nextCursor,
+  })),
+  redeliverWebhook: success(Joi.object({ delivery: webhookDelivery.required() })),
+};
+
+module.exports = responseSchemas;
@@ -5,6 +5,90 @@
  */
 
 const Joi = require('joi');
+const { PERMISSIONS } = require('../config/permissions');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+const { EVENT_TYPES } = require('../config/eventTypes');
+const {
+  USER_SORT_FIELDS,
+  USER_LIST_FIELDS,
+  USER_EXPORT_FIELDS,
+  FILTER_OPERATORS,
+  RELATIVE_DATE_PATTERN,
+  USER_FILTER_FIELDS,
+} = require('../config/userListing');
+const { localizedMessages } = require('../utils/i18n');
+
+/**
+ * @function filterValueSchema
+ * @description Schema del valor de un operador de filtro según el tipo del campo
+ * @param {Object} field - Definición del campo (ver USER_FILTER_FIELDS)
+ * @param {string} operator - Operador (ver FILTER_OPERATORS)
+ * @returns {Object} Schema Joi
+ */
+const filterValueSchema = ({ type, values }, operator) => {
+  if (operator === 'exists' || type === 'boolean') {
+    return Joi.boolean();
+  }
+  if (type === 'date') {
+    return Joi.alternatives(Joi.date().iso(), Joi.string().pattern(RELATIVE_DATE_PATTERN));
+  }
+
+  const item = type === 'enum' ? Joi.string().valid(...values) : Joi.string().trim().min(1).max(100);
+  if (operator !== 'in' && operator !== 'nin') {
+    return item;
+  }
+  // Lista separada por comas en la query string, o array en el body de un filtro guardado
+  return Joi.alternatives(
+    Joi.array().items(item).min(1).max(50),
+    Joi.string().custom((value, helpers) => {
+      const list = value.split(',').map((entry) => entry.trim()).filter(Boolean);
+      return list.length > 0 && list.every((entry) => !item.validate(entry).error) ? list : helpers.error('any.invalid');
+    })
+  );
+};
+
+/**
+ * @constant userFilter
+ * @description Schema de filter[campo]=valor y filter[campo][operador]=valor. Los campos y
+ * operadores desconocidos se rechazan (no se descartan): un filtro mal escrito no debe
+ * devolver todos los usuarios.
+ */
+const userFilter = Joi.object(Object.fromEntries(
+  Object.entries(USER_FILTER_FIELDS).map(([name, field]) => {
+    const operators = Joi.object(Object.fromEntries(
+      FILTER_OPERATORS[field.type].map((operator) => [operator, filterValueSchema(field, operator)])
+    )).min(1).pattern(/./, Joi.forbidden());
+    const schema = FILTER_OPERATORS[field.type].includes('eq')
+      ? Joi.alternatives(filterValueSchema(field, 'eq'), operators)
+      : operators;
+    return [name, schema];
+  })
+)).pattern(/./, Joi.forbidden());
+
+/**
+ * @constant userQueryKeys
+ * @description Parámetros que definen qué usuarios lista GET /api/users/users (y que se
+ * pueden guardar en un filtro predefinido)
+ */
+const userQueryKeys = {
+  filter: userFilter,
+  role: Joi.string().valid('student', 'instructor', 'admin'),
+  search: Joi.string().max(100),
+  sort: Joi.string()
+    .valid(...USER_SORT_FIELDS.flatMap((field) => [field, `-${field}`]), 'relevance')
+    .when('search', { not: Joi.exist(), then: Joi.invalid('relevance') }),
+};
+
+/**
+ * Campos del registro de usuario (ver userSchemas.register)
+ */
+const registerFields = Joi.object({
+  email: Joi.string().email().required().lowercase(),
+  password: Joi.string().min(8).max(128).required(),
+  firstName: Joi.string().trim().min(1).max(50).required(),
+  lastName: Joi.string().trim().min(1).max(50).required(),
+  username: Joi.string().alphanum().min(3).max(30).lowercase().optional(),
+});
 
 /**
  * @namespace userSchemas
@@ -13,22 +97,21 @@ const Joi = require('joi');
 const userSchemas = {
   /**
    * @schema register
-   * @description Schema para validar datos de registro de usuario
+   * @description Schemas para validar datos de registro de usuario, por versión de la API
    * @property {string} email - Email válido (requerido, se convierte a minúsculas)
    * @property {string} password - Contraseña entre 8 y 128 caracteres (requerido)
    * @property {string} firstName - Nombre entre 1 y 50 caracteres (requerido, se trimea)
    * @property {string} lastName - Apellido entre 1 y 50 caracteres (requerido, se trimea)
    * @property {string} [username] - Username alfanumérico entre 3 y 30 caracteres (opcional, se convierte a minúsculas)
-   * @property {string} [role] - Rol: 'student', 'instructor', 'admin' (opcional, default: 'student')
+   * No acepta rol: el registro público siempre crea estudiantes (los demás roles se otorgan por invitación).
+   * v1 descarta en silencio un "role" (las apps publicadas lo envían); desde v2 es un error de validación.
    */
-  register: Joi.object({
-    email: Joi.string().email().required().lowercase(),
-    password: Joi.string().min(8).max(128).required(),
-    firstName: Joi.string().trim().min(1).max(50).required(),
-    lastName: Joi.string().trim().min(1).max(50).required(),
-    username: Joi.string().alphanum().min(3).max(30).lowercase().optional(),
-    role: Joi.string().valid('student', 'instructor', 'admin').optional(),
-  }),
+  register: {
+    v1: registerFields,
+    v2: registerFields.keys({
+      role: Joi.forbidden().messages(localizedMessages('any.unknown', 'validation.roleOnRegistration')),
+    }),
+  },
 
   /**
    * @schema login
@@ -41,6 +124,117 @@ const userSchemas = {
     password: Joi.string().required(),
   }),
 
+  /**
+   * @schema refreshToken
+   * @description Schema para validar la rotación de refresh tokens
+   * @property {string} refreshToken - Refresh token JWT (requerido)
+   */
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required(),
+  }),
+
+  /**
+   * @schema resendVerification
+   * @description Schema para validar el reenvío del email de verificación
+   * @property {string} email - Email válido (requerido)
+   */
+  resendVerification: Joi.object({
+    email: Joi.string().email().required().lowercase(),
+  }),
+
+  /**
+   * @schema forgotPassword
+   * @description Schema para validar la solicitud de reseteo de contraseña
+   * @property {string} email - Email válido (requerido)
+   */
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required().lowercase(),
+  }),
+
+  /**
+   * @schema resetPassword
+   * @description Schema para validar el reseteo de contraseña con token
+   * @property {string} token - Token hexadecimal recibido por email (requerido)
+   * @property {string} newPassword - Nueva contraseña entre 8 y 128 caracteres (requerido)
+   */
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    newPassword: Joi.string().min(8).max(128).required(),
+  }),
+
+  /**
+   * @schema requestReactivation
+   * @description Schema para validar la solicitud del enlace de reactivación
+   * @property {string} email - Email válido (requerido)
+   */
+  requestReactivation: Joi.object({
+    email: Joi.string().email().required().lowercase(),
+  }),
+
+  /**
+   * @schema reactivateAccount
+   * @description Schema para validar la reactivación de una cuenta
+   * @property {string} token - Token de reactivación devuelto por el login o recibido por email (requerido)
+   */
+  reactivateAccount: Joi.object({
+    token: Joi.string().required(),
+  }),
+
+  /**
+   * @schema mfaVerify
+   * @description Schema para validar el segundo paso del login con MFA
+   * @property {string} mfaToken - Token de desafío devuelto por el login (requerido)
+   * @property {string} [code] - Código TOTP de 6 dígitos
+   * @property {string} [recoveryCode] - Código de recuperación (exactamente uno de code/recoveryCode)
+   */
+  mfaVerify: Joi.object({
+    mfaToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+  }).xor('code', 'recoveryCode'),
+
+  /**
+   * @schema mfaSetup
+   * @description Schema para validar el inicio del alta de MFA
+   * @property {string} [mfaToken] - Token de alta obligatoria (solo si no hay access token)
+   */
+  mfaSetup: Joi.object({
+    mfaToken: Joi.string().optional(),
+  }),
+
+  /**
+   * @schema mfaConfirm
+   * @description Schema para validar la confirmación del alta de MFA
+   * @property {string} code - Código TOTP de 6 dígitos (requerido)
+   * @property {string} [mfaToken] - Token de alta obligatoria (solo si no hay access token)
+   */
+  mfaConfirm: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required(),
+    mfaToken: Joi.string().optional(),
+  }),
+
+  /**
+   * @schema mfaDisable
+   * @description Schema para validar la desactivación de MFA
+   * @property {string} password - Contraseña actual (requerido)
+   * @property {string} [code] - Código TOTP de 6 dígitos
+   * @property {string} [recoveryCode] - Código de recuperación (exactamente uno de code/recoveryCode)
+   */
+  mfaDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+  }).xor('code', 'recoveryCode'),
+
+  /**
+   * @schema mfaCode
+   * @description Schema para validar operaciones que solo requieren un código TOTP
+   * @property {string} code - Código TOTP de 6 dígitos (requerido)
+   */
+  mfaCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required(),
+  }),
+
   /**
    * @schema updateProfile
    * @description Schema para validar datos de actualización de perfil
@@ -97,6 +291,292 @@ const userSchemas = {
     currentPassword: Joi.string().required(),
     newPassword: Joi.string().min(8).max(128).required(),
   }),
+
+  /**
+   * @schema adminUpdateUser
+   * @description Schema para que un administrador edite el perfil de un usuario
+   * Igual que updateProfile, más el estado de verificación del email. Requiere al menos un campo.
+   * El rol y el estado activo tienen sus propias rutas.
+   * @property {boolean} [isEmailVerified] - Marca el email como verificado o no (opcional)
+   */
+  adminUpdateUser: Joi.object({
+    firstName: Joi.string().trim().min(1).max(50).optional(),
+    lastName: Joi.string().trim().min(1).max(50).optional(),
+    username: Joi.string().alphanum().min(3).max(30).lowercase().optional(),
+    avatar: Joi.string().uri().optional(),
+    isEmailVerified: Joi.boolean().optional(),
+    preferences: Joi.object({
+      language: Joi.string().length(2).optional(),
+      timezone: Joi.string().optional(),
+      notifications: Joi.object({
+        email: Joi.boolean().optional(),
+        push: Joi.boolean().optional(),
+      }).optional(),
+    }).optional(),
+    learningProfile: Joi.object({
+      level: Joi.string().valid('beginner', 'intermediate', 'advanced').optional(),
+      skills: Joi.array().items(
+        Joi.object({
+          name: Joi.string().required(),
+          level: Joi.string().valid('beginner', 'intermediate', 'advanced', 'expert').required(),
+        })
+      ).optional(),
+      interests: Joi.array().items(Joi.string()).optional(),
+    }).optional(),
+  }).min(1),
+
+  /**
+   * @schema changeRole
+   * @description Schema para cambiar el rol de un usuario
+   * @property {string} role - Rol: 'student', 'instructor', 'admin' (requerido)
+   */
+  changeRole: Joi.object({
+    role: Joi.string().valid('student', 'instructor', 'admin').required(),
+  }),
+
+  /**
+   * @schema activateUser
+   * @description Schema para reactivar una cuenta (sin campos en el body)
+   */
+  activateUser: Joi.object({}),
+
+  /**
+   * @schema deactivateUser
+   * @description Schema para desactivar una cuenta
+   * @property {string} [reason] - Motivo de la desactivación, se registra en los logs (opcional)
+   */
+  deactivateUser: Joi.object({
+    reason: Joi.string().trim().max(500).optional(),
+  }),
+
+  /**
+   * @schema revokeUserSessions
+   * @description Schema para cerrar todas las sesiones de un usuario (sin campos en el body)
+   */
+  revokeUserSessions: Joi.object({}),
+
+  /**
+   * @schema forcePasswordReset
+   * @description Schema para forzar el reseteo de contraseña (sin campos en el body)
+   */
+  forcePasswordReset: Joi.object({}),
+
+  /**
+   * @schema deleteUser
+   * @description Schema para eliminar definitivamente una cuenta
+   * @property {string} confirmEmail - Email de la cuenta a eliminar, como confirmación (requerido)
+   */
+  deleteUser: Joi.object({
+    confirmEmail: Joi.string().email().lowercase().required(),
+  }),
+
+  /**
+   * @schema requestErasure
+   * @description Schema para solicitar el borrado de los datos personales de la propia cuenta
+   * @property {string} confirmEmail - Email de la cuenta, como confirmación (requerido)
+   */
+  requestErasure: Joi.object({
+    confirmEmail: Joi.string().email().lowercase().required(),
+  }),
+
+  /**
+   * @schema createInvitation
+   * @description Schema para invitar a un email con un rol
+   * @property {string} email - Email invitado (requerido, se convierte a minúsculas)
+   * @property {string} role - Rol: 'student', 'instructor', 'admin' (requerido)
+   */
+  createInvitation: Joi.object({
+    email: Joi.string().email().required().lowercase(),
+    role: Joi.string().valid('student', 'instructor', 'admin').required(),
+  }),
+
+  /**
+   * @schema userImportQuery
+   * @description Schema para validar las opciones de la importación de usuarios (query string)
+   * @property {boolean} [dryRun=false] - Solo validar el archivo y devolver el informe por fila
+   * @property {string} [role='student'] - Rol con el que se crean los usuarios importados
+   */
+  userImportQuery: Joi.object({
+    dryRun: Joi.boolean().default(false),
+    role: Joi.string().valid('student', 'instructor', 'admin').default('student'),
+  }),
+
+  /**
+   * @schema acceptInvitation
+   * @description Schema para registrarse con una invitación (el email y el rol vienen de la invitación)
+   * @property {string} token - Token de la invitación (requerido)
+   * @property {string} password - Contraseña entre 8 y 128 caracteres (requerido)
+   * @property {string} firstName - Nombre entre 1 y 50 caracteres (requerido)
+   * @property {string} lastName - Apellido entre 1 y 50 caracteres (requerido)
+   * @property {string} [username] - Username alfanumérico entre 3 y 30 caracteres (opcional)
+   */
+  acceptInvitation: Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(8).max(128).required(),
+    firstName: Joi.string().trim().min(1).max(50).required(),
+    lastName: Joi.string().trim().min(1).max(50).required(),
+    username: Joi.string().alphanum().min(3).max(30).lowercase().optional(),
+  }),
+
+  /**
+   * @schema updateRolePermissions
+   * @description Schema para reemplazar los permisos de un rol
+   * @property {Array<string>} permissions - Claves del registro de permisos (puede ser vacío)
+   */
+  updateRolePermissions: Joi.object({
+    permissions: Joi.array()
+      .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+      .unique()
+      .required(),
+  }),
+
+  /**
+   * @schema userListQuery
+   * @description Schema para validar los parámetros del listado de usuarios (query string)
+   * @property {number} [limit=10] - Usuarios por página, entre 1 y 100
+   * @property {string} [cursor] - Cursor nextCursor de la página anterior (solo vale con el mismo sort)
+   * @property {string} [sort] - Campo de USER_SORT_FIELDS, con prefijo '-' para orden descendente, o
+   * 'relevance' (solo con search). Por defecto 'relevance' si hay search y '-createdAt' si no
+   * @property {string} [fields] - Campos de USER_LIST_FIELDS separados por comas (se convierte en array)
+   * @property {boolean} [includeTotal=false] - Incluir el total de usuarios que coinciden
+   * @property {Object} [filter] - Filtros filter[campo]=valor o filter[campo][operador]=valor (ver USER_FILTER_FIELDS)
+   * @property {string} [preset] - ID de un filtro guardado; los parámetros de la query tienen prioridad
+   * @property {string} [role] - Filtrar por rol
+   * @property {string} [search] - Búsqueda por email, nombre, username, habilidades e intereses
+   */
+  userListQuery: Joi.object({
+    ...userQueryKeys,
+    preset: Joi.string().hex().length(24),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    cursor: Joi.string().max(512),
+    fields: Joi.string()
+      .custom((value, helpers) => {
+        const fields = [...new Set(value.split(',').map((field) => field.trim()))];
+        return fields.every((field) => USER_LIST_FIELDS.includes(field)) ? fields : helpers.error('any.invalid');
+      })
+      .messages(localizedMessages('any.invalid', 'validation.fieldsNotAllowed', { fields: USER_LIST_FIELDS.join(', ') })),
+    includeTotal: Joi.boolean().default(false),
+  }),
+
+  /**
+   * @schema userExportQuery
+   * @description Schema para validar los parámetros de la exportación de usuarios (query string)
+   * @property {string} [format='csv'] - 'csv' o 'ndjson'
+   * @property {string} [fields] - Columnas de USER_EXPORT_FIELDS separadas por comas, o
+   * 'preferences' / 'learningProfile' para todas las suyas (se convierte en array; todas por defecto)
+   * @property {Object} [filter] - Filtros, como en userListQuery
+   * @property {string} [preset] - ID de un filtro guardado, como en userListQuery
+   * @property {string} [role] - Filtrar por rol
+   * @property {string} [search] - Búsqueda por email, nombre, username, habilidades e intereses
+   */
+  userExportQuery: Joi.object({
+    filter: userQueryKeys.filter,
+    role: userQueryKeys.role,
+    search: userQueryKeys.search,
+    preset: Joi.string().hex().length(24),
+    format: Joi.string().valid('csv', 'ndjson').default('csv'),
+    fields: Joi.string()
+      .custom((value, helpers) => {
+        // Cada campo pedido es una columna o un grupo de columnas ('preferences' → 'preferences.*')
+        const columns = value.split(',').map((field) => field.trim()).map((field) => USER_EXPORT_FIELDS.filter(
+          (column) => column === field || column.startsWith(`${field}.`)
+        ));
+        return columns.every((group) => group.length > 0) ? [...new Set(columns.flat())] : helpers.error('any.invalid');
+      })
+      .default(USER_EXPORT_FIELDS)
+      .messages(localizedMessages('any.invalid', 'validation.fieldsNotAllowed', { fields: USER_EXPORT_FIELDS.join(', ') })),
+  }),
+
+  /**
+   * @schema createFilterPreset
+   * @description Schema para guardar un filtro predefinido del listado de usuarios
+   * @property {string} name - Nombre único, máximo 100 caracteres (requerido)
+   * @property {string} [description] - Descripción libre, máximo 200 caracteres
+   * @property {Object} query - filter, role, search y/o sort, con el mismo formato que en el
+   * listado (requerido, al menos uno)
+   */
+  createFilterPreset: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().max(200).allow(''),
+    query: Joi.object(userQueryKeys).min(1).required(),
+  }),
+
+  /**
+   * @schema auditEventQuery
+   * @description Schema para validar los filtros de la consulta del log de auditoría (query string)
+   * @property {string} [actor] - ID del usuario que realizó la acción
+   * @property {string} [target] - ID del usuario afectado
+   * @property {string} [action] - Acción (ver config/auditActions)
+   * @property {string} [outcome] - 'success' o 'failure'
+   * @property {string} [ip] - IP del cliente
+   * @property {string} [requestId] - ID de la petición (header X-Request-Id)
+   * @property {Date} [from] - Fecha mínima, ISO 8601 (incluida)
+   * @property {Date} [to] - Fecha máxima, ISO 8601 (excluida, posterior a from)
+   * @property {number} [limit=50] - Eventos por página, entre 1 y 100
+   * @property {string} [cursor] - Cursor nextCursor de la página anterior
+   */
+  auditEventQuery: Joi.object({
+    actor: Joi.string().hex().length(24),
+    target: Joi.string().hex().length(24),
+    action: Joi.string().valid(...Object.values(AUDIT_ACTIONS)),
+    outcome: Joi.string().valid('success', 'failure'),
+    ip: Joi.string().ip(),
+    requestId: Joi.string().max(128),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) }),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    cursor: Joi.string().max(64),
+  }),
+
+  /**
+   * @schema createWebhook
+   * @description Schema para crear una suscripción de webhook
+   * @property {string} url - Endpoint http(s) que recibe las entregas (requerido)
+   * @property {Array<string>} eventTypes - Tipos de evento suscritos (requerido, al menos uno)
+   * @property {string} [description] - Descripción libre, máximo 200 caracteres
+   */
+  createWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048).required(),
+    eventTypes: Joi.array()
+      .items(Joi.string().valid(...Object.values(EVENT_TYPES)))
+      .min(1)
+      .unique()
+      .required(),
+    description: Joi.string().max(200).allow(''),
+  }),
+
+  /**
+   * @schema updateWebhook
+   * @description Schema para actualizar una suscripción de webhook. Requiere al menos un campo.
+   * @property {string} [url] - Nuevo endpoint http(s)
+   * @property {Array<string>} [eventTypes] - Nuevos tipos de evento (al menos uno)
+   * @property {string} [description] - Nueva descripción
+   * @property {boolean} [isActive] - Activar o desactivar la suscripción
+   */
+  updateWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2048),
+    eventTypes: Joi.array()
+      .items(Joi.string().valid(...Object.values(EVENT_TYPES)))
+      .min(1)
+      .unique(),
+    description: Joi.string().max(200).allow(''),
+    isActive: Joi.boolean(),
+  }).min(1),
+
+  /**
+   * @schema webhookDeliveryQuery
+   * @description Schema para validar los filtros del log de entregas de un webhook (query string)
+   * @property {string} [status] - 'pending', 'succeeded' o 'dead_letter'
+   * @property {string} [eventType] - Tipo de evento
+   * @property {number} [limit=50] - Entregas por página, entre 1 y 100
+   * @property {string} [cursor] - Cursor nextCursor de la página anterior
+   */
+  webhookDeliveryQuery: Joi.object({
+    status: Joi.string().valid('pending', 'succeeded', 'dead_letter'),
+    eventType: Joi.string().valid(...Object.values(EVENT_TYPES)),
+    limit: Joi.number().integer().min(1).max(100).default(50),
+    cursor: Joi.string().max(64),
+  }),
 };
 
 module.exports = userSchemas;
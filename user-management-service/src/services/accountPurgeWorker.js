@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Account Purge Worker - Purga de cuentas desactivadas no reactivadas
+ * @description Busca periódicamente las cuentas que su dueño desactivó y cuyo plazo de
+ * reactivación (ACCOUNT_REACTIVATION_DAYS) terminó, y las purga según ACCOUNT_PURGE_MODE
+ * (PrivacyService.purgeDeactivatedUser). Varias instancias pueden ejecutarlo a la vez:
+ * antes de purgar una cuenta, su purgeScheduledAt se aplaza LEASE_MS de forma atómica,
+ * así que ninguna otra instancia la toma. Si la purga falla, la cuenta se vuelve a
+ * intentar cuando vence ese aplazamiento.
+ */
+
+const User = require('../models/userModel');
+const privacyService = require('./privacyService');
+const PollingWorker = require('../utils/pollingWorker');
+const config = require('../config/env');
+
+/**
+ * Tiempo que una instancia reserva una cuenta (y espera antes de reintentar un fallo)
+ */
+const LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * @class AccountPurgeWorker
+ * @description Proceso en segundo plano que purga las cuentas desactivadas vencidas
+ */
+class AccountPurgeWorker extends PollingWorker {
+  constructor() {
+    super('Account purge worker', {
+      getIntervalMs: () => config.accountPurge.workerIntervalMs,
+      getBatchSize: () => config.accountPurge.batchSize,
+    });
+  }
+
+  /**
+   * @method claimNext
+   * @description Reserva de forma atómica la siguiente cuenta con el plazo de reactivación vencido
+   * @returns {Promise<Object|null>} Usuario reservado o null si no hay pendientes
+   */
+  async claimNext() {
+    const now = new Date();
+    return User.findOneAndUpdate(
+      { purgeScheduledAt: { $lte: now }, isActive: false, deactivatedBy: 'self', anonymizedAt: null },
+      { $set: { purgeScheduledAt: new Date(now.getTime() + LEASE_MS) } },
+      { sort: { purgeScheduledAt: 1 }, new: true }
+    ).select('_id');
+  }
+
+  /**
+   * @method processBatch
+   * @description Purga hasta ACCOUNT_PURGE_BATCH_SIZE cuentas
+   * @returns {Promise<number>} Número de cuentas procesadas (purgadas o no)
+   */
+  async processBatch() {
+    let processed = 0;
+    while (processed < config.accountPurge.batchSize) {
+      const user = await this.claimNext();
+      if (!user) {
+        break;
+      }
+      // purgeDeactivatedUser registra el error; la cuenta se reintenta al vencer la reserva
+      await privacyService.purgeDeactivatedUser(user._id).catch(() => {});
+      processed += 1;
+    }
+    return processed;
+  }
+}
+
+module.exports = new AccountPurgeWorker();
@@ -0,0 +1,345 @@
+/**
+ * @fileoverview Admin Service - Operaciones de administración sobre cuentas de usuario
+ * @description Este módulo contiene las acciones que un administrador realiza sobre la
+ * cuenta de otro usuario: editar el perfil, cambiar el rol, activar/desactivar, cerrar
+ * sesiones, forzar un reseteo de contraseña y eliminar definitivamente. Ninguna de ellas
+ * puede dejar el sistema sin administradores activos, y todas (incluidas las consultas)
+ * quedan registradas en el log de auditoría.
+ */
+
+const User = require('../models/userModel');
+const userService = require('./userService');
+const filterPresetService = require('./filterPresetService');
+const mailService = require('./mailService');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const { EXPORT_CONTENT_TYPES, createCsvTransform, createNdjsonTransform } = require('../utils/exportFormat');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * Documentos que el cursor de la exportación lee de MongoDB en cada viaje
+ */
+const EXPORT_CURSOR_BATCH_SIZE = 500;
+
+/**
+ * @function findUser
+ * @description Obtiene un usuario por ID o lanza 404
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} Documento Mongoose del usuario
+ * @throws {AppError} 404 - Si el usuario no existe
+ */
+const findUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+  return user;
+};
+
+/**
+ * @class AdminService
+ * @description Servicio que encapsula la gestión de usuarios por parte de administradores
+ */
+class AdminService {
+  /**
+   * @method listUsers
+   * @description Lista usuarios con paginación y filtros (ver UserService.getAllUsers)
+   * @param {Object} query - Parámetros de consulta; con preset se aplica un filtro guardado
+   * (ver FilterPresetService.applyPreset)
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con la lista de usuarios y metadatos de paginación
+   * @throws {AppError} 404 - Si el filtro guardado no existe
+   */
+  async listUsers(query, context) {
+    const listQuery = query.preset ? await filterPresetService.applyPreset(query) : query;
+    const result = await userService.getAllUsers(listQuery);
+    await auditService.record({
+      action: AUDIT_ACTIONS.ADMIN_USER_LIST,
+      context,
+      metadata: { query, count: result.users.length },
+    });
+    return result;
+  }
+
+  /**
+   * @method exportUsers
+   * @description Prepara la exportación en streaming de los usuarios que coinciden con los filtros
+   * @param {Object} query - Parámetros validados por el schema userExportQuery (format, fields,
+   * filter, role, search y preset, como en listUsers)
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} { cursor, transform, contentType }: el cursor de MongoDB se
+   * debe encadenar con el transform (p. ej. con stream.pipeline) hacia la respuesta
+   * @throws {AppError} 404 - Si el filtro guardado no existe
+   *
+   * @description Solo se leen de la base de datos las columnas pedidas (nunca contraseñas,
+   * tokens ni identificadores OAuth: ver USER_EXPORT_FIELDS), en orden de _id y por lotes,
+   * de modo que la memoria no crece con el número de usuarios.
+   */
+  async exportUsers(query, context) {
+    const exportQuery = query.preset ? await filterPresetService.applyPreset(query) : query;
+    const { format, fields } = query;
+    const { filter } = userService.buildListFilter(exportQuery);
+
+    const cursor = User.find(filter)
+      .select(['_id', ...fields])
+      .sort({ _id: 1 })
+      .lean()
+      .cursor({ batchSize: EXPORT_CURSOR_BATCH_SIZE });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.ADMIN_USER_EXPORT,
+      context,
+      metadata: { query },
+    });
+    logger.info(`User export (${format}) started by ${context.actorId}`);
+    return {
+      cursor,
+      transform: format === 'csv' ? createCsvTransform(['_id', ...fields]) : createNdjsonTransform(),
+      contentType: EXPORT_CONTENT_TYPES[format],
+    };
+  }
+
+  /**
+   * @method getUser
+   * @description Obtiene el detalle de un usuario y su estado de bloqueo por intentos fallidos
+   * @param {string} userId - ID del usuario
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con user y loginStatus
+   * @throws {AppError} 404 - Si el usuario no existe
+   */
+  async getUser(userId, context) {
+    const user = await userService.getUserById(userId);
+    const loginStatus = await userService.getLoginStatus(user);
+    await auditService.record({ action: AUDIT_ACTIONS.ADMIN_USER_READ, target: user._id, context });
+    return { user, loginStatus };
+  }
+
+  /**
+   * @method updateUser
+   * @description Edita el perfil de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {Object} updateData - Campos a actualizar (ver userSchemas.adminUpdateUser)
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Usuario actualizado
+   * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si el username ya está en uso
+   */
+  async updateUser(userId, updateData, context) {
+    const fields = Object.keys(updateData);
+    try {
+      const user = await userService.updateUser(userId, updateData, context);
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_USER_UPDATE,
+        target: user._id,
+        context,
+        metadata: { fields },
+      });
+
+      logger.info(`User ${user.email} updated by admin ${context.actorId}: ${fields.join(', ')}`);
+      return user;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_USER_UPDATE, error, {
+        target: userId,
+        context,
+        metadata: { fields },
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * @method changeRole
+   * @description Cambia el rol de un usuario y cierra sus sesiones
+   * @param {string} userId - ID del usuario
+   * @param {string} role - Nuevo rol: 'student', 'instructor', 'admin'
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Usuario actualizado
+   * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si se degrada al último administrador activo
+   *
+   * @description Los refresh tokens llevan el rol en su payload, así que se revocan para
+   * que el usuario obtenga tokens con el rol nuevo al volver a iniciar sesión.
+   */
+  async changeRole(userId, role, context) {
+    try {
+      const user = await findUser(userId);
+      if (user.role === role) {
+        return user;
+      }
+      const previousRole = user.role;
+      await eventService.runInTransaction(async (session) => {
+        if (role !== 'admin') {
+          await userService.assertNotLastAdmin(user, session);
+        }
+        user.role = role;
+        user.refreshTokens = [];
+        await user.save({ session });
+        await eventService.enqueue(EVENT_TYPES.USER_ROLE_CHANGED, user._id, {
+          user: eventService.toEventUser(user),
+          previousRole,
+          role,
+        }, { session, context });
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_ROLE_CHANGE,
+        target: user._id,
+        context,
+        metadata: { previousRole, role },
+      });
+      logger.info(`Role of ${user.email} changed from ${previousRole} to ${role} by admin ${context.actorId}`);
+      return user;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_ROLE_CHANGE, error, {
+        target: userId,
+        context,
+        metadata: { role },
+      });
+      logger.error(`Error changing user role: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method setActive
+   * @description Activa o desactiva una cuenta; al desactivarla se cierran sus sesiones
+   * @param {string} userId - ID del usuario
+   * @param {boolean} isActive - Nuevo estado
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @param {string} [reason] - Motivo del cambio (se guarda en el evento de auditoría)
+   * @returns {Promise<Object>} Usuario actualizado
+   * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si se desactiva al último administrador activo
+   *
+   * @description Una cuenta desactivada por un administrador no se purga ni puede
+   * reactivarla su dueño; si el usuario ya la había desactivado, se cancela la purga.
+   */
+  async setActive(userId, isActive, context, reason) {
+    const action = isActive ? AUDIT_ACTIONS.ADMIN_USER_ACTIVATE : AUDIT_ACTIONS.ADMIN_USER_DEACTIVATE;
+    try {
+      const user = await findUser(userId);
+      await eventService.runInTransaction(async (session) => {
+        if (!isActive) {
+          await userService.assertNotLastAdmin(user, session);
+          user.refreshTokens = [];
+        }
+        user.isActive = isActive;
+        user.deactivatedAt = isActive ? null : new Date();
+        user.deactivatedBy = isActive ? null : 'admin';
+        user.purgeScheduledAt = null;
+        await user.save({ session });
+        await eventService.enqueue(isActive ? EVENT_TYPES.USER_ACTIVATED : EVENT_TYPES.USER_DEACTIVATED, user._id, {
+          user: eventService.toEventUser(user),
+          ...(reason && { reason }),
+        }, { session, context });
+      });
+
+      await auditService.record({
+        action,
+        target: user._id,
+        context,
+        metadata: reason ? { reason } : undefined,
+      });
+      logger.info(`User ${user.email} ${isActive ? 'activated' : 'deactivated'} by admin ${context.actorId}${reason ? `: ${reason}` : ''}`);
+      return user;
+    } catch (error) {
+      await auditService.recordFailure(action, error, { target: userId, context });
+      logger.error(`Error changing user status: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method revokeSessions
+   * @description Cierra todas las sesiones de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 404 - Si el usuario no existe
+   */
+  async revokeSessions(userId, context) {
+    const user = await findUser(userId);
+    const result = await userService.revokeAllSessions(user._id);
+    await auditService.record({ action: AUDIT_ACTIONS.ADMIN_SESSIONS_REVOKE, target: user._id, context });
+
+    logger.info(`Sessions of ${user.email} revoked by admin ${context.actorId}`);
+    return result;
+  }
+
+  /**
+   * @method forcePasswordReset
+   * @description Obliga a un usuario a restablecer su contraseña
+   * @param {string} userId - ID del usuario
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 404 - Si el usuario no existe
+   *
+   * @description Cierra todas las sesiones, bloquea el login con contraseña hasta que se
+   * complete el reseteo y envía al usuario el email con el enlace de reseteo.
+   */
+  async forcePasswordReset(userId, context) {
+    try {
+      const user = await findUser(userId);
+
+      const token = user.generatePasswordResetToken();
+      user.passwordResetRequired = true;
+      user.refreshTokens = [];
+      await user.save();
+      await mailService.sendPasswordResetEmail(user, token);
+
+      await auditService.record({ action: AUDIT_ACTIONS.ADMIN_PASSWORD_RESET_FORCE, target: user._id, context });
+      logger.info(`Password reset forced for ${user.email} by admin ${context.actorId}`);
+      return { messageKey: 'messages.passwordResetForced' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_PASSWORD_RESET_FORCE, error, { target: userId, context });
+      logger.error(`Error forcing password reset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method deleteUser
+   * @description Elimina definitivamente una cuenta (hard delete)
+   * @param {string} userId - ID del usuario
+   * @param {string} confirmEmail - Email de la cuenta, como confirmación
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 400 - Si el email de confirmación no coincide
+   * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si es el último administrador activo
+   */
+  async deleteUser(userId, confirmEmail, context) {
+    try {
+      const user = await findUser(userId);
+      if (user.email !== confirmEmail.toLowerCase()) {
+        throw new AppError('Confirmation email does not match the account', 400, 'CONFIRMATION_EMAIL_MISMATCH');
+      }
+      await eventService.runInTransaction(async (session) => {
+        await userService.assertNotLastAdmin(user, session);
+        await User.deleteOne({ _id: user._id }, { session });
+        await eventService.enqueue(EVENT_TYPES.USER_DELETED, user._id, {
+          user: eventService.toEventUser(user),
+        }, { session, context });
+      });
+
+      // El evento conserva el email: el usuario referenciado en target ya no existe
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_USER_DELETE,
+        target: user._id,
+        context,
+        metadata: { email: user.email, role: user.role },
+      });
+      logger.warn(`User ${user.email} permanently deleted by admin ${context.actorId}`);
+      return { messageKey: 'messages.userDeleted' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_USER_DELETE, error, { target: userId, context });
+      logger.error(`Error deleting user: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Audit Service - Escritura y consulta del log de auditoría
+ * @description Los servicios llaman a record() en cada operación relevante para la
+ * seguridad (con éxito o fallida). Escribir el evento nunca interrumpe la operación
+ * auditada: si falla, se registra el error en el logger y se continúa.
+ */
+
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/auditEventModel');
+const logger = require('../utils/logger');
+const { encodeCursor, decodeCursor } = require('../utils/cursorUtils');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+/**
+ * Tamaño de página por defecto de la consulta
+ */
+const DEFAULT_LIMIT = 50;
+
+/**
+ * @function toObjectId
+ * @description Normaliza la referencia a un usuario: los IDs mal formados (p. ej. el
+ * parámetro de una petición rechazada) se guardan como null en lugar de impedir el registro
+ * @param {string|ObjectId} [id] - ID del usuario
+ * @returns {string|ObjectId|null} El ID, o null si no es un ObjectId válido
+ */
+const toObjectId = (id) => (id && mongoose.isValidObjectId(id) ? id : null);
+
+/**
+ * @class AuditService
+ * @description Servicio que encapsula el log de auditoría
+ */
+class AuditService {
+  /**
+   * @method record
+   * @description Guarda un evento de auditoría
+   * @param {Object} event - Datos del evento
+   * @param {string} event.action - Acción (ver config/auditActions)
+   * @param {string} [event.outcome='success'] - 'success' o 'failure'
+   * @param {string} [event.actor] - Usuario que realiza la acción (por defecto, context.actorId)
+   * @param {string} [event.target] - Usuario afectado
+   * @param {Object} [event.context] - Contexto de la petición ({ ip, userAgent, requestId, actorId })
+   * @param {Object} [event.metadata] - Datos adicionales (nunca contraseñas ni tokens)
+   * @returns {Promise<void>}
+   */
+  async record({ action, outcome = 'success', actor, target, context = {}, metadata }) {
+    try {
+      await AuditEvent.create({
+        action,
+        outcome,
+        actor: toObjectId(actor || context.actorId),
+        target: toObjectId(target),
+        ip: context.ip || null,
+        userAgent: context.userAgent || null,
+        requestId: context.requestId || null,
+        metadata,
+      });
+    } catch (error) {
+      logger.error(`Error recording audit event ${action}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @method recordFailure
+   * @description Guarda un evento fallido con el motivo del error
+   * @param {string} action - Acción (ver config/auditActions)
+   * @param {Error} error - Error que hizo fallar la operación
+   * @param {Object} [event] - Resto de datos del evento (actor, target, context, metadata)
+   * @returns {Promise<void>}
+   */
+  async recordFailure(action, error, event = {}) {
+    await this.record({
+      ...event,
+      action,
+      outcome: 'failure',
+      metadata: { ...event.metadata, reason: error.message, statusCode: error.statusCode || 500 },
+    });
+  }
+
+  /**
+   * @method anonymizeEmail
+   * @description Sustituye un email en los eventos que lo guardan en metadata.email (p. ej.
+   * los logins y registros fallidos) por el email anónimo de la cuenta borrada
+   * @param {string} email - Email del usuario borrado
+   * @param {string} anonymizedEmail - Email que lo sustituye
+   * @param {ClientSession} [session] - Sesión de la transacción del borrado
+   * @returns {Promise<void>}
+   *
+   * @description Es la única modificación permitida del log: se escribe en la colección
+   * directamente porque el modelo rechaza cualquier update.
+   */
+  async anonymizeEmail(email, anonymizedEmail, session = null) {
+    await AuditEvent.collection.updateMany(
+      { 'metadata.email': email },
+      { $set: { 'metadata.email': anonymizedEmail } },
+      { session }
+    );
+  }
+
+  /**
+   * @method query
+   * @description Consulta eventos, del más reciente al más antiguo, con paginación por cursor
+   * @param {Object} filters - Filtros (ya validados por el schema auditEventQuery)
+   * @param {string} [filters.actor] - ID del usuario que realizó la acción
+   * @param {string} [filters.target] - ID del usuario afectado
+   * @param {string} [filters.action] - Acción
+   * @param {string} [filters.outcome] - 'success' o 'failure'
+   * @param {string} [filters.ip] - IP del cliente
+   * @param {string} [filters.requestId] - ID de la petición
+   * @param {Date} [filters.from] - Fecha mínima (incluida)
+   * @param {Date} [filters.to] - Fecha máxima (excluida)
+   * @param {number} [filters.limit=50] - Eventos por página
+   * @param {string} [filters.cursor] - Cursor devuelto por la página anterior
+   * @param {Object} context - Datos de la petición (la consulta del log también se audita)
+   * @returns {Promise<Object>} { events, nextCursor } (nextCursor es null en la última página)
+   * @throws {AppError} 400 - Si el cursor no es válido
+   */
+  async query(filters, context) {
+    const { actor, target, action, outcome, ip, requestId, from, to, limit = DEFAULT_LIMIT, cursor } = filters;
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (target) filter.target = target;
+    if (action) filter.action = action;
+    if (outcome) filter.outcome = outcome;
+    if (ip) filter.ip = ip;
+    if (requestId) filter.requestId = requestId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lt = to;
+    }
+    if (cursor) {
+      filter._id = { $lt: decodeCursor(cursor) };
+    }
+
+    // Se pide un evento más para saber si hay otra página
+    const events = await AuditEvent.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate('actor', 'email firstName lastName')
+      .populate('target', 'email firstName lastName')
+      .lean();
+
+    const hasMore = events.length > limit;
+    if (hasMore) {
+      events.pop();
+    }
+
+    const appliedFilters = Object.fromEntries(
+      Object.entries({ actor, target, action, outcome, ip, requestId, from, to })
+        .filter(([, value]) => value !== undefined)
+    );
+    await this.record({
+      action: AUDIT_ACTIONS.ADMIN_AUDIT_READ,
+      context,
+      metadata: { filters: appliedFilters },
+    });
+
+    return {
+      events,
+      nextCursor: hasMore ? encodeCursor(events[events.length - 1]._id) : null,
+    };
+  }
+}
+
+module.exports = new AuditService();
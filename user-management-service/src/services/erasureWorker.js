@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Erasure Worker - Ejecución de las solicitudes de borrado vencidas
+ * @description Busca periódicamente las cuentas cuyo periodo de gracia terminó y borra
+ * sus datos personales (PrivacyService.eraseUser). Varias instancias pueden ejecutarlo
+ * a la vez: antes de borrar una cuenta, su erasureScheduledAt se aplaza LEASE_MS de
+ * forma atómica, así que ninguna otra instancia la toma. Si el borrado falla, la cuenta
+ * se vuelve a intentar cuando vence ese aplazamiento.
+ *
+ * El último administrador activo no puede borrarse hasta que haya otro: su solicitud se
+ * marca como bloqueada (erasureBlockedAt) y se reintenta cada BLOCKED_RETRY_MS en lugar
+ * de en cada reserva.
+ */
+
+const User = require('../models/userModel');
+const privacyService = require('./privacyService');
+const logger = require('../utils/logger');
+const PollingWorker = require('../utils/pollingWorker');
+const config = require('../config/env');
+
+/**
+ * Tiempo que una instancia reserva una cuenta (y espera antes de reintentar un fallo)
+ */
+const LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Espera antes de reintentar el borrado de un último administrador
+ */
+const BLOCKED_RETRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @class ErasureWorker
+ * @description Proceso en segundo plano que ejecuta los borrados programados
+ */
+class ErasureWorker extends PollingWorker {
+  constructor() {
+    super('Erasure worker', {
+      getIntervalMs: () => config.erasure.workerIntervalMs,
+      getBatchSize: () => config.erasure.batchSize,
+    });
+  }
+
+  /**
+   * @method claimNext
+   * @description Reserva de forma atómica la siguiente cuenta con el borrado vencido
+   * @returns {Promise<Object|null>} Usuario reservado o null si no hay pendientes
+   */
+  async claimNext() {
+    const now = new Date();
+    return User.findOneAndUpdate(
+      { erasureScheduledAt: { $lte: now }, anonymizedAt: null },
+      { $set: { erasureScheduledAt: new Date(now.getTime() + LEASE_MS) } },
+      { sort: { erasureScheduledAt: 1 }, new: true }
+    ).select('_id');
+  }
+
+  /**
+   * @method postponeBlocked
+   * @description Marca como bloqueado el borrado de un último administrador y lo aplaza
+   * BLOCKED_RETRY_MS (si la solicitud no se canceló mientras tanto)
+   * @param {ObjectId} userId - ID del usuario
+   * @returns {Promise<void>}
+   */
+  async postponeBlocked(userId) {
+    const now = new Date();
+    await User.updateOne(
+      { _id: userId, erasureScheduledAt: { $ne: null }, anonymizedAt: null },
+      { $set: { erasureBlockedAt: now, erasureScheduledAt: new Date(now.getTime() + BLOCKED_RETRY_MS) } }
+    );
+    logger.warn(`Erasure of user ${userId} blocked: last active admin. Retrying in 24 hours`);
+  }
+
+  /**
+   * @method processBatch
+   * @description Borra hasta ERASURE_BATCH_SIZE cuentas
+   * @returns {Promise<number>} Número de cuentas procesadas (borradas o no)
+   */
+  async processBatch() {
+    let processed = 0;
+    while (processed < config.erasure.batchSize) {
+      const user = await this.claimNext();
+      if (!user) {
+        break;
+      }
+      // eraseUser registra el error; la cuenta se reintenta al vencer la reserva
+      await privacyService.eraseUser(user._id).catch((error) => (
+        error.code === 'USER_LAST_ADMIN' ? this.postponeBlocked(user._id) : null
+      ));
+      processed += 1;
+    }
+    return processed;
+  }
+}
+
+module.exports = new ErasureWorker();
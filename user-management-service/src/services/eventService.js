@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Event Service - Eventos de dominio del ciclo de vida de los usuarios
+ * @description Los servicios escriben cada evento en el outbox dentro de la misma
+ * operación que el cambio del usuario (runInTransaction + enqueue) y el OutboxRelay
+ * los publica después en los transportes configurados (EVENTS_TRANSPORTS). Los
+ * suscriptores del propio proceso se registran con subscribe().
+ */
+
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const OutboxEvent = require('../models/outboxEventModel');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const webhookService = require('./webhookService');
+const { InProcessTransport, WebhookTransport, SubscriptionsTransport } = require('../utils/eventTransports');
+
+/**
+ * @function supportsTransactions
+ * @description Indica si la conexión actual admite transacciones (replica set o sharded cluster)
+ * @returns {boolean} true si se pueden usar transacciones
+ */
+const supportsTransactions = () => {
+  const client = mongoose.connection.getClient();
+  const type = client && client.topology && client.topology.description.type;
+  return Boolean(type) && type !== 'Single' && type !== 'Unknown';
+};
+
+/**
+ * @class EventService
+ * @description Servicio que encapsula el outbox, los suscriptores internos y los transportes
+ */
+class EventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // Sin límite de suscriptores: cada módulo interesado registra el suyo
+    this.emitter.setMaxListeners(0);
+    this.transports = null;
+    this.transactionWarningLogged = false;
+  }
+
+  /**
+   * @method toEventUser
+   * @description Datos públicos del usuario que viajan en los eventos (nunca credenciales ni tokens)
+   * @param {Object} user - Documento Mongoose del usuario
+   * @returns {Object} Datos del usuario para el evento
+   */
+  toEventUser(user) {
+    return {
+      id: user._id.toString(),
+      email: user.email,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      isActive: user.isActive,
+      isEmailVerified: user.isEmailVerified,
+    };
+  }
+
+  /**
+   * @method runInTransaction
+   * @description Ejecuta el cambio de un usuario y el enqueue de sus eventos de forma atómica
+   * @param {Function} work - Función async que recibe la sesión y debe pasarla a cada escritura
+   * @returns {Promise<*>} Lo que retorne work
+   *
+   * @description Las transacciones requieren un replica set. Con un MongoDB standalone
+   * (p. ej. desarrollo local) work se ejecuta sin sesión: las escrituras son secuenciales y
+   * un fallo entre el cambio y el enqueue puede perder el evento.
+   */
+  async runInTransaction(work) {
+    if (!supportsTransactions()) {
+      if (!this.transactionWarningLogged) {
+        logger.warn('MongoDB does not support transactions: outbox events are written without a transaction');
+        this.transactionWarningLogged = true;
+      }
+      return work(null);
+    }
+
+    let result;
+    // connection.transaction() reintenta los errores transitorios y restaura el estado de los documentos
+    await mongoose.connection.transaction(async (session) => {
+      result = await work(session);
+    });
+    return result;
+  }
+
+  /**
+   * @method enqueue
+   * @description Escribe un evento en el outbox
+   * @param {string} type - Tipo de evento (ver config/eventTypes)
+   * @param {string} aggregateId - ID del usuario al que se refiere
+   * @param {Object} data - Datos del evento
+   * @param {Object} [options={}] - Opciones
+   * @param {ClientSession} [options.session] - Sesión de la transacción de runInTransaction
+   * @param {Object} [options.context] - Datos de la petición (requestId, actorId)
+   * @returns {Promise<Object>} Evento guardado
+   */
+  async enqueue(type, aggregateId, data, { session = null, context = {} } = {}) {
+    const [event] = await OutboxEvent.create([{
+      eventId: uuidv4(),
+      type,
+      aggregateId: aggregateId.toString(),
+      data,
+      metadata: {
+        requestId: context.requestId || null,
+        actorId: context.actorId ? context.actorId.toString() : null,
+      },
+    }], { session });
+
+    logger.info(`Event ${type} enqueued for user ${aggregateId} (${event.eventId})`);
+    return event;
+  }
+
+  /**
+   * @method subscribe
+   * @description Registra un suscriptor del propio proceso (transporte 'inprocess')
+   * @param {string} type - Tipo de evento, o '*' para todos
+   * @param {Function} handler - Función async que recibe el evento; debe ser idempotente
+   * (usar event.id) porque un evento puede entregarse más de una vez
+   * @returns {Function} Función que cancela la suscripción
+   */
+  subscribe(type, handler) {
+    this.emitter.on(type, handler);
+    return () => this.emitter.off(type, handler);
+  }
+
+  /**
+   * @method getTransports
+   * @description Obtiene los transportes configurados (se crean la primera vez)
+   * @returns {Array<Object>} Transportes
+   */
+  getTransports() {
+    if (!this.transports) {
+      this.transports = config.events.transports.map((name) => {
+        if (name === 'inprocess') {
+          return new InProcessTransport(this.emitter);
+        }
+        if (name === 'webhook') {
+          return new WebhookTransport(config.events.webhookUrl, {
+            timeoutMs: config.events.webhookTimeoutMs,
+          });
+        }
+        if (name === 'subscriptions') {
+          return new SubscriptionsTransport(webhookService);
+        }
+        throw new Error(`Unknown event transport: ${name}`);
+      });
+    }
+    return this.transports;
+  }
+
+  /**
+   * @method registerTransport
+   * @description Añade un transporte (p. ej. un BrokerTransport con el adaptador del broker)
+   * @param {Object} transport - Transporte con name y publish(event)
+   */
+  registerTransport(transport) {
+    const transports = this.getTransports();
+    if (transports.some((existing) => existing.name === transport.name)) {
+      throw new Error(`Event transport already registered: ${transport.name}`);
+    }
+    transports.push(transport);
+  }
+
+  /**
+   * @method setTransports
+   * @description Reemplaza todos los transportes (útil en tests)
+   * @param {Array<Object>} transports - Transportes
+   */
+  setTransports(transports) {
+    this.transports = transports;
+  }
+
+  /**
+   * @method createInProcessTransport
+   * @description Crea un transporte 'inprocess' conectado a los suscriptores de este servicio
+   * @returns {InProcessTransport} Transporte
+   */
+  createInProcessTransport() {
+    return new InProcessTransport(this.emitter);
+  }
+}
+
+module.exports = new EventService();
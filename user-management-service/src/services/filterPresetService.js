@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Filter Preset Service - Filtros guardados del listado de usuarios
+ * @description Los administradores guardan combinaciones de filter, role, search y sort
+ * de GET /api/users/users con un nombre. Al listar con preset=<id>, los parámetros del
+ * filtro guardado se combinan con los de la petición (ver applyPreset).
+ */
+
+const UserFilterPreset = require('../models/userFilterPresetModel');
+const auditService = require('./auditService');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+/**
+ * @function findPreset
+ * @description Obtiene un filtro guardado por ID o lanza 404
+ * @param {string} presetId - ID del filtro guardado
+ * @returns {Promise<Object>} Documento Mongoose del filtro guardado
+ * @throws {AppError} 404 - Si el filtro guardado no existe
+ */
+const findPreset = async (presetId) => {
+  const preset = await UserFilterPreset.findById(presetId);
+  if (!preset) {
+    throw new AppError('Filter preset not found', 404, 'FILTER_PRESET_NOT_FOUND');
+  }
+  return preset;
+};
+
+/**
+ * @class FilterPresetService
+ * @description Servicio que encapsula los filtros guardados del listado de usuarios
+ */
+class FilterPresetService {
+  /**
+   * @method listPresets
+   * @description Lista todos los filtros guardados
+   * @returns {Promise<Array<Object>>} Filtros guardados, por nombre
+   */
+  async listPresets() {
+    return UserFilterPreset.find()
+      .populate('createdBy', 'email firstName lastName')
+      .sort({ name: 1 });
+  }
+
+  /**
+   * @method createPreset
+   * @description Guarda un filtro del listado de usuarios
+   * @param {Object} data - Datos validados por el schema createFilterPreset
+   * @param {string} data.name - Nombre único
+   * @param {string} [data.description] - Descripción libre
+   * @param {Object} data.query - filter, role, search y/o sort
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Filtro guardado
+   * @throws {AppError} 409 - Si ya existe un filtro con ese nombre
+   */
+  async createPreset({ name, description, query }, context) {
+    try {
+      const preset = await UserFilterPreset.create({
+        name,
+        description,
+        query,
+        createdBy: context.actorId,
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_FILTER_PRESET_CREATE,
+        context,
+        metadata: { presetId: preset._id, name, query },
+      });
+      logger.info(`User filter preset ${preset._id} created by ${context.actorId}`);
+      return preset;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_FILTER_PRESET_CREATE, error, {
+        context,
+        metadata: { name },
+      });
+      logger.error(`Error creating user filter preset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method deletePreset
+   * @description Elimina un filtro guardado
+   * @param {string} presetId - ID del filtro guardado
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 404 - Si el filtro guardado no existe
+   */
+  async deletePreset(presetId, context) {
+    try {
+      const preset = await findPreset(presetId);
+      await UserFilterPreset.deleteOne({ _id: preset._id });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_FILTER_PRESET_DELETE,
+        context,
+        metadata: { presetId: preset._id, name: preset.name },
+      });
+      logger.info(`User filter preset ${preset._id} deleted by ${context.actorId}`);
+      return { messageKey: 'messages.filterPresetDeleted' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_FILTER_PRESET_DELETE, error, {
+        context,
+        metadata: { presetId },
+      });
+      logger.error(`Error deleting user filter preset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method applyPreset
+   * @description Combina los parámetros de un filtro guardado con los de la petición
+   * @param {Object} query - Parámetros validados por el schema userListQuery (con preset)
+   * @returns {Promise<Object>} Parámetros para UserService.getAllUsers
+   * @throws {AppError} 404 - Si el filtro guardado no existe
+   *
+   * @description Los parámetros de la petición tienen prioridad; en filter se combinan
+   * campo a campo, así que se puede acotar un filtro guardado con otros campos.
+   */
+  async applyPreset({ preset: presetId, ...query }) {
+    const preset = await findPreset(presetId);
+    const merged = {
+      ...preset.query,
+      ...query,
+      filter: { ...preset.query.filter, ...query.filter },
+    };
+    if (Object.keys(merged.filter).length === 0) {
+      delete merged.filter;
+    }
+    return merged;
+  }
+}
+
+module.exports = new FilterPresetService();
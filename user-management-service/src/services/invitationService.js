@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Invitation Service - Invitaciones firmadas para otorgar roles
+ * @description Este módulo crea, lista, revoca y valida invitaciones. El enlace de
+ * invitación lleva un JWT firmado con una clave derivada de JWT_SECRET (id, email y rol),
+ * y el documento en Mongo permite revocarlo y garantiza que se acepte una sola vez.
+ * El registro del invitado se realiza en UserService.acceptInvitation.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Invitation = require('../models/invitationModel');
+const User = require('../models/userModel');
+const mailService = require('./mailService');
+const auditService = require('./auditService');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+/**
+ * @function getInvitationSecret
+ * @description Deriva de JWT_SECRET la clave de los tokens de invitación, de modo que
+ * una invitación nunca sea aceptada como access token (y viceversa)
+ * @returns {string} Clave de firma de las invitaciones
+ */
+const getInvitationSecret = () => crypto
+  .createHmac('sha256', config.jwt.secret)
+  .update('invitation')
+  .digest('hex');
+
+/**
+ * @class InvitationService
+ * @description Servicio que encapsula el ciclo de vida de las invitaciones
+ */
+class InvitationService {
+  /**
+   * @method createInvitation
+   * @description Crea una invitación y envía el enlace firmado por email
+   * @param {Object} data - Datos de la invitación
+   * @param {string} data.email - Email invitado
+   * @param {string} data.role - Rol con el que se registrará
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador que invita)
+   * @returns {Promise<Object>} Invitación creada (sin el token)
+   * @throws {AppError} 409 - Si el email ya está registrado o tiene una invitación pendiente
+   */
+  async createInvitation({ email, role }, context) {
+    try {
+      if (await User.exists({ email })) {
+        throw new AppError('Email already registered', 409, 'USER_EMAIL_TAKEN');
+      }
+
+      const pending = await Invitation.exists({
+        email,
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+      });
+      if (pending) {
+        throw new AppError('A pending invitation already exists for this email', 409, 'INVITATION_ALREADY_PENDING');
+      }
+
+      const invitation = await Invitation.create({
+        email,
+        role,
+        invitedBy: context.actorId,
+        expiresAt: new Date(Date.now() + config.invitations.expiresHours * 3600000),
+      });
+
+      const token = jwt.sign(
+        { sub: invitation._id.toString(), email, role },
+        getInvitationSecret(),
+        { expiresIn: config.invitations.expiresHours * 3600 }
+      );
+      const invitedBy = await User.findById(context.actorId).select('firstName lastName');
+      try {
+        await mailService.sendInvitationEmail(invitation, token, invitedBy);
+      } catch (error) {
+        // Sin email la invitación no sirve: se elimina para que se pueda volver a intentar
+        await Invitation.deleteOne({ _id: invitation._id });
+        throw error;
+      }
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_INVITATION_CREATE,
+        context,
+        metadata: { invitationId: invitation._id, email, role },
+      });
+      logger.info(`Invitation created for ${email} as ${role} by ${context.actorId}`);
+      return invitation;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_INVITATION_CREATE, error, {
+        context,
+        metadata: { email, role },
+      });
+      logger.error(`Error creating invitation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method listPendingInvitations
+   * @description Lista las invitaciones pendientes y no expiradas
+   * @returns {Promise<Array<Object>>} Invitaciones, de la más reciente a la más antigua
+   */
+  async listPendingInvitations() {
+    return Invitation.find({ status: 'pending', expiresAt: { $gt: new Date() } })
+      .populate('invitedBy', 'email firstName lastName')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * @method revokeInvitation
+   * @description Revoca una invitación pendiente (su enlace deja de funcionar)
+   * @param {string} invitationId - ID de la invitación
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador que la revoca)
+   * @returns {Promise<Object>} Invitación revocada
+   * @throws {AppError} 404 - Si no existe una invitación pendiente con ese ID
+   */
+  async revokeInvitation(invitationId, context) {
+    try {
+      const invitation = await Invitation.findOneAndUpdate(
+        { _id: invitationId, status: 'pending' },
+        { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: context.actorId } },
+        { new: true }
+      );
+      if (!invitation) {
+        throw new AppError('Invitation not found', 404, 'INVITATION_NOT_FOUND');
+      }
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_INVITATION_REVOKE,
+        context,
+        metadata: { invitationId: invitation._id, email: invitation.email, role: invitation.role },
+      });
+      logger.info(`Invitation for ${invitation.email} revoked by ${context.actorId}`);
+      return invitation;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_INVITATION_REVOKE, error, {
+        context,
+        metadata: { invitationId },
+      });
+      logger.error(`Error revoking invitation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method claimInvitation
+   * @description Verifica el token de una invitación y la marca como aceptada de forma atómica
+   * @param {string} token - Token de la invitación
+   * @returns {Promise<Object>} Invitación reclamada (con email y rol)
+   * @throws {AppError} 400 - Si el token es inválido, expiró, o la invitación fue revocada o ya usada
+   *
+   * @description Si el registro posterior falla, la invitación debe liberarse con releaseInvitation.
+   */
+  async claimInvitation(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, getInvitationSecret());
+    } catch (error) {
+      throw new AppError('Invalid or expired invitation', 400, 'INVITATION_INVALID');
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: payload.sub, status: 'pending', expiresAt: { $gt: new Date() } },
+      { $set: { status: 'accepted', acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      throw new AppError('Invalid or expired invitation', 400, 'INVITATION_INVALID');
+    }
+
+    return invitation;
+  }
+
+  /**
+   * @method releaseInvitation
+   * @description Devuelve a pendiente una invitación reclamada cuyo registro falló
+   * @param {Object} invitation - Invitación reclamada
+   * @returns {Promise<void>}
+   */
+  async releaseInvitation(invitation) {
+    await Invitation.updateOne(
+      { _id: invitation._id, status: 'accepted', acceptedUser: null },
+      { $set: { status: 'pending', acceptedAt: null } }
+    );
+  }
+
+  /**
+   * @method completeInvitation
+   * @description Asocia a una invitación aceptada el usuario que se registró con ella
+   * @param {Object} invitation - Invitación reclamada
+   * @param {string} userId - ID del usuario creado
+   * @returns {Promise<void>}
+   */
+  async completeInvitation(invitation, userId) {
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedUser: userId } });
+    logger.info(`Invitation for ${invitation.email} accepted as ${invitation.role}`);
+  }
+}
+
+module.exports = new InvitationService();
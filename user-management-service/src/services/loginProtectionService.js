@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Login Protection Service - Protección contra fuerza bruta en el login
+ * @description Este módulo cuenta los intentos fallidos de login por cuenta (email) y por
+ * IP. A partir de LOGIN_BACKOFF_AFTER fallos la cuenta exige una espera que se duplica
+ * con cada fallo, y al llegar a LOGIN_MAX_ATTEMPTS queda bloqueada temporalmente. Una IP
+ * que supera LOGIN_MAX_ATTEMPTS_PER_IP se bloquea para todas las cuentas.
+ *
+ * Los contadores se indexan por email aunque la cuenta no exista, para que las
+ * respuestas no revelen qué emails están registrados.
+ */
+
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const { MemoryStore, RedisStore } = require('../utils/counterStore');
+
+/**
+ * @function createStore
+ * @description Crea el almacén de contadores configurado en LOGIN_ATTEMPT_STORE
+ * @returns {MemoryStore|RedisStore} Almacén de contadores
+ */
+const createStore = () => {
+  if (config.loginProtection.store === 'redis') {
+    // Se carga solo si se usa, para no abrir conexiones en el modo por defecto
+    const Redis = require('ioredis');
+    const client = new Redis(config.redis.url);
+    client.on('error', (error) => logger.error(`Redis error: ${error.message}`));
+    return new RedisStore(client);
+  }
+  return new MemoryStore();
+};
+
+/**
+ * Claves de los contadores (fail:*) y de los bloqueos vigentes (lock:*)
+ */
+const keys = {
+  accountFailures: (email) => `login:fail:account:${email}`,
+  accountLock: (email) => `login:lock:account:${email}`,
+  ipFailures: (ip) => `login:fail:ip:${ip}`,
+  ipLock: (ip) => `login:lock:ip:${ip}`,
+};
+
+/**
+ * @class LoginProtectionService
+ * @description Servicio que aplica backoff exponencial y bloqueos temporales al login
+ */
+class LoginProtectionService {
+  constructor() {
+    this.store = createStore();
+  }
+
+  /**
+   * @method setStore
+   * @description Reemplaza el almacén de contadores (por ejemplo, un RedisStore con un
+   * cliente propio, o uno nuevo en los tests)
+   * @param {Object} store - Almacén con la interfaz de MemoryStore
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * @method assertAllowed
+   * @description Comprueba que ni la cuenta ni la IP estén bloqueadas antes de verificar la contraseña
+   * @param {string} email - Email con el que se intenta iniciar sesión
+   * @param {string} [ip] - IP del cliente
+   * @throws {AppError} 429 - Si hay que esperar; incluye retryAfter en segundos
+   */
+  async assertAllowed(email, ip) {
+    const [accountWait, ipWait] = await Promise.all([
+      this.store.ttl(keys.accountLock(email)),
+      ip ? this.store.ttl(keys.ipLock(ip)) : 0,
+    ]);
+
+    const waitMs = Math.max(accountWait, ipWait);
+    if (waitMs > 0) {
+      const error = new AppError('Too many failed login attempts, please try again later', 429, 'AUTH_LOGIN_LOCKED');
+      error.retryAfter = Math.ceil(waitMs / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * @method recordFailure
+   * @description Registra un intento fallido y aplica la espera o el bloqueo que corresponda
+   * @param {string} email - Email con el que se intentó iniciar sesión
+   * @param {string} [ip] - IP del cliente
+   * @returns {Promise<void>}
+   */
+  async recordFailure(email, ip) {
+    const {
+      maxAttempts,
+      maxAttemptsPerIp,
+      backoffAfter,
+      backoffBaseMs,
+      failureWindowMs,
+      lockMs,
+    } = config.loginProtection;
+
+    const accountFailures = await this.store.increment(keys.accountFailures(email), failureWindowMs);
+
+    if (accountFailures >= maxAttempts) {
+      await this.store.set(keys.accountLock(email), accountFailures, lockMs);
+      logger.warn(`Account locked after ${accountFailures} failed login attempts: ${email}`);
+    } else if (accountFailures >= backoffAfter) {
+      const delayMs = Math.min(backoffBaseMs * 2 ** (accountFailures - backoffAfter), lockMs);
+      if (delayMs > 0) {
+        await this.store.set(keys.accountLock(email), accountFailures, delayMs);
+      }
+    }
+
+    if (ip) {
+      const ipFailures = await this.store.increment(keys.ipFailures(ip), failureWindowMs);
+      if (ipFailures >= maxAttemptsPerIp) {
+        await this.store.set(keys.ipLock(ip), ipFailures, lockMs);
+        logger.warn(`IP blocked after ${ipFailures} failed login attempts: ${ip}`);
+      }
+    }
+  }
+
+  /**
+   * @method recordSuccess
+   * @description Reinicia el contador de la cuenta tras un login correcto
+   * (el de la IP se mantiene: una cuenta propia no debe servir para probar otras)
+   * @param {string} email - Email del usuario
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email) {
+    await this.store.delete(keys.accountFailures(email), keys.accountLock(email));
+  }
+
+  /**
+   * @method getAccountStatus
+   * @description Obtiene el estado de bloqueo de una cuenta (vista de administración)
+   * @param {string} email - Email del usuario
+   * @returns {Promise<Object>} Objeto con failedAttempts, locked y lockedUntil
+   */
+  async getAccountStatus(email) {
+    const [failedAttempts, waitMs] = await Promise.all([
+      this.store.get(keys.accountFailures(email)),
+      this.store.ttl(keys.accountLock(email)),
+    ]);
+
+    return {
+      failedAttempts: failedAttempts || 0,
+      locked: waitMs > 0 && failedAttempts >= config.loginProtection.maxAttempts,
+      lockedUntil: waitMs > 0 ? new Date(Date.now() + waitMs) : null,
+    };
+  }
+
+  /**
+   * @method unlockAccount
+   * @description Elimina el bloqueo y los fallos acumulados de una cuenta
+   * @param {string} email - Email del usuario
+   * @returns {Promise<void>}
+   */
+  async unlockAccount(email) {
+    await this.store.delete(keys.accountFailures(email), keys.accountLock(email));
+    logger.info(`Account unlocked: ${email}`);
+  }
+}
+
+module.exports = new LoginProtectionService();
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Mail Service - Envío de emails transaccionales
+ * @description Construye los emails del servicio (verificación de cuenta, etc.) en el idioma
+ * del destinatario, con los textos de src/locales, y los entrega a través de un transporte
+ * intercambiable. Incluye transportes de consola y de archivo para desarrollo local; en
+ * producción se registra un transporte real (SMTP, API de un proveedor) con setTransport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const { CURRENT_API_VERSION, apiBasePath } = require('../config/apiVersions');
+const { translate, userLocale, formatDate } = require('../utils/i18n');
+
+// ============================================================================
+// TRANSPORTES
+// ============================================================================
+
+/**
+ * Un transporte es cualquier objeto con un método async send(message), donde
+ * message tiene la forma { from, to, subject, text }.
+ */
+
+/**
+ * @function createConsoleTransport
+ * @description Transporte que escribe los emails en el log (desarrollo)
+ * @returns {Object} Transporte con método send
+ */
+const createConsoleTransport = () => ({
+  async send(message) {
+    logger.info(`[MAIL] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  },
+});
+
+/**
+ * @function createFileTransport
+ * @description Transporte que guarda cada email como un archivo JSON (desarrollo y pruebas manuales)
+ * @param {string} directory - Directorio donde se guardan los emails
+ * @returns {Object} Transporte con método send
+ */
+const createFileTransport = (directory) => ({
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9.@_-]/gi, '_')}.json`;
+    const filePath = path.join(directory, fileName);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    logger.info(`[MAIL] Email to ${message.to} written to ${filePath}`);
+  },
+});
+
+/**
+ * Transportes disponibles según la variable MAIL_TRANSPORT
+ */
+const transportFactories = {
+  console: () => createConsoleTransport(),
+  file: () => createFileTransport(config.mail.fileDir),
+};
+
+/**
+ * @class MailService
+ * @description Servicio que construye y envía los emails transaccionales
+ */
+class MailService {
+  constructor() {
+    this.transport = transportFactories[config.mail.transport]();
+  }
+
+  /**
+   * @method setTransport
+   * @description Reemplaza el transporte de envío (SMTP, proveedor externo, mock en tests)
+   * @param {Object} transport - Objeto con un método async send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * @method send
+   * @description Envía un email a través del transporte configurado
+   * @param {Object} message - Email a enviar
+   * @param {string} message.to - Destinatario
+   * @param {string} message.subject - Asunto
+   * @param {string} message.text - Cuerpo en texto plano
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    await this.transport.send({ from: config.mail.from, ...message });
+  }
+
+  /**
+   * @method sendTemplate
+   * @description Envía uno de los emails de los catálogos (emails.*) en el idioma indicado
+   * @param {string} to - Destinatario
+   * @param {string} locale - Idioma del email
+   * @param {string} template - Nombre del email en los catálogos ('verification', 'passwordReset'...)
+   * @param {Object} params - Parámetros del asunto y del cuerpo
+   * @returns {Promise<void>}
+   */
+  async sendTemplate(to, locale, template, params) {
+    await this.send({
+      to,
+      subject: translate(locale, `emails.${template}.subject`, params),
+      text: translate(locale, `emails.${template}.body`, params),
+    });
+  }
+
+  /**
+   * @method sendVerificationEmail
+   * @description Envía el enlace de verificación de email a un usuario
+   * @param {Object} user - Usuario destinatario (el email va en su preferences.language)
+   * @param {string} token - Token de verificación en texto plano
+   * @returns {Promise<void>}
+   */
+  async sendVerificationEmail(user, token) {
+    await this.sendTemplate(user.email, userLocale(user), 'verification', {
+      firstName: user.firstName,
+      link: `${config.appUrl}${apiBasePath(CURRENT_API_VERSION)}/verify-email/${token}`,
+      hours: config.emailVerification.expiresHours,
+    });
+  }
+
+  /**
+   * @method sendPasswordResetEmail
+   * @description Envía el enlace para restablecer la contraseña
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token de reseteo en texto plano
+   * @returns {Promise<void>}
+   */
+  async sendPasswordResetEmail(user, token) {
+    await this.sendTemplate(user.email, userLocale(user), 'passwordReset', {
+      firstName: user.firstName,
+      link: `${config.passwordReset.url}?token=${token}`,
+      minutes: config.passwordReset.expiresMinutes,
+    });
+  }
+
+  /**
+   * @method sendInvitationEmail
+   * @description Envía el enlace de invitación para registrarse con un rol
+   * @param {Object} invitation - Invitación (email y rol)
+   * @param {string} token - Token firmado de la invitación
+   * @param {Object} [inviter] - Administrador que invita (firstName y lastName)
+   * @returns {Promise<void>}
+   *
+   * @description El invitado aún no tiene preferencias: el email va en DEFAULT_LOCALE.
+   */
+  async sendInvitationEmail(invitation, token, inviter) {
+    const locale = userLocale();
+
+    await this.sendTemplate(invitation.email, locale, 'invitation', {
+      invitedBy: inviter ? `${inviter.firstName} ${inviter.lastName}` : translate(locale, 'emails.anAdministrator'),
+      role: translate(locale, `roles.${invitation.role}`),
+      link: `${config.invitations.url}?token=${token}`,
+      hours: config.invitations.expiresHours,
+    });
+  }
+
+  /**
+   * @method sendAccountSetupEmail
+   * @description Envía a un usuario importado por un administrador el enlace para elegir su contraseña
+   * @param {Object} user - Usuario importado (email, firstName y rol)
+   * @param {string} token - Token de reseteo en texto plano
+   * @param {Object} [inviter] - Administrador que importó al usuario (firstName y lastName)
+   * @returns {Promise<void>}
+   */
+  async sendAccountSetupEmail(user, token, inviter) {
+    const locale = userLocale(user);
+
+    await this.sendTemplate(user.email, locale, 'accountSetup', {
+      firstName: user.firstName,
+      invitedBy: inviter ? `${inviter.firstName} ${inviter.lastName}` : translate(locale, 'emails.anAdministrator'),
+      role: translate(locale, `roles.${user.role}`),
+      link: `${config.passwordReset.url}?token=${token}`,
+      hours: config.invitations.expiresHours,
+    });
+  }
+
+  /**
+   * @method sendErasureScheduledEmail
+   * @description Confirma la solicitud de borrado de datos e indica cómo cancelarla
+   * @param {Object} user - Usuario destinatario
+   * @param {Date} scheduledAt - Fecha a partir de la que se borrarán los datos
+   * @returns {Promise<void>}
+   */
+  async sendErasureScheduledEmail(user, scheduledAt) {
+    const locale = userLocale(user);
+
+    await this.sendTemplate(user.email, locale, 'erasureScheduled', {
+      firstName: user.firstName,
+      date: formatDate(locale, scheduledAt),
+    });
+  }
+
+  /**
+   * @method sendReactivationEmail
+   * @description Envía el enlace para reactivar una cuenta desactivada por su dueño
+   * @param {Object} user - Usuario destinatario
+   * @param {string} token - Token firmado de reactivación
+   * @returns {Promise<void>}
+   */
+  async sendReactivationEmail(user, token) {
+    const locale = userLocale(user);
+
+    await this.sendTemplate(user.email, locale, 'reactivation', {
+      firstName: user.firstName,
+      link: `${config.accountReactivation.url}?token=${token}`,
+      hours: config.accountReactivation.linkExpiresHours,
+      date: formatDate(locale, user.purgeScheduledAt),
+    });
+  }
+}
+
+module.exports = new MailService();
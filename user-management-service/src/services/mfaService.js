@@ -0,0 +1,294 @@
+/**
+ * @fileoverview MFA Service - Autenticación de dos factores con TOTP
+ * @description Este módulo maneja el alta (setup + confirmación), la verificación de
+ * códigos TOTP y de recuperación, la baja y la política de roles que deben usar MFA.
+ * La emisión de tokens de sesión tras superar el segundo factor se realiza en UserService.
+ */
+
+const User = require('../models/userModel');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const totp = require('../utils/totp');
+const { hashToken, generateRandomToken } = require('../utils/tokenUtils');
+const auditService = require('./auditService');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+/**
+ * Cantidad de códigos de recuperación emitidos al activar MFA o al regenerarlos
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * @function generateRecoveryCodes
+ * @description Genera códigos de recuperación de un solo uso con formato xxxxx-xxxxx
+ * @returns {Array<string>} Códigos en texto plano (se muestran al usuario una sola vez)
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = generateRandomToken(5);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * @function normalizeRecoveryCode
+ * @description Normaliza un código de recuperación antes de hashearlo
+ * @param {string} code - Código introducido por el usuario
+ * @returns {string} Código en minúsculas, sin espacios ni guiones
+ */
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * @class MfaService
+ * @description Servicio que encapsula la gestión del segundo factor de autenticación
+ */
+class MfaService {
+  /**
+   * @method isRequiredForRole
+   * @description Indica si la política obliga a un rol a usar MFA (MFA_REQUIRED_ROLES)
+   * @param {string} role - Rol del usuario
+   * @returns {boolean} true si el rol debe tener MFA activo para iniciar sesión
+   */
+  isRequiredForRole(role) {
+    return config.mfa.requiredRoles.includes(role);
+  }
+
+  /**
+   * @method startEnrollment
+   * @description Genera un secreto TOTP pendiente de confirmación
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object>} Objeto con el secreto (base32) y la URI otpauth:// para el QR
+   * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si el usuario ya tiene MFA activo
+   */
+  async startEnrollment(userId) {
+    try {
+      const user = await User.findById(userId).select('+mfa.pendingSecret');
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+      if (user.mfa.enabled) {
+        throw new AppError('MFA is already enabled', 409, 'MFA_ALREADY_ENABLED');
+      }
+
+      const secret = totp.generateSecret();
+      user.mfa.pendingSecret = secret;
+      await user.save();
+
+      logger.info(`MFA enrollment started for user: ${user.email}`);
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: config.mfa.issuer,
+        }),
+      };
+    } catch (error) {
+      logger.error(`Error starting MFA enrollment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method confirmEnrollment
+   * @description Activa MFA tras verificar un código generado con el secreto pendiente
+   * @param {string} userId - ID del usuario
+   * @param {string} code - Código TOTP de 6 dígitos
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Objeto con los códigos de recuperación (se muestran una sola vez)
+   * @throws {AppError} 400 - Si no hay un alta pendiente (falta llamar a /mfa/setup)
+   * @throws {AppError} 401 - Si el código es incorrecto
+   * @throws {AppError} 404 - Si el usuario no existe
+   */
+  async confirmEnrollment(userId, code, context = {}) {
+    try {
+      const user = await User.findById(userId).select('+mfa.pendingSecret');
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+      if (!user.mfa.pendingSecret) {
+        throw new AppError('No pending MFA enrollment', 400, 'MFA_ENROLLMENT_NOT_FOUND');
+      }
+
+      const step = totp.verifyCode(user.mfa.pendingSecret, code);
+      if (step === null) {
+        throw new AppError('Invalid MFA code', 401, 'MFA_CODE_INVALID');
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      user.mfa = {
+        enabled: true,
+        enabledAt: new Date(),
+        secret: user.mfa.pendingSecret,
+        pendingSecret: null,
+        recoveryCodes: recoveryCodes.map((recoveryCode) => hashToken(normalizeRecoveryCode(recoveryCode))),
+        lastUsedStep: step,
+      };
+      await user.save();
+
+      await auditService.record({ action: AUDIT_ACTIONS.MFA_ENABLE, actor: user._id, target: user._id, context });
+      logger.info(`MFA enabled for user: ${user.email}`);
+      return { recoveryCodes };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.MFA_ENABLE, error, { actor: userId, target: userId, context });
+      logger.error(`Error confirming MFA enrollment: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method verify
+   * @description Verifica el segundo factor de un usuario con un código TOTP o de recuperación
+   * @param {string} userId - ID del usuario
+   * @param {Object} credentials - Credenciales del segundo factor (una de las dos)
+   * @param {string} [credentials.code] - Código TOTP de 6 dígitos
+   * @param {string} [credentials.recoveryCode] - Código de recuperación (se consume)
+   * @param {Object} [context={}] - Datos de la petición para auditar el uso de un código de recuperación
+   * @returns {Promise<boolean>} true si el segundo factor es válido
+   *
+   * @description Las operaciones son atómicas: un código TOTP solo se acepta si su paso es
+   * posterior al último usado, y un código de recuperación solo si sigue en la lista.
+   */
+  async verify(userId, { code, recoveryCode }, context = {}) {
+    try {
+      if (recoveryCode) {
+        const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+        const result = await User.updateOne(
+          { _id: userId, 'mfa.enabled': true, 'mfa.recoveryCodes': codeHash },
+          { $pull: { 'mfa.recoveryCodes': codeHash } }
+        );
+
+        if (result.modifiedCount === 1) {
+          await auditService.record({
+            action: AUDIT_ACTIONS.MFA_RECOVERY_CODE_USE,
+            actor: userId,
+            target: userId,
+            context,
+          });
+          logger.warn(`MFA recovery code used by user: ${userId}`);
+          return true;
+        }
+        return false;
+      }
+
+      const user = await User.findById(userId).select('+mfa.secret +mfa.lastUsedStep');
+      if (!user || !user.mfa.enabled || !user.mfa.secret) {
+        return false;
+      }
+
+      const step = totp.verifyCode(user.mfa.secret, code);
+      if (step === null) {
+        return false;
+      }
+
+      // Rechazar la reutilización de un código ya aceptado (o de uno anterior)
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }],
+        },
+        { $set: { 'mfa.lastUsedStep': step } }
+      );
+
+      return result.modifiedCount === 1;
+    } catch (error) {
+      logger.error(`Error verifying MFA code: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method disable
+   * @description Desactiva MFA tras verificar la contraseña y un código del segundo factor
+   * @param {string} userId - ID del usuario
+   * @param {string} password - Contraseña actual
+   * @param {Object} credentials - Código TOTP o de recuperación
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId, actorId)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 400 - Si MFA no está activo
+   * @throws {AppError} 401 - Si la contraseña o el código son incorrectos
+   * @throws {AppError} 403 - Si la política obliga al rol del usuario a usar MFA
+   * @throws {AppError} 404 - Si el usuario no existe
+   */
+  async disable(userId, password, credentials, context = {}) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+      if (!user.mfa.enabled) {
+        throw new AppError('MFA is not enabled', 400, 'MFA_NOT_ENABLED');
+      }
+      if (this.isRequiredForRole(user.role)) {
+        throw new AppError(`MFA is required for the ${user.role} role`, 403, 'MFA_REQUIRED', { role: user.role });
+      }
+      if (!user.password || !(await user.comparePassword(password))) {
+        throw new AppError('Current password is incorrect', 401, 'AUTH_PASSWORD_INCORRECT');
+      }
+      if (!(await this.verify(userId, credentials, context))) {
+        throw new AppError('Invalid MFA code', 401, 'MFA_CODE_INVALID');
+      }
+
+      await User.updateOne(
+        { _id: userId },
+        {
+          $set: { 'mfa.enabled': false, 'mfa.enabledAt': null },
+          $unset: { 'mfa.secret': 1, 'mfa.recoveryCodes': 1, 'mfa.lastUsedStep': 1 },
+        }
+      );
+
+      await auditService.record({ action: AUDIT_ACTIONS.MFA_DISABLE, target: user._id, context });
+      logger.info(`MFA disabled for user: ${user.email}`);
+      return { messageKey: 'messages.mfaDisabled' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.MFA_DISABLE, error, { target: userId, context });
+      logger.error(`Error disabling MFA: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method regenerateRecoveryCodes
+   * @description Reemplaza todos los códigos de recuperación por unos nuevos
+   * @param {string} userId - ID del usuario
+   * @param {Object} credentials - Código TOTP actual
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId, actorId)
+   * @returns {Promise<Object>} Objeto con los nuevos códigos de recuperación
+   * @throws {AppError} 400 - Si MFA no está activo
+   * @throws {AppError} 401 - Si el código es incorrecto
+   */
+  async regenerateRecoveryCodes(userId, credentials, context = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user || !user.mfa.enabled) {
+        throw new AppError('MFA is not enabled', 400, 'MFA_NOT_ENABLED');
+      }
+      if (!(await this.verify(userId, credentials, context))) {
+        throw new AppError('Invalid MFA code', 401, 'MFA_CODE_INVALID');
+      }
+
+      const recoveryCodes = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: userId },
+        { $set: { 'mfa.recoveryCodes': recoveryCodes.map((code) => hashToken(normalizeRecoveryCode(code))) } }
+      );
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.MFA_RECOVERY_CODES_REGENERATE,
+        target: user._id,
+        context,
+      });
+      logger.info(`MFA recovery codes regenerated for user: ${user.email}`);
+      return { recoveryCodes };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.MFA_RECOVERY_CODES_REGENERATE, error, {
+        target: userId,
+        context,
+      });
+      logger.error(`Error regenerating recovery codes: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview OAuth Service - Flujo authorization code + PKCE con proveedores externos
+ * @description Este módulo maneja la comunicación con Google y GitHub: construye la URL
+ * de autorización, guarda el state y el code_verifier PKCE, intercambia el código por un
+ * access token y obtiene un perfil normalizado del usuario. La creación y vinculación de
+ * cuentas a partir de ese perfil se realiza en UserService.
+ */
+
+const crypto = require('crypto');
+const OAuthState = require('../models/oauthStateModel');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const { CURRENT_API_VERSION, apiBasePath } = require('../config/apiVersions');
+const { hashToken, generateRandomToken } = require('../utils/tokenUtils');
+
+// ============================================================================
+// PKCE (RFC 7636)
+// ============================================================================
+
+/**
+ * @function base64url
+ * @description Codifica un buffer en base64url sin padding
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {string} Cadena base64url
+ */
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+/**
+ * @function createCodeChallenge
+ * @description Calcula el code_challenge S256 de un code_verifier
+ * @param {string} codeVerifier - code_verifier PKCE
+ * @returns {string} code_challenge en base64url
+ */
+const createCodeChallenge = (codeVerifier) => base64url(
+  crypto.createHash('sha256').update(codeVerifier).digest()
+);
+
+// ============================================================================
+// NORMALIZACIÓN DE PERFILES
+// ============================================================================
+
+/**
+ * @function splitName
+ * @description Divide un nombre completo en nombre y apellido
+ * @param {string} [fullName] - Nombre completo
+ * @param {string} fallback - Valor a usar si no hay nombre
+ * @returns {Object} Objeto con firstName y lastName
+ */
+const splitName = (fullName, fallback) => {
+  const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { firstName: fallback, lastName: fallback };
+  if (parts.length === 1) return { firstName: parts[0], lastName: parts[0] };
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+};
+
+/**
+ * @function fetchJson
+ * @description Realiza una petición GET autenticada a un endpoint del proveedor
+ * @param {string} url - URL del endpoint
+ * @param {string} accessToken - Access token del proveedor
+ * @returns {Promise<Object>} Respuesta JSON
+ * @throws {AppError} 502 - Si el proveedor responde con error
+ */
+const fetchJson = async (url, accessToken) => {
+  const response = await fetch(url, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: 'application/json',
+      'User-Agent': 'user-management-service',
+    },
+  });
+
+  if (!response.ok) {
+    throw new AppError(`OAuth provider request failed with status ${response.status}`, 502, 'OAUTH_PROVIDER_ERROR');
+  }
+
+  return response.json();
+};
+
+/**
+ * Funciones que obtienen y normalizan el perfil de cada proveedor.
+ * Todas retornan { providerId, email, emailVerified, firstName, lastName, avatar }.
+ */
+const profileFetchers = {
+  async google(providerConfig, accessToken) {
+    const profile = await fetchJson(providerConfig.userInfoUrl, accessToken);
+    const names = splitName(profile.name, 'Google');
+
+    return {
+      providerId: String(profile.sub),
+      email: profile.email ? profile.email.toLowerCase() : null,
+      emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+      firstName: profile.given_name || names.firstName,
+      lastName: profile.family_name || names.lastName,
+      avatar: profile.picture || null,
+    };
+  },
+
+  async github(providerConfig, accessToken) {
+    const profile = await fetchJson(providerConfig.userInfoUrl, accessToken);
+    // El email del perfil puede ser null si es privado: se usa el email primario verificado
+    const emails = await fetchJson(providerConfig.emailsUrl, accessToken);
+    const primary = emails.find((entry) => entry.primary) || emails[0];
+    const names = splitName(profile.name, profile.login);
+
+    return {
+      providerId: String(profile.id),
+      email: primary ? primary.email.toLowerCase() : null,
+      emailVerified: Boolean(primary && primary.verified),
+      firstName: names.firstName,
+      lastName: names.lastName,
+      avatar: profile.avatar_url || null,
+    };
+  },
+};
+
+/**
+ * @class OAuthService
+ * @description Servicio que encapsula el flujo OAuth 2.0 con los proveedores externos
+ */
+class OAuthService {
+  /**
+   * @method getProvider
+   * @description Obtiene la configuración de un proveedor habilitado
+   * @param {string} provider - Nombre del proveedor ('google', 'github')
+   * @returns {Object} Configuración del proveedor
+   * @throws {AppError} 404 - Si el proveedor no existe o no tiene credenciales configuradas
+   */
+  getProvider(provider) {
+    const providerConfig = config.oauth.providers[provider];
+    if (!providerConfig || !providerConfig.clientId) {
+      throw new AppError('OAuth provider not supported', 404, 'OAUTH_PROVIDER_NOT_SUPPORTED');
+    }
+    return providerConfig;
+  }
+
+  /**
+   * @method getCallbackUrl
+   * @description URL de callback registrada en el proveedor (en la versión actual de la API)
+   * @param {string} provider - Nombre del proveedor
+   * @returns {string} URL absoluta del callback
+   */
+  getCallbackUrl(provider) {
+    return `${config.appUrl}${apiBasePath(CURRENT_API_VERSION)}/oauth/${provider}/callback`;
+  }
+
+  /**
+   * @method createAuthorizationUrl
+   * @description Inicia una autorización: guarda state + code_verifier y construye la URL del proveedor
+   * @param {string} provider - Nombre del proveedor
+   * @param {Object} [options={}] - Opciones de la autorización
+   * @param {string} [options.mode='login'] - 'login' o 'link'
+   * @param {string} [options.userId] - Usuario que vincula el proveedor (modo 'link')
+   * @returns {Promise<string>} URL a la que debe navegar el usuario
+   * @throws {AppError} 404 - Si el proveedor no está habilitado
+   */
+  async createAuthorizationUrl(provider, { mode = 'login', userId = null } = {}) {
+    const providerConfig = this.getProvider(provider);
+
+    const state = generateRandomToken();
+    const codeVerifier = base64url(crypto.randomBytes(32));
+
+    await OAuthState.create({
+      stateHash: hashToken(state),
+      provider,
+      codeVerifier,
+      mode,
+      userId,
+      expiresAt: new Date(Date.now() + config.oauth.stateTtlMinutes * 60000),
+    });
+
+    const params = new URLSearchParams({
+      client_id: providerConfig.clientId,
+      redirect_uri: this.getCallbackUrl(provider),
+      response_type: 'code',
+      scope: providerConfig.scope,
+      state,
+      code_challenge: createCodeChallenge(codeVerifier),
+      code_challenge_method: 'S256',
+    });
+
+    return `${providerConfig.authorizationUrl}?${params.toString()}`;
+  }
+
+  /**
+   * @method completeAuthorization
+   * @description Procesa el callback: valida el state, canjea el código y obtiene el perfil
+   * @param {string} provider - Nombre del proveedor
+   * @param {Object} query - Query string del callback
+   * @param {string} [query.code] - Código de autorización
+   * @param {string} [query.state] - State enviado en la autorización
+   * @param {string} [query.error] - Error devuelto por el proveedor
+   * @returns {Promise<Object>} Objeto con el perfil normalizado, el modo y el userId de la autorización
+   * @throws {AppError} 400 - Si el proveedor devolvió un error o el state es inválido o expiró
+   * @throws {AppError} 502 - Si el proveedor no responde correctamente
+   */
+  async completeAuthorization(provider, { code, state, error }) {
+    const providerConfig = this.getProvider(provider);
+
+    if (error) {
+      throw new AppError(`OAuth authorization failed: ${error}`, 400, 'OAUTH_AUTHORIZATION_FAILED', { error });
+    }
+    if (!code || !state) {
+      // invalid_request: el código de error de OAuth 2.0 para un parámetro que falta
+      throw new AppError('Missing OAuth code or state', 400, 'OAUTH_AUTHORIZATION_FAILED', { error: 'invalid_request' });
+    }
+
+    // El state es de un solo uso: se elimina al consumirlo
+    const pending = await OAuthState.findOneAndDelete({
+      stateHash: hashToken(state),
+      provider,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!pending) {
+      throw new AppError('Invalid or expired OAuth state', 400, 'OAUTH_STATE_INVALID');
+    }
+
+    const tokenResponse = await fetch(providerConfig.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getCallbackUrl(provider),
+        client_id: providerConfig.clientId,
+        client_secret: providerConfig.clientSecret || '',
+        code_verifier: pending.codeVerifier,
+      }).toString(),
+    });
+
+    const tokenData = await tokenResponse.json().catch(() => ({}));
+    if (!tokenResponse.ok || !tokenData.access_token) {
+      logger.error(`OAuth token exchange failed for ${provider}: ${tokenData.error || tokenResponse.status}`);
+      throw new AppError('OAuth token exchange failed', 502, 'OAUTH_PROVIDER_ERROR');
+    }
+
+    const profile = await profileFetchers[provider](providerConfig, tokenData.access_token);
+
+    return {
+      profile,
+      mode: pending.mode,
+      userId: pending.userId,
+    };
+  }
+}
+
+module.exports = new OAuthService();
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Outbox Relay - Publicación de los eventos del outbox
+ * @description Recorre periódicamente el outbox y publica los eventos pendientes en
+ * todos los transportes, en orden de llegada. Varias instancias pueden ejecutar el
+ * relay a la vez: cada evento se reserva (lockedUntil/lockedBy) antes de publicarlo.
+ *
+ * Garantía de entrega: at-least-once. Un evento se marca como publicado solo cuando
+ * todos los transportes lo confirmaron; si alguno falla, se reintenta con espera
+ * exponencial solo en los transportes pendientes (deliveredTo), y tras
+ * EVENTS_MAX_ATTEMPTS intentos queda en estado 'failed'.
+ */
+
+const OutboxEvent = require('../models/outboxEventModel');
+const eventService = require('./eventService');
+const logger = require('../utils/logger');
+const PollingWorker = require('../utils/pollingWorker');
+const config = require('../config/env');
+
+/**
+ * Espera máxima entre reintentos de un evento
+ */
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * @function toEnvelope
+ * @description Convierte un documento del outbox en el evento que reciben los transportes
+ * @param {Object} outboxEvent - Documento del outbox
+ * @returns {Object} Evento { id, type, aggregateId, occurredAt, data, metadata }
+ */
+const toEnvelope = (outboxEvent) => ({
+  id: outboxEvent.eventId,
+  type: outboxEvent.type,
+  aggregateId: outboxEvent.aggregateId,
+  occurredAt: outboxEvent.occurredAt.toISOString(),
+  data: outboxEvent.data,
+  metadata: outboxEvent.metadata,
+});
+
+/**
+ * @class OutboxRelay
+ * @description Proceso en segundo plano que vacía el outbox
+ */
+class OutboxRelay extends PollingWorker {
+  constructor() {
+    super('Outbox relay', {
+      getIntervalMs: () => config.events.relayIntervalMs,
+      getBatchSize: () => config.events.relayBatchSize,
+    });
+  }
+
+  /**
+   * @method claimNext
+   * @description Reserva de forma atómica el siguiente evento publicable
+   * @returns {Promise<Object|null>} Evento reservado o null si no hay pendientes
+   */
+  async claimNext() {
+    const now = new Date();
+    return OutboxEvent.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + config.events.relayLeaseMs),
+          lockedBy: this.instanceId,
+        },
+      },
+      { sort: { _id: 1 }, new: true }
+    );
+  }
+
+  /**
+   * @method processBatch
+   * @description Publica hasta EVENTS_RELAY_BATCH_SIZE eventos pendientes
+   * @returns {Promise<number>} Número de eventos procesados (publicados o no)
+   */
+  async processBatch() {
+    let processed = 0;
+    while (processed < config.events.relayBatchSize) {
+      const outboxEvent = await this.claimNext();
+      if (!outboxEvent) {
+        break;
+      }
+      await this.publish(outboxEvent);
+      processed += 1;
+    }
+    return processed;
+  }
+
+  /**
+   * @method publish
+   * @description Publica un evento reservado en los transportes que aún no lo confirmaron
+   * y guarda el resultado
+   * @param {Object} outboxEvent - Documento del outbox reservado por esta instancia
+   * @returns {Promise<void>}
+   */
+  async publish(outboxEvent) {
+    const envelope = toEnvelope(outboxEvent);
+    const pending = eventService.getTransports()
+      .filter((transport) => !outboxEvent.deliveredTo.includes(transport.name));
+
+    const delivered = [];
+    const errors = [];
+    for (const transport of pending) {
+      try {
+        await transport.publish(envelope);
+        delivered.push(transport.name);
+      } catch (error) {
+        errors.push(`${transport.name}: ${error.message}`);
+      }
+    }
+
+    const update = {
+      $addToSet: { deliveredTo: { $each: delivered } },
+      $set: { lockedUntil: null, lockedBy: null },
+    };
+
+    if (errors.length === 0) {
+      update.$set.status = 'published';
+      update.$set.publishedAt = new Date();
+    } else {
+      const attempts = outboxEvent.attempts + 1;
+      const delayMs = Math.min(config.events.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+      update.$set.attempts = attempts;
+      update.$set.lastError = errors.join('; ');
+      update.$set.nextAttemptAt = new Date(Date.now() + delayMs);
+      if (attempts >= config.events.maxAttempts) {
+        update.$set.status = 'failed';
+        logger.error(`Event ${envelope.type} ${envelope.id} failed after ${attempts} attempts: ${update.$set.lastError}`);
+      } else {
+        logger.warn(`Event ${envelope.type} ${envelope.id} will be retried (attempt ${attempts}): ${update.$set.lastError}`);
+      }
+    }
+
+    // Solo se guarda si la reserva sigue siendo de esta instancia
+    await OutboxEvent.updateOne({ _id: outboxEvent._id, lockedBy: this.instanceId }, update);
+  }
+}
+
+module.exports = new OutboxRelay();
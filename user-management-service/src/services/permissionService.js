@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Permission Service - Resolución y edición de permisos por rol
+ * @description Este módulo resuelve los permisos efectivos de un rol (asignación guardada
+ * en Mongo o, si no existe, la asignación por defecto) y permite a los administradores
+ * editarla. Los permisos no viajan en el JWT: se resuelven a partir del claim "role",
+ * de modo que un cambio de asignación se aplica sin esperar a que expiren los tokens.
+ * La asignación se cachea en memoria durante PERMISSIONS_CACHE_SECONDS.
+ */
+
+const RolePermission = require('../models/rolePermissionModel');
+const auditService = require('./auditService');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+const {
+  ROLES,
+  PERMISSIONS,
+  ROLE_MANAGEMENT_PERMISSION,
+  DEFAULT_ROLE_PERMISSIONS,
+} = require('../config/permissions');
+
+/**
+ * @class PermissionService
+ * @description Servicio que encapsula el modelo de permisos por rol
+ */
+class PermissionService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * @method getRegistry
+   * @description Lista todos los permisos registrados
+   * @returns {Array<Object>} Permisos con key y description
+   */
+  getRegistry() {
+    return Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+  }
+
+  /**
+   * @method getRoleMapping
+   * @description Obtiene la asignación rol → permisos vigente (cacheada)
+   * @returns {Promise<Object>} Objeto { [role]: Array<string> }
+   *
+   * @description A una asignación guardada se le suman los permisos por defecto del rol que
+   * no estaban en el registro cuando se guardó: así el rol admin recibe los permisos que se
+   * registren después aunque se haya editado. Las asignaciones guardadas antes de que se
+   * anotara el registro (sin registeredPermissions) reciben todos los permisos por defecto.
+   */
+  async getRoleMapping() {
+    if (this.cache && this.cacheExpiresAt > Date.now()) {
+      return this.cache;
+    }
+
+    const stored = await RolePermission.find({}).lean();
+    const mapping = { ...DEFAULT_ROLE_PERMISSIONS };
+    stored.forEach((entry) => {
+      const registered = entry.registeredPermissions || [];
+      const added = DEFAULT_ROLE_PERMISSIONS[entry.role]
+        .filter((permission) => !registered.includes(permission) && !entry.permissions.includes(permission));
+      mapping[entry.role] = [...entry.permissions, ...added];
+    });
+
+    this.cache = mapping;
+    this.cacheExpiresAt = Date.now() + config.permissions.cacheSeconds * 1000;
+    return mapping;
+  }
+
+  /**
+   * @method getPermissionsForRole
+   * @description Obtiene los permisos efectivos de un rol
+   * @param {string} role - Rol del usuario
+   * @returns {Promise<Array<string>>} Claves de permisos (vacío si el rol no existe)
+   */
+  async getPermissionsForRole(role) {
+    const mapping = await this.getRoleMapping();
+    return mapping[role] || [];
+  }
+
+  /**
+   * @method updateRolePermissions
+   * @description Reemplaza los permisos de un rol
+   * @param {string} role - Rol a editar
+   * @param {Array<string>} permissions - Nuevas claves de permisos
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con el rol y sus permisos
+   * @throws {AppError} 400 - Si algún permiso no existe o se quita roles:manage al rol admin
+   * @throws {AppError} 404 - Si el rol no existe
+   */
+  async updateRolePermissions(role, permissions, context) {
+    try {
+      if (!ROLES.includes(role)) {
+        throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+      }
+
+      const unknown = permissions.filter((permission) => !PERMISSIONS[permission]);
+      if (unknown.length > 0) {
+        throw new AppError(`Unknown permissions: ${unknown.join(', ')}`, 400, 'PERMISSION_UNKNOWN', {
+          permissions: unknown.join(', '),
+        });
+      }
+
+      // Si el rol admin perdiera este permiso nadie podría volver a editar la asignación
+      if (role === 'admin' && !permissions.includes(ROLE_MANAGEMENT_PERMISSION)) {
+        throw new AppError(`The admin role cannot lose the ${ROLE_MANAGEMENT_PERMISSION} permission`, 400, 'ROLE_MANAGEMENT_PERMISSION_REQUIRED', {
+          permission: ROLE_MANAGEMENT_PERMISSION,
+        });
+      }
+
+      const uniquePermissions = [...new Set(permissions)];
+      // Sin { new: true } se obtiene el documento anterior, que se guarda en la auditoría
+      const previous = await RolePermission.findOneAndUpdate(
+        { role },
+        {
+          $set: {
+            permissions: uniquePermissions,
+            registeredPermissions: Object.keys(PERMISSIONS),
+            updatedBy: context.actorId,
+          },
+        },
+        { upsert: true, runValidators: true }
+      );
+      this.clearCache();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_ROLE_PERMISSIONS_UPDATE,
+        context,
+        metadata: {
+          role,
+          previousPermissions: previous ? previous.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+          permissions: uniquePermissions,
+        },
+      });
+      logger.info(`Permissions of role ${role} updated by ${context.actorId}: ${uniquePermissions.join(', ')}`);
+      return { role, permissions: uniquePermissions };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_ROLE_PERMISSIONS_UPDATE, error, {
+        context,
+        metadata: { role, permissions },
+      });
+      logger.error(`Error updating role permissions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method clearCache
+   * @description Descarta la asignación cacheada (la siguiente consulta lee Mongo)
+   */
+  clearCache() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+}
+
+module.exports = new PermissionService();
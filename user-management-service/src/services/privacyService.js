@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Privacy Service - Exportación de datos y derecho al olvido (RGPD)
+ * @description El usuario puede descargar una copia de sus datos personales y solicitar
+ * su borrado. El borrado se ejecuta tras un periodo de gracia (ERASURE_GRACE_DAYS) en el
+ * que puede cancelarse; el ErasureWorker llama entonces a eraseUser().
+ *
+ * Borrar no elimina el documento: los datos personales se anonimizan en el propio
+ * documento y se conserva el _id, de modo que las referencias de otros servicios y del
+ * log de auditoría siguen siendo válidas. El evento user.erased avisa a los demás
+ * servicios para que borren sus copias.
+ *
+ * Las cuentas que su dueño desactivó y no reactivó a tiempo se purgan con
+ * purgeDeactivatedUser(), que el AccountPurgeWorker llama al vencer el plazo.
+ */
+
+const User = require('../models/userModel');
+const Invitation = require('../models/invitationModel');
+const AuditEvent = require('../models/auditEventModel');
+const userService = require('./userService');
+const mailService = require('./mailService');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * Versión del formato del archivo de exportación
+ */
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * @function getAnonymizedEmail
+ * @description Email que sustituye al del usuario borrado (único y no entregable)
+ * @param {ObjectId} userId - ID del usuario
+ * @returns {string} Email anónimo
+ */
+const getAnonymizedEmail = (userId) => `erased-${userId}@erased.invalid`;
+
+/**
+ * @class PrivacyService
+ * @description Servicio que encapsula la exportación y el borrado de los datos personales
+ */
+class PrivacyService {
+  /**
+   * @method exportUserData
+   * @description Reúne todos los datos personales del usuario en un archivo JSON
+   * @param {string} userId - ID del usuario
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId, sessionId)
+   * @returns {Promise<Object>} Archivo con profile, preferences, learningProfile, sessions y auditEvents
+   * @throws {AppError} 404 - Si el usuario no existe
+   *
+   * @description El log de auditoría incluye los eventos sobre el usuario y las acciones
+   * que realizó sobre su propia cuenta; no las que, como administrador, realizó sobre otros.
+   */
+  async exportUserData(userId, context = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      const { preferences, learningProfile, ...profile } = user.toJSON();
+      delete profile.__v;
+
+      const sessions = await userService.getSessions(user._id, context.sessionId);
+      const auditEvents = await AuditEvent.find({
+        $or: [{ target: user._id }, { actor: user._id, target: null }],
+      })
+        .sort({ _id: 1 })
+        .select('-_id -__v -actor -target')
+        .lean();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ACCOUNT_DATA_EXPORT,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
+      logger.info(`Personal data exported for user: ${user.email}`);
+
+      return {
+        formatVersion: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        profile,
+        preferences,
+        learningProfile,
+        sessions,
+        auditEvents,
+      };
+    } catch (error) {
+      logger.error(`Error exporting user data: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method requestErasure
+   * @description Programa el borrado de los datos personales tras el periodo de gracia
+   * @param {string} userId - ID del usuario
+   * @param {string} confirmEmail - Email de la cuenta, como confirmación
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Objeto con la fecha programada (scheduledAt)
+   * @throws {AppError} 400 - Si el email de confirmación no coincide
+   * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si ya hay una solicitud pendiente o es el último administrador activo
+   *
+   * @description La cuenta sigue activa durante el periodo de gracia para que el usuario
+   * pueda iniciar sesión y cancelar la solicitud.
+   */
+  async requestErasure(userId, confirmEmail, context = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+      if (user.email !== confirmEmail.toLowerCase()) {
+        throw new AppError('Confirmation email does not match the account', 400, 'CONFIRMATION_EMAIL_MISMATCH');
+      }
+      if (user.erasureScheduledAt) {
+        throw new AppError('Account erasure already requested', 409, 'ERASURE_ALREADY_REQUESTED');
+      }
+      await userService.assertNotLastAdmin(user);
+
+      const now = new Date();
+      user.erasureRequestedAt = now;
+      user.erasureScheduledAt = new Date(now.getTime() + config.erasure.graceMs);
+      await user.save();
+
+      // Un fallo al enviar el email no debe impedir la solicitud
+      await mailService.sendErasureScheduledEmail(user, user.erasureScheduledAt).catch((error) => {
+        logger.error(`Error sending erasure email to ${user.email}: ${error.message}`);
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ACCOUNT_ERASURE_REQUEST,
+        actor: user._id,
+        target: user._id,
+        context,
+        metadata: { scheduledAt: user.erasureScheduledAt },
+      });
+      logger.info(`Erasure requested for user ${user.email}, scheduled at ${user.erasureScheduledAt.toISOString()}`);
+      return { scheduledAt: user.erasureScheduledAt };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ACCOUNT_ERASURE_REQUEST, error, {
+        actor: userId,
+        target: userId,
+        context,
+      });
+      logger.error(`Error requesting erasure: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method cancelErasure
+   * @description Cancela una solicitud de borrado durante el periodo de gracia
+   * @param {string} userId - ID del usuario
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 404 - Si no hay una solicitud pendiente
+   */
+  async cancelErasure(userId, context = {}) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { _id: userId, erasureScheduledAt: { $ne: null }, anonymizedAt: null },
+        { $set: { erasureRequestedAt: null, erasureScheduledAt: null, erasureBlockedAt: null } },
+        { new: true }
+      );
+      if (!user) {
+        throw new AppError('No pending erasure request', 404, 'ERASURE_NOT_REQUESTED');
+      }
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ACCOUNT_ERASURE_CANCEL,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
+      logger.info(`Erasure cancelled for user: ${user.email}`);
+      return { messageKey: 'messages.erasureCancelled' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ACCOUNT_ERASURE_CANCEL, error, {
+        actor: userId,
+        target: userId,
+        context,
+      });
+      logger.error(`Error cancelling erasure: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method eraseUser
+   * @description Anonimiza en el propio documento todos los datos personales del usuario
+   * y emite user.erased
+   * @param {string} userId - ID del usuario
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (vacío si lo ejecuta el worker)
+   * @param {string} [trigger='erasure_request'] - Origen del borrado para la auditoría
+   * ('erasure_request' o 'deactivation_expired')
+   * @returns {Promise<boolean>} false si el borrado se canceló antes de escribirse (la
+   * solicitud se canceló o la cuenta se reactivó)
+   * @throws {AppError} 404 - Si el usuario no existe o ya fue anonimizado
+   * @throws {AppError} 409 - Si es el último administrador activo
+   *
+   * @description Se conservan el _id, el rol y las fechas de alta y de la solicitud. En el
+   * log de auditoría solo se sustituye el email guardado en metadata (p. ej. el de los
+   * logins fallidos): el resto es inmutable y caduca tras AUDIT_RETENTION_DAYS. Los eventos
+   * y entregas de webhooks ya enviados caducan con su propia retención.
+   *
+   * @description El worker reserva la cuenta antes de llamar a este método, pero el usuario
+   * puede cancelar mientras tanto: la condición del borrado va en el filtro de la escritura
+   * que anonimiza, no solo en la lectura previa.
+   */
+  async eraseUser(userId, context = {}, trigger = 'erasure_request') {
+    try {
+      const pending = trigger === 'deactivation_expired'
+        ? { _id: userId, anonymizedAt: null, isActive: false, deactivatedBy: 'self', purgeScheduledAt: { $ne: null } }
+        : { _id: userId, anonymizedAt: null, erasureScheduledAt: { $ne: null } };
+      const user = await User.findOne({ _id: userId, anonymizedAt: null });
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+      const erasedAt = new Date();
+      const anonymizedEmail = getAnonymizedEmail(user._id);
+      const erased = await eventService.runInTransaction(async (session) => {
+        await userService.assertNotLastAdmin(user, session);
+        const { matchedCount } = await User.updateOne(
+          pending,
+          {
+            $set: {
+              email: anonymizedEmail,
+              firstName: 'Erased',
+              lastName: 'User',
+              avatar: null,
+              isActive: false,
+              isEmailVerified: false,
+              emailVerificationToken: null,
+              emailVerificationExpires: null,
+              emailVerificationSentAt: null,
+              passwordResetToken: null,
+              passwordResetExpires: null,
+              passwordResetRequired: false,
+              oauthProvider: null,
+              oauthId: null,
+              oauthAccounts: [],
+              mfa: { enabled: false, enabledAt: null, secret: null, pendingSecret: null, recoveryCodes: [], lastUsedStep: null },
+              preferences: { language: 'es', timezone: 'UTC', notifications: { email: false, push: false } },
+              learningProfile: { level: 'beginner', skills: [], interests: [] },
+              lastLogin: null,
+              refreshTokens: [],
+              searchTokens: [],
+              erasureScheduledAt: null,
+              erasureBlockedAt: null,
+              purgeScheduledAt: null,
+              anonymizedAt: erasedAt,
+            },
+            $unset: { password: 1, username: 1 },
+          },
+          { session }
+        );
+        if (!matchedCount) {
+          return false;
+        }
+        // Las invitaciones aceptadas guardan el email con el que se registró
+        await Invitation.updateMany(
+          { acceptedUser: user._id },
+          { $set: { email: anonymizedEmail } },
+          { session }
+        );
+        await auditService.anonymizeEmail(user.email, anonymizedEmail, session);
+        await eventService.enqueue(EVENT_TYPES.USER_ERASED, user._id, {
+          id: user._id.toString(),
+          erasedAt: erasedAt.toISOString(),
+        }, { session, context });
+        return true;
+      });
+      if (!erased) {
+        logger.info(`Erasure of user ${user._id} cancelled before it was written`);
+        return false;
+      }
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ACCOUNT_ERASE,
+        target: user._id,
+        context,
+        metadata: { trigger, requestedAt: user.erasureRequestedAt },
+      });
+      logger.warn(`Personal data of user ${user._id} erased`);
+      return true;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ACCOUNT_ERASE, error, { target: userId, context });
+      logger.error(`Error erasing user ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method purgeDeactivatedUser
+   * @description Purga una cuenta desactivada por su dueño cuyo plazo de reactivación venció
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<boolean>} false si la cuenta ya no debe purgarse (p. ej. se reactivó)
+   *
+   * @description Según ACCOUNT_PURGE_MODE, anonimiza la cuenta como el derecho al olvido
+   * ('anonymize', emite user.erased) o elimina el documento ('delete', emite user.deleted).
+   */
+  async purgeDeactivatedUser(userId) {
+    const { mode } = config.accountPurge;
+    const purgeable = { _id: userId, isActive: false, deactivatedBy: 'self', purgeScheduledAt: { $ne: null }, anonymizedAt: null };
+    const user = await User.findOne(purgeable);
+    if (!user) {
+      return false;
+    }
+
+    // eraseUser registra su propio evento de auditoría (account.erase)
+    if (mode === 'anonymize') {
+      return this.eraseUser(user._id, {}, 'deactivation_expired');
+    }
+
+    try {
+      await eventService.runInTransaction(async (session) => {
+        const { deletedCount } = await User.deleteOne(purgeable, { session });
+        if (!deletedCount) {
+          throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+        }
+        await eventService.enqueue(EVENT_TYPES.USER_DELETED, user._id, {
+          user: eventService.toEventUser(user),
+        }, { session });
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ACCOUNT_PURGE,
+        target: user._id,
+        metadata: { mode, deactivatedAt: user.deactivatedAt },
+      });
+      logger.warn(`Deactivated user ${user._id} permanently deleted after the reactivation period`);
+      return true;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ACCOUNT_PURGE, error, { target: userId, metadata: { mode } });
+      logger.error(`Error purging deactivated user ${userId}: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PrivacyService();
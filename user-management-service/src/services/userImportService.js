@@ -0,0 +1,367 @@
+/**
+ * @fileoverview User Import Service - Importación de usuarios en bloque (CSV/NDJSON)
+ * @description Un administrador sube un archivo con los usuarios de una cohorte. Cada
+ * fila se valida con el schema de registro (sin contraseña) y se comprueban los emails y
+ * usernames repetidos dentro del archivo y contra la base de datos. Con dryRun solo se
+ * devuelve el informe por fila; si no, se guarda una importación (UserImportJob) que el
+ * UserImportWorker procesa por lotes en segundo plano.
+ *
+ * Los usuarios importados no tienen contraseña: se crean con passwordResetRequired y
+ * reciben por email un enlace de reseteo (válido INVITATION_EXPIRES_HOURS) para elegirla.
+ */
+
+const mongoose = require('mongoose');
+const Joi = require('joi');
+const User = require('../models/userModel');
+const UserImportJob = require('../models/userImportJobModel');
+const mailService = require('./mailService');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
+const userSchemas = require('../schemas/userSchemas');
+const { getVersionedSchema } = require('../middlewares/apiVersionMiddleware');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const { parseImportFile } = require('../utils/importParser');
+const config = require('../config/env');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * Schema de cada fila: el de registro de la versión actual, sin contraseña ni rol (las
+ * columnas password y role se ignoran; el rol lo fija la importación)
+ */
+const importRowSchema = getVersionedSchema(userSchemas.register)
+  .keys({ password: Joi.any().strip(), role: Joi.any().strip() });
+
+/**
+ * Estados de fila que cuentan en counts (además de total)
+ */
+const ROW_STATUSES = ['pending', 'created', 'invalid', 'duplicate', 'failed'];
+
+/**
+ * @function countRows
+ * @description Cuenta las filas de una importación por estado
+ * @param {Array<Object>} rows - Filas con status
+ * @returns {Object} { total, pending, created, invalid, duplicate, failed }
+ */
+const countRows = (rows) => rows.reduce(
+  (counts, row) => ({ ...counts, [row.status]: counts[row.status] + 1 }),
+  { total: rows.length, ...Object.fromEntries(ROW_STATUSES.map((status) => [status, 0])) }
+);
+
+/**
+ * @function findTakenIdentifiers
+ * @description Busca qué emails y usernames de las filas ya usa otro usuario
+ * @param {Array<Object>} rows - Filas con data validada
+ * @param {Array<ObjectId>} [ignoreIds=[]] - Usuarios que no cuentan (los creados por la propia importación)
+ * @returns {Promise<Object>} { emails: Set, usernames: Set }
+ */
+const findTakenIdentifiers = async (rows, ignoreIds = []) => {
+  const emails = rows.map((row) => row.data.email);
+  const usernames = rows.map((row) => row.data.username).filter(Boolean);
+  const users = await User.find({
+    _id: { $nin: ignoreIds },
+    $or: [{ email: { $in: emails } }, { username: { $in: usernames } }],
+  }).select('email username');
+
+  return {
+    emails: new Set(users.map((user) => user.email)),
+    usernames: new Set(users.map((user) => user.username).filter(Boolean)),
+  };
+};
+
+/**
+ * @function toReportRow
+ * @description Fila del informe (sin los datos personales completos)
+ * @param {Object} row - Fila analizada o guardada en la importación
+ * @returns {Object} { line, email, status, reasons }
+ */
+const toReportRow = ({ line, email, status, reasons }) => ({ line, email, status, reasons });
+
+/**
+ * @class UserImportService
+ * @description Servicio que encapsula la importación de usuarios en bloque
+ */
+class UserImportService {
+  /**
+   * @method analyzeRows
+   * @description Valida las filas leídas del archivo y detecta los duplicados
+   * @param {Array<Object>} parsedRows - Filas { line, data } o { line, error } (ver importParser)
+   * @returns {Promise<Array<Object>>} Filas { line, email, data, status, reasons } con status
+   * 'pending' (se puede crear), 'invalid' o 'duplicate'
+   *
+   * @description Dentro del archivo cuenta como duplicada la segunda aparición de un email
+   * o username (la primera se importa).
+   */
+  async analyzeRows(parsedRows) {
+    const rows = parsedRows.map(({ line, data, error }) => {
+      const email = data && typeof data.email === 'string' ? data.email.trim().toLowerCase() : null;
+      if (error) {
+        return { line, email, data: null, status: 'invalid', reasons: [error] };
+      }
+      const { error: validationError, value } = importRowSchema.validate(data, {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+      if (validationError) {
+        return { line, email, data: null, status: 'invalid', reasons: validationError.details.map((detail) => detail.message) };
+      }
+      return { line, email: value.email, data: value, status: 'pending', reasons: [] };
+    });
+
+    const emailLines = new Map();
+    const usernameLines = new Map();
+    rows.filter((row) => row.status === 'pending').forEach((row) => {
+      const { email, username } = row.data;
+      if (emailLines.has(email)) {
+        row.reasons.push(`Duplicate email in file (line ${emailLines.get(email)})`);
+      } else {
+        emailLines.set(email, row.line);
+      }
+      if (username && usernameLines.has(username)) {
+        row.reasons.push(`Duplicate username in file (line ${usernameLines.get(username)})`);
+      } else if (username) {
+        usernameLines.set(username, row.line);
+      }
+    });
+
+    const candidates = rows.filter((row) => row.status === 'pending');
+    const taken = await findTakenIdentifiers(candidates);
+    candidates.forEach((row) => {
+      if (taken.emails.has(row.data.email)) {
+        row.reasons.push('Email already registered');
+      }
+      if (row.data.username && taken.usernames.has(row.data.username)) {
+        row.reasons.push('Username already taken');
+      }
+      if (row.reasons.length > 0) {
+        row.status = 'duplicate';
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * @method startImport
+   * @description Valida un archivo de usuarios y, salvo en dryRun, encola su importación
+   * @param {string} content - Contenido del archivo
+   * @param {string} format - 'csv' (con cabecera email,firstName,lastName[,username]) o 'ndjson'
+   * @param {Object} options - Opciones validadas por el schema userImportQuery
+   * @param {boolean} options.dryRun - Solo validar y devolver el informe
+   * @param {string} options.role - Rol de los usuarios importados
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Con dryRun: { dryRun, counts, rows }; si no, la importación
+   * creada (ver getJob), con status 'pending' o 'completed' si no había filas válidas
+   * @throws {AppError} 400 - Si el archivo está vacío o supera USER_IMPORT_MAX_ROWS filas
+   */
+  async startImport(content, format, { dryRun, role }, context) {
+    try {
+      const parsedRows = parseImportFile(content, format);
+      if (parsedRows.length === 0) {
+        throw new AppError('The file does not contain any user', 400, 'IMPORT_FILE_EMPTY');
+      }
+      if (parsedRows.length > config.userImport.maxRows) {
+        throw new AppError(`The file exceeds the limit of ${config.userImport.maxRows} users`, 400, 'IMPORT_TOO_MANY_ROWS', {
+          maxRows: config.userImport.maxRows,
+        });
+      }
+
+      const rows = await this.analyzeRows(parsedRows);
+      const counts = countRows(rows);
+      if (dryRun) {
+        return { dryRun: true, counts, rows: rows.map(toReportRow) };
+      }
+
+      // El ID de cada usuario se reserva ya: si un lote se reintenta, los creados se reconocen por él
+      rows.filter((row) => row.status === 'pending').forEach((row) => {
+        row.userId = new mongoose.Types.ObjectId();
+      });
+      const job = await UserImportJob.create({
+        format,
+        role,
+        rows,
+        counts,
+        status: counts.pending > 0 ? 'pending' : 'completed',
+        completedAt: counts.pending > 0 ? null : new Date(),
+        createdBy: context.actorId,
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_USER_IMPORT,
+        context,
+        metadata: { jobId: job._id, format, role, counts },
+      });
+      logger.info(`User import ${job._id} queued by ${context.actorId}: ${counts.pending} of ${counts.total} rows`);
+      return this.toJobReport(job);
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_USER_IMPORT, error, {
+        context,
+        metadata: { format, role, dryRun },
+      });
+      logger.error(`Error importing users: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method getJob
+   * @description Obtiene el progreso y el informe por fila de una importación
+   * @param {string} jobId - ID de la importación
+   * @returns {Promise<Object>} Importación (ver toJobReport)
+   * @throws {AppError} 404 - Si la importación no existe
+   */
+  async getJob(jobId) {
+    const job = await UserImportJob.findById(jobId).populate('createdBy', 'email firstName lastName');
+    if (!job) {
+      throw new AppError('Import job not found', 404, 'IMPORT_JOB_NOT_FOUND');
+    }
+    return this.toJobReport(job);
+  }
+
+  /**
+   * @method toJobReport
+   * @description Datos de una importación que se devuelven al administrador
+   * @param {Object} job - Documento de la importación
+   * @returns {Object} { _id, format, role, status, counts, progress, rows, createdBy, startedAt, completedAt, createdAt }
+   * (progress es el porcentaje de filas válidas ya procesadas)
+   */
+  toJobReport(job) {
+    const { counts } = job;
+    const queued = counts.total - counts.invalid - counts.duplicate;
+    return {
+      _id: job._id,
+      format: job.format,
+      role: job.role,
+      status: job.status,
+      counts,
+      progress: queued === 0 ? 100 : Math.floor(((queued - counts.pending) / queued) * 100),
+      rows: job.rows.map(toReportRow),
+      createdBy: job.createdBy,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      createdAt: job.createdAt,
+    };
+  }
+
+  /**
+   * @method createUsers
+   * @description Crea los usuarios de unas filas en una transacción, con sus eventos user.created
+   * @param {Array<Object>} rows - Filas pendientes (data y userId)
+   * @param {Object} job - Importación (rol y administrador)
+   * @returns {Promise<Array<Object>>} Usuarios creados con el token de su enlace: [{ user, token }]
+   */
+  async createUsers(rows, job) {
+    const context = { actorId: job.createdBy };
+    const created = rows.map((row) => {
+      const user = new User({
+        ...row.data,
+        _id: row.userId,
+        role: job.role,
+        passwordResetRequired: true,
+      });
+      return { user, token: user.generatePasswordResetToken(config.invitations.expiresHours * 60) };
+    });
+
+    await eventService.runInTransaction(async (session) => {
+      for (const { user } of created) {
+        await user.save({ session });
+        await eventService.enqueue(EVENT_TYPES.USER_CREATED, user._id, eventService.toEventUser(user), {
+          session,
+          context,
+        });
+      }
+    });
+    return created;
+  }
+
+  /**
+   * @method processJobBatch
+   * @description Crea el siguiente lote de usuarios de una importación reservada por el worker
+   * @param {Object} job - Documento de la importación (con la reserva de esta instancia)
+   * @returns {Promise<number>} Filas procesadas (0 si la importación terminó)
+   *
+   * @description El lote se crea en una sola transacción. Si falla (p. ej. alguien se
+   * registró con uno de los emails después de validar el archivo), sus filas se crean de
+   * una en una para marcar como fallidas solo las que dan error. Las filas cuyo usuario
+   * ya existe (lote interrumpido antes de marcarse) se dan por creadas y se les envía un
+   * enlace nuevo. Al terminar se borran los datos de las filas: el informe conserva solo
+   * línea, email y estado.
+   */
+  async processJobBatch(job) {
+    const batch = job.rows.filter((row) => row.status === 'pending').slice(0, config.userImport.batchSize);
+    job.startedAt = job.startedAt || new Date();
+
+    if (batch.length > 0) {
+      const userIds = batch.map((row) => row.userId);
+      const existing = new Set((await User.find({ _id: { $in: userIds } }).select('_id'))
+        .map((user) => user._id.toString()));
+      const taken = await findTakenIdentifiers(batch, userIds);
+
+      const toCreate = [];
+      const recovered = [];
+      batch.forEach((row) => {
+        if (existing.has(row.userId.toString())) {
+          recovered.push(row);
+        } else if (taken.emails.has(row.data.email) || (row.data.username && taken.usernames.has(row.data.username))) {
+          row.status = 'duplicate';
+          row.reasons = [taken.emails.has(row.data.email) ? 'Email already registered' : 'Username already taken'];
+        } else {
+          toCreate.push(row);
+        }
+      });
+
+      let created = [];
+      try {
+        created = await this.createUsers(toCreate, job);
+      } catch (error) {
+        logger.warn(`User import ${job._id}: batch failed (${error.message}), retrying row by row`);
+        for (const row of toCreate) {
+          try {
+            // Sin transacciones, el lote pudo crear algunos usuarios antes de fallar
+            if (await User.exists({ _id: row.userId })) {
+              recovered.push(row);
+            } else {
+              created.push(...(await this.createUsers([row], job)));
+            }
+          } catch (rowError) {
+            row.status = 'failed';
+            row.reasons = [rowError.code === 11000 ? 'Email or username already registered' : rowError.message];
+          }
+        }
+      }
+      toCreate.concat(recovered).filter((row) => row.status === 'pending').forEach((row) => {
+        row.status = 'created';
+      });
+      // El token de los usuarios ya creados se perdió con el lote interrumpido: se emite otro
+      for (const user of await User.find({ _id: { $in: recovered.map((row) => row.userId) } })) {
+        const token = user.generatePasswordResetToken(config.invitations.expiresHours * 60);
+        await user.save();
+        created.push({ user, token });
+      }
+
+      // Un fallo al enviar el email no deshace la creación: el usuario puede usar "olvidé mi contraseña"
+      const inviter = await User.findById(job.createdBy).select('firstName lastName');
+      for (const { user, token } of created) {
+        await mailService.sendAccountSetupEmail(user, token, inviter).catch((error) => {
+          logger.error(`Error sending account setup email to ${user.email}: ${error.message}`);
+        });
+      }
+    }
+
+    job.counts = countRows(job.rows);
+    if (job.counts.pending === 0) {
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.rows.forEach((row) => {
+        row.data = null;
+      });
+      logger.info(`User import ${job._id} completed: ${job.counts.created} of ${job.counts.total} users created`);
+    }
+    job.leaseExpiresAt = null;
+    await job.save();
+    return batch.length;
+  }
+}
+
+module.exports = new UserImportService();
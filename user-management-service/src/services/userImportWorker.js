@@ -0,0 +1,70 @@
+/**
+ * @fileoverview User Import Worker - Creación por lotes de los usuarios importados
+ * @description Busca periódicamente las importaciones pendientes y crea sus usuarios en
+ * lotes de USER_IMPORT_BATCH_SIZE (UserImportService.processJobBatch), guardando el
+ * progreso tras cada lote. Varias instancias pueden ejecutarlo a la vez:
+ * antes de procesar un lote, la importación se reserva LEASE_MS de forma atómica, así
+ * que ninguna otra instancia la toma. Si el lote falla, se reintenta al vencer la reserva.
+ */
+
+const UserImportJob = require('../models/userImportJobModel');
+const userImportService = require('./userImportService');
+const PollingWorker = require('../utils/pollingWorker');
+const logger = require('../utils/logger');
+const config = require('../config/env');
+
+/**
+ * Tiempo que una instancia reserva una importación (y espera antes de reintentar un fallo)
+ */
+const LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * @class UserImportWorker
+ * @description Proceso en segundo plano que crea los usuarios de las importaciones
+ */
+class UserImportWorker extends PollingWorker {
+  constructor() {
+    super('User import worker', {
+      getIntervalMs: () => config.userImport.workerIntervalMs,
+      getBatchSize: () => config.userImport.batchSize,
+    });
+  }
+
+  /**
+   * @method claimNext
+   * @description Reserva de forma atómica la importación sin terminar más antigua
+   * @returns {Promise<Object|null>} Importación reservada o null si no hay pendientes
+   */
+  async claimNext() {
+    const now = new Date();
+    return UserImportJob.findOneAndUpdate(
+      {
+        status: { $in: ['pending', 'running'] },
+        $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: now } }],
+      },
+      { $set: { status: 'running', leaseExpiresAt: new Date(now.getTime() + LEASE_MS) } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * @method processBatch
+   * @description Crea un lote de usuarios de la siguiente importación pendiente
+   * @returns {Promise<number>} Número de filas procesadas
+   */
+  async processBatch() {
+    const job = await this.claimNext();
+    if (!job) {
+      return 0;
+    }
+    try {
+      return await userImportService.processJobBatch(job);
+    } catch (error) {
+      // La importación se reintenta al vencer la reserva
+      logger.error(`Error processing user import ${job._id}: ${error.message}`);
+      return 0;
+    }
+  }
+}
+
+module.exports = new UserImportWorker();
@@ -4,11 +4,82 @@
  * creación, autenticación, actualización, eliminación y generación de tokens JWT.
  */
 
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
 const { AppError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
+const mailService = require('./mailService');
+const mfaService = require('./mfaService');
+const loginProtectionService = require('./loginProtectionService');
+const invitationService = require('./invitationService');
+const auditService = require('./auditService');
+const eventService = require('./eventService');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config/env');
+const { hashToken } = require('../utils/tokenUtils');
+const { encodeSortCursor, decodeSortCursor, getSortCursorFilter } = require('../utils/cursorUtils');
+const {
+  SEARCH_FIELDS,
+  buildSearchTokens,
+  parseSearchTerms,
+  buildSearchFilter,
+  buildRelevanceScore,
+} = require('../utils/searchUtils');
+const { buildUserFilter } = require('../utils/filterUtils');
+const { parseDevice } = require('../utils/deviceUtils');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+const { EVENT_TYPES } = require('../config/eventTypes');
+
+/**
+ * @function getTokenExpiration
+ * @description Obtiene la fecha de expiración (claim "exp") de un JWT ya firmado
+ * @param {string} token - Token JWT
+ * @returns {Date} Fecha de expiración del token
+ */
+const getTokenExpiration = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Propósitos de los tokens de desafío MFA emitidos en el primer paso del login
+ * - MFA_VERIFY: el usuario tiene MFA activo y debe enviar un código
+ * - MFA_ENROLL: la política exige MFA para su rol y debe darlo de alta primero
+ */
+const MFA_VERIFY = 'mfa-verify';
+const MFA_ENROLL = 'mfa-enroll';
+
+/**
+ * @function getMfaChallengeSecret
+ * @description Deriva de JWT_SECRET la clave de los tokens de desafío MFA, de modo que
+ * un token de desafío nunca sea aceptado como access token (y viceversa)
+ * @returns {string} Clave de firma de los tokens de desafío
+ */
+const getMfaChallengeSecret = () => crypto
+  .createHmac('sha256', config.jwt.secret)
+  .update('mfa-challenge')
+  .digest('hex');
+
+/**
+ * Usuarios por página del listado si no se indica limit
+ */
+const DEFAULT_LIST_LIMIT = 10;
+
+/**
+ * Validez del token de reactivación que se devuelve en el login (el del email caduca
+ * según ACCOUNT_REACTIVATION_LINK_EXPIRES_HOURS)
+ */
+const REACTIVATION_PROMPT_EXPIRES_IN = '15m';
+
+/**
+ * @function getReactivationSecret
+ * @description Deriva de JWT_SECRET la clave de los tokens de reactivación, de modo que
+ * no se puedan usar como access token ni como token de desafío MFA
+ * @returns {string} Clave de firma de los tokens de reactivación
+ */
+const getReactivationSecret = () => crypto
+  .createHmac('sha256', config.jwt.secret)
+  .update('account-reactivation')
+  .digest('hex');
 
 /**
  * @class UserService
@@ -24,14 +95,17 @@ class UserService {
    * @param {string} userData.firstName - Nombre del usuario
    * @param {string} userData.lastName - Apellido del usuario
    * @param {string} [userData.username] - Username único (opcional)
-   * @param {string} [userData.role] - Rol del usuario (default: 'student')
+   * @param {Object} [context={}] - Datos de la petición para la sesión y la auditoría (userAgent, ip, requestId)
    * @returns {Promise<Object>} Objeto con el usuario creado y tokens de acceso
    * @returns {Object.user} Información del usuario (sin password ni tokens sensibles)
    * @returns {Object.tokens} Tokens JWT (accessToken y refreshToken)
    * @throws {AppError} 409 - Si el email o username ya están registrados
    * @throws {AppError} 400 - Si hay errores de validación
+   *
+   * @description El registro público siempre crea estudiantes: los demás roles solo se
+   * obtienen aceptando una invitación (ver acceptInvitation).
    */
-  async createUser(userData) {
+  async createUser(userData, context = {}) {
     try {
       console.log('🔍 [SERVICE] Verificando si el email existe:', userData.email);
       
@@ -39,7 +113,7 @@ class UserService {
       const existingUser = await User.findOne({ email: userData.email });
       if (existingUser) {
         console.error('❌ [SERVICE] Email ya registrado:', userData.email);
-        throw new AppError('Email already registered', 409);
+        throw new AppError('Email already registered', 409, 'USER_EMAIL_TAKEN');
       }
       console.log('✅ [SERVICE] Email disponible');
 
@@ -49,27 +123,47 @@ class UserService {
         const existingUsername = await User.findOne({ username: userData.username });
         if (existingUsername) {
           console.error('❌ [SERVICE] Username ya en uso:', userData.username);
-          throw new AppError('Username already taken', 409);
+          throw new AppError('Username already taken', 409, 'USER_USERNAME_TAKEN');
         }
         console.log('✅ [SERVICE] Username disponible');
       }
 
       console.log('💾 [SERVICE] Creando nuevo usuario en la base de datos...');
-      // Crear instancia del modelo User con los datos proporcionados
-      const user = new User(userData);
+      // Crear instancia del modelo User con los datos proporcionados (siempre como estudiante)
+      const user = new User({ ...userData, role: 'student' });
+      // Emitir token de verificación de email (en la BD solo se guarda su hash)
+      const verificationToken = user.generateVerificationToken();
       // Guardar en la base de datos (el password se hashea automáticamente en el pre-save hook)
-      await user.save();
+      // junto con el evento user.created
+      await eventService.runInTransaction(async (session) => {
+        await user.save({ session });
+        await eventService.enqueue(EVENT_TYPES.USER_CREATED, user._id, eventService.toEventUser(user), {
+          session,
+          context: { ...context, actorId: user._id },
+        });
+      });
       console.log('✅ [SERVICE] Usuario guardado en BD:', user._id);
 
+      // Un fallo al enviar el email no debe impedir el registro: el usuario puede pedir un reenvío
+      await mailService.sendVerificationEmail(user, verificationToken).catch((error) => {
+        logger.error(`Error sending verification email to ${user.email}: ${error.message}`);
+      });
+
       console.log('🔑 [SERVICE] Generando tokens JWT...');
       // Generar tokens de acceso y refresh
-      const tokens = await this.generateTokens(user);
+      const tokens = await this.generateTokens(user, context);
       console.log('✅ [SERVICE] Tokens generados exitosamente');
 
-      // Ocultar información sensible antes de retornar
-      const userObject = user.toObject();
-      delete userObject.password; // No retornar el password hasheado
-      delete userObject.refreshTokens; // No retornar los refresh tokens
+      // Ocultar información sensible antes de retornar: toJSON quita el password, los
+      // refresh tokens, los hashes de los tokens de un solo uso y los secretos MFA
+      const userObject = user.toJSON();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.REGISTER,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
 
       logger.info(`User created: ${user.email}`);
       console.log('✅ [SERVICE] Usuario creado completamente:', {
@@ -88,59 +182,189 @@ class UserService {
         stack: error.stack,
         email: userData.email,
       });
+      await auditService.recordFailure(AUDIT_ACTIONS.REGISTER, error, {
+        context,
+        metadata: { email: userData.email },
+      });
       logger.error(`Error creating user: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * @method acceptInvitation
+   * @description Registra al invitado con el email y el rol de su invitación
+   * @param {string} token - Token de la invitación recibido por email
+   * @param {Object} userData - Datos del nuevo usuario
+   * @param {string} userData.password - Contraseña (será hasheada automáticamente)
+   * @param {string} userData.firstName - Nombre del usuario
+   * @param {string} userData.lastName - Apellido del usuario
+   * @param {string} [userData.username] - Username único (opcional)
+   * @param {Object} [context={}] - Datos de la petición para la sesión y la auditoría (userAgent, ip, requestId)
+   * @returns {Promise<Object>} Objeto con el usuario y los tokens JWT, o el desafío MFA
+   * si la política exige MFA para el rol (ver createMfaChallenge)
+   * @throws {AppError} 400 - Si la invitación es inválida, expiró, fue revocada o ya se usó
+   * @throws {AppError} 409 - Si el email o el username ya están registrados
+   *
+   * @description El email queda verificado: el invitado recibió el enlace en ese buzón.
+   */
+  async acceptInvitation(token, userData, context = {}) {
+    const invitation = await invitationService.claimInvitation(token);
+
+    let user;
+    try {
+      if (await User.exists({ email: invitation.email })) {
+        throw new AppError('Email already registered', 409, 'USER_EMAIL_TAKEN');
+      }
+      if (userData.username && await User.exists({ username: userData.username })) {
+        throw new AppError('Username already taken', 409, 'USER_USERNAME_TAKEN');
+      }
+
+      user = new User({
+        ...userData,
+        email: invitation.email,
+        role: invitation.role,
+        isEmailVerified: true,
+      });
+      await eventService.runInTransaction(async (session) => {
+        await user.save({ session });
+        await eventService.enqueue(EVENT_TYPES.USER_CREATED, user._id, eventService.toEventUser(user), {
+          session,
+          context: { ...context, actorId: user._id },
+        });
+      });
+    } catch (error) {
+      // Si el registro falla, la invitación se puede volver a usar
+      await invitationService.releaseInvitation(invitation);
+      await auditService.recordFailure(AUDIT_ACTIONS.INVITATION_ACCEPT, error, {
+        context,
+        metadata: { invitationId: invitation._id, email: invitation.email },
+      });
+      logger.error(`Error accepting invitation: ${error.message}`);
+      throw error;
+    }
+
+    await invitationService.completeInvitation(invitation, user._id);
+    await auditService.record({
+      action: AUDIT_ACTIONS.INVITATION_ACCEPT,
+      actor: user._id,
+      target: user._id,
+      context,
+      metadata: { invitationId: invitation._id, role: invitation.role },
+    });
+    logger.info(`User created from invitation: ${user.email} (${user.role})`);
+
+    // Un rol con MFA obligatorio debe darlo de alta antes de obtener tokens de sesión
+    return this.createMfaChallenge(user) || this.startSession(user, context);
+  }
+
   /**
    * @method loginUser
    * @description Autentica un usuario y genera tokens de acceso
    * @param {string} email - Email del usuario
    * @param {string} password - Contraseña del usuario
+   * @param {Object} [context={}] - Datos de la petición para la sesión y la auditoría (userAgent, ip, requestId)
    * @returns {Promise<Object>} Objeto con el usuario autenticado y tokens
    * @returns {Object.user} Información del usuario
    * @returns {Object.tokens} Tokens JWT (accessToken y refreshToken)
+   * @returns {Object} Si se requiere segundo factor: { mfaRequired | mfaEnrollmentRequired, mfaToken }
+   * en lugar del usuario y los tokens (ver createMfaChallenge)
+   * @returns {Object} Si el usuario desactivó su cuenta y aún puede reactivarla:
+   * { reactivationRequired, reactivationToken, purgeScheduledAt } (ver createReactivationToken)
    * @throws {AppError} 401 - Si las credenciales son inválidas
-   * @throws {AppError} 403 - Si la cuenta está desactivada
+   * @throws {AppError} 403 - Si un admin desactivó la cuenta (o venció el plazo de reactivación), un admin exigió resetear la contraseña
+   * o el email no está verificado (esto último solo si REQUIRE_EMAIL_VERIFICATION está activo)
+   * @throws {AppError} 429 - Si la cuenta o la IP están bloqueadas por intentos fallidos
    */
-  async loginUser(email, password) {
+  async loginUser(email, password, context = {}) {
+    let user;
     try {
+      // Rechazar el intento si la cuenta o la IP están bloqueadas por fallos previos
+      await loginProtectionService.assertAllowed(email, context.ip);
+
       console.log('🔍 [SERVICE] Buscando usuario:', email);
       
       // Buscar usuario con password (normalmente el password está oculto con select: false)
-      const user = await User.findOne({ email }).select('+password');
+      user = await User.findOne({ email }).select('+password');
       
       // Verificar si el usuario existe
       if (!user) {
         console.error('❌ [SERVICE] Usuario no encontrado:', email);
-        throw new AppError('Invalid email or password', 401);
+        await loginProtectionService.recordFailure(email, context.ip);
+        throw new AppError('Invalid email or password', 401, 'AUTH_INVALID_CREDENTIALS');
       }
 
       console.log('🔐 [SERVICE] Verificando contraseña...');
       // Comparar la contraseña proporcionada con la almacenada (hasheada)
-      if (!(await user.comparePassword(password))) {
+      // Las cuentas creadas con OAuth pueden no tener contraseña
+      if (!user.password || !(await user.comparePassword(password))) {
         console.error('❌ [SERVICE] Contraseña incorrecta para:', email);
-        throw new AppError('Invalid email or password', 401);
+        await loginProtectionService.recordFailure(email, context.ip);
+        throw new AppError('Invalid email or password', 401, 'AUTH_INVALID_CREDENTIALS');
       }
       console.log('✅ [SERVICE] Contraseña correcta');
+      await loginProtectionService.recordSuccess(email);
 
       // Verificar si la cuenta está activa
       if (!user.isActive) {
+        // Si la desactivó el propio usuario, el cliente puede ofrecerle reactivarla
+        if (this.isReactivatable(user)) {
+          console.log('♻️ [SERVICE] Reactivación disponible para:', email);
+          await auditService.record({
+            action: AUDIT_ACTIONS.LOGIN,
+            actor: user._id,
+            target: user._id,
+            context,
+            metadata: { reactivationPending: true },
+          });
+          return {
+            reactivationRequired: true,
+            reactivationToken: this.createReactivationToken(user, REACTIVATION_PROMPT_EXPIRES_IN),
+            purgeScheduledAt: user.purgeScheduledAt,
+          };
+        }
         console.error('❌ [SERVICE] Cuenta desactivada:', email);
-        throw new AppError('Account is deactivated', 403);
+        throw new AppError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
       }
 
-      console.log('💾 [SERVICE] Actualizando último login...');
-      // Actualizar timestamp del último login
-      user.lastLogin = new Date();
-      await user.save();
+      // Un admin forzó el cambio de contraseña: solo se puede entrar tras el reseteo por email
+      if (user.passwordResetRequired) {
+        console.error('❌ [SERVICE] Reseteo de contraseña requerido:', email);
+        throw new AppError('Password reset required. Check your email', 403, 'AUTH_PASSWORD_RESET_REQUIRED');
+      }
+
+      // Verificar el email si la configuración lo exige
+      if (config.emailVerification.required && !user.isEmailVerified) {
+        console.error('❌ [SERVICE] Email no verificado:', email);
+        throw new AppError('Email address is not verified', 403, 'AUTH_EMAIL_NOT_VERIFIED');
+      }
+
+      // Si el usuario tiene MFA (o su rol lo exige) el login continúa en un segundo paso
+      const mfaChallenge = this.createMfaChallenge(user);
+      if (mfaChallenge) {
+        console.log('🔐 [SERVICE] Segundo factor requerido para:', email);
+        await auditService.record({
+          action: AUDIT_ACTIONS.LOGIN,
+          actor: user._id,
+          target: user._id,
+          context,
+          metadata: { mfaPending: true },
+        });
+        logger.info(`MFA challenge issued for user: ${user.email}`);
+        return mfaChallenge;
+      }
 
       console.log('🔑 [SERVICE] Generando tokens JWT...');
-      // Generar nuevos tokens de acceso y refresh
-      const tokens = await this.generateTokens(user);
+      // Actualizar el último login y generar nuevos tokens de acceso y refresh
+      const result = await this.startSession(user, context);
       console.log('✅ [SERVICE] Tokens generados');
 
+      await auditService.record({
+        action: AUDIT_ACTIONS.LOGIN,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
       logger.info(`User logged in: ${user.email}`);
       console.log('✅ [SERVICE] Login exitoso:', {
         userId: user._id,
@@ -148,16 +372,18 @@ class UserService {
         role: user.role,
       });
 
-      return {
-        user: user.toObject(),
-        tokens,
-      };
+      return result;
     } catch (error) {
       console.error('❌ [SERVICE] Error en loginUser:', {
         message: error.message,
         stack: error.stack,
         email: email,
       });
+      await auditService.recordFailure(AUDIT_ACTIONS.LOGIN, error, {
+        target: user && user._id,
+        context,
+        metadata: { email },
+      });
       logger.error(`Error logging in user: ${error.message}`);
       throw error;
     }
@@ -174,7 +400,7 @@ class UserService {
     try {
       const user = await User.findById(userId);
       if (!user) {
-        throw new AppError('User not found', 404);
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
       }
       return user;
     } catch (error) {
@@ -185,55 +411,58 @@ class UserService {
 
   /**
    * @method getAllUsers
-   * @description Obtiene una lista paginada de usuarios con filtros opcionales
-   * @param {Object} [query={}] - Parámetros de consulta
-   * @param {number} [query.page=1] - Número de página (default: 1)
-   * @param {number} [query.limit=10] - Cantidad de resultados por página (default: 10)
+   * @description Obtiene una lista de usuarios con filtros opcionales, paginada por cursor
+   * @param {Object} [query={}] - Parámetros de consulta (ya validados por el schema userListQuery)
+   * @param {number} [query.limit=10] - Cantidad de resultados por página
+   * @param {string} [query.cursor] - Cursor nextCursor de la página anterior
+   * @param {string} [query.sort] - Campo de orden (ver USER_SORT_FIELDS); '-' para descendente.
+   * Por defecto 'relevance' si hay búsqueda y '-createdAt' si no
+   * @param {Array<string>} [query.fields] - Campos a devolver (ver USER_LIST_FIELDS); todos si no se indica
+   * @param {boolean} [query.includeTotal=false] - Contar el total de usuarios que coinciden con los filtros
+   * @param {Object} [query.filter] - Filtros por campo y operador (ver USER_FILTER_FIELDS y utils/filterUtils)
    * @param {string} [query.role] - Filtrar por rol: 'student', 'instructor', 'admin'
-   * @param {string} [query.search] - Búsqueda por email, firstName o lastName (case-insensitive)
+   * @param {string} [query.search] - Búsqueda por prefijo en email, nombre, username, habilidades
+   * e intereses (sin distinguir mayúsculas ni tildes; ver utils/searchUtils)
    * @returns {Promise<Object>} Objeto con la lista de usuarios y metadatos de paginación
    * @returns {Array} users - Array de usuarios encontrados
    * @returns {Object} pagination - Información de paginación
-   * @returns {number} pagination.page - Página actual
    * @returns {number} pagination.limit - Resultados por página
-   * @returns {number} pagination.total - Total de usuarios que coinciden con los filtros
-   * @returns {number} pagination.pages - Total de páginas
+   * @returns {string} pagination.sort - Orden aplicado
+   * @returns {string|null} pagination.nextCursor - Cursor de la página siguiente (null en la última)
+   * @returns {number} [pagination.total] - Total de usuarios que coinciden con los filtros (solo con includeTotal)
+   * @throws {AppError} 400 - Si el cursor no es válido o se generó con otro orden
+   *
+   * @description El orden se desempata por _id, de modo que las páginas son estables
+   * aunque se creen usuarios mientras se recorren. El total requiere recorrer todos los
+   * usuarios que coinciden, por eso solo se calcula si se pide.
+   *
+   * Cada término de la búsqueda debe ser el prefijo de algún token del usuario. Con
+   * sort=relevance se ordena primero a quien coincide con palabras completas (ver
+   * buildRelevanceScore); la relevancia se calcula solo sobre los usuarios que coinciden.
    */
   async getAllUsers(query = {}) {
     try {
-      // Extraer parámetros de paginación y filtros
-      const { page = 1, limit = 10, role, search } = query;
-      const skip = (page - 1) * limit; // Calcular cuántos documentos saltar
-
-      // Construir objeto de filtro para MongoDB
-      const filter = {};
-      if (role) filter.role = role; // Filtrar por rol si se proporciona
-      
-      // Búsqueda por email, nombre o apellido (case-insensitive)
-      if (search) {
-        filter.$or = [
-          { email: { $regex: search, $options: 'i' } },
-          { firstName: { $regex: search, $options: 'i' } },
-          { lastName: { $regex: search, $options: 'i' } },
-        ];
-      }
-
-      // Consultar usuarios con paginación y ordenamiento
-      const users = await User.find(filter)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .sort({ createdAt: -1 }); // Ordenar por fecha de creación (más recientes primero)
+      const {
+        limit = DEFAULT_LIST_LIMIT,
+        cursor,
+        fields,
+        includeTotal = false,
+        search,
+      } = query;
+      const sort = query.sort || (search ? 'relevance' : '-createdAt');
+      const { filter, terms } = this.buildListFilter(query);
 
-      // Contar total de documentos que coinciden con los filtros
-      const total = await User.countDocuments(filter);
+      const { users, nextCursor } = sort === 'relevance'
+        ? await this.findUsersByRelevance(filter, terms, { limit, cursor, fields })
+        : await this.findUsersSorted(filter, sort, { limit, cursor, fields });
 
       return {
         users,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit), // Calcular total de páginas
+          limit,
+          sort,
+          nextCursor,
+          ...(includeTotal && { total: await User.countDocuments(filter) }),
         },
       };
     } catch (error) {
@@ -242,6 +471,145 @@ class UserService {
     }
   }
 
+
+  /**
+   * @method buildListFilter
+   * @description Construye el filtro de MongoDB del listado (y de la exportación) de usuarios
+   * @param {Object} query - Parámetros validados: filter, role y search (ver getAllUsers)
+   * @returns {Object} { filter, terms }: filtro de MongoDB y términos de búsqueda normalizados
+   */
+  buildListFilter({ filter: fieldFilters, role, search }) {
+    // Cada condición por separado, porque filter[role] y role pueden llegar a la vez
+    const conditions = [];
+    if (fieldFilters) conditions.push(buildUserFilter(fieldFilters));
+    if (role) conditions.push({ role }); // Filtrar por rol si se proporciona
+
+    // Búsqueda por prefijo sobre los tokens normalizados (el texto nunca llega a un $regex sin escapar)
+    const terms = search ? parseSearchTerms(search) : [];
+    if (search) {
+      conditions.push(buildSearchFilter(terms));
+    }
+    return { filter: conditions.length > 0 ? { $and: conditions } : {}, terms };
+  }
+
+  /**
+   * @method findUsersSorted
+   * @description Obtiene una página de usuarios ordenada por un campo (ver getAllUsers)
+   * @param {Object} filter - Filtro de MongoDB
+   * @param {string} sort - Campo de orden, con prefijo '-' para orden descendente
+   * @param {Object} options - { limit, cursor, fields }
+   * @returns {Promise<Object>} { users, nextCursor }
+   * @throws {AppError} 400 - Si el cursor no es válido o se generó con otro orden
+   */
+  async findUsersSorted(filter, sort, { limit, cursor, fields }) {
+    const direction = sort.startsWith('-') ? -1 : 1;
+    const sortField = sort.replace(/^-/, '');
+    const pageFilter = cursor
+      ? { $and: [filter, getSortCursorFilter(sortField, direction, decodeSortCursor(cursor, sort))] }
+      : filter;
+
+    // Se pide un usuario más para saber si hay otra página
+    let usersQuery = User.find(pageFilter)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+    if (fields) {
+      // El campo de orden se necesita para el cursor aunque no se haya pedido
+      usersQuery = usersQuery.select([...new Set([...fields, sortField])]).lean();
+    }
+    const users = await usersQuery;
+
+    const hasMore = users.length > limit;
+    if (hasMore) {
+      users.pop();
+    }
+    const last = users[users.length - 1];
+    const nextCursor = hasMore ? encodeSortCursor(sort, last[sortField], last._id) : null;
+
+    if (fields && !fields.includes(sortField)) {
+      users.forEach((user) => delete user[sortField]);
+    }
+    return { users, nextCursor };
+  }
+
+  /**
+   * @method findUsersByRelevance
+   * @description Obtiene una página de usuarios ordenada por relevancia para la búsqueda
+   * @param {Object} filter - Filtro de MongoDB (incluye el de la búsqueda)
+   * @param {Array<string>} terms - Términos de la búsqueda normalizados
+   * @param {Object} options - { limit, cursor, fields }
+   * @returns {Promise<Object>} { users, nextCursor }
+   * @throws {AppError} 400 - Si el cursor no es válido o se generó con otro orden
+   */
+  async findUsersByRelevance(filter, terms, { limit, cursor, fields }) {
+    const pipeline = [
+      { $match: filter },
+      { $addFields: { _score: buildRelevanceScore(terms) } },
+    ];
+    if (cursor) {
+      pipeline.push({ $match: getSortCursorFilter('_score', -1, decodeSortCursor(cursor, 'relevance')) });
+    }
+    pipeline.push(
+      { $sort: { _score: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      // La agregación no aplica select: false, así que se excluyen aquí los campos ocultos
+      { $project: fields ? Object.fromEntries([...fields, '_score'].map((field) => [field, 1])) : { password: 0, searchTokens: 0 } }
+    );
+    const results = await User.aggregate(pipeline);
+
+    const hasMore = results.length > limit;
+    if (hasMore) {
+      results.pop();
+    }
+    const last = results[results.length - 1];
+    const nextCursor = hasMore ? encodeSortCursor('relevance', last._score, last._id) : null;
+
+    // Sin fields se devuelven documentos completos para que toJSON oculte credenciales y tokens
+    const users = results.map(({ _score, ...user }) => (fields ? user : User.hydrate(user)));
+    return { users, nextCursor };
+  }
+
+  /**
+   * @method backfillSearchTokens
+   * @description Calcula los tokens de búsqueda de los usuarios creados antes de que existieran
+   * @param {number} [batchSize=500] - Usuarios actualizados por operación
+   * @returns {Promise<number>} Número de usuarios actualizados
+   *
+   * @description Se ejecuta al arrancar el servidor. Es idempotente, así que varias
+   * instancias pueden ejecutarlo a la vez.
+   */
+  async backfillSearchTokens(batchSize = 500) {
+    let updated = 0;
+    let operations = [];
+    const flush = async () => {
+      if (operations.length > 0) {
+        await User.bulkWrite(operations, { ordered: false });
+        updated += operations.length;
+        operations = [];
+      }
+    };
+
+    const cursor = User.find({ searchTokens: { $exists: false } })
+      .select(SEARCH_FIELDS.join(' '))
+      .lean()
+      .cursor();
+    for await (const user of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: user._id, searchTokens: { $exists: false } },
+          update: { $set: { searchTokens: buildSearchTokens(user) } },
+        },
+      });
+      if (operations.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    if (updated > 0) {
+      logger.info(`Search tokens computed for ${updated} existing users`);
+    }
+    return updated;
+  }
   /**
    * @method updateUser
    * @description Actualiza los datos de un usuario existente
@@ -252,11 +620,12 @@ class UserService {
    * @param {string} [updateData.username] - Nuevo username (debe ser único)
    * @param {Object} [updateData.preferences] - Nuevas preferencias
    * @param {Object} [updateData.learningProfile] - Nuevo perfil de aprendizaje
+   * @param {Object} [context={}] - Datos de la petición para el evento user.updated (requestId, actorId)
    * @returns {Promise<Object>} Usuario actualizado
    * @throws {AppError} 404 - Si el usuario no existe
    * @throws {AppError} 409 - Si el username ya está en uso por otro usuario
    */
-  async updateUser(userId, updateData) {
+  async updateUser(userId, updateData, context = {}) {
     try {
       // Si se actualiza el username, verificar que no esté en uso por otro usuario
       if (updateData.username) {
@@ -265,20 +634,37 @@ class UserService {
           _id: { $ne: userId } // Excluir el usuario actual de la búsqueda
         });
         if (existingUser) {
-          throw new AppError('Username already taken', 409);
+          throw new AppError('Username already taken', 409, 'USER_USERNAME_TAKEN');
         }
       }
 
-      // Actualizar usuario usando findByIdAndUpdate con opciones
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { $set: updateData }, // Usar $set para actualizar solo los campos proporcionados
-        { new: true, runValidators: true } // Retornar documento actualizado y ejecutar validaciones
-      );
+      // Actualizar usuario usando findByIdAndUpdate con opciones, junto con el evento user.updated
+      const user = await eventService.runInTransaction(async (session) => {
+        const updated = await User.findByIdAndUpdate(
+          userId,
+          { $set: updateData }, // Usar $set para actualizar solo los campos proporcionados
+          { new: true, runValidators: true, session } // Retornar documento actualizado y ejecutar validaciones
+        );
 
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
+        if (!updated) {
+          throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+        }
+
+        // findByIdAndUpdate no pasa por el hook pre-save que calcula los tokens de búsqueda
+        if (Object.keys(updateData).some((field) => SEARCH_FIELDS.includes(field.split('.')[0]))) {
+          await User.updateOne(
+            { _id: updated._id },
+            { $set: { searchTokens: buildSearchTokens(updated) } },
+            { session }
+          );
+        }
+
+        await eventService.enqueue(EVENT_TYPES.USER_UPDATED, updated._id, {
+          user: eventService.toEventUser(updated),
+          changedFields: Object.keys(updateData),
+        }, { session, context });
+        return updated;
+      });
 
       logger.info(`User updated: ${user.email}`);
       return user;
@@ -290,85 +676,755 @@ class UserService {
 
   /**
    * @method deleteUser
-   * @description Desactiva un usuario (soft delete - no elimina físicamente)
+   * @description Desactiva la cuenta del propio usuario (soft delete - no elimina físicamente)
    * @param {string} userId - ID del usuario a desactivar
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId, actorId)
    * @returns {Promise<Object>} Usuario desactivado
    * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si es el último administrador activo
+   *
+   * @description El usuario puede reactivar la cuenta durante ACCOUNT_REACTIVATION_DAYS
+   * (ver reactivateAccount); después el AccountPurgeWorker la purga.
    */
-  async deleteUser(userId) {
+  async deleteUser(userId, context = {}) {
     try {
+      const existing = await User.findById(userId);
+      if (!existing) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
       // Soft delete: marcar como inactivo en lugar de eliminar físicamente
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { isActive: false },
-        { new: true }
-      );
+      const now = new Date();
+      const user = await eventService.runInTransaction(async (session) => {
+        await this.assertNotLastAdmin(existing, session);
+        const deactivated = await User.findByIdAndUpdate(
+          userId,
+          {
+            isActive: false,
+            deactivatedAt: now,
+            deactivatedBy: 'self',
+            purgeScheduledAt: new Date(now.getTime() + config.accountReactivation.windowMs),
+          },
+          { new: true, session }
+        );
 
-      if (!user) {
-        throw new AppError('User not found', 404);
-      }
+        if (!deactivated) {
+          throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+        }
+
+        await eventService.enqueue(EVENT_TYPES.USER_DEACTIVATED, deactivated._id, {
+          user: eventService.toEventUser(deactivated),
+        }, { session, context });
+        return deactivated;
+      });
 
+      await auditService.record({
+        action: AUDIT_ACTIONS.ACCOUNT_DEACTIVATE,
+        target: user._id,
+        context,
+        metadata: { purgeScheduledAt: user.purgeScheduledAt },
+      });
       logger.info(`User deactivated: ${user.email}`);
       return user;
     } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ACCOUNT_DEACTIVATE, error, { target: userId, context });
       logger.error(`Error deleting user: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * @method isReactivatable
+   * @description Indica si el propio usuario puede reactivar su cuenta desactivada
+   * @param {Object} user - Documento del usuario
+   * @returns {boolean} true si la desactivó él mismo y no venció el plazo de reactivación
+   *
+   * @description Las cuentas desactivadas por un administrador solo puede reactivarlas
+   * un administrador.
+   */
+  isReactivatable(user) {
+    return !user.isActive
+      && user.deactivatedBy === 'self'
+      && !user.anonymizedAt
+      && Boolean(user.purgeScheduledAt)
+      && user.purgeScheduledAt > new Date();
+  }
+
+  /**
+   * @method createReactivationToken
+   * @description Firma un token de reactivación para una cuenta desactivada por su dueño
+   * @param {Object} user - Documento del usuario (debe cumplir isReactivatable)
+   * @param {string|number} expiresIn - Validez del token (formato de jsonwebtoken)
+   * @returns {string} Token firmado
+   *
+   * @description El token incluye la fecha de desactivación (claim "dat"): si la cuenta
+   * se reactiva y se vuelve a desactivar, los tokens emitidos antes dejan de servir.
+   */
+  createReactivationToken(user, expiresIn) {
+    return jwt.sign(
+      { id: user._id, purpose: 'reactivation', dat: user.deactivatedAt.getTime() },
+      getReactivationSecret(),
+      { expiresIn }
+    );
+  }
+
+  /**
+   * @method requestReactivation
+   * @description Envía por email un enlace para reactivar una cuenta desactivada por su dueño
+   * @param {string} email - Email de la cuenta
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje genérico (messageKey, ver src/locales)
+   *
+   * @description La respuesta es la misma exista o no la cuenta y se pueda o no
+   * reactivar, para no revelar qué emails están registrados.
+   */
+  async requestReactivation(email, context = {}) {
+    const response = {
+      messageKey: 'messages.reactivationEmailSent',
+    };
+
+    try {
+      const user = await User.findOne({ email, isActive: false, deactivatedBy: 'self' });
+      if (!user || !this.isReactivatable(user)) {
+        return response;
+      }
+
+      const token = this.createReactivationToken(user, `${config.accountReactivation.linkExpiresHours}h`);
+      await mailService.sendReactivationEmail(user, token);
+
+      await auditService.record({ action: AUDIT_ACTIONS.ACCOUNT_REACTIVATION_REQUEST, target: user._id, context });
+      logger.info(`Account reactivation requested for user: ${user.email}`);
+      return response;
+    } catch (error) {
+      logger.error(`Error requesting account reactivation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method reactivateAccount
+   * @description Reactiva una cuenta desactivada por su dueño usando un token de reactivación
+   * @param {string} token - Token recibido en el login o por email
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Usuario reactivado
+   * @throws {AppError} 400 - Si el token es inválido, expiró o la cuenta ya no puede reactivarse
+   *
+   * @description No abre sesión: el cliente debe volver a hacer login, de modo que se
+   * apliquen las mismas comprobaciones (MFA, verificación de email, reseteo obligatorio).
+   */
+  async reactivateAccount(token, context = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(token, getReactivationSecret());
+      } catch (error) {
+        throw new AppError('Invalid or expired reactivation token', 400, 'REACTIVATION_TOKEN_INVALID');
+      }
+      if (decoded.purpose !== 'reactivation') {
+        throw new AppError('Invalid or expired reactivation token', 400, 'REACTIVATION_TOKEN_INVALID');
+      }
+
+      // La condición se comprueba en la misma operación que reactiva la cuenta, así que
+      // no compite con el AccountPurgeWorker ni con otro uso del mismo token
+      const user = await eventService.runInTransaction(async (session) => {
+        const reactivated = await User.findOneAndUpdate(
+          {
+            _id: decoded.id,
+            isActive: false,
+            deactivatedBy: 'self',
+            deactivatedAt: new Date(decoded.dat),
+            purgeScheduledAt: { $gt: new Date() },
+            anonymizedAt: null,
+          },
+          { $set: { isActive: true, deactivatedAt: null, deactivatedBy: null, purgeScheduledAt: null } },
+          { new: true, session }
+        );
+
+        if (!reactivated) {
+          throw new AppError('Invalid or expired reactivation token', 400, 'REACTIVATION_TOKEN_INVALID');
+        }
+
+        await eventService.enqueue(EVENT_TYPES.USER_ACTIVATED, reactivated._id, {
+          user: eventService.toEventUser(reactivated),
+        }, { session, context: { ...context, actorId: reactivated._id } });
+        return reactivated;
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ACCOUNT_REACTIVATE,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
+      logger.info(`Account reactivated by user: ${user.email}`);
+      return user;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ACCOUNT_REACTIVATE, error, { context });
+      logger.error(`Error reactivating account: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method assertNotLastAdmin
+   * @description Impide dejar el sistema sin administradores activos al degradar,
+   * desactivar o eliminar a un usuario
+   * @param {Object} user - Usuario que dejará de ser un administrador activo (con su estado actual)
+   * @param {ClientSession} [session] - Sesión de la transacción (ver EventService.runInTransaction)
+   * que degrada, desactiva o elimina al usuario
+   * @returns {Promise<void>}
+   * @throws {AppError} 409 - Si el usuario es el último administrador activo
+   *
+   * @description Contar y escribir por separado permite que dos bajas simultáneas dejen el
+   * sistema sin administradores, así que se llama dentro de la transacción de la baja. En
+   * ella no basta con contar (cada transacción vería al otro administrador en su snapshot):
+   * se escriben los demás administradores activos, de modo que dos bajas simultáneas entran
+   * en conflicto y la que se reintenta ya ve la otra. Sin transacciones (MongoDB standalone)
+   * solo se comprueba antes de escribir.
+   */
+  async assertNotLastAdmin(user, session = null) {
+    if (user.role !== 'admin' || !user.isActive) {
+      return;
+    }
+
+    const otherAdmins = { _id: { $ne: user._id }, role: 'admin', isActive: true };
+    const remaining = session
+      ? (await User.updateMany(otherAdmins, { $set: { updatedAt: new Date() } }, { session })).matchedCount
+      : await User.countDocuments(otherAdmins);
+    if (remaining === 0) {
+      throw new AppError('Cannot remove the last active admin', 409, 'USER_LAST_ADMIN');
+    }
+  }
+
   /**
    * @method changePassword
    * @description Cambia la contraseña del usuario después de verificar la actual
    * @param {string} userId - ID del usuario
    * @param {string} currentPassword - Contraseña actual del usuario
    * @param {string} newPassword - Nueva contraseña (será hasheada automáticamente)
-   * @returns {Promise<Object>} Objeto con mensaje de éxito
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId, actorId)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
    * @throws {AppError} 404 - Si el usuario no existe
    * @throws {AppError} 401 - Si la contraseña actual es incorrecta
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, context = {}) {
     try {
       // Obtener usuario incluyendo el password (normalmente está oculto)
       const user = await User.findById(userId).select('+password');
       
       if (!user) {
-        throw new AppError('User not found', 404);
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
       }
 
       // Verificar que la contraseña actual sea correcta
       if (!(await user.comparePassword(currentPassword))) {
-        throw new AppError('Current password is incorrect', 401);
+        throw new AppError('Current password is incorrect', 401, 'AUTH_PASSWORD_INCORRECT');
       }
 
       // Actualizar contraseña (se hasheará automáticamente en el pre-save hook)
       user.password = newPassword;
       await user.save();
 
+      await auditService.record({ action: AUDIT_ACTIONS.PASSWORD_CHANGE, target: user._id, context });
       logger.info(`Password changed for user: ${user.email}`);
-      return { message: 'Password changed successfully' };
+      return { messageKey: 'messages.passwordChanged' };
     } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.PASSWORD_CHANGE, error, { target: userId, context });
       logger.error(`Error changing password: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * @method generateTokens
-   * @description Genera tokens JWT (access y refresh) para un usuario
+   * @method verifyEmail
+   * @description Verifica el email de un usuario a partir del token enviado por correo
+   * @param {string} token - Token de verificación en texto plano
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Usuario con el email verificado
+   * @throws {AppError} 400 - Si el token no existe, ya fue usado o expiró
+   */
+  async verifyEmail(token, context = {}) {
+    try {
+      // El token es de un solo uso: se elimina en la misma operación que marca la verificación
+      const user = await eventService.runInTransaction(async (session) => {
+        const verified = await User.findOneAndUpdate(
+          {
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: { $gt: new Date() },
+          },
+          {
+            $set: { isEmailVerified: true },
+            $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+          },
+          { new: true, session }
+        );
+
+        if (!verified) {
+          throw new AppError('Invalid or expired verification token', 400, 'VERIFICATION_TOKEN_INVALID');
+        }
+
+        await eventService.enqueue(EVENT_TYPES.USER_EMAIL_VERIFIED, verified._id, eventService.toEventUser(verified), {
+          session,
+          context: { ...context, actorId: verified._id },
+        });
+        return verified;
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.EMAIL_VERIFY,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
+      logger.info(`Email verified for user: ${user.email}`);
+      return user;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.EMAIL_VERIFY, error, { context });
+      logger.error(`Error verifying email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method resendVerification
+   * @description Emite un nuevo token de verificación y reenvía el email
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise<Object>} Objeto con la clave del mensaje genérico (messageKey, ver src/locales)
+   *
+   * @description Para no revelar qué emails están registrados, la respuesta es la
+   * misma si la cuenta no existe, ya está verificada o el reenvío se descartó por
+   * throttling (EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS desde el último envío).
+   */
+  async resendVerification(email) {
+    const response = {
+      messageKey: 'messages.verificationEmailSent',
+    };
+
+    try {
+      const user = await User.findOne({ email, isEmailVerified: false });
+      if (!user) {
+        return response;
+      }
+
+      const intervalMs = config.emailVerification.resendIntervalSeconds * 1000;
+      if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt < intervalMs) {
+        logger.warn(`Verification email resend throttled for user: ${user.email}`);
+        return response;
+      }
+
+      const token = user.generateVerificationToken();
+      await user.save();
+      await mailService.sendVerificationEmail(user, token);
+
+      logger.info(`Verification email resent to user: ${user.email}`);
+      return response;
+    } catch (error) {
+      logger.error(`Error resending verification email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method loginWithOAuth
+   * @description Inicia sesión (o registra) a un usuario a partir de un perfil OAuth
+   * @param {string} provider - Proveedor: 'google', 'github'
+   * @param {Object} profile - Perfil normalizado por OAuthService
+   * @param {string} profile.providerId - ID del usuario en el proveedor
+   * @param {string} profile.email - Email informado por el proveedor
+   * @param {boolean} profile.emailVerified - Si el proveedor verificó el email
+   * @param {Object} [context={}] - Datos de la petición para la sesión y la auditoría (userAgent, ip, requestId)
+   * @returns {Promise<Object>} Objeto con el usuario, los tokens (o el desafío MFA) y si la cuenta es nueva
+   * @throws {AppError} 400 - Si el proveedor no informa un email
+   * @throws {AppError} 403 - Si la cuenta está desactivada
+   * @throws {AppError} 409 - Si existe una cuenta con ese email y el proveedor no lo verificó
+   *
+   * @description Resolución de la cuenta, en orden:
+   * 1. Cuenta que ya tiene vinculado ese proveedor e ID
+   * 2. Cuenta con el mismo email, solo si el proveedor verificó el email (se vincula)
+   * 3. Cuenta nueva con el rol por defecto (student)
+   */
+  async loginWithOAuth(provider, profile, context = {}) {
+    let user;
+    try {
+      let isNewUser = false;
+      user = await User.findOne({
+        oauthAccounts: { $elemMatch: { provider, providerId: profile.providerId } },
+      });
+
+      if (!user) {
+        if (!profile.email) {
+          throw new AppError('OAuth provider did not return an email address', 400, 'OAUTH_EMAIL_MISSING');
+        }
+
+        user = await User.findOne({ email: profile.email });
+
+        if (user) {
+          // Vincular por email solo si el proveedor garantiza que el email es del usuario
+          if (!profile.emailVerified) {
+            throw new AppError('An account with this email already exists. Log in and link the provider from your profile', 409, 'OAUTH_EMAIL_TAKEN');
+          }
+          this.addOAuthAccount(user, provider, profile);
+          user.isEmailVerified = true;
+          logger.info(`OAuth provider ${provider} linked by verified email for user: ${user.email}`);
+        } else {
+          user = new User({
+            email: profile.email,
+            firstName: profile.firstName,
+            lastName: profile.lastName,
+            avatar: profile.avatar,
+            isEmailVerified: profile.emailVerified,
+          });
+          this.addOAuthAccount(user, provider, profile);
+          isNewUser = true;
+        }
+      }
+
+      if (!user.isActive) {
+        throw new AppError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
+      }
+
+      if (isNewUser) {
+        await eventService.runInTransaction(async (session) => {
+          await user.save({ session });
+          await eventService.enqueue(EVENT_TYPES.USER_CREATED, user._id, eventService.toEventUser(user), {
+            session,
+            context: { ...context, actorId: user._id },
+          });
+        });
+      } else {
+        await user.save();
+      }
+
+      // El segundo factor también se exige en el login con proveedores externos
+      const mfaChallenge = this.createMfaChallenge(user);
+      const result = mfaChallenge || await this.startSession(user, context);
+
+      await auditService.record({
+        action: isNewUser ? AUDIT_ACTIONS.REGISTER : AUDIT_ACTIONS.OAUTH_LOGIN,
+        actor: user._id,
+        target: user._id,
+        context,
+        metadata: { provider, ...(mfaChallenge && { mfaPending: true }) },
+      });
+      logger.info(`User logged in with ${provider}: ${user.email}${isNewUser ? ' (new account)' : ''}`);
+      return {
+        ...result,
+        isNewUser,
+      };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.OAUTH_LOGIN, error, {
+        target: user && user._id,
+        context,
+        metadata: { provider, email: profile.email },
+      });
+      logger.error(`Error logging in with OAuth: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method linkOAuthAccount
+   * @description Vincula un proveedor OAuth a la cuenta de un usuario autenticado
+   * @param {string} userId - ID del usuario
+   * @param {string} provider - Proveedor: 'google', 'github'
+   * @param {Object} profile - Perfil normalizado por OAuthService
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Usuario actualizado
+   * @throws {AppError} 404 - Si el usuario no existe
+   * @throws {AppError} 409 - Si la cuenta del proveedor ya está vinculada a otro usuario
+   */
+  async linkOAuthAccount(userId, provider, profile, context = {}) {
+    try {
+      const owner = await User.findOne({
+        oauthAccounts: { $elemMatch: { provider, providerId: profile.providerId } },
+      });
+      if (owner && String(owner._id) !== String(userId)) {
+        throw new AppError('This provider account is already linked to another user', 409, 'OAUTH_ACCOUNT_LINKED_ELSEWHERE');
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      if (!owner) {
+        // Un usuario tiene como máximo una cuenta por proveedor: reemplazar la anterior
+        user.oauthAccounts = user.oauthAccounts.filter((account) => account.provider !== provider);
+        this.addOAuthAccount(user, provider, profile);
+        await user.save();
+      }
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.OAUTH_LINK,
+        actor: user._id,
+        target: user._id,
+        context,
+        metadata: { provider },
+      });
+      logger.info(`OAuth provider ${provider} linked for user: ${user.email}`);
+      return user;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.OAUTH_LINK, error, {
+        actor: userId,
+        target: userId,
+        context,
+        metadata: { provider },
+      });
+      logger.error(`Error linking OAuth account: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method unlinkOAuthAccount
+   * @description Desvincula un proveedor OAuth de la cuenta del usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} provider - Proveedor: 'google', 'github'
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId, actorId)
+   * @returns {Promise<Object>} Usuario actualizado
+   * @throws {AppError} 400 - Si es el único método de acceso (sin contraseña ni otro proveedor)
+   * @throws {AppError} 404 - Si el usuario no existe o el proveedor no está vinculado
+   */
+  async unlinkOAuthAccount(userId, provider, context = {}) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      const remaining = user.oauthAccounts.filter((account) => account.provider !== provider);
+      if (remaining.length === user.oauthAccounts.length) {
+        throw new AppError('OAuth provider is not linked', 404, 'OAUTH_PROVIDER_NOT_LINKED');
+      }
+
+      // Evitar que el usuario se quede sin forma de iniciar sesión
+      if (!user.password && remaining.length === 0) {
+        throw new AppError('Cannot unlink the only sign-in method. Set a password first', 400, 'OAUTH_LAST_SIGN_IN_METHOD');
+      }
+
+      user.oauthAccounts = remaining;
+      if (user.oauthProvider === provider) {
+        user.oauthProvider = remaining.length > 0 ? remaining[0].provider : null;
+        user.oauthId = remaining.length > 0 ? remaining[0].providerId : null;
+      }
+      await user.save();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.OAUTH_UNLINK,
+        target: user._id,
+        context,
+        metadata: { provider },
+      });
+      logger.info(`OAuth provider ${provider} unlinked for user: ${user.email}`);
+      return user;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.OAUTH_UNLINK, error, {
+        target: userId,
+        context,
+        metadata: { provider },
+      });
+      logger.error(`Error unlinking OAuth account: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method addOAuthAccount
+   * @description Agrega un proveedor a user.oauthAccounts (no guarda el documento)
+   * @param {Object} user - Documento Mongoose del usuario
+   * @param {string} provider - Proveedor: 'google', 'github'
+   * @param {Object} profile - Perfil normalizado por OAuthService
+   *
+   * @description Si el usuario no tiene proveedor principal, este pasa a serlo
+   * (oauthProvider/oauthId), lo que hace opcional la contraseña en el modelo.
+   */
+  addOAuthAccount(user, provider, profile) {
+    user.oauthAccounts.push({
+      provider,
+      providerId: profile.providerId,
+      email: profile.email,
+    });
+
+    if (!user.oauthProvider) {
+      user.oauthProvider = provider;
+      user.oauthId = profile.providerId;
+    }
+  }
+
+  /**
+   * @method startSession
+   * @description Completa un login: actualiza lastLogin y abre una nueva sesión
+   * @param {Object} user - Documento Mongoose del usuario (ya autenticado)
+   * @param {Object} [context={}] - Datos del cliente para la sesión (userAgent, ip)
+   * @returns {Promise<Object>} Objeto con el usuario y los tokens JWT
+   */
+  async startSession(user, context = {}) {
+    user.lastLogin = new Date();
+    const tokens = await this.generateTokens(user, context);
+
+    return {
+      user,
+      tokens,
+    };
+  }
+
+  /**
+   * @method createMfaChallenge
+   * @description Determina si el login necesita un segundo paso y emite su token de desafío
+   * @param {Object} user - Documento Mongoose del usuario (primer factor ya verificado)
+   * @returns {Object|null} null si no se requiere MFA; si no, uno de:
+   * - { mfaRequired: true, mfaToken } - enviar el código a POST /api/users/mfa/verify
+   * - { mfaEnrollmentRequired: true, mfaToken } - la política exige MFA para el rol:
+   *   dar de alta MFA con /api/users/mfa/setup y /api/users/mfa/confirm usando el mfaToken
+   */
+  createMfaChallenge(user) {
+    let purpose = null;
+    if (user.mfa && user.mfa.enabled) {
+      purpose = MFA_VERIFY;
+    } else if (mfaService.isRequiredForRole(user.role)) {
+      purpose = MFA_ENROLL;
+    }
+
+    if (!purpose) {
+      return null;
+    }
+
+    const mfaToken = jwt.sign({ id: user._id, purpose }, getMfaChallengeSecret(), {
+      expiresIn: config.mfa.challengeExpiresIn,
+    });
+
+    return purpose === MFA_VERIFY
+      ? { mfaRequired: true, mfaToken }
+      : { mfaEnrollmentRequired: true, mfaToken };
+  }
+
+  /**
+   * @method verifyMfaChallenge
+   * @description Verifica un token de desafío MFA emitido en el primer paso del login
+   * @param {string} mfaToken - Token de desafío
+   * @param {string} purpose - Propósito esperado ('mfa-verify' o 'mfa-enroll')
+   * @returns {Object} Payload decodificado ({ id, purpose })
+   * @throws {AppError} 401 - Si el token es inválido, expiró o tiene otro propósito
+   */
+  verifyMfaChallenge(mfaToken, purpose) {
+    try {
+      const decoded = jwt.verify(mfaToken, getMfaChallengeSecret());
+      if (decoded.purpose !== purpose) {
+        throw new Error('Unexpected MFA token purpose');
+      }
+      return decoded;
+    } catch (error) {
+      throw new AppError('Invalid or expired MFA token', 401, 'AUTH_MFA_TOKEN_INVALID');
+    }
+  }
+
+  /**
+   * @method verifyMfaEnrollmentToken
+   * @description Verifica un token de alta obligatoria de MFA (emitido por política de rol)
+   * @param {string} mfaToken - Token de desafío
+   * @returns {Object} Payload decodificado ({ id, purpose })
+   * @throws {AppError} 401 - Si el token es inválido, expiró o tiene otro propósito
+   */
+  verifyMfaEnrollmentToken(mfaToken) {
+    return this.verifyMfaChallenge(mfaToken, MFA_ENROLL);
+  }
+
+  /**
+   * @method completeMfaLogin
+   * @description Segundo paso del login: verifica el código MFA y emite los tokens de sesión
+   * @param {string} mfaToken - Token de desafío recibido en el primer paso
+   * @param {Object} credentials - Código TOTP ({ code }) o de recuperación ({ recoveryCode })
+   * @param {Object} [context={}] - Datos de la petición para la sesión y la auditoría (userAgent, ip, requestId)
+   * @returns {Promise<Object>} Objeto con el usuario y los tokens JWT
+   * @throws {AppError} 401 - Si el token de desafío o el código son inválidos
+   * @throws {AppError} 403 - Si la cuenta está desactivada
+   * @throws {AppError} 429 - Si la cuenta o la IP están bloqueadas por intentos fallidos
+   */
+  async completeMfaLogin(mfaToken, credentials, context = {}) {
+    let user;
+    try {
+      const { id } = this.verifyMfaChallenge(mfaToken, MFA_VERIFY);
+
+      user = await User.findById(id);
+      if (!user || !user.isActive) {
+        throw new AppError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
+      }
+
+      // Los códigos MFA fallidos cuentan para el mismo bloqueo que las contraseñas
+      await loginProtectionService.assertAllowed(user.email, context.ip);
+      if (!(await mfaService.verify(id, credentials, context))) {
+        await loginProtectionService.recordFailure(user.email, context.ip);
+        throw new AppError('Invalid MFA code', 401, 'MFA_CODE_INVALID');
+      }
+      await loginProtectionService.recordSuccess(user.email);
+
+      const result = await this.startSession(user, context);
+      await auditService.record({
+        action: AUDIT_ACTIONS.MFA_LOGIN,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
+
+      logger.info(`User logged in with MFA: ${user.email}`);
+      return result;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.MFA_LOGIN, error, {
+        target: user && user._id,
+        context,
+      });
+      logger.error(`Error completing MFA login: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method completeMfaEnrollmentLogin
+   * @description Abre la sesión de un usuario que dio de alta MFA durante el login
+   * (flujo de alta obligatoria por política de rol)
+   * @param {string} userId - ID del usuario
+   * @param {Object} [context={}] - Datos de la petición para la sesión y la auditoría (userAgent, ip, requestId)
+   * @returns {Promise<Object>} Objeto con el usuario y los tokens JWT
+   * @throws {AppError} 403 - Si la cuenta está desactivada
+   */
+  async completeMfaEnrollmentLogin(userId, context = {}) {
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      throw new AppError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
+    }
+
+    const result = await this.startSession(user, context);
+    await auditService.record({
+      action: AUDIT_ACTIONS.MFA_LOGIN,
+      actor: user._id,
+      target: user._id,
+      context,
+      metadata: { enrollment: true },
+    });
+
+    logger.info(`User logged in after mandatory MFA enrollment: ${user.email}`);
+    return result;
+  }
+
+  /**
+   * @method signTokens
+   * @description Firma el par de tokens JWT (access y refresh) de una sesión
    * @param {Object} user - Objeto del usuario
    * @param {string} user._id - ID del usuario
    * @param {string} user.email - Email del usuario
    * @param {string} user.role - Rol del usuario
-   * @returns {Promise<Object>} Objeto con accessToken y refreshToken
-   * @returns {string} accessToken - Token de acceso (expira en 7 días por defecto)
-   * @returns {string} refreshToken - Token de refresh (expira en 30 días por defecto)
+   * @param {string} sessionId - ID de la sesión (se incluye como claim "sid")
+   * @returns {Object} Objeto con accessToken y refreshToken
+   *
+   * @description El refresh token lleva un identificador único (jti) para que dos
+   * tokens emitidos en el mismo segundo nunca sean idénticos.
    */
-  async generateTokens(user) {
+  signTokens(user, sessionId) {
     // Crear payload para los tokens JWT
     const payload = {
       id: user._id,
       email: user.email,
       role: user.role,
+      sid: sessionId,
     };
 
     // Generar access token con expiración corta
@@ -379,37 +1435,440 @@ class UserService {
     // Generar refresh token con expiración larga
     const refreshToken = jwt.sign(payload, config.jwt.refreshSecret, {
       expiresIn: config.jwt.refreshExpiresIn,
+      jwtid: uuidv4(),
     });
 
-    // Guardar refresh token en el usuario para poder revocarlo si es necesario
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
-
     return {
       accessToken,
       refreshToken,
     };
   }
 
+  /**
+   * @method forgotPassword
+   * @description Inicia el reseteo de contraseña enviando un enlace de un solo uso por email
+   * @param {string} email - Email de la cuenta
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje genérico (messageKey, ver src/locales)
+   *
+   * @description La respuesta es la misma exista o no la cuenta, para no revelar
+   * qué emails están registrados. Las cuentas desactivadas no reciben el email.
+   */
+  async forgotPassword(email, context = {}) {
+    const response = {
+      messageKey: 'messages.passwordResetEmailSent',
+    };
+
+    try {
+      const user = await User.findOne({ email, isActive: true });
+      if (!user) {
+        return response;
+      }
+
+      const token = user.generatePasswordResetToken();
+      await user.save();
+      // Un fallo al enviar no debe cambiar la respuesta: delataría que la cuenta existe
+      await mailService.sendPasswordResetEmail(user, token).catch((error) => {
+        logger.error(`Error sending password reset email to ${user.email}: ${error.message}`);
+      });
+
+      await auditService.record({ action: AUDIT_ACTIONS.PASSWORD_RESET_REQUEST, target: user._id, context });
+      logger.info(`Password reset requested for user: ${user.email}`);
+      return response;
+    } catch (error) {
+      logger.error(`Error requesting password reset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method resetPassword
+   * @description Establece una nueva contraseña usando el token recibido por email
+   * @param {string} token - Token de reseteo en texto plano
+   * @param {string} newPassword - Nueva contraseña (será hasheada automáticamente)
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 400 - Si el token no existe, ya fue usado o expiró
+   *
+   * @description Al completar el reseteo:
+   * 1. El token se consume en el mismo save que cambia la contraseña: es de un solo uso y,
+   *    si el save falla (p. ej. por validación), el enlace sigue sirviendo
+   * 2. Se revocan todas las sesiones (refresh tokens) del usuario
+   * 3. El email queda verificado, ya que el usuario demostró tener acceso al buzón
+   */
+  async resetPassword(token, newPassword, context = {}) {
+    try {
+      const tokenFilter = {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      };
+      const user = await User.findOne(tokenFilter);
+
+      if (!user) {
+        throw new AppError('Invalid or expired password reset token', 400, 'PASSWORD_RESET_TOKEN_INVALID');
+      }
+
+      // Actualizar contraseña (se hasheará automáticamente en el pre-save hook)
+      user.password = newPassword;
+      user.refreshTokens = [];
+      user.isEmailVerified = true;
+      user.passwordResetRequired = false;
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      // El save solo escribe si el token sigue guardado: dos peticiones con el mismo
+      // token no pueden cambiar la contraseña las dos
+      user.$where = tokenFilter;
+      try {
+        await user.save();
+      } catch (error) {
+        if (error instanceof mongoose.Error.DocumentNotFoundError) {
+          throw new AppError('Invalid or expired password reset token', 400, 'PASSWORD_RESET_TOKEN_INVALID');
+        }
+        throw error;
+      }
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.PASSWORD_RESET,
+        actor: user._id,
+        target: user._id,
+        context,
+      });
+      logger.info(`Password reset completed for user: ${user.email}. All sessions revoked`);
+      return { messageKey: 'messages.passwordReset' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.PASSWORD_RESET, error, { context });
+      logger.error(`Error resetting password: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method generateTokens
+   * @description Abre una nueva sesión y genera sus tokens JWT (access y refresh)
+   * @param {Object} user - Documento Mongoose del usuario
+   * @param {Object} [context={}] - Datos del cliente que abre la sesión
+   * @param {string} [context.userAgent] - Header User-Agent
+   * @param {string} [context.ip] - IP del cliente
+   * @returns {Promise<Object>} Objeto con accessToken y refreshToken
+   * @returns {string} accessToken - Token de acceso (expira en 7 días por defecto)
+   * @returns {string} refreshToken - Token de refresh (expira en 30 días por defecto)
+   *
+   * @description Además de firmar los tokens:
+   * 1. Descarta las sesiones cuyo refresh token ya expiró
+   * 2. Guarda la nueva sesión con el hash del refresh token y los datos del dispositivo
+   * 3. Si se supera MAX_SESSIONS_PER_USER, cierra las sesiones más antiguas
+   */
+  async generateTokens(user, context = {}) {
+    const sessionId = new mongoose.Types.ObjectId();
+    const tokens = this.signTokens(user, sessionId);
+    const now = new Date();
+
+    // Descartar sesiones expiradas (y entradas antiguas sin hash) para que el array no crezca
+    user.refreshTokens = user.refreshTokens.filter(
+      (session) => session.tokenHash && (!session.expiresAt || session.expiresAt > now)
+    );
+
+    // Guardar la sesión con el hash del refresh token para poder revocarla si es necesario
+    user.refreshTokens.push({
+      _id: sessionId,
+      tokenHash: hashToken(tokens.refreshToken),
+      device: parseDevice(context.userAgent),
+      userAgent: context.userAgent,
+      ip: context.ip,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: getTokenExpiration(tokens.refreshToken),
+    });
+
+    // Aplicar el límite de sesiones simultáneas: se cierran primero las más antiguas
+    const overflow = user.refreshTokens.length - config.sessions.maxPerUser;
+    if (overflow > 0) {
+      const evicted = [...user.refreshTokens]
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .slice(0, overflow)
+        .map((session) => String(session._id));
+      user.refreshTokens = user.refreshTokens.filter(
+        (session) => !evicted.includes(String(session._id))
+      );
+      logger.info(`Evicted ${overflow} session(s) for user: ${user.email}`);
+    }
+
+    await user.save();
+
+    return tokens;
+  }
+
+  /**
+   * @method rotateRefreshToken
+   * @description Intercambia un refresh token válido por un nuevo par de tokens
+   * @param {string} refreshToken - Refresh token emitido previamente
+   * @param {Object} [context={}] - Datos del cliente (userAgent, ip)
+   * @returns {Promise<Object>} Nuevos tokens JWT (accessToken y refreshToken)
+   * @throws {AppError} 401 - Si el token es inválido, expiró o ya fue rotado
+   * @throws {AppError} 403 - Si la cuenta está desactivada
+   *
+   * @description Flujo de rotación:
+   * 1. Verifica la firma y expiración del token con JWT_REFRESH_SECRET
+   * 2. Busca la sesión cuyo hash coincide con el token presentado
+   * 3. Si el hash no estaba guardado, el token ya fue rotado (o revocado):
+   *    se asume robo del token y se revocan TODAS las sesiones del usuario
+   * 4. Reemplaza atómicamente el hash de la sesión por el del nuevo refresh token,
+   *    conservando el ID de la sesión
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    try {
+      let decoded;
+      try {
+        decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+      } catch (error) {
+        throw new AppError('Invalid or expired refresh token', 401, 'AUTH_REFRESH_TOKEN_INVALID');
+      }
+
+      const user = await User.findById(decoded.id);
+      if (!user) {
+        throw new AppError('Invalid or expired refresh token', 401, 'AUTH_REFRESH_TOKEN_INVALID');
+      }
+
+      const tokenHash = hashToken(refreshToken);
+      const session = user.refreshTokens.find((entry) => entry.tokenHash === tokenHash);
+
+      if (!session) {
+        // Token con firma válida pero que ya no está guardado: reutilización detectada
+        await this.revokeAllSessions(user._id);
+        await auditService.record({
+          action: AUDIT_ACTIONS.REFRESH_TOKEN_REUSE,
+          outcome: 'failure',
+          target: user._id,
+          context,
+          metadata: { sessionId: decoded.sid },
+        });
+        logger.warn(`Refresh token reuse detected for user: ${user.email}. All sessions revoked`);
+        throw new AppError('Refresh token reuse detected', 401, 'AUTH_REFRESH_TOKEN_REUSED');
+      }
+
+      if (!user.isActive) {
+        throw new AppError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
+      }
+
+      const tokens = this.signTokens(user, session._id);
+
+      // Reemplazar el hash solo si sigue siendo el presentado: de dos peticiones
+      // concurrentes con el mismo token, solo una puede rotarlo
+      const result = await User.updateOne(
+        { _id: user._id, 'refreshTokens.tokenHash': tokenHash },
+        {
+          $set: {
+            'refreshTokens.$.tokenHash': hashToken(tokens.refreshToken),
+            'refreshTokens.$.lastUsedAt': new Date(),
+            'refreshTokens.$.expiresAt': getTokenExpiration(tokens.refreshToken),
+            ...(context.userAgent && { 'refreshTokens.$.userAgent': context.userAgent }),
+            ...(context.ip && { 'refreshTokens.$.ip': context.ip }),
+          },
+        }
+      );
+
+      if (result.modifiedCount === 0) {
+        await this.revokeAllSessions(user._id);
+        await auditService.record({
+          action: AUDIT_ACTIONS.REFRESH_TOKEN_REUSE,
+          outcome: 'failure',
+          target: user._id,
+          context,
+          metadata: { sessionId: decoded.sid, concurrent: true },
+        });
+        logger.warn(`Concurrent refresh token reuse for user: ${user.email}. All sessions revoked`);
+        throw new AppError('Refresh token reuse detected', 401, 'AUTH_REFRESH_TOKEN_REUSED');
+      }
+
+      logger.info(`Refresh token rotated for user: ${user.email}`);
+      return tokens;
+    } catch (error) {
+      logger.error(`Error rotating refresh token: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method getSessions
+   * @description Lista las sesiones activas de un usuario
+   * @param {string} userId - ID del usuario
+   * @param {string} [currentSessionId] - ID de la sesión de la petición actual (claim "sid")
+   * @returns {Promise<Array>} Sesiones ordenadas por último uso (más recientes primero)
+   * @throws {AppError} 404 - Si el usuario no existe
+   */
+  async getSessions(userId, currentSessionId) {
+    try {
+      const user = await User.findById(userId).select('refreshTokens');
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      const now = new Date();
+      return user.refreshTokens
+        .filter((session) => session.tokenHash && (!session.expiresAt || session.expiresAt > now))
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map((session) => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          current: String(session._id) === String(currentSessionId),
+        }));
+    } catch (error) {
+      logger.error(`Error getting sessions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method revokeSession
+   * @description Cierra una sesión concreta del usuario invalidando su refresh token
+   * @param {string} userId - ID del usuario
+   * @param {string} sessionId - ID de la sesión a cerrar
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId,
+   * actorId, sessionId). Cerrar la sesión de la propia petición se audita como logout
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 404 - Si la sesión no existe o no pertenece al usuario
+   */
+  async revokeSession(userId, sessionId, context = {}) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId, 'refreshTokens._id': sessionId },
+        { $pull: { refreshTokens: { _id: sessionId } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new AppError('Session not found', 404, 'SESSION_NOT_FOUND');
+      }
+
+      const isCurrentSession = String(sessionId) === String(context.sessionId);
+      await auditService.record({
+        action: isCurrentSession ? AUDIT_ACTIONS.LOGOUT : AUDIT_ACTIONS.SESSION_REVOKE,
+        target: userId,
+        context,
+        metadata: { sessionId },
+      });
+      logger.info(`Session ${sessionId} revoked for user: ${userId}`);
+      return { messageKey: 'messages.sessionRevoked' };
+    } catch (error) {
+      logger.error(`Error revoking session: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method revokeAllSessions
+   * @description Cierra todas las sesiones del usuario invalidando todos sus refresh tokens
+   * @param {string} userId - ID del usuario
+   * @param {Object} [context] - Datos de la petición: si se indica, se audita como logout de
+   * todas las sesiones (las revocaciones internas se auditan con su propia acción)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   *
+   * @description Los access tokens ya emitidos dejan de aceptarse en la siguiente petición:
+   * verifyToken rechaza los que pertenecen a una sesión que ya no existe.
+   */
+  async revokeAllSessions(userId, context) {
+    try {
+      await User.updateOne({ _id: userId }, { $set: { refreshTokens: [] } });
+
+      if (context) {
+        await auditService.record({ action: AUDIT_ACTIONS.LOGOUT_ALL, target: userId, context });
+      }
+
+      logger.info(`All sessions revoked for user: ${userId}`);
+      return { messageKey: 'messages.allSessionsRevoked' };
+    } catch (error) {
+      logger.error(`Error revoking sessions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method getLoginStatus
+   * @description Obtiene el estado de bloqueo por intentos fallidos de un usuario
+   * @param {Object} user - Objeto del usuario
+   * @param {string} user.email - Email del usuario
+   * @returns {Promise<Object>} Objeto con failedAttempts, locked y lockedUntil
+   */
+  async getLoginStatus(user) {
+    return loginProtectionService.getAccountStatus(user.email);
+  }
+
+  /**
+   * @method unlockUser
+   * @description Desbloquea una cuenta bloqueada por intentos fallidos (acción de administrador)
+   * @param {string} userId - ID del usuario
+   * @param {Object} [context={}] - Datos de la petición para la auditoría (ip, userAgent, requestId, actorId)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 404 - Si el usuario no existe
+   */
+  async unlockUser(userId, context = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+      }
+
+      await loginProtectionService.unlockAccount(user.email);
+      await auditService.record({ action: AUDIT_ACTIONS.ADMIN_USER_UNLOCK, target: user._id, context });
+      return { messageKey: 'messages.userUnlocked' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_USER_UNLOCK, error, { target: userId, context });
+      logger.error(`Error unlocking user: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * @method verifyToken
-   * @description Verifica y decodifica un token JWT
+   * @description Verifica y decodifica un token JWT y comprueba que su sesión siga vigente
    * @param {string} token - Token JWT a verificar
-   * @returns {Promise<Object>} Payload decodificado del token
+   * @returns {Promise<Object>} Payload decodificado del token, con el rol y el idioma actuales
    * @returns {string} id - ID del usuario
    * @returns {string} email - Email del usuario
-   * @returns {string} role - Rol del usuario
-   * @throws {AppError} 401 - Si el token es inválido o ha expirado
+   * @returns {string} role - Rol del usuario (el guardado, no el del token)
+   * @returns {string} lang - Idioma preferido del usuario (preferences.language, ver utils/i18n)
+   * @throws {AppError} 401 - Si el token ha expirado (AUTH_TOKEN_EXPIRED: el cliente debe
+   * renovarlo), es inválido o su usuario ya no existe (AUTH_TOKEN_INVALID) o su sesión fue
+   * cerrada o no tiene sesión (AUTH_SESSION_REVOKED)
+   * @throws {AppError} 403 - Si la cuenta está desactivada
+   *
+   * @description La firma no basta: desactivar una cuenta, cambiar su rol o revocar sus
+   * sesiones debe aplicarse sin esperar a que caduquen los access tokens ya emitidos. Por
+   * lo mismo el idioma se lee de la base de datos y no del token.
    */
   async verifyToken(token) {
+    let decoded;
     try {
       // Verificar y decodificar el token usando el secreto configurado
-      const decoded = jwt.verify(token, config.jwt.secret);
-      return decoded;
+      decoded = jwt.verify(token, config.jwt.secret);
     } catch (error) {
-      // Si el token es inválido o ha expirado, lanzar error
-      throw new AppError('Invalid or expired token', 401);
+      if (error.name === 'TokenExpiredError') {
+        throw new AppError('Access token expired', 401, 'AUTH_TOKEN_EXPIRED');
+      }
+      throw new AppError('Invalid access token', 401, 'AUTH_TOKEN_INVALID');
     }
+
+    const user = await User.findById(decoded.id)
+      .select('role isActive preferences.language refreshTokens._id')
+      .lean();
+    if (!user) {
+      throw new AppError('Invalid access token', 401, 'AUTH_TOKEN_INVALID');
+    }
+
+    // Cambiar el rol o desactivar la cuenta vacía refreshTokens: la sesión del token desaparece.
+    // Un token sin sesión (sid) no se podría revocar, así que tampoco se acepta
+    if (!decoded.sid || !user.refreshTokens.some((session) => String(session._id) === String(decoded.sid))) {
+      throw new AppError('Session has been revoked', 401, 'AUTH_SESSION_REVOKED');
+    }
+
+    if (!user.isActive) {
+      throw new AppError('Account is deactivated', 403, 'ACCOUNT_DEACTIVATED');
+    }
+
+    return { ...decoded, role: user.role, lang: user.preferences && user.preferences.language };
   }
 }
 
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Webhook Dispatcher - Envío de las entregas de webhooks
+ * @description Recorre periódicamente las entregas pendientes y las envía por HTTP POST
+ * a la URL de su suscripción, firmadas con HMAC-SHA256 (ver utils/webhookSignature).
+ * Varias instancias pueden ejecutarlo a la vez: cada entrega se reserva antes de enviarla.
+ *
+ * Una respuesta 2xx marca la entrega como 'succeeded'. Cualquier otra respuesta, un
+ * timeout o un error de red se reintenta con espera exponencial, y tras
+ * WEBHOOKS_MAX_ATTEMPTS intentos la entrega pasa a 'dead_letter'.
+ *
+ * Las entregas no se envían a direcciones privadas, de loopback ni link-local (ver
+ * utils/webhookTarget): se comprueba la dirección resuelta al conectar.
+ */
+
+const http = require('http');
+const https = require('https');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const WebhookSubscription = require('../models/webhookSubscriptionModel');
+const logger = require('../utils/logger');
+const PollingWorker = require('../utils/pollingWorker');
+const { SIGNATURE_HEADER, signPayload } = require('../utils/webhookSignature');
+const { isAllowedTargetUrl, lookup } = require('../utils/webhookTarget');
+const config = require('../config/env');
+
+/**
+ * Espera máxima entre reintentos de una entrega
+ */
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Número de intentos que se conservan en el historial de cada entrega
+ */
+const MAX_LOGGED_ATTEMPTS = 20;
+
+/**
+ * Longitud máxima del body de respuesta que se guarda como error
+ */
+const MAX_ERROR_BODY_LENGTH = 500;
+
+/**
+ * @function post
+ * @description POST HTTP(S) con el timeout de WEBHOOKS_TIMEOUT_MS. Usa http.request en lugar
+ * de fetch para resolver el host con el lookup que rechaza las direcciones no permitidas
+ * @param {string} url - URL de destino
+ * @param {Object} headers - Headers de la petición
+ * @param {string} body - Body JSON
+ * @returns {Promise<Object>} { statusCode, body } con los primeros MAX_ERROR_BODY_LENGTH caracteres
+ */
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup,
+    signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+  }, (response) => {
+    let responseBody = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      responseBody = `${responseBody}${chunk}`.slice(0, MAX_ERROR_BODY_LENGTH);
+    });
+    response.on('end', () => resolve({ statusCode: response.statusCode, body: responseBody }));
+    response.on('error', reject);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * @class WebhookDispatcher
+ * @description Proceso en segundo plano que envía las entregas de webhooks
+ */
+class WebhookDispatcher extends PollingWorker {
+  constructor() {
+    super('Webhook dispatcher', {
+      getIntervalMs: () => config.webhooks.dispatchIntervalMs,
+      getBatchSize: () => config.webhooks.batchSize,
+    });
+  }
+
+  /**
+   * @method claimNext
+   * @description Reserva de forma atómica la siguiente entrega enviable
+   * @returns {Promise<Object|null>} Entrega reservada o null si no hay pendientes
+   */
+  async claimNext() {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + config.webhooks.leaseMs),
+          lockedBy: this.instanceId,
+        },
+      },
+      { sort: { _id: 1 }, new: true }
+    );
+  }
+
+  /**
+   * @method processBatch
+   * @description Envía hasta WEBHOOKS_BATCH_SIZE entregas pendientes
+   * @returns {Promise<number>} Número de entregas procesadas (con éxito o no)
+   */
+  async processBatch() {
+    let processed = 0;
+    while (processed < config.webhooks.batchSize) {
+      const delivery = await this.claimNext();
+      if (!delivery) {
+        break;
+      }
+      await this.deliver(delivery);
+      processed += 1;
+    }
+    return processed;
+  }
+
+  /**
+   * @method send
+   * @description Envía el payload firmado a la URL de la suscripción. Las redirecciones no se
+   * siguen (una 3xx cuenta como fallo).
+   * @param {Object} subscription - Suscripción (con el secreto)
+   * @param {Object} delivery - Entrega
+   * @returns {Promise<Object>} { statusCode, error } (error es null si la respuesta fue 2xx)
+   */
+  async send(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      // Una IP en la URL no pasa por el lookup
+      if (!isAllowedTargetUrl(subscription.url)) {
+        throw new Error('Webhook target is a private address');
+      }
+
+      const response = await post(subscription.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'user-management-service',
+        'Idempotency-Key': delivery.eventId,
+        'X-Webhook-Id': delivery._id.toString(),
+        'X-Webhook-Event': delivery.eventType,
+        [SIGNATURE_HEADER]: signPayload(subscription.secret, body),
+      }, body);
+
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        return { statusCode: response.statusCode, error: null };
+      }
+      return {
+        statusCode: response.statusCode,
+        error: `Responded with status ${response.statusCode}${response.body ? `: ${response.body}` : ''}`,
+      };
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || (error.cause && error.cause.name === 'TimeoutError');
+      return { statusCode: null, error: timedOut ? 'Request timed out' : error.message };
+    }
+  }
+
+  /**
+   * @method deliver
+   * @description Envía una entrega reservada y guarda el resultado del intento
+   * @param {Object} delivery - Entrega reservada por esta instancia
+   * @returns {Promise<void>}
+   */
+  async deliver(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+    const startedAt = Date.now();
+    const result = subscription && subscription.isActive
+      ? await this.send(subscription, delivery)
+      : { statusCode: null, error: 'Subscription is inactive or was deleted' };
+    const attempt = { attemptedAt: new Date(startedAt), durationMs: Date.now() - startedAt, ...result };
+
+    const update = {
+      $set: {
+        lockedUntil: null,
+        lockedBy: null,
+        lastStatusCode: result.statusCode,
+        lastError: result.error,
+      },
+      $push: { attemptLog: { $each: [attempt], $slice: -MAX_LOGGED_ATTEMPTS } },
+    };
+
+    if (!result.error) {
+      update.$set.status = 'succeeded';
+      update.$set.deliveredAt = attempt.attemptedAt;
+    } else {
+      const attempts = delivery.attempts + 1;
+      update.$set.attempts = attempts;
+      // Una suscripción inactiva no se reintenta: la entrega queda para reenviarla a mano
+      if (attempts >= config.webhooks.maxAttempts || !subscription || !subscription.isActive) {
+        update.$set.status = 'dead_letter';
+        logger.error(`Webhook delivery ${delivery._id} (${delivery.eventType}) moved to dead letter after ${attempts} attempts: ${result.error}`);
+      } else {
+        const delayMs = Math.min(config.webhooks.retryBaseMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+        update.$set.nextAttemptAt = new Date(Date.now() + delayMs);
+        logger.warn(`Webhook delivery ${delivery._id} (${delivery.eventType}) will be retried (attempt ${attempts}): ${result.error}`);
+      }
+    }
+
+    // Solo se guarda si la reserva sigue siendo de esta instancia
+    await WebhookDelivery.updateOne({ _id: delivery._id, lockedBy: this.instanceId }, update);
+  }
+}
+
+module.exports = new WebhookDispatcher();
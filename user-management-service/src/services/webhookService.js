@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Webhook Service - Suscripciones de webhooks y log de entregas
+ * @description Los administradores gestionan las suscripciones (URL + tipos de evento)
+ * de los sistemas externos. El transporte 'subscriptions' del relay llama a
+ * enqueueDeliveries() con cada evento publicado, y el WebhookDispatcher envía las
+ * entregas firmadas. Las entregas fallidas o en dead letter se pueden reenviar.
+ */
+
+const WebhookSubscription = require('../models/webhookSubscriptionModel');
+const WebhookDelivery = require('../models/webhookDeliveryModel');
+const auditService = require('./auditService');
+const { AppError } = require('../utils/errorHandler');
+const logger = require('../utils/logger');
+const { generateSecret } = require('../utils/webhookSignature');
+const { isAllowedTargetUrl } = require('../utils/webhookTarget');
+const { encodeCursor, decodeCursor } = require('../utils/cursorUtils');
+const { AUDIT_ACTIONS } = require('../config/auditActions');
+
+/**
+ * Tamaño de página por defecto del log de entregas
+ */
+const DEFAULT_LIMIT = 50;
+
+/**
+ * @function findSubscription
+ * @description Obtiene una suscripción por ID o lanza 404
+ * @param {string} subscriptionId - ID de la suscripción
+ * @returns {Promise<Object>} Documento Mongoose de la suscripción
+ * @throws {AppError} 404 - Si la suscripción no existe
+ */
+const findSubscription = async (subscriptionId) => {
+  const subscription = await WebhookSubscription.findById(subscriptionId);
+  if (!subscription) {
+    throw new AppError('Webhook subscription not found', 404, 'WEBHOOK_NOT_FOUND');
+  }
+  return subscription;
+};
+
+/**
+ * @function assertAllowedTarget
+ * @description Rechaza las URLs de suscripción que apuntan a la red interna
+ * @param {string} url - URL de la suscripción
+ * @throws {AppError} 400 - Si el host es localhost o una IP privada, de loopback o link-local
+ */
+const assertAllowedTarget = (url) => {
+  if (!isAllowedTargetUrl(url)) {
+    throw new AppError('Webhook URL must not point to a private, loopback or link-local address', 400, 'WEBHOOK_TARGET_FORBIDDEN');
+  }
+};
+
+/**
+ * @class WebhookService
+ * @description Servicio que encapsula las suscripciones de webhooks y sus entregas
+ */
+class WebhookService {
+  /**
+   * @method createSubscription
+   * @description Crea una suscripción con un secreto de firma nuevo
+   * @param {Object} data - Datos de la suscripción
+   * @param {string} data.url - Endpoint que recibe las entregas
+   * @param {Array<string>} data.eventTypes - Tipos de evento suscritos
+   * @param {string} [data.description] - Descripción libre
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} { subscription, secret }: el secreto solo se devuelve aquí
+   * @throws {AppError} 400 - Si la URL apunta a la red interna (ver utils/webhookTarget)
+   */
+  async createSubscription({ url, eventTypes, description }, context) {
+    try {
+      assertAllowedTarget(url);
+      const secret = generateSecret();
+      const subscription = await WebhookSubscription.create({
+        url,
+        eventTypes,
+        description,
+        secret,
+        createdBy: context.actorId,
+      });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_WEBHOOK_CREATE,
+        context,
+        metadata: { subscriptionId: subscription._id, url, eventTypes },
+      });
+      logger.info(`Webhook subscription ${subscription._id} created for ${url} by ${context.actorId}`);
+
+      const subscriptionObject = subscription.toObject();
+      delete subscriptionObject.secret; // El secreto se devuelve aparte, una sola vez
+      return { subscription: subscriptionObject, secret };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_WEBHOOK_CREATE, error, {
+        context,
+        metadata: { url, eventTypes },
+      });
+      logger.error(`Error creating webhook subscription: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method listSubscriptions
+   * @description Lista todas las suscripciones
+   * @returns {Promise<Array<Object>>} Suscripciones, de la más reciente a la más antigua
+   */
+  async listSubscriptions() {
+    return WebhookSubscription.find()
+      .populate('createdBy', 'email firstName lastName')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * @method getSubscription
+   * @description Obtiene una suscripción por ID
+   * @param {string} subscriptionId - ID de la suscripción
+   * @returns {Promise<Object>} Suscripción
+   * @throws {AppError} 404 - Si la suscripción no existe
+   */
+  async getSubscription(subscriptionId) {
+    return findSubscription(subscriptionId);
+  }
+
+  /**
+   * @method updateSubscription
+   * @description Cambia la URL, los tipos de evento, la descripción o el estado de una suscripción
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {Object} updateData - Campos a actualizar (url, eventTypes, description, isActive)
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Suscripción actualizada
+   * @throws {AppError} 400 - Si la nueva URL apunta a la red interna (ver utils/webhookTarget)
+   * @throws {AppError} 404 - Si la suscripción no existe
+   *
+   * @description Desactivar una suscripción deja de generar entregas; las que estaban
+   * pendientes pasan a dead letter al intentar enviarlas.
+   */
+  async updateSubscription(subscriptionId, updateData, context) {
+    try {
+      if (updateData.url) {
+        assertAllowedTarget(updateData.url);
+      }
+      const subscription = await findSubscription(subscriptionId);
+      subscription.set(updateData);
+      await subscription.save();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_WEBHOOK_UPDATE,
+        context,
+        metadata: { subscriptionId: subscription._id, changes: updateData },
+      });
+      logger.info(`Webhook subscription ${subscription._id} updated by ${context.actorId}`);
+      return subscription;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_WEBHOOK_UPDATE, error, {
+        context,
+        metadata: { subscriptionId },
+      });
+      logger.error(`Error updating webhook subscription: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method deleteSubscription
+   * @description Elimina una suscripción y su log de entregas
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Objeto con la clave del mensaje de éxito (messageKey, ver src/locales)
+   * @throws {AppError} 404 - Si la suscripción no existe
+   */
+  async deleteSubscription(subscriptionId, context) {
+    try {
+      const subscription = await findSubscription(subscriptionId);
+      await WebhookSubscription.deleteOne({ _id: subscription._id });
+      await WebhookDelivery.deleteMany({ subscription: subscription._id });
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_WEBHOOK_DELETE,
+        context,
+        metadata: { subscriptionId: subscription._id, url: subscription.url },
+      });
+      logger.info(`Webhook subscription ${subscription._id} deleted by ${context.actorId}`);
+      return { messageKey: 'messages.webhookDeleted' };
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_WEBHOOK_DELETE, error, {
+        context,
+        metadata: { subscriptionId },
+      });
+      logger.error(`Error deleting webhook subscription: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @method enqueueDeliveries
+   * @description Crea una entrega por cada suscripción activa al tipo del evento
+   * @param {Object} event - Evento publicado por el relay ({ id, type, ... })
+   * @returns {Promise<number>} Número de suscripciones destinatarias
+   *
+   * @description Es idempotente: el relay puede publicar un evento más de una vez, pero
+   * el índice único (subscription, eventId) impide duplicar la entrega.
+   */
+  async enqueueDeliveries(event) {
+    const subscriptions = await WebhookSubscription.find({ eventTypes: event.type, isActive: true })
+      .select('_id');
+    if (subscriptions.length === 0) {
+      return 0;
+    }
+
+    await WebhookDelivery.bulkWrite(subscriptions.map((subscription) => ({
+      updateOne: {
+        filter: { subscription: subscription._id, eventId: event.id },
+        update: {
+          $setOnInsert: {
+            subscription: subscription._id,
+            eventId: event.id,
+            eventType: event.type,
+            payload: event,
+          },
+        },
+        upsert: true,
+      },
+    })));
+    return subscriptions.length;
+  }
+
+  /**
+   * @method listDeliveries
+   * @description Consulta el log de entregas de una suscripción, de la más reciente a la más antigua
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {Object} filters - Filtros (ya validados por el schema webhookDeliveryQuery)
+   * @param {string} [filters.status] - 'pending', 'succeeded' o 'dead_letter'
+   * @param {string} [filters.eventType] - Tipo de evento
+   * @param {number} [filters.limit=50] - Entregas por página
+   * @param {string} [filters.cursor] - Cursor devuelto por la página anterior
+   * @returns {Promise<Object>} { deliveries, nextCursor } (nextCursor es null en la última página)
+   * @throws {AppError} 400 - Si el cursor no es válido
+   * @throws {AppError} 404 - Si la suscripción no existe
+   */
+  async listDeliveries(subscriptionId, { status, eventType, limit = DEFAULT_LIMIT, cursor }) {
+    const subscription = await findSubscription(subscriptionId);
+
+    const filter = { subscription: subscription._id };
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+    if (cursor) {
+      filter._id = { $lt: decodeCursor(cursor) };
+    }
+
+    // Se pide una entrega más para saber si hay otra página
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .select('-lockedBy -lockedUntil')
+      .lean();
+
+    const hasMore = deliveries.length > limit;
+    if (hasMore) {
+      deliveries.pop();
+    }
+
+    return {
+      deliveries,
+      nextCursor: hasMore ? encodeCursor(deliveries[deliveries.length - 1]._id) : null,
+    };
+  }
+
+  /**
+   * @method redeliver
+   * @description Vuelve a poner en cola una entrega (entregada o en dead letter) con todos sus intentos
+   * @param {string} subscriptionId - ID de la suscripción
+   * @param {string} deliveryId - ID de la entrega
+   * @param {Object} context - Datos de la petición para la auditoría (actorId es el administrador)
+   * @returns {Promise<Object>} Entrega en cola
+   * @throws {AppError} 404 - Si la entrega no existe
+   * @throws {AppError} 409 - Si la entrega ya está pendiente
+   *
+   * @description Se reenvía el mismo evento (mismo id): los receptores que ya lo
+   * procesaron pueden descartarlo como duplicado.
+   */
+  async redeliver(subscriptionId, deliveryId, context) {
+    try {
+      const delivery = await WebhookDelivery.findOne({ _id: deliveryId, subscription: subscriptionId });
+      if (!delivery) {
+        throw new AppError('Webhook delivery not found', 404, 'WEBHOOK_DELIVERY_NOT_FOUND');
+      }
+      if (delivery.status === 'pending') {
+        throw new AppError('Webhook delivery is already pending', 409, 'WEBHOOK_DELIVERY_PENDING');
+      }
+
+      const previousStatus = delivery.status;
+      delivery.set({
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedUntil: null,
+        lockedBy: null,
+      });
+      await delivery.save();
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.ADMIN_WEBHOOK_REDELIVER,
+        context,
+        metadata: { subscriptionId, deliveryId: delivery._id, eventId: delivery.eventId, previousStatus },
+      });
+      logger.info(`Webhook delivery ${delivery._id} requeued by ${context.actorId}`);
+      return delivery;
+    } catch (error) {
+      await auditService.recordFailure(AUDIT_ACTIONS.ADMIN_WEBHOOK_REDELIVER, error, {
+        context,
+        metadata: { subscriptionId, deliveryId },
+      });
+      logger.error(`Error redelivering webhook: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookService();
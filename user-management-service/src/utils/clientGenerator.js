@@ -0,0 +1,434 @@
+/**
+ * @fileoverview Client Generator - Generación del cliente JS/TS de la API
+ * @description Genera, a partir de la especificación OpenAPI (ver utils/openapi), el paquete
+ * client/: un cliente UMD sin dependencias (index.js) con un método por operación, nombrado
+ * por su operationId, y sus tipos (index.d.ts) sacados de los schemas de petición y respuesta.
+ * Se regenera con `npm run generate:client`; un test comprueba que está al día.
+ */
+
+/**
+ * Cabecera de los archivos generados
+ */
+const GENERATED_HEADER = [
+  '/**',
+  ' * Cliente de la API de User Management Service.',
+  ' * Archivo generado por scripts/generateClient.js a partir de la especificación OpenAPI: no editar a mano.',
+  ' */',
+];
+
+/**
+ * Nombre del paquete generado
+ */
+const PACKAGE_NAME = '@learning-platform/user-management-client';
+
+/**
+ * @function pascalCase
+ * @description Convierte un operationId en nombre de tipo (getProfile → GetProfile)
+ * @param {string} name - operationId
+ * @returns {string} Nombre en PascalCase
+ */
+const pascalCase = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+/**
+ * @function indent
+ * @description Sangra todas las líneas de un bloque salvo la primera
+ * @param {string} text - Bloque de texto
+ * @param {number} level - Niveles de sangría (2 espacios)
+ * @returns {string} Bloque sangrado
+ */
+const indent = (text, level) => text.split('\n').join(`\n${'  '.repeat(level)}`);
+
+/**
+ * @function toTypeScript
+ * @description Convierte un JSON Schema (salida de joiToJsonSchema) en un tipo TypeScript
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Tipo TypeScript
+ */
+const toTypeScript = (schema) => {
+  if (schema === false) {
+    return 'never';
+  }
+  if (!schema || Object.keys(schema).length === 0) {
+    return 'unknown';
+  }
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  if (schema.enum) {
+    return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  }
+  if (schema.anyOf) {
+    return [...new Set(schema.anyOf.map(toTypeScript))].join(' | ');
+  }
+  if (Array.isArray(schema.type)) {
+    return schema.type.map((type) => toTypeScript({ ...schema, type })).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array': {
+      return `Array<${toTypeScript(schema.items)}>`;
+    }
+    case 'object': {
+      const required = schema.required || [];
+      const members = Object.entries(schema.properties || {}).map(([name, property]) => {
+        const key = /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+        const optional = required.includes(name) ? '' : '?';
+        return `  ${key}${optional}: ${indent(toTypeScript(property), 1)};`;
+      });
+      // Sin propiedades conocidas, o con un schema para el resto de claves (p. ej. rol → permisos)
+      if (schema.additionalProperties && schema.additionalProperties !== true) {
+        members.push(`  [key: string]: ${indent(toTypeScript(schema.additionalProperties), 1)};`);
+      } else if (members.length === 0 && schema.additionalProperties !== false) {
+        return 'Record<string, unknown>';
+      }
+      return members.length > 0 ? `{\n${members.join('\n')}\n}` : '{}';
+    }
+    default:
+      return 'unknown';
+  }
+};
+
+/**
+ * @function describeOperations
+ * @description Extrae de la especificación lo que necesita cada método del cliente
+ * @param {Object} document - Documento OpenAPI (ver buildOpenApiDocument)
+ * @returns {Array<Object>} Operaciones { name, method, path, summary, pathParams, queryParams,
+ * requestTypes, jsonBody, responseSchemas, redirect, rawResponse }
+ */
+const describeOperations = (document) => Object.entries(document.paths).flatMap(([path, operations]) => (
+  Object.entries(operations).map(([method, operation]) => {
+    const requestContent = operation.requestBody ? operation.requestBody.content : {};
+    const successResponses = Object.entries(operation.responses)
+      .filter(([status]) => status.startsWith('2'))
+      .map(([, response]) => response.content || {});
+
+    return {
+      name: operation.operationId,
+      method: method.toUpperCase(),
+      path,
+      summary: operation.summary,
+      pathParams: operation.parameters.filter((parameter) => parameter.in === 'path'),
+      queryParams: operation.parameters.filter((parameter) => parameter.in === 'query'),
+      requestTypes: Object.keys(requestContent),
+      jsonBody: requestContent['application/json'] && requestContent['application/json'].schema,
+      responseSchemas: successResponses
+        .filter((content) => content['application/json'])
+        .map((content) => content['application/json'].schema),
+      // Las rutas que redirigen las abre el navegador: el cliente solo construye la URL
+      redirect: Object.keys(operation.responses).some((status) => status.startsWith('3')),
+      // Las descargas (CSV/NDJSON) se devuelven como Response para poder leerlas en streaming
+      rawResponse: successResponses.some((content) => Object.keys(content).some((type) => type !== 'application/json')),
+    };
+  })
+));
+
+/**
+ * @function methodArguments
+ * @description Argumentos de un método: parámetros de ruta, body y query string, en ese orden
+ * @param {Object} operation - Operación (ver describeOperations)
+ * @returns {Array<Object>} Argumentos { name, type, optional, defaultValue }
+ */
+const methodArguments = (operation) => {
+  const typeName = pascalCase(operation.name);
+  const args = operation.pathParams.map((parameter) => ({ name: parameter.name, type: 'string' }));
+
+  if (operation.jsonBody) {
+    // Un body sin campos obligatorios (p. ej. el motivo de una desactivación) es opcional
+    const optional = !operation.jsonBody.required && !operation.jsonBody.minProperties;
+    args.push({ name: 'body', type: `${typeName}Body`, optional, defaultValue: optional ? '{}' : undefined });
+  } else if (operation.requestTypes.length > 0) {
+    args.push({ name: 'body', type: 'string | Blob' });
+  }
+  if (operation.queryParams.length > 0) {
+    const optional = operation.queryParams.every((parameter) => !parameter.required);
+    args.push({ name: 'query', type: `${typeName}Query`, optional, defaultValue: optional ? '{}' : undefined });
+  }
+  if (operation.requestTypes.length > 0 && !operation.jsonBody) {
+    args.push({
+      name: 'contentType',
+      type: operation.requestTypes.map((type) => JSON.stringify(type)).join(' | '),
+      defaultValue: `'${operation.requestTypes[0]}'`,
+    });
+  }
+  return args;
+};
+
+/**
+ * @function generateMethod
+ * @description Código JavaScript de un método del cliente
+ * @param {Object} operation - Operación (ver describeOperations)
+ * @returns {string} Método
+ */
+const generateMethod = (operation) => {
+  const args = methodArguments(operation);
+  const signature = args.map((arg) => (arg.defaultValue ? `${arg.name} = ${arg.defaultValue}` : arg.name)).join(', ');
+  const path = operation.pathParams.length > 0
+    ? `\`${operation.path.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``
+    : `'${operation.path}'`;
+  const names = args.map((arg) => arg.name);
+  const hasQuery = names.includes('query');
+
+  let body;
+  if (operation.redirect) {
+    body = `return this.url(${path}${hasQuery ? ', query' : ''});`;
+  } else {
+    const options = [`method: '${operation.method}'`, `path: ${path}`];
+    if (names.includes('body')) options.push('body');
+    if (hasQuery) options.push('query');
+    if (names.includes('contentType')) options.push('contentType');
+    if (operation.rawResponse) options.push('raw: true');
+    body = `return this.request({ ${options.join(', ')} });`;
+  }
+
+  return [
+    '    /**',
+    `     * ${operation.summary || operation.name}`,
+    `     * ${operation.method} ${operation.path}`,
+    '     */',
+    `    ${operation.name}(${signature}) {`,
+    `      ${body}`,
+    '    }',
+  ].join('\n');
+};
+
+/**
+ * @function generateJavaScript
+ * @description Genera index.js: el cliente UMD (CommonJS o window.UserManagementApi)
+ * @param {Array<Object>} operations - Operaciones (ver describeOperations)
+ * @returns {string} Código del cliente
+ */
+const generateJavaScript = (operations) => `${GENERATED_HEADER.join('\n')}
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UserManagementApi = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Error de la API: respuesta problem+json (RFC 7807) con el status HTTP, el código del
+   * catálogo de /api/docs/errors y los detalles de validación
+   */
+  class ApiError extends Error {
+    constructor(status, message, details, code) {
+      super(message);
+      this.name = 'ApiError';
+      this.status = status;
+      this.details = details;
+      this.code = code;
+    }
+  }
+
+  /**
+   * Serializa la query string: los objetos como filter[campo][operador]=valor y los
+   * arrays separados por comas
+   */
+  const serializeQuery = (query, prefix, params = new URLSearchParams()) => {
+    Object.entries(query || {}).forEach(([key, value]) => {
+      const name = prefix ? prefix + '[' + key + ']' : key;
+      if (value === undefined || value === null) {
+        return;
+      }
+      if (Array.isArray(value)) {
+        params.append(name, value.join(','));
+      } else if (typeof value === 'object' && !(value instanceof Date)) {
+        serializeQuery(value, name, params);
+      } else {
+        params.append(name, value instanceof Date ? value.toISOString() : String(value));
+      }
+    });
+    return params;
+  };
+
+  class UserManagementClient {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - URL del servicio (por defecto, el mismo origen)
+     * @param {string} [options.accessToken] - Access token que se envía como Bearer
+     * @param {Function} [options.fetch] - Implementación de fetch (por defecto, la global)
+     */
+    constructor({ baseUrl = '', accessToken = null, fetch: fetchImplementation } = {}) {
+      this.baseUrl = baseUrl.replace(/\\/$/, '');
+      this.accessToken = accessToken;
+      this.fetch = fetchImplementation || globalThis.fetch.bind(globalThis);
+    }
+
+    setAccessToken(accessToken) {
+      this.accessToken = accessToken;
+    }
+
+    url(path, query) {
+      const search = serializeQuery(query).toString();
+      return this.baseUrl + path + (search ? '?' + search : '');
+    }
+
+    async request({ method, path, body, query, contentType = 'application/json', raw = false }) {
+      const headers = {};
+      if (this.accessToken) {
+        headers.Authorization = 'Bearer ' + this.accessToken;
+      }
+      let payload;
+      if (body !== undefined) {
+        headers['Content-Type'] = contentType;
+        payload = contentType === 'application/json' ? JSON.stringify(body) : body;
+      }
+
+      const response = await this.fetch(this.url(path, query), { method, headers, body: payload });
+      if (!response.ok) {
+        const problem = await response.json().catch(() => ({}));
+        throw new ApiError(response.status, problem.detail || response.statusText, problem.details, problem.code);
+      }
+      return raw ? response : response.json();
+    }
+
+    /**
+     * Estado del servicio
+     * GET /health
+     */
+    health() {
+      return this.request({ method: 'GET', path: '/health' });
+    }
+
+${operations.map(generateMethod).join('\n\n')}
+  }
+
+  return { UserManagementClient, ApiError };
+}));
+`;
+
+/**
+ * @function generateTypes
+ * @description Genera index.d.ts: tipos de los bodies, query strings y respuestas, y la
+ * firma de cada método
+ * @param {Array<Object>} operations - Operaciones (ver describeOperations)
+ * @returns {string} Declaraciones TypeScript
+ */
+const generateTypes = (operations) => {
+  const declarations = [];
+  const methods = operations.map((operation) => {
+    const typeName = pascalCase(operation.name);
+    if (operation.jsonBody) {
+      declarations.push(`export type ${typeName}Body = ${toTypeScript(operation.jsonBody)};`);
+    }
+    if (operation.queryParams.length > 0) {
+      declarations.push(`export type ${typeName}Query = ${toTypeScript({
+        type: 'object',
+        properties: Object.fromEntries(operation.queryParams.map((parameter) => [parameter.name, parameter.schema])),
+        required: operation.queryParams.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+      })};`);
+    }
+
+    let returnType;
+    if (operation.redirect) {
+      returnType = 'string';
+    } else if (operation.rawResponse) {
+      returnType = 'Promise<Response>';
+    } else {
+      declarations.push(`export type ${typeName}Response = ${operation.responseSchemas.map(toTypeScript).join(' | ') || 'unknown'};`);
+      returnType = `Promise<${typeName}Response>`;
+    }
+
+    const args = methodArguments(operation)
+      .map((arg) => `${arg.name}${arg.optional || arg.defaultValue ? '?' : ''}: ${arg.type}`)
+      .join(', ');
+    return [
+      '  /**',
+      `   * ${operation.summary || operation.name}`,
+      `   * ${operation.method} ${operation.path}`,
+      '   */',
+      `  ${operation.name}(${args}): ${returnType};`,
+    ].join('\n');
+  });
+
+  return `${GENERATED_HEADER.join('\n')}
+
+export declare class ApiError extends Error {
+  readonly status: number;
+  readonly details?: Record<string, string>;
+  /** Código del catálogo de errores (/api/docs/errors) */
+  readonly code?: string;
+  constructor(status: number, message: string, details?: Record<string, string>, code?: string);
+}
+
+export interface ClientOptions {
+  baseUrl?: string;
+  accessToken?: string | null;
+  fetch?: typeof fetch;
+}
+
+export type HealthResponse = {
+  status: string;
+  timestamp: string;
+  service: string;
+};
+
+${declarations.join('\n\n')}
+
+export declare class UserManagementClient {
+  baseUrl: string;
+  accessToken: string | null;
+  constructor(options?: ClientOptions);
+  setAccessToken(accessToken: string | null): void;
+  url(path: string, query?: Record<string, unknown>): string;
+  request(options: {
+    method: string;
+    path: string;
+    body?: unknown;
+    query?: Record<string, unknown>;
+    contentType?: string;
+    raw?: boolean;
+  }): Promise<any>;
+
+  /**
+   * Estado del servicio
+   * GET /health
+   */
+  health(): Promise<HealthResponse>;
+
+${methods.join('\n\n')}
+}
+`;
+};
+
+/**
+ * @function generateClient
+ * @description Genera los archivos del paquete client/
+ * @param {Object} document - Documento OpenAPI (ver buildOpenApiDocument)
+ * @returns {Object} Contenido de cada archivo, por nombre: package.json, index.js, index.d.ts
+ *
+ * @example
+ * const files = generateClient(buildOpenApiDocument([{ basePath: '/api/v2/users', router: userRoutes, version: 'v2' }]));
+ * fs.writeFileSync('client/index.js', files['index.js']);
+ */
+const generateClient = (document) => {
+  const operations = describeOperations(document);
+  return {
+    'package.json': `${JSON.stringify({
+      name: PACKAGE_NAME,
+      version: document.info.version,
+      description: `Typed client for the ${document.info.title}`,
+      main: 'index.js',
+      types: 'index.d.ts',
+      files: ['index.js', 'index.d.ts'],
+      license: 'ISC',
+    }, null, 2)}\n`,
+    'index.js': generateJavaScript(operations),
+    'index.d.ts': generateTypes(operations),
+  };
+};
+
+module.exports = {
+  toTypeScript,
+  generateClient,
+};
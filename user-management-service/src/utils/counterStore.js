@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Counter Store - Almacenes de contadores con expiración
+ * @description Almacenes clave/valor con TTL usados para contar intentos fallidos de
+ * login y guardar bloqueos temporales. Ambos exponen la misma interfaz asíncrona:
+ * - increment(key, ttlMs): incrementa y renueva el TTL, retorna el nuevo valor
+ * - get(key): valor numérico o null si no existe o expiró
+ * - set(key, value, ttlMs): guarda un valor con TTL
+ * - ttl(key): milisegundos restantes (0 si no existe)
+ * - delete(...keys): elimina claves
+ *
+ * MemoryStore sirve para una sola instancia; RedisStore comparte los contadores
+ * entre todas las instancias del servicio.
+ */
+
+/**
+ * @class MemoryStore
+ * @description Almacén en memoria del proceso (valor por defecto)
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * @method read
+   * @description Obtiene una entrada vigente, eliminándola si ya expiró
+   * @param {string} key - Clave
+   * @returns {Object|null} Entrada { value, expiresAt } o null
+   */
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * @method sweep
+   * @description Elimina las entradas expiradas para que el mapa no crezca sin límite
+   * (por ejemplo, con contadores de muchas IPs distintas)
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async increment(key, ttlMs) {
+    const entry = this.read(key);
+    const value = (entry ? entry.value : 0) + 1;
+    if (!entry && this.entries.size >= 10000) {
+      this.sweep();
+    }
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return value;
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async ttl(key) {
+    const entry = this.read(key);
+    return entry ? entry.expiresAt - Date.now() : 0;
+  }
+
+  async delete(...keys) {
+    keys.forEach((key) => this.entries.delete(key));
+  }
+
+  /**
+   * @method clear
+   * @description Elimina todas las entradas (útil en tests)
+   */
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * @class RedisStore
+ * @description Adaptador para Redis o cualquier servidor compatible (Valkey, KeyDB, etc.)
+ * @param {Object} client - Cliente con la API de ioredis
+ * @param {Object} [options={}] - Opciones
+ * @param {string} [options.prefix='ums:'] - Prefijo de las claves
+ *
+ * @example
+ * const Redis = require('ioredis');
+ * const store = new RedisStore(new Redis(process.env.REDIS_URL));
+ */
+class RedisStore {
+  constructor(client, { prefix = 'ums:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async increment(key, ttlMs) {
+    // INCR + PEXPIRE en una transacción para no dejar contadores sin TTL
+    const [[incrError, value]] = await this.client
+      .multi()
+      .incr(this.prefix + key)
+      .pexpire(this.prefix + key, ttlMs)
+      .exec();
+    if (incrError) throw incrError;
+    return Number(value);
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.prefix + key);
+    return value === null ? null : Number(value);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, String(value), 'PX', ttlMs);
+  }
+
+  async ttl(key) {
+    const remaining = await this.client.pttl(this.prefix + key);
+    return remaining > 0 ? remaining : 0;
+  }
+
+  async delete(...keys) {
+    if (keys.length === 0) return;
+    await this.client.del(...keys.map((key) => this.prefix + key));
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+};
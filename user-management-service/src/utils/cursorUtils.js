@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Cursor Utils - Cursores opacos para la paginación por _id
+ * @description Las consultas paginadas por cursor ordenan por _id y devuelven como
+ * nextCursor el _id del último elemento de la página, codificado en base64url.
+ *
+ * Las consultas ordenadas por otro campo usan un cursor compuesto (encodeSortCursor):
+ * el valor de ese campo y el _id del último elemento, que desempata los valores iguales.
+ */
+
+const mongoose = require('mongoose');
+const { AppError } = require('./errorHandler');
+
+/**
+ * @function encodeCursor
+ * @description Convierte el _id del último elemento de una página en un cursor opaco
+ * @param {ObjectId} id - ID del elemento
+ * @returns {string} Cursor en base64url
+ */
+const encodeCursor = (id) => Buffer.from(id.toString()).toString('base64url');
+
+/**
+ * @function decodeCursor
+ * @description Obtiene el _id codificado en un cursor
+ * @param {string} cursor - Cursor recibido en la query
+ * @returns {ObjectId} ID del último elemento de la página anterior
+ * @throws {AppError} 400 - Si el cursor no es válido
+ */
+const decodeCursor = (cursor) => {
+  const id = Buffer.from(cursor, 'base64url').toString();
+  if (!/^[a-f\d]{24}$/i.test(id)) {
+    throw new AppError('Invalid cursor', 400, 'INVALID_CURSOR');
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+
+/**
+ * @function encodeSortCursor
+ * @description Convierte el último elemento de una página ordenada por un campo en un cursor opaco
+ * @param {string} sort - Orden aplicado (p. ej. '-lastLogin'); el cursor solo vale para ese orden
+ * @param {Date|string|number|null} value - Valor del campo de orden en el último elemento
+ * @param {ObjectId} id - ID del último elemento
+ * @returns {string} Cursor en base64url
+ */
+const encodeSortCursor = (sort, value, id) => Buffer.from(JSON.stringify({
+  s: sort,
+  v: value instanceof Date ? { d: value.toISOString() } : value ?? null,
+  id: id.toString(),
+})).toString('base64url');
+
+/**
+ * @function decodeSortCursor
+ * @description Obtiene el valor del campo de orden y el _id codificados en un cursor
+ * @param {string} cursor - Cursor recibido en la query
+ * @param {string} sort - Orden de la consulta actual
+ * @returns {Object} { value, id } del último elemento de la página anterior
+ * @throws {AppError} 400 - Si el cursor no es válido o se generó con otro orden
+ */
+const decodeSortCursor = (cursor, sort) => {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch (error) {
+    // Se trata igual que un cursor con formato inválido
+  }
+  if (!parsed || parsed.s !== sort || !/^[a-f\d]{24}$/i.test(parsed.id)) {
+    throw new AppError('Invalid cursor', 400, 'INVALID_CURSOR');
+  }
+
+  let value = parsed.v;
+  if (value && typeof value === 'object') {
+    value = new Date(value.d);
+    if (Number.isNaN(value.getTime())) {
+      throw new AppError('Invalid cursor', 400, 'INVALID_CURSOR');
+    }
+  } else if (value !== null && typeof value !== 'string' && typeof value !== 'number') {
+    throw new AppError('Invalid cursor', 400, 'INVALID_CURSOR');
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(parsed.id) };
+};
+
+/**
+ * @function getSortCursorFilter
+ * @description Construye el filtro de los elementos posteriores al cursor en una consulta
+ * ordenada por { [field]: direction, _id: direction }
+ * @param {string} field - Campo de orden
+ * @param {number} direction - 1 (ascendente) o -1 (descendente)
+ * @param {Object} position - Posición decodificada con decodeSortCursor ({ value, id })
+ * @returns {Object} Filtro de MongoDB
+ *
+ * @description MongoDB ordena los null (y los campos ausentes) antes que cualquier otro
+ * valor, así que van al principio en orden ascendente y al final en descendente.
+ */
+const getSortCursorFilter = (field, direction, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  const sameValue = { [field]: value, _id: { [op]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [sameValue, { [field]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const after = [{ [field]: { [op]: value } }, sameValue];
+  if (direction === -1) {
+    after.push({ [field]: null });
+  }
+  return { $or: after };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeSortCursor,
+  decodeSortCursor,
+  getSortCursorFilter,
+};
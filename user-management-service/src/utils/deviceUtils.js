@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Device Utilities - Descripción legible del dispositivo de una sesión
+ * @description Deriva un nombre corto de dispositivo ("Chrome on Windows") a partir
+ * del header User-Agent, para mostrarlo en el listado de sesiones del usuario.
+ */
+
+/**
+ * Reglas de detección en orden de prioridad (la primera coincidencia gana).
+ * El orden importa: Edge y Opera incluyen "Chrome" en su User-Agent, y Chrome
+ * incluye "Safari".
+ */
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\//i },
+  { name: 'Opera', pattern: /OPR\/|Opera/i },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\//i },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\//i },
+  { name: 'Safari', pattern: /Safari\//i },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Android', pattern: /Android/i },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/i },
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/i },
+  { name: 'Linux', pattern: /Linux/i },
+];
+
+/**
+ * @function parseDevice
+ * @description Obtiene una descripción corta del dispositivo a partir del User-Agent
+ * @param {string} [userAgent] - Valor del header User-Agent
+ * @returns {string} Descripción del dispositivo, por ejemplo 'Firefox on Linux'
+ *
+ * @example
+ * parseDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) ... Chrome/120.0 Safari/537.36');
+ * // => 'Chrome on Windows'
+ */
+const parseDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(({ pattern }) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(({ pattern }) => pattern.test(userAgent));
+
+  if (browser && os) return `${browser.name} on ${os.name}`;
+  if (browser) return browser.name;
+  if (os) return os.name;
+
+  // Clientes no navegador (apps móviles, curl, otros servicios): usar el primer token
+  return userAgent.split(/[\s/]/)[0] || 'Unknown device';
+};
+
+module.exports = { parseDevice };
@@ -2,28 +2,41 @@
  * @fileoverview Error Handler - Manejo centralizado de errores
  * @description Proporciona una clase de error personalizada y un middleware
  * global para manejar todos los errores de la aplicación de forma consistente.
+ * Las respuestas de error siguen RFC 7807 (application/problem+json) con un código
+ * estable del catálogo config/errorCodes y un detail en el idioma de la petición.
  */
 
 const logger = require('./logger');
 const config = require('../config/env');
+const { ERROR_CODES, ERROR_TYPE_BASE } = require('../config/errorCodes');
+const { API_VERSIONS } = require('../config/apiVersions');
+const { translate, resolveLocale } = require('./i18n');
 
 /**
  * @class AppError
  * @extends Error
  * @description Clase de error personalizada para errores operacionales de la aplicación
- * @param {string} message - Mensaje de error descriptivo
+ * @param {string} message - Mensaje de error descriptivo (para los logs; el detail de la respuesta
+ * es la traducción de errors.CÓDIGO en src/locales)
  * @param {number} statusCode - Código de estado HTTP apropiado
+ * @param {string} code - Código estable del catálogo (ver config/errorCodes)
+ * @param {Object} [params] - Parámetros del mensaje traducido ({{nombre}} en los catálogos)
  * 
  * @property {number} statusCode - Código de estado HTTP del error
+ * @property {string} code - Código del catálogo, el que deben usar los clientes
+ * @property {Object} [params] - Parámetros del mensaje traducido
  * @property {boolean} isOperational - Indica si es un error operacional (true) o de programación (false)
  * 
  * @example
- * throw new AppError('User not found', 404);
+ * throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+ * throw new AppError(`MFA is required for the ${role} role`, 403, 'MFA_REQUIRED', { role });
  */
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code, params) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code;
+    this.params = params;
     this.isOperational = true; // Marca errores que son esperados y manejables
     Error.captureStackTrace(this, this.constructor);
   }
@@ -39,23 +52,34 @@ class AppError extends Error {
  * 
  * @description Este middleware:
  * 1. Captura todos los errores que ocurren en la aplicación
- * 2. Normaliza diferentes tipos de errores (Mongoose, JWT, etc.)
- * 3. Formatea la respuesta de error de forma consistente
+ * 2. Normaliza diferentes tipos de errores (Mongoose, body-parser...) a un AppError con código
+ * 3. Formatea la respuesta de error como problem+json (RFC 7807)
  * 4. Registra el error en los logs
- * 5. Retorna una respuesta JSON con el error apropiado
+ * 5. Retorna la respuesta con el error apropiado
  * 
  * @description Tipos de errores manejados:
- * - CastError (Mongoose): ObjectId inválido → 404
- * - 11000 (MongoDB): Clave duplicada → 409
- * - ValidationError (Mongoose): Error de validación → 400
- * - AppError: Errores personalizados con su statusCode
- * - Otros: Error genérico → 500
+ * - CastError (Mongoose): ObjectId inválido → 404 RESOURCE_NOT_FOUND
+ * - 11000 (MongoDB): Clave duplicada → 409 RESOURCE_CONFLICT
+ * - ValidationError (Mongoose): Error de validación → 400 VALIDATION_FAILED
+ * - body-parser: JSON mal formado → 400 MALFORMED_REQUEST_BODY; body demasiado grande → 413 PAYLOAD_TOO_LARGE;
+ *   charset o encoding no soportado → 415 UNSUPPORTED_MEDIA_TYPE
+ * - AppError: Errores personalizados con su statusCode y su código
+ * - Otros: Error genérico → 500 INTERNAL_ERROR
+ *
+ * @description Formato de la respuesta (Content-Type: application/problem+json):
+ * { type, title, status, detail, instance, code, requestId, details? }
+ * - type: entrada del catálogo (/api/docs/errors/CÓDIGO); title: su título estable
+ * - detail: el mensaje de esta ocurrencia, en el idioma de la petición (ver utils/i18n);
+ *   instance: la ruta de la petición
+ * - details: errores por campo de validate()
+ * Las versiones de la API con legacyErrors (v1 y /api/users) mantienen el formato anterior,
+ * { success: false, error, code, details? }, para las apps ya publicadas, sin traducir: error
+ * es el mensaje original en inglés.
  * 
  * @returns {Object} Respuesta JSON con el error formateado
  */
 const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+  let error = err;
 
   console.error('🚨 [ERROR HANDLER] Error capturado:', {
     message: err.message,
@@ -77,7 +101,7 @@ const errorHandler = (err, req, res, next) => {
   if (err.name === 'CastError') {
     console.error('🚨 [ERROR HANDLER] Error de Cast (ObjectId inválido)');
     const message = 'Resource not found';
-    error = new AppError(message, 404);
+    error = new AppError(message, 404, 'RESOURCE_NOT_FOUND');
   }
 
   // Error de clave duplicada (índice único violado)
@@ -85,44 +109,87 @@ const errorHandler = (err, req, res, next) => {
     console.error('🚨 [ERROR HANDLER] Error de clave duplicada:', err.keyPattern);
     const field = Object.keys(err.keyPattern)[0];
     const message = `${field} already exists`;
-    error = new AppError(message, 409);
+    error = new AppError(message, 409, 'RESOURCE_CONFLICT', { field });
   }
 
   // Error de validación de Mongoose
   if (err.name === 'ValidationError') {
     console.error('🚨 [ERROR HANDLER] Error de validación de Mongoose:', err.errors);
     const message = Object.values(err.errors).map((val) => val.message).join(', ');
-    error = new AppError(message, 400);
+    error = new AppError(message, 400, 'VALIDATION_FAILED');
+    // Mismo formato que los details de validate(): campo → mensaje
+    error.details = Object.fromEntries(Object.values(err.errors).map((val) => [val.path, val.message]));
+  }
+
+  // ============================================================================
+  // ERRORES DE BODY-PARSER (express.json / express.text)
+  // ============================================================================
+
+  if (err.type === 'entity.parse.failed') {
+    error = new AppError('The request body is not valid JSON', 400, 'MALFORMED_REQUEST_BODY');
+  }
+  if (err.type === 'entity.too.large') {
+    error = new AppError(`The request body exceeds the limit of ${err.limit} bytes`, 413, 'PAYLOAD_TOO_LARGE', {
+      limit: err.limit,
+    });
+  }
+  if (err.type === 'charset.unsupported' || err.type === 'encoding.unsupported') {
+    error = new AppError(err.message, 415, 'UNSUPPORTED_MEDIA_TYPE', { accepted: 'UTF-8 application/json' });
   }
 
   // ============================================================================
   // CONSTRUIR RESPUESTA DE ERROR
   // ============================================================================
 
-  const statusCode = error.statusCode || 500;
+  const isAppError = error instanceof AppError;
+  const statusCode = (isAppError && error.statusCode) || 500;
+  const code = (isAppError && error.code) || 'INTERNAL_ERROR';
   const message = error.message || 'Internal Server Error';
+  const legacyErrors = Boolean(req.apiVersion && API_VERSIONS[req.apiVersion].legacyErrors);
 
   console.error('📤 [ERROR HANDLER] Enviando respuesta de error:', {
     statusCode,
+    code,
     message,
     hasDetails: !!error.details,
   });
 
-  // Construir objeto de respuesta
-  const response = {
-    success: false,
-    error: message,
-    // Solo incluir stack trace en desarrollo para debugging
+  // Indicar al cliente cuántos segundos esperar (bloqueos por intentos fallidos)
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  // Solo incluir stack trace en desarrollo para debugging
+  const extras = {
+    ...(error.details && { details: error.details }),
     ...(config.env === 'development' && { stack: err.stack }),
   };
 
-  // Agregar detalles de validación si existen
-  if (error.details) {
-    response.details = error.details;
+  // El formato anterior no se traduce: error es el mensaje original en inglés
+  if (legacyErrors) {
+    return res.status(statusCode).json({
+      success: false,
+      error: isAppError ? message : 'Internal Server Error',
+      code,
+      ...extras,
+    });
   }
 
-  res.status(statusCode).json(response);
+  // El detail es la traducción del código (un error inesperado no expone su mensaje)
+  const locale = resolveLocale(req);
+  const detail = translate(locale, `errors.${code}`, isAppError ? error.params : undefined);
+  res.set('Content-Language', locale);
+  const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+  res.status(statusCode).type('application/problem+json').json({
+    type: `${ERROR_TYPE_BASE}/${code}`,
+    title: entry.title,
+    status: statusCode,
+    detail,
+    instance: req.originalUrl,
+    code,
+    requestId: req.id,
+    ...extras,
+  });
 };
 
 module.exports = { AppError, errorHandler };
-
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Event Transports - Destinos en los que el relay publica los eventos
+ * @description Todos los transportes exponen la misma interfaz:
+ * - name: identificador único (se guarda en deliveredTo para no repetir entregas)
+ * - publish(event): promesa que se resuelve cuando el destino confirma la entrega;
+ *   si se rechaza, el relay reintenta el evento más tarde
+ *
+ * El evento publicado es el sobre { id, type, aggregateId, occurredAt, data, metadata }.
+ * Su id es la clave de idempotencia: la entrega es at-least-once y un mismo evento
+ * puede llegar más de una vez.
+ */
+
+/**
+ * @class InProcessTransport
+ * @description Entrega los eventos a los suscriptores del propio proceso
+ * (EventService.subscribe). Los suscriptores de '*' reciben todos los eventos
+ */
+class InProcessTransport {
+  /**
+   * @param {EventEmitter} emitter - Emisor interno con los suscriptores
+   */
+  constructor(emitter) {
+    this.name = 'inprocess';
+    this.emitter = emitter;
+  }
+
+  async publish(event) {
+    const handlers = [...this.emitter.listeners(event.type), ...this.emitter.listeners('*')];
+    // Un suscriptor que falla provoca el reintento: todos deben ser idempotentes
+    await Promise.all(handlers.map((handler) => handler(event)));
+  }
+}
+
+/**
+ * @class WebhookTransport
+ * @description Envía cada evento por HTTP POST (JSON) a un endpoint fijo
+ * La clave de idempotencia viaja en el header Idempotency-Key y cualquier respuesta
+ * que no sea 2xx se considera un fallo
+ */
+class WebhookTransport {
+  /**
+   * @param {string} url - Endpoint que recibe los eventos
+   * @param {Object} [options] - Opciones
+   * @param {number} [options.timeoutMs=10000] - Timeout de cada envío
+   */
+  constructor(url, { timeoutMs = 10000 } = {}) {
+    this.name = 'webhook';
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async publish(event) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': event.id,
+        'X-Event-Type': event.type,
+        'User-Agent': 'user-management-service',
+      },
+      body: JSON.stringify(event),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+  }
+}
+
+/**
+ * @class SubscriptionsTransport
+ * @description Genera las entregas de las suscripciones de webhooks que gestionan los
+ * administradores (ver WebhookService); el WebhookDispatcher las firma y las envía
+ */
+class SubscriptionsTransport {
+  /**
+   * @param {Object} webhookService - Servicio con enqueueDeliveries(event)
+   */
+  constructor(webhookService) {
+    this.name = 'subscriptions';
+    this.webhookService = webhookService;
+  }
+
+  async publish(event) {
+    await this.webhookService.enqueueDeliveries(event);
+  }
+}
+
+/**
+ * @class BrokerTransport
+ * @description Publica los eventos en un broker de mensajes (Kafka, RabbitMQ, NATS...)
+ * a través de un adaptador con la interfaz publish(topic, message, { key, headers })
+ *
+ * @example
+ * eventService.registerTransport(new BrokerTransport({
+ *   publish: (topic, message, { key, headers }) => producer.send({
+ *     topic,
+ *     messages: [{ key, value: JSON.stringify(message), headers }],
+ *   }),
+ * }, { name: 'kafka', topicPrefix: 'users.' }));
+ */
+class BrokerTransport {
+  /**
+   * @param {Object} adapter - Adaptador del broker
+   * @param {Function} adapter.publish - Publica un mensaje; debe resolverse cuando el broker lo confirma
+   * @param {Object} [options] - Opciones
+   * @param {string} [options.name='broker'] - Nombre del transporte
+   * @param {string} [options.topicPrefix=''] - Prefijo del topic (el topic es el tipo de evento)
+   */
+  constructor(adapter, { name = 'broker', topicPrefix = '' } = {}) {
+    this.name = name;
+    this.adapter = adapter;
+    this.topicPrefix = topicPrefix;
+  }
+
+  async publish(event) {
+    // El aggregateId como clave mantiene el orden de los eventos de un mismo usuario
+    await this.adapter.publish(`${this.topicPrefix}${event.type}`, event, {
+      key: event.aggregateId,
+      headers: { 'idempotency-key': event.id },
+    });
+  }
+}
+
+module.exports = {
+  InProcessTransport,
+  WebhookTransport,
+  SubscriptionsTransport,
+  BrokerTransport,
+};
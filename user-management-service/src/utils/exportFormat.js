@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Export Format - Conversión de usuarios a CSV o NDJSON en streaming
+ * @description Transforms que reciben los documentos de un cursor de MongoDB (objectMode)
+ * y emiten el texto del archivo línea a línea, de modo que la exportación nunca tiene
+ * todos los usuarios en memoria.
+ */
+
+const { Transform } = require('stream');
+const { Types } = require('mongoose');
+
+/**
+ * Tipos de contenido de cada formato de exportación
+ */
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+/**
+ * @function getPath
+ * @description Obtiene el valor de una ruta con puntos ('preferences.language')
+ * @param {Object} doc - Documento
+ * @param {string} path - Ruta del campo
+ * @returns {*} Valor o undefined
+ */
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+/**
+ * @function formatCsvValue
+ * @description Convierte un valor en el texto de una celda: fechas en ISO 8601, listas
+ * separadas por ';' y objetos de una lista (habilidades) como 'nombre:nivel'
+ * @param {*} value - Valor del campo
+ * @returns {string} Texto de la celda (sin escapar)
+ */
+const formatCsvValue = (value) => {
+  if (value == null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Types.ObjectId) {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => (item !== null && typeof item === 'object'
+        ? Object.entries(item).filter(([key, part]) => key !== '_id' && part != null).map(([, part]) => part).join(':')
+        : formatCsvValue(item)))
+      .join(';');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * @function escapeCsvValue
+ * @description Escapa una celda (RFC 4180) y neutraliza las fórmulas: una celda que empieza
+ * por =, +, -, @ o tabulador se prefija con ' para que una hoja de cálculo no la ejecute
+ * @param {string} text - Texto de la celda
+ * @returns {string} Celda lista para el CSV
+ */
+const escapeCsvValue = (text) => {
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+/**
+ * @function createCsvTransform
+ * @description Stream que convierte documentos en filas CSV (la primera línea es la cabecera)
+ * @param {Array<string>} columns - Rutas de las columnas, en orden
+ * @returns {Transform} Transform (objectMode en la entrada, texto en la salida)
+ */
+const createCsvTransform = (columns) => {
+  let headerWritten = false;
+  const toLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      const header = headerWritten ? '' : toLine(columns);
+      headerWritten = true;
+      callback(null, header + toLine(columns.map((column) => formatCsvValue(getPath(doc, column)))));
+    },
+    flush(callback) {
+      // Un export sin usuarios sigue teniendo cabecera
+      callback(null, headerWritten ? '' : toLine(columns));
+    },
+  });
+};
+
+/**
+ * @function createNdjsonTransform
+ * @description Stream que convierte cada documento en una línea JSON
+ * @returns {Transform} Transform (objectMode en la entrada, texto en la salida)
+ */
+const createNdjsonTransform = () => new Transform({
+  writableObjectMode: true,
+  transform(doc, encoding, callback) {
+    callback(null, `${JSON.stringify(doc)}\n`);
+  },
+});
+
+module.exports = {
+  EXPORT_CONTENT_TYPES,
+  createCsvTransform,
+  createNdjsonTransform,
+};
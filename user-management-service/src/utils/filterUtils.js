@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Filter Utils - Conversión de los filtros del listado de usuarios a MongoDB
+ * @description Los filtros llegan ya validados por el schema userListQuery (campos de
+ * USER_FILTER_FIELDS y operadores de FILTER_OPERATORS), así que aquí solo se traducen:
+ * el nombre del campo a su ruta en el modelo, el operador a su equivalente de MongoDB y
+ * las fechas relativas ('-90d') a fechas absolutas.
+ */
+
+const { RELATIVE_DATE_PATTERN, USER_FILTER_FIELDS } = require('../config/userListing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @function resolveFilterValue
+ * @description Convierte una fecha relativa en absoluta; el resto de valores no cambia
+ * @param {*} value - Valor validado del filtro
+ * @param {Date} now - Fecha de referencia
+ * @returns {*} Valor para la consulta de MongoDB
+ */
+const resolveFilterValue = (value, now) => {
+  const match = typeof value === 'string' && value.match(RELATIVE_DATE_PATTERN);
+  return match ? new Date(now.getTime() - Number(match[1]) * DAY_MS) : value;
+};
+
+/**
+ * @function buildUserFilter
+ * @description Construye el filtro de MongoDB de filter[campo][operador]=valor
+ * @param {Object} [filter={}] - Filtro validado: { campo: valor } o { campo: { operador: valor } }
+ * @param {Date} [now=new Date()] - Fecha de referencia para las fechas relativas
+ * @returns {Object} Filtro de MongoDB (vacío si no hay filtros)
+ */
+const buildUserFilter = (filter = {}, now = new Date()) => Object.fromEntries(
+  Object.entries(filter).map(([name, condition]) => {
+    const { path } = USER_FILTER_FIELDS[name];
+    const operators = condition !== null && typeof condition === 'object' && !(condition instanceof Date)
+      ? condition
+      : { eq: condition };
+
+    return [path, Object.fromEntries(Object.entries(operators).map(([operator, value]) => {
+      if (operator === 'exists') {
+        // Los campos de fecha sin valor se guardan como null
+        return value ? ['$ne', null] : ['$eq', null];
+      }
+      return [`$${operator}`, resolveFilterValue(value, now)];
+    }))];
+  })
+);
+
+module.exports = {
+  buildUserFilter,
+};
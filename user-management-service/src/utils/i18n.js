@@ -0,0 +1,124 @@
+/**
+ * @fileoverview i18n - Traducción de los mensajes de la API y de los emails
+ * @description Los textos están en los catálogos de src/locales. El idioma de una petición
+ * es el preferido por el usuario autenticado (preferences.language, que authenticate deja
+ * en req.user.lang), si no el mejor de Accept-Language y, si no, DEFAULT_LOCALE.
+ */
+
+const config = require('../config/env');
+const locales = require('../locales');
+
+/**
+ * Idiomas con catálogo, en el orden de preferencia ante un Accept-Language: *
+ */
+const SUPPORTED_LOCALES = Object.keys(locales);
+
+/**
+ * @function isSupportedLocale
+ * @description Indica si hay catálogo para un idioma
+ * @param {string} locale - Código de idioma ('es')
+ * @returns {boolean} true si está en SUPPORTED_LOCALES
+ */
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+/**
+ * @function translate
+ * @description Traduce una clave de los catálogos sustituyendo sus parámetros {{nombre}}
+ * @param {string} locale - Idioma (uno no soportado usa DEFAULT_LOCALE)
+ * @param {string} key - Clave con puntos ('errors.USER_NOT_FOUND', 'emails.verification.subject')
+ * @param {Object} [params={}] - Valores de los parámetros
+ * @returns {string} Texto traducido (las listas de líneas, unidas con saltos de línea); la
+ * propia clave si no existe
+ *
+ * @example
+ * translate('es', 'errors.MFA_REQUIRED', { role: 'admin' }); // 'El MFA es obligatorio para el rol admin'
+ */
+const translate = (locale, key, params = {}) => {
+  const catalog = locales[isSupportedLocale(locale) ? locale : config.i18n.defaultLocale];
+  const template = key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), catalog);
+  if (typeof template !== 'string' && !Array.isArray(template)) {
+    return key;
+  }
+
+  const text = Array.isArray(template) ? template.join('\n') : template;
+  return text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+    params[name] === undefined ? placeholder : String(params[name])
+  ));
+};
+
+/**
+ * @function resolveLocale
+ * @description Idioma de una petición: preferencia del usuario autenticado, Accept-Language
+ * o DEFAULT_LOCALE
+ * @param {Object} req - Objeto de petición Express
+ * @returns {string} Idioma soportado
+ */
+const resolveLocale = (req) => {
+  if (req.user && isSupportedLocale(req.user.lang)) {
+    return req.user.lang;
+  }
+  // Sin cabecera, acceptsLanguages devolvería el primer idioma soportado
+  if (req.headers['accept-language']) {
+    const accepted = req.acceptsLanguages(SUPPORTED_LOCALES);
+    if (accepted) {
+      return accepted;
+    }
+  }
+  return config.i18n.defaultLocale;
+};
+
+/**
+ * @function userLocale
+ * @description Idioma de un usuario fuera de una petición (emails)
+ * @param {Object} [user] - Usuario con preferences.language
+ * @returns {string} Su idioma si está soportado; si no, DEFAULT_LOCALE
+ */
+const userLocale = (user) => {
+  const language = user && user.preferences && user.preferences.language;
+  return isSupportedLocale(language) ? language : config.i18n.defaultLocale;
+};
+
+/**
+ * @function formatDate
+ * @description Formatea una fecha para un texto traducido (en UTC)
+ * @param {string} locale - Idioma
+ * @param {Date} date - Fecha
+ * @returns {string} Fecha larga con la hora, p. ej. '1 de mayo de 2027, 0:00:00 UTC'
+ */
+const formatDate = (locale, date) => new Intl.DateTimeFormat(locale, {
+  dateStyle: 'long',
+  timeStyle: 'long',
+  timeZone: 'UTC',
+}).format(date);
+
+/**
+ * Mensajes de Joi por idioma, para la opción messages de validate() junto con
+ * errors.language
+ */
+const JOI_MESSAGES = Object.fromEntries(SUPPORTED_LOCALES.map((locale) => [locale, locales[locale].joi]));
+
+/**
+ * @function localizedMessages
+ * @description Mensaje propio de un schema Joi en todos los idiomas, para .messages()
+ * @param {string} code - Tipo de error de Joi ('any.invalid')
+ * @param {string} key - Clave del mensaje en los catálogos ('validation.fieldsNotAllowed')
+ * @param {Object} [params] - Parámetros del mensaje ({{#label}} y los de Joi los resuelve Joi)
+ * @returns {Object} Mensajes por idioma: { en: { [code]: texto }, es: ... }
+ *
+ * @example
+ * Joi.forbidden().messages(localizedMessages('any.unknown', 'validation.roleOnRegistration'));
+ */
+const localizedMessages = (code, key, params) => Object.fromEntries(
+  SUPPORTED_LOCALES.map((locale) => [locale, { [code]: translate(locale, key, params) }])
+);
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  isSupportedLocale,
+  translate,
+  resolveLocale,
+  userLocale,
+  formatDate,
+  JOI_MESSAGES,
+  localizedMessages,
+};
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Import Parser - Lectura de los archivos de importación de usuarios
+ * @description Convierte un archivo CSV (con fila de cabecera) o NDJSON (un objeto JSON
+ * por línea) en filas { line, data } para validarlas una a una. Una fila que no se puede
+ * leer (JSON inválido, comillas sin cerrar) se devuelve con error en lugar de abortar
+ * la importación, para que aparezca en el informe por fila.
+ */
+
+/**
+ * Columnas reconocidas en la cabecera del CSV (sin distinguir mayúsculas: "Email" → email)
+ */
+const KNOWN_COLUMNS = ['email', 'firstName', 'lastName', 'username'];
+
+/**
+ * @function splitCsvRecords
+ * @description Divide un CSV en registros y campos (RFC 4180: campos entre comillas con
+ * comas, saltos de línea y comillas dobles escapadas como "")
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object>} Registros { line, fields } o { line, error } (line empieza en 1)
+ */
+const splitCsvRecords = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    // Las líneas vacías no son registros
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    records.push({ line: recordLine, error: 'Unterminated quoted field' });
+  } else {
+    endRecord();
+  }
+  return records;
+};
+
+/**
+ * @function parseCsv
+ * @description Lee un CSV cuya primera fila es la cabecera con los nombres de las columnas
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object>} Filas { line, data } o { line, error }
+ */
+const parseCsv = (text) => {
+  const [header, ...records] = splitCsvRecords(text);
+  if (!header || header.error) {
+    return [];
+  }
+
+  const columns = header.fields.map((name) => {
+    const trimmed = name.trim();
+    return KNOWN_COLUMNS.find((column) => column.toLowerCase() === trimmed.toLowerCase()) || trimmed;
+  });
+
+  return records.map(({ line, fields, error }) => {
+    if (error) {
+      return { line, error };
+    }
+    if (fields.length !== columns.length) {
+      return { line, error: `Expected ${columns.length} columns, found ${fields.length}` };
+    }
+    // Las celdas vacías equivalen a no indicar el campo
+    const data = Object.fromEntries(
+      columns.map((column, index) => [column, fields[index].trim()]).filter(([, value]) => value !== '')
+    );
+    return { line, data };
+  });
+};
+
+/**
+ * @function parseNdjson
+ * @description Lee un archivo NDJSON (un objeto JSON por línea; las líneas vacías se ignoran)
+ * @param {string} text - Contenido del archivo
+ * @returns {Array<Object>} Filas { line, data } o { line, error }
+ */
+const parseNdjson = (text) => text.split(/\r?\n/)
+  .map((content, index) => ({ line: index + 1, content: content.trim() }))
+  .filter(({ content }) => content !== '')
+  .map(({ line, content }) => {
+    try {
+      const data = JSON.parse(content);
+      if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        return { line, error: 'Each line must be a JSON object' };
+      }
+      return { line, data };
+    } catch (error) {
+      return { line, error: 'Invalid JSON' };
+    }
+  });
+
+/**
+ * @function parseImportFile
+ * @description Lee un archivo de importación en el formato indicado
+ * @param {string} text - Contenido del archivo
+ * @param {string} format - 'csv' o 'ndjson'
+ * @returns {Array<Object>} Filas { line, data } o { line, error }
+ */
+const parseImportFile = (text, format) => {
+  // Los CSV exportados desde hojas de cálculo suelen empezar con un BOM
+  const content = text.replace(/^\uFEFF/, '');
+  return format === 'csv' ? parseCsv(content) : parseNdjson(content);
+};
+
+module.exports = {
+  parseImportFile,
+};
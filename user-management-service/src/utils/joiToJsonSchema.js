@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Joi To JSON Schema - Conversión de los schemas Joi a JSON Schema
+ * @description Traduce la descripción de un schema Joi (schema.describe()) al JSON Schema
+ * (draft 2020-12) que usa OpenAPI 3.1, para que la documentación de la API salga de los
+ * mismos schemas que validan las peticiones. Solo cubre las reglas que usan los schemas
+ * del servicio; las reglas sin equivalente (custom, when, ref) se omiten.
+ */
+
+/**
+ * Formato JSON Schema de las reglas de string de Joi
+ */
+const STRING_FORMATS = {
+  email: 'email',
+  uri: 'uri',
+  isoDate: 'date-time',
+  guid: 'uuid',
+};
+
+/**
+ * @function getRule
+ * @description Busca una regla en la descripción de un schema
+ * @param {Object} description - Descripción Joi (schema.describe())
+ * @param {string} name - Nombre de la regla ('min', 'max', 'length'...)
+ * @returns {Object|undefined} Regla { name, args } o undefined
+ */
+const getRule = (description, name) => (description.rules || []).find((rule) => rule.name === name);
+
+/**
+ * @function applyLimits
+ * @description Traduce las reglas min, max y length al par de palabras clave indicado
+ * @param {Object} description - Descripción Joi
+ * @param {Object} schema - JSON Schema en construcción (se modifica)
+ * @param {Array<string>} keywords - Palabras clave [mínimo, máximo]
+ */
+const applyLimits = (description, schema, [minKeyword, maxKeyword]) => {
+  const min = getRule(description, 'min');
+  const max = getRule(description, 'max');
+  const length = getRule(description, 'length');
+  if (min) schema[minKeyword] = min.args.limit;
+  if (max) schema[maxKeyword] = max.args.limit;
+  if (length) {
+    schema[minKeyword] = length.args.limit;
+    schema[maxKeyword] = length.args.limit;
+  }
+};
+
+/**
+ * @function convertString
+ * @description Reglas de un Joi.string()
+ * @param {Object} description - Descripción Joi
+ * @returns {Object} JSON Schema
+ */
+const convertString = (description) => {
+  const schema = { type: 'string' };
+  applyLimits(description, schema, ['minLength', 'maxLength']);
+
+  (description.rules || []).forEach(({ name, args }) => {
+    if (STRING_FORMATS[name]) {
+      schema.format = STRING_FORMATS[name];
+    } else if (name === 'hex') {
+      schema.pattern = '^[0-9a-fA-F]+$';
+    } else if (name === 'alphanum') {
+      schema.pattern = '^[a-zA-Z0-9]+$';
+    } else if (name === 'pattern') {
+      schema.pattern = args.regex.replace(/^\/(.*)\/[a-z]*$/, '$1');
+    }
+  });
+  return schema;
+};
+
+/**
+ * @function convertObject
+ * @description Claves, claves obligatorias y claves adicionales de un Joi.object()
+ * @param {Object} description - Descripción Joi
+ * @returns {Object} JSON Schema
+ */
+const convertObject = (description) => {
+  const schema = { type: 'object' };
+  const keys = Object.entries(description.keys || {});
+  applyLimits(description, schema, ['minProperties', 'maxProperties']);
+
+  if (keys.length > 0) {
+    // Una clave Joi.forbidden() es el schema false: la clave no puede aparecer
+    schema.properties = Object.fromEntries(keys.map(([name, key]) => [
+      name,
+      (key.flags || {}).presence === 'forbidden' ? false : convert(key),
+    ]));
+    const required = keys.filter(([, key]) => (key.flags || {}).presence === 'required').map(([name]) => name);
+    if (required.length > 0) {
+      schema.required = required;
+    }
+  }
+
+  // .pattern(/./, Joi.forbidden()) rechaza cualquier clave que no esté en keys; con otro
+  // schema, es el de los valores de las demás claves (p. ej. rol → permisos)
+  const [pattern] = description.patterns || [];
+  if (pattern) {
+    schema.additionalProperties = (pattern.rule.flags || {}).presence === 'forbidden' ? false : convert(pattern.rule);
+  }
+
+  // .xor('code', 'recoveryCode'): exactamente una de las claves
+  const xor = (description.dependencies || []).find(({ rel }) => rel === 'xor');
+  if (xor) {
+    schema.oneOf = xor.peers.map((peer) => ({ required: [peer] }));
+  }
+  return schema;
+};
+
+/**
+ * @function convert
+ * @description Convierte una descripción Joi en JSON Schema
+ * @param {Object} description - Descripción Joi (schema.describe())
+ * @returns {Object} JSON Schema
+ */
+const convert = (description) => {
+  const flags = description.flags || {};
+  let schema;
+
+  switch (description.type) {
+    case 'string':
+      schema = convertString(description);
+      break;
+    case 'number':
+      schema = { type: getRule(description, 'integer') ? 'integer' : 'number' };
+      applyLimits(description, schema, ['minimum', 'maximum']);
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'date':
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'array':
+      schema = { type: 'array' };
+      applyLimits(description, schema, ['minItems', 'maxItems']);
+      if (getRule(description, 'unique')) schema.uniqueItems = true;
+      if ((description.items || []).length > 0) {
+        const items = description.items.map(convert);
+        schema.items = items.length === 1 ? items[0] : { anyOf: items };
+      }
+      break;
+    case 'object':
+      schema = convertObject(description);
+      break;
+    case 'alternatives':
+      schema = { anyOf: description.matches.map((match) => convert(match.schema)) };
+      break;
+    default:
+      schema = {};
+  }
+
+  // .valid(...) restringe los valores; .allow('', null) añade valores a los del tipo
+  if (flags.only && description.allow) {
+    schema.enum = description.allow;
+    if (schema.type && description.allow.includes(null)) {
+      schema.type = [schema.type, 'null'];
+    }
+  } else if (description.allow) {
+    const allowed = { enum: description.allow };
+    schema = schema.anyOf ? { ...schema, anyOf: [...schema.anyOf, allowed] } : { anyOf: [schema, allowed] };
+  }
+
+  // Los defaults calculados (arrays de la configuración) no se documentan como valor literal
+  if (flags.default !== undefined && (flags.default === null || typeof flags.default !== 'object')) {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+  return schema;
+};
+
+/**
+ * @function joiToJsonSchema
+ * @description Convierte un schema Joi en JSON Schema
+ * @param {Object} joiSchema - Schema Joi
+ * @returns {Object} JSON Schema (draft 2020-12)
+ *
+ * @example
+ * joiToJsonSchema(Joi.object({ email: Joi.string().email().required() }));
+ * // { type: 'object', properties: { email: { type: 'string', format: 'email' } }, required: ['email'] }
+ */
+const joiToJsonSchema = (joiSchema) => convert(joiSchema.describe());
+
+module.exports = {
+  joiToJsonSchema,
+};
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview OpenAPI - Generación de la especificación OpenAPI 3.1 de la API
+ * @description Recorre las rutas de los routers de Express y documenta cada una con lo que
+ * ya declaran sus middlewares: el schema Joi de validate() (body o query string), la
+ * autenticación, los permisos de authorizePermission() y los rate limiters. El cuerpo de
+ * las respuestas 2xx sale de schemas/responseSchemas, y el resumen, el grupo y los códigos
+ * de respuesta de config/apiDocs.
+ */
+
+const { joiToJsonSchema } = require('./joiToJsonSchema');
+const { authenticate, authenticateMfaEnrollment } = require('../middlewares/authMiddleware');
+const { emailLimiter, mfaLimiter } = require('../middlewares/rateLimitMiddleware');
+const { getResponseSchema } = require('../middlewares/responseValidationMiddleware');
+const { getVersionedSchema } = require('../middlewares/apiVersionMiddleware');
+const { API_TAGS, ROUTE_DOCS } = require('../config/apiDocs');
+const { API_VERSIONS, CURRENT_API_VERSION } = require('../config/apiVersions');
+const { ERROR_CODES } = require('../config/errorCodes');
+const { version } = require('../../package.json');
+
+/**
+ * Middlewares que exigen un Bearer token
+ */
+const AUTHENTICATION_MIDDLEWARES = [authenticate, authenticateMfaEnrollment];
+
+/**
+ * Middlewares que limitan las peticiones por IP
+ */
+const RATE_LIMIT_MIDDLEWARES = [emailLimiter, mfaLimiter];
+
+/**
+ * Parámetros de ruta que contienen un ObjectId de MongoDB
+ */
+const OBJECT_ID_PARAM = /^(id|\w+Id)$/;
+
+/**
+ * @function listRoutes
+ * @description Lista las rutas de un router con sus middlewares
+ * @param {Object} router - Router de Express
+ * @returns {Array<Object>} Rutas { key, method, path, handlers }; key es 'MÉTODO /ruta' (ver ROUTE_DOCS)
+ */
+const listRoutes = (router) => router.stack
+  .filter((layer) => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods).map((method) => ({
+    key: `${method.toUpperCase()} ${route.path}`,
+    method,
+    path: route.path,
+    handlers: route.stack.map((layer) => layer.handle),
+  })));
+
+/**
+ * @function buildParameters
+ * @description Parámetros de ruta (:id) y de query string (schema de validate(schema, 'query'))
+ * @param {string} path - Ruta de Express
+ * @param {Object} [querySchema] - Schema Joi de la query string
+ * @returns {Array<Object>} Parámetros OpenAPI
+ */
+const buildParameters = (path, querySchema) => {
+  const pathParameters = [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: OBJECT_ID_PARAM.test(name) ? { type: 'string', pattern: '^[0-9a-fA-F]{24}$' } : { type: 'string' },
+  }));
+  if (!querySchema) {
+    return pathParameters;
+  }
+
+  const { properties = {}, required = [] } = joiToJsonSchema(querySchema);
+  const queryParameters = Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: required.includes(name),
+    schema,
+    // filter[campo][operador]=valor
+    ...(schema.type === 'object' && { style: 'deepObject', explode: true }),
+  }));
+  return [...pathParameters, ...queryParameters];
+};
+
+/**
+ * @function buildResponse
+ * @description Respuesta OpenAPI de un código de estado
+ * @param {string} status - Código de estado
+ * @param {string} description - Descripción
+ * @param {Object} options - Cuerpo de la respuesta
+ * @param {Object} [options.schema] - Schema Joi de una respuesta 2xx en JSON
+ * @param {Array<string>} [options.contentTypes] - Tipos de contenido de una respuesta 2xx que no es JSON
+ * @param {boolean} [options.legacyErrors] - Errores con el formato anterior a problem+json (ver API_VERSIONS)
+ * @returns {Object} Respuesta OpenAPI
+ */
+const buildResponse = (status, description, { schema, contentTypes, legacyErrors }) => {
+  if (status.startsWith('3')) {
+    return { description, headers: { Location: { schema: { type: 'string', format: 'uri' } } } };
+  }
+  if (!status.startsWith('2')) {
+    return legacyErrors
+      ? { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+      : { description, content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } } };
+  }
+  if (contentTypes) {
+    return { description, content: Object.fromEntries(contentTypes.map((type) => [type, { schema: { type: 'string' } }])) };
+  }
+  return { description, content: { 'application/json': { schema: schema ? joiToJsonSchema(schema) : {} } } };
+};
+
+/**
+ * @function buildOperation
+ * @description Operación OpenAPI de una ruta
+ * @param {Object} route - Ruta (ver listRoutes)
+ * @param {string} version - Versión de la API (elige los schemas por versión y marca las obsoletas)
+ * @returns {Object} Operación OpenAPI
+ */
+const buildOperation = ({ key, path, handlers }, version) => {
+  const docs = ROUTE_DOCS[key] || { responses: {} };
+  const validators = handlers.filter((handler) => handler.schema);
+  const bodyValidator = validators.find((handler) => handler.property === 'body');
+  const queryValidator = validators.find((handler) => handler.property === 'query');
+  const permissions = handlers.flatMap((handler) => handler.permissions || []);
+  const authenticated = handlers.some((handler) => AUTHENTICATION_MIDDLEWARES.includes(handler));
+  const rateLimited = handlers.some((handler) => RATE_LIMIT_MIDDLEWARES.includes(handler));
+
+  // Respuestas de error comunes que se deducen de los middlewares
+  const responses = {
+    ...(validators.length > 0 && { 400: 'Validation failed' }),
+    ...(authenticated && { 401: 'Missing, invalid or expired access token' }),
+    ...(permissions.length > 0 && { 403: 'Insufficient permissions' }),
+    ...(rateLimited && { 429: 'Too many requests from this IP' }),
+    ...docs.responses,
+  };
+
+  const operationId = handlers[handlers.length - 1].name;
+  const operation = {
+    operationId,
+    summary: docs.summary,
+    tags: docs.tag ? [docs.tag] : [],
+    parameters: buildParameters(path, queryValidator && getVersionedSchema(queryValidator.schema, version)),
+    responses: Object.fromEntries(Object.keys(responses).sort().map((status) => [
+      status,
+      buildResponse(status, responses[status], {
+        schema: getResponseSchema(operationId, Number(status)),
+        contentTypes: docs.responseContentTypes,
+        legacyErrors: API_VERSIONS[version].legacyErrors,
+      }),
+    ])),
+  };
+
+  if (docs.requestContentTypes) {
+    operation.requestBody = {
+      required: true,
+      content: Object.fromEntries(docs.requestContentTypes.map((type) => [type, { schema: { type: 'string' } }])),
+    };
+  } else if (bodyValidator) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: joiToJsonSchema(getVersionedSchema(bodyValidator.schema, version)) } },
+    };
+  }
+  if (API_VERSIONS[version].deprecatedAt) {
+    operation.deprecated = true;
+  }
+  if (authenticated) {
+    operation.security = [{ bearerAuth: [] }];
+  }
+  if (permissions.length > 0) {
+    operation['x-permissions'] = permissions;
+  }
+  return operation;
+};
+
+/**
+ * @function buildOpenApiDocument
+ * @description Genera la especificación OpenAPI 3.1 de los routers indicados
+ * @param {Array<Object>} mounts - Routers, su prefijo y su versión de la API (por defecto, la actual):
+ * [{ basePath: '/api/v2/users', router, version: 'v2' }]
+ * @returns {Object} Documento OpenAPI
+ *
+ * @example
+ * const document = buildOpenApiDocument([{ basePath: '/api/v2/users', router: userRoutes, version: 'v2' }]);
+ */
+const buildOpenApiDocument = (mounts) => {
+  const paths = {};
+  mounts.forEach(({ basePath, router, version = CURRENT_API_VERSION }) => {
+    listRoutes(router).forEach((route) => {
+      const path = `${basePath}${route.path.replace(/:(\w+)/g, '{$1}')}`;
+      paths[path] = { ...paths[path], [route.method]: buildOperation(route, version) };
+    });
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'User Management Service API',
+      version,
+      description: 'Users, authentication and administration for the learning platform.',
+    },
+    tags: API_TAGS,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: {
+        // RFC 7807; code es la clave del catálogo de /api/docs/errors
+        Problem: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', format: 'uri-reference' },
+            title: { type: 'string' },
+            status: { type: 'integer' },
+            detail: { type: 'string' },
+            instance: { type: 'string', format: 'uri-reference' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            requestId: { type: 'string' },
+            details: { type: 'object', additionalProperties: { type: 'string' } },
+          },
+          required: ['type', 'title', 'status', 'detail', 'code'],
+        },
+        ErrorResponse: {
+          type: 'object',
+          properties: {
+            success: { const: false },
+            error: { type: 'string' },
+            code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+            details: { type: 'object', additionalProperties: { type: 'string' } },
+          },
+          required: ['success', 'error', 'code'],
+        },
+      },
+    },
+  };
+};
+
+module.exports = {
+  listRoutes,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Polling Worker - Bucle en segundo plano que procesa trabajo por lotes
+ * @description Base de los procesos que vacían colas guardadas en MongoDB (outbox de
+ * eventos, entregas de webhooks). Las subclases implementan processBatch(); el worker
+ * la ejecuta periódicamente sin solapar lotes de la misma instancia.
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+/**
+ * @class PollingWorker
+ * @description Ejecuta processBatch() cada intervalMs, o de inmediato si el lote anterior estaba lleno
+ */
+class PollingWorker {
+  /**
+   * @param {string} name - Nombre del worker (para los logs)
+   * @param {Object} options - Opciones
+   * @param {Function} options.getIntervalMs - Espera entre lotes (se lee en cada lote)
+   * @param {Function} options.getBatchSize - Elementos por lote (se lee en cada lote)
+   */
+  constructor(name, { getIntervalMs, getBatchSize }) {
+    this.name = name;
+    this.getIntervalMs = getIntervalMs;
+    this.getBatchSize = getBatchSize;
+    // Identifica la instancia en las reservas (lockedBy) de los elementos que procesa
+    this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * @method start
+   * @description Arranca el worker
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    logger.info(`${this.name} started (${this.instanceId})`);
+    this.scheduleNext(0);
+  }
+
+  /**
+   * @method stop
+   * @description Detiene el worker (los elementos reservados se liberan al expirar la reserva)
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @method scheduleNext
+   * @description Programa el siguiente lote sin solapar lotes de la misma instancia
+   * @param {number} delayMs - Espera antes del lote
+   */
+  scheduleNext(delayMs) {
+    if (!this.running) {
+      return;
+    }
+    this.timer = setTimeout(async () => {
+      let processed = 0;
+      try {
+        processed = await this.processBatch();
+      } catch (error) {
+        logger.error(`${this.name} error: ${error.message}`);
+      }
+      // Si el lote estaba lleno probablemente queda más trabajo: continuar sin esperar
+      this.scheduleNext(processed >= this.getBatchSize() ? 0 : this.getIntervalMs());
+    }, delayMs);
+    // El worker no debe impedir que el proceso termine
+    this.timer.unref();
+  }
+
+  /**
+   * @method processBatch
+   * @description Procesa un lote (la implementan las subclases)
+   * @returns {Promise<number>} Número de elementos procesados
+   */
+  async processBatch() {
+    throw new Error('processBatch() must be implemented');
+  }
+}
+
+module.exports = PollingWorker;
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Search Utils - Normalización de texto para la búsqueda de usuarios
+ * @description Cada usuario guarda en searchTokens las palabras de su email, nombre,
+ * apellido, username, habilidades e intereses, normalizadas: en minúsculas y sin tildes
+ * ni diéresis ("Muñoz" → "munoz"). La búsqueda normaliza igual los términos y busca
+ * tokens que empiecen por cada uno de ellos, lo que usa el índice de searchTokens.
+ */
+
+/**
+ * Campos del usuario de los que se obtienen los tokens de búsqueda
+ */
+const SEARCH_FIELDS = ['email', 'firstName', 'lastName', 'username', 'learningProfile'];
+
+/**
+ * Número máximo de términos de búsqueda que se tienen en cuenta
+ */
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * @function normalizeText
+ * @description Pasa un texto a minúsculas y le quita las marcas diacríticas
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ */
+const normalizeText = (text) => String(text)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+/**
+ * @function tokenize
+ * @description Divide un texto normalizado en palabras alfanuméricas
+ * @param {string} text - Texto original
+ * @returns {Array<string>} Palabras (sin repetir)
+ */
+const tokenize = (text) => [...new Set(normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean))];
+
+/**
+ * @function escapeRegex
+ * @description Escapa los caracteres especiales de una expresión regular
+ * @param {string} text - Texto literal
+ * @returns {string} Texto que se puede insertar en un RegExp
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @function buildSearchTokens
+ * @description Calcula los tokens de búsqueda de un usuario
+ * @param {Object} user - Usuario (email, firstName, lastName, username, learningProfile)
+ * @returns {Array<string>} Tokens normalizados (sin repetir)
+ */
+const buildSearchTokens = (user) => {
+  const { skills = [], interests = [] } = user.learningProfile || {};
+  const texts = [
+    user.email,
+    user.firstName,
+    user.lastName,
+    user.username,
+    ...skills.map((skill) => skill.name),
+    ...interests,
+  ].filter(Boolean);
+
+  return tokenize(texts.join(' '));
+};
+
+/**
+ * @function parseSearchTerms
+ * @description Convierte el texto de búsqueda en términos normalizados
+ * @param {string} search - Texto introducido por el usuario
+ * @returns {Array<string>} Hasta MAX_SEARCH_TERMS términos (vacío si no hay ninguna palabra)
+ */
+const parseSearchTerms = (search) => tokenize(search).slice(0, MAX_SEARCH_TERMS);
+
+/**
+ * @function buildSearchFilter
+ * @description Filtro de MongoDB de los usuarios con un token que empiece por cada término
+ * @param {Array<string>} terms - Términos devueltos por parseSearchTerms
+ * @returns {Object} Filtro sobre searchTokens (sin términos no coincide ningún usuario)
+ */
+const buildSearchFilter = (terms) => ({
+  searchTokens: { $all: terms.map((term) => new RegExp(`^${escapeRegex(term)}`)) },
+});
+
+/**
+ * @function buildRelevanceScore
+ * @description Expresión de agregación que puntúa la relevancia de un usuario: 2 puntos
+ * por cada término que coincide con un token completo y 1 si solo coincide como prefijo
+ * @param {Array<string>} terms - Términos devueltos por parseSearchTerms
+ * @returns {Object} Expresión de agregación
+ */
+const buildRelevanceScore = (terms) => ({
+  $add: terms.map((term) => ({ $cond: [{ $in: [term, { $ifNull: ['$searchTokens', []] }] }, 2, 1] })),
+});
+
+module.exports = {
+  SEARCH_FIELDS,
+  normalizeText,
+  escapeRegex,
+  buildSearchTokens,
+  parseSearchTerms,
+  buildSearchFilter,
+  buildRelevanceScore,
+};
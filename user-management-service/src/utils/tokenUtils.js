@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Token Utilities - Utilidades para generar y hashear tokens
+ * @description Funciones auxiliares para generar tokens aleatorios y calcular
+ * su hash antes de persistirlos, de modo que la base de datos nunca guarde
+ * tokens utilizables en texto plano.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * @function hashToken
+ * @description Calcula el hash SHA-256 de un token
+ * @param {string} token - Token en texto plano
+ * @returns {string} Hash hexadecimal del token
+ *
+ * @description SHA-256 es suficiente (no se necesita bcrypt) porque los tokens
+ * son valores aleatorios de alta entropía, no contraseñas elegidas por personas.
+ *
+ * @example
+ * const tokenHash = hashToken(refreshToken);
+ * await User.findOne({ 'refreshTokens.tokenHash': tokenHash });
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @function generateRandomToken
+ * @description Genera un token aleatorio criptográficamente seguro
+ * @param {number} [bytes=32] - Cantidad de bytes aleatorios
+ * @returns {string} Token en formato hexadecimal
+ */
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+};
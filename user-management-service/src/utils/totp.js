@@ -0,0 +1,164 @@
+/**
+ * @fileoverview TOTP Utilities - Contraseñas de un solo uso basadas en tiempo (RFC 6238)
+ * @description Implementación de TOTP compatible con Google Authenticator, Authy,
+ * 1Password, etc.: HMAC-SHA1, 6 dígitos y pasos de 30 segundos. Incluye la
+ * codificación base32 de los secretos y la construcción de la URI otpauth://.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+/**
+ * @function base32Encode
+ * @description Codifica un buffer en base32 (RFC 4648, sin padding)
+ * @param {Buffer} buffer - Datos a codificar
+ * @returns {string} Cadena base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * @function base32Decode
+ * @description Decodifica una cadena base32 (ignora espacios, guiones y padding)
+ * @param {string} input - Cadena base32
+ * @returns {Buffer} Datos decodificados
+ * @throws {Error} Si la cadena contiene caracteres inválidos
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * @function generateSecret
+ * @description Genera un secreto TOTP aleatorio de 160 bits
+ * @returns {string} Secreto en base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * @function getTimeStep
+ * @description Calcula el paso de tiempo TOTP para un instante dado
+ * @param {number} [timestamp=Date.now()] - Instante en milisegundos
+ * @returns {number} Número de paso (ventanas de 30 segundos desde epoch)
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * @function generateCode
+ * @description Calcula el código HOTP de un secreto para un paso de tiempo
+ * @param {string} secret - Secreto en base32
+ * @param {number} step - Paso de tiempo
+ * @returns {string} Código de 6 dígitos
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  // Truncamiento dinámico (RFC 4226, sección 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * @function verifyCode
+ * @description Verifica un código TOTP tolerando desfases de reloj
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {Object} [options={}] - Opciones
+ * @param {number} [options.window=1] - Pasos aceptados antes y después del actual
+ * @param {number} [options.timestamp=Date.now()] - Instante de verificación
+ * @returns {number|null} Paso que coincidió (para evitar reutilizar el código) o null
+ *
+ * @example
+ * const step = verifyCode(user.mfa.secret, '123456');
+ * if (step === null || step <= user.mfa.lastUsedStep) throw new AppError('Invalid MFA code', 401, 'MFA_CODE_INVALID');
+ */
+const verifyCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const candidate = Buffer.from(generateCode(secret, currentStep + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @function buildOtpauthUri
+ * @description Construye la URI otpauth:// que las apps autenticadoras leen desde un QR
+ * @param {Object} options - Datos de la cuenta
+ * @param {string} options.secret - Secreto en base32
+ * @param {string} options.accountName - Nombre de la cuenta (normalmente el email)
+ * @param {string} options.issuer - Nombre del emisor que muestra la app
+ * @returns {string} URI otpauth://totp/...
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
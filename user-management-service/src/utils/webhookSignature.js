@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Webhook Signature - Firma HMAC-SHA256 de los webhooks salientes
+ * @description Cada entrega lleva el header X-Webhook-Signature con el formato
+ * "t=<timestamp>,v1=<firma>", donde la firma es el HMAC-SHA256 (hex) de
+ * "<timestamp>.<body>" con el secreto de la suscripción. Incluir el timestamp en la
+ * firma permite al receptor rechazar entregas antiguas (ataques de repetición).
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Header en el que viaja la firma
+ */
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+/**
+ * Antigüedad máxima por defecto que acepta verifySignature
+ */
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * @function generateSecret
+ * @description Genera el secreto de firma de una suscripción
+ * @returns {string} Secreto con el prefijo whsec_
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * @function computeSignature
+ * @description Calcula el HMAC-SHA256 de "<timestamp>.<body>"
+ * @param {string} secret - Secreto de la suscripción
+ * @param {number} timestamp - Segundos desde epoch
+ * @param {string} body - Body exacto que se envía
+ * @returns {string} Firma en hexadecimal
+ */
+const computeSignature = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * @function signPayload
+ * @description Genera el valor del header X-Webhook-Signature
+ * @param {string} secret - Secreto de la suscripción
+ * @param {string} body - Body exacto que se envía
+ * @param {number} [timestamp] - Segundos desde epoch (por defecto, ahora)
+ * @returns {string} "t=<timestamp>,v1=<firma>"
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => (
+  `t=${timestamp},v1=${computeSignature(secret, timestamp, body)}`
+);
+
+/**
+ * @function verifySignature
+ * @description Comprueba el header X-Webhook-Signature de una entrega recibida
+ * (lo que debe hacer el receptor, en tiempo constante)
+ * @param {string} secret - Secreto de la suscripción
+ * @param {string} header - Valor del header X-Webhook-Signature
+ * @param {string} body - Body recibido, sin parsear
+ * @param {number} [toleranceSeconds=300] - Antigüedad máxima del timestamp
+ * @returns {boolean} true si la firma es válida y reciente
+ */
+const verifySignature = (secret, header, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return false;
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body));
+  const received = Buffer.from(parts.v1);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  generateSecret,
+  signPayload,
+  verifySignature,
+};
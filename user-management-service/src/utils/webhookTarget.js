@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Webhook Target - Destinos permitidos para los webhooks salientes
+ * @description La URL de una suscripción la elige un administrador, pero las entregas salen
+ * desde la red del servicio: sin restricciones, un webhook podría alcanzar servicios
+ * internos (SSRF). Se rechazan las direcciones privadas, de loopback y link-local, tanto al
+ * crear la suscripción (si la URL es una IP o localhost) como al conectar (con la dirección
+ * resuelta por DNS, para que un nombre no pueda apuntar después a la red interna).
+ * WEBHOOK_ALLOW_PRIVATE_TARGETS desactiva la comprobación (desarrollo y tests).
+ */
+
+const dns = require('dns');
+const net = require('net');
+const config = require('../config/env');
+
+/**
+ * Rangos a los que no puede conectarse un webhook. BlockList compara las IPv6 mapeadas
+ * (::ffff:127.0.0.1) con los rangos IPv4
+ */
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "Esta red"
+  ['10.0.0.0', 8], // Privada
+  ['100.64.0.0', 10], // NAT de operador (CGNAT)
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local (incluye los metadatos de los proveedores cloud)
+  ['172.16.0.0', 12], // Privada
+  ['192.0.0.0', 24], // Reservada IETF
+  ['192.168.0.0', 16], // Privada
+  ['198.18.0.0', 15], // Pruebas de rendimiento
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4], // Reservada y broadcast
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], // Sin especificar
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64 (podría traducirse a una IPv4 privada)
+  ['fc00::', 7], // Única local (privada)
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8], // Multicast
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * @function isPrivateAddress
+ * @description Indica si una IP es privada, de loopback, link-local o reservada
+ * @param {string} address - Dirección IPv4 o IPv6
+ * @returns {boolean} true si un webhook no puede conectarse a ella
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * @function isAllowedTargetUrl
+ * @description Comprueba al crear o editar una suscripción que su URL no apunte a la red
+ * interna. Los nombres de host se comprueban al conectar (ver lookup).
+ * @param {string} url - URL http(s) de la suscripción
+ * @returns {boolean} false si el host es localhost o una IP no permitida
+ */
+const isAllowedTargetUrl = (url) => {
+  if (config.webhooks.allowPrivateTargets) {
+    return true;
+  }
+  // WHATWG URL deja las IPv6 entre corchetes
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return false;
+  }
+  return !isPrivateAddress(hostname);
+};
+
+/**
+ * @function lookup
+ * @description Resolución DNS para http.request que rechaza las direcciones no permitidas,
+ * de modo que se comprueba la dirección a la que realmente se conecta
+ * @param {string} hostname - Host de la URL
+ * @param {Object} options - Opciones de dns.lookup (all: true con autoSelectFamily)
+ * @param {Function} callback - (error, address, family) o (error, addresses)
+ */
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked && !config.webhooks.allowPrivateTargets) {
+      return callback(new Error(`Webhook target ${hostname} resolves to a private address (${blocked.address})`));
+    }
+    return callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isAllowedTargetUrl,
+  lookup,
+};
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const app = require('../src/app');
+const userSchemas = require('../src/schemas/userSchemas');
+const { getVersionedSchema } = require('../src/middlewares/apiVersionMiddleware');
+const { API_VERSIONS } = require('../src/config/apiVersions');
+
+describe('API versioning', () => {
+  const registration = {
+    email: 'versioned@example.com',
+    password: 'password123',
+    firstName: 'Versioned',
+    lastName: 'User',
+    role: 'admin',
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep the v1 register contract and reject role from v2', () => {
+    const options = { abortEarly: false, stripUnknown: true };
+
+    const v1 = getVersionedSchema(userSchemas.register, 'v1').validate(registration, options);
+    expect(v1.error).toBeUndefined();
+    expect(v1.value).not.toHaveProperty('role');
+
+    const v2 = getVersionedSchema(userSchemas.register, 'v2').validate(registration, options);
+    expect(v2.error.details.map((detail) => detail.path.join('.'))).toEqual(['role']);
+    // Sin versión (validate fuera de un router versionado), la actual
+    expect(getVersionedSchema(userSchemas.register)).toBe(userSchemas.register.v2);
+  });
+
+  it('should announce the deprecation of v1 and of the unversioned alias', async () => {
+    const { deprecatedAt, sunsetAt } = API_VERSIONS.v1;
+
+    for (const prefix of ['/api/v1/users', '/api/users']) {
+      const response = await request(app).get(`${prefix}/profile`).expect(401);
+      expect(response.headers['api-version']).toBe('v1');
+      expect(response.headers.deprecation).toBe(`@${deprecatedAt.getTime() / 1000}`);
+      expect(response.headers.link).toBe('</api/v2/users/profile>; rel="successor-version"');
+    }
+    const versioned = await request(app).get('/api/v1/users/profile').expect(401);
+    expect(versioned.headers.sunset).toBe(sunsetAt.toUTCString());
+    // El alias sin versión no se retira con v1
+    const alias = await request(app).get('/api/users/profile').expect(401);
+    expect(alias.headers.sunset).toBeUndefined();
+
+    const current = await request(app).get('/api/v2/users/profile').expect(401);
+    expect(current.headers['api-version']).toBe('v2');
+    expect(current.headers.deprecation).toBeUndefined();
+    expect(current.headers.sunset).toBeUndefined();
+  });
+
+  it('should answer 410 once a version is past its sunset', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(API_VERSIONS.v1.sunsetAt.getTime());
+
+    const response = await request(app).post('/api/v1/users/login').send({}).expect(410);
+    expect(response.body.error).toContain('/api/v2/users');
+    await request(app).post('/api/v2/users/login').send({}).expect(400);
+    await request(app).post('/api/users/login').send({}).expect(400);
+  });
+
+  it('should read the v1 calendar from the environment', () => {
+    jest.isolateModules(() => {
+      process.env.API_V1_SUNSET_AT = '2030-01-01T00:00:00Z';
+      try {
+        const { API_VERSIONS: configured } = require('../src/config/apiVersions');
+        expect(configured.v1.sunsetAt).toEqual(new Date('2030-01-01T00:00:00Z'));
+      } finally {
+        delete process.env.API_V1_SUNSET_AT;
+      }
+    });
+  });
+
+  it('should serve one spec per version with v1 marked as deprecated', async () => {
+    const v1 = await request(app).get('/api/docs/v1/openapi.json').expect(200);
+    const v2 = await request(app).get('/api/docs/openapi.json').expect(200);
+
+    const v1Register = v1.body.paths['/api/v1/users/register'].post;
+    expect(v1Register.deprecated).toBe(true);
+    expect(v1Register.requestBody.content['application/json'].schema.properties).not.toHaveProperty('role');
+
+    const v2Register = v2.body.paths['/api/v2/users/register'].post;
+    expect(v2Register.deprecated).toBeUndefined();
+    expect(v2Register.requestBody.content['application/json'].schema.properties.role).toBe(false);
+
+    await request(app).get('/api/docs/v9/openapi.json').expect(404);
+  });
+});
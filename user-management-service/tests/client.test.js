@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const app = require('../src/app');
+const userRoutes = require('../src/routes/userRoutes');
+const { buildOpenApiDocument } = require('../src/utils/openapi');
+const { generateClient } = require('../src/utils/clientGenerator');
+const { validateResponses } = require('../src/middlewares/responseValidationMiddleware');
+const { errorHandler } = require('../src/utils/errorHandler');
+const { CURRENT_API_VERSION, apiBasePath } = require('../src/config/apiVersions');
+const { UserManagementClient, ApiError } = require('../client');
+
+describe('Response validation', () => {
+  const buildApp = (body) => {
+    const testApp = express();
+    testApp.use(validateResponses);
+    // El schema se elige por el nombre del handler, como el operationId
+    testApp.get('/profile', function getProfile(req, res, next) {
+      try {
+        res.status(200).json(body);
+      } catch (error) {
+        next(error);
+      }
+    });
+    testApp.use(errorHandler);
+    return testApp;
+  };
+
+  it('should let responses that match their schema through', async () => {
+    const body = { success: true, data: { user: { _id: '64b7f0c2a1b2c3d4e5f60718', email: 'user@example.com' } } };
+    const response = await request(buildApp(body)).get('/profile').expect(200);
+    expect(response.body).toEqual(body);
+  });
+
+  it('should turn a response that drifts from its schema into a 500', async () => {
+    const body = { success: true, data: { user: { _id: '64b7f0c2a1b2c3d4e5f60718', password: 'hash' } } };
+    const response = await request(buildApp(body)).get('/profile').expect(500);
+    expect(response.body.details).toHaveProperty(['data.user.password']);
+  });
+});
+
+describe('Generated client', () => {
+  it('should be up to date with the OpenAPI specification', () => {
+    // Si falla: npm run generate:client
+    const files = generateClient(buildOpenApiDocument([
+      { basePath: apiBasePath(CURRENT_API_VERSION), router: userRoutes, version: CURRENT_API_VERSION },
+    ]));
+    Object.entries(files).forEach(([name, content]) => {
+      expect(fs.readFileSync(path.join(__dirname, '..', 'client', name), 'utf8')).toBe(content);
+    });
+  });
+
+  describe('against the service', () => {
+    let server;
+    let client;
+
+    beforeAll((done) => {
+      server = app.listen(0, () => {
+        client = new UserManagementClient({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    it('should call the typed methods and parse the response', async () => {
+      const health = await client.health();
+      expect(health.status).toBe('OK');
+      expect(client.oauthStart('github')).toBe(`${client.baseUrl}/api/v2/users/oauth/github`);
+      expect(client.url('/api/v2/users/users', { filter: { role: { in: ['admin', 'instructor'] } }, limit: 5 }))
+        .toBe(`${client.baseUrl}/api/v2/users/users?filter%5Brole%5D%5Bin%5D=admin%2Cinstructor&limit=5`);
+    });
+
+    it('should throw an ApiError with the status and validation details', async () => {
+      const error = await client.register({ email: 'not-an-email' }).catch((caught) => caught);
+      expect(error).toBeInstanceOf(ApiError);
+      expect(error.status).toBe(400);
+      expect(error.details).toHaveProperty('email');
+
+      const unauthorized = await client.getProfile().catch((caught) => caught);
+      expect(unauthorized.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const { ERROR_CODES } = require('../src/config/errorCodes');
+
+const listSourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+  const file = path.join(dir, entry.name);
+  if (entry.isDirectory()) {
+    return listSourceFiles(file);
+  }
+  return file.endsWith('.js') ? [file] : [];
+});
+
+describe('Error codes', () => {
+  it('should catalog every code used by an AppError with its status', () => {
+    const used = listSourceFiles(path.join(__dirname, '..', 'src')).flatMap((file) => {
+      const source = fs.readFileSync(file, 'utf8');
+      return [...source.matchAll(/new AppError\([\s\S]*?,\s*(\d{3}),\s*'([A-Z_]+)'[,)]/g)]
+        .map(([, status, code]) => ({ file: path.basename(file), status: Number(status), code }));
+    });
+
+    expect(used.length).toBeGreaterThan(0);
+    // Un código nuevo necesita su entrada en config/errorCodes con el mismo status
+    expect(used.filter(({ status, code }) => !ERROR_CODES[code] || ERROR_CODES[code].status !== status)).toEqual([]);
+  });
+
+  it('should answer problem+json from the current version', async () => {
+    const response = await request(app).post('/api/v2/users/register').send({ email: 'not-an-email' }).expect(400);
+
+    expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(response.body).toMatchObject({
+      type: '/api/docs/errors/VALIDATION_FAILED',
+      title: ERROR_CODES.VALIDATION_FAILED.title,
+      status: 400,
+      detail: 'Validation failed',
+      instance: '/api/v2/users/register',
+      code: 'VALIDATION_FAILED',
+    });
+    expect(response.body.details).toHaveProperty('email');
+  });
+
+  it('should give framework errors a code', async () => {
+    const malformed = await request(app)
+      .post('/api/v2/users/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email":')
+      .expect(400);
+    expect(malformed.body.code).toBe('MALFORMED_REQUEST_BODY');
+
+    const notFound = await request(app).get('/api/v2/users/nowhere/at/all').expect(404);
+    expect(notFound.body).toMatchObject({ code: 'ROUTE_NOT_FOUND', instance: '/api/v2/users/nowhere/at/all' });
+
+    const invalid = await request(app).get('/api/v2/users/profile').set('Authorization', 'Bearer not-a-jwt').expect(401);
+    expect(invalid.body.code).toBe('AUTH_TOKEN_INVALID');
+  });
+
+  it('should keep the legacy error format on v1 with the code', async () => {
+    const response = await request(app).post('/api/v1/users/register').send({ email: 'not-an-email' }).expect(400);
+
+    expect(response.headers['content-type']).toMatch(/^application\/json/);
+    expect(response.body).toMatchObject({ success: false, error: 'Validation failed', code: 'VALIDATION_FAILED' });
+    expect(response.body.details).toHaveProperty('email');
+  });
+
+  it('should publish the catalog that the type field points to', async () => {
+    const catalog = await request(app).get('/api/docs/errors').expect(200);
+    expect(Object.keys(catalog.body)).toEqual(Object.keys(ERROR_CODES));
+
+    const entry = await request(app).get('/api/docs/errors/USER_EMAIL_TAKEN').expect(200);
+    expect(entry.body).toEqual({ code: 'USER_EMAIL_TAKEN', ...ERROR_CODES.USER_EMAIL_TAKEN });
+
+    await request(app).get('/api/docs/errors/NOT_A_CODE').expect(404);
+  });
+});
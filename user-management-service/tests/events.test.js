@@ -0,0 +1,96 @@
+const User = require('../src/models/userModel');
+const OutboxEvent = require('../src/models/outboxEventModel');
+const userService = require('../src/services/userService');
+const adminService = require('../src/services/adminService');
+const eventService = require('../src/services/eventService');
+const outboxRelay = require('../src/services/outboxRelay');
+
+describe('Domain events', () => {
+  const userData = {
+    email: 'events@example.com',
+    password: 'password123',
+    firstName: 'Event',
+    lastName: 'User',
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({ email: { $in: [userData.email, 'events-admin@example.com'] } });
+    await OutboxEvent.deleteMany({});
+    eventService.setTransports([eventService.createInProcessTransport()]);
+  });
+
+  afterAll(() => {
+    eventService.setTransports(null);
+  });
+
+  it('should write user.created to the outbox with public user data', async () => {
+    const { user } = await userService.createUser(userData);
+
+    const event = await OutboxEvent.findOne({ type: 'user.created', aggregateId: user._id.toString() });
+    expect(event).not.toBeNull();
+    expect(event.status).toBe('pending');
+    expect(event.data.email).toBe(userData.email);
+    expect(event.data).not.toHaveProperty('password');
+  });
+
+  it('should deliver pending events to in-process subscribers', async () => {
+    const received = [];
+    const unsubscribe = eventService.subscribe('user.created', async (event) => {
+      received.push(event);
+    });
+
+    const { user } = await userService.createUser(userData);
+    await outboxRelay.processBatch();
+    unsubscribe();
+
+    const stored = await OutboxEvent.findOne({ aggregateId: user._id.toString() });
+    expect(received).toHaveLength(1);
+    expect(received[0].id).toBe(stored.eventId);
+    expect(received[0].aggregateId).toBe(user._id.toString());
+    expect(stored.status).toBe('published');
+    expect(stored.deliveredTo).toEqual(['inprocess']);
+  });
+
+  it('should retry only the transports that failed', async () => {
+    const delivered = { ok: 0, flaky: 0 };
+    let failFlaky = true;
+    eventService.setTransports([
+      { name: 'ok', publish: async () => { delivered.ok += 1; } },
+      {
+        name: 'flaky',
+        publish: async () => {
+          if (failFlaky) throw new Error('unavailable');
+          delivered.flaky += 1;
+        },
+      },
+    ]);
+
+    await userService.createUser(userData);
+    await outboxRelay.processBatch();
+
+    let event = await OutboxEvent.findOne({ type: 'user.created' });
+    expect(event.status).toBe('pending');
+    expect(event.attempts).toBe(1);
+    expect(event.deliveredTo).toEqual(['ok']);
+    expect(event.lastError).toContain('unavailable');
+
+    failFlaky = false;
+    await OutboxEvent.updateOne({ _id: event._id }, { nextAttemptAt: new Date() });
+    await outboxRelay.processBatch();
+
+    event = await OutboxEvent.findById(event._id);
+    expect(event.status).toBe('published');
+    expect(delivered).toEqual({ ok: 1, flaky: 1 });
+  });
+
+  it('should emit user.role_changed when an admin changes the role', async () => {
+    const admin = await User.create({ ...userData, email: 'events-admin@example.com', role: 'admin' });
+    const { user } = await userService.createUser(userData);
+
+    await adminService.changeRole(user._id, 'instructor', { actorId: admin._id, requestId: 'req-1' });
+
+    const event = await OutboxEvent.findOne({ type: 'user.role_changed' });
+    expect(event.data).toMatchObject({ previousRole: 'student', role: 'instructor' });
+    expect(event.metadata).toMatchObject({ actorId: admin._id.toString(), requestId: 'req-1' });
+  });
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/userModel');
+const userService = require('../src/services/userService');
+const config = require('../src/config/env');
+const locales = require('../src/locales');
+const mailService = require('../src/services/mailService');
+const { ERROR_CODES } = require('../src/config/errorCodes');
+const { ROLES } = require('../src/config/permissions');
+
+// Clave con puntos → texto (las listas de líneas, unidas)
+const flatten = (catalog, prefix = '') => Object.entries(catalog).reduce((acc, [key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (typeof value === 'string' || Array.isArray(value)) {
+    acc[path] = [].concat(value).join('\n');
+    return acc;
+  }
+  return { ...acc, ...flatten(value, path) };
+}, {});
+
+const placeholders = (text) => (text.match(/\{\{[^}]+\}\}/g) || []).sort();
+
+describe('Translation catalogs', () => {
+  const reference = flatten(locales.en);
+
+  it('should have the same keys and parameters in every language', () => {
+    Object.entries(locales).forEach(([locale, catalog]) => {
+      const messages = flatten(catalog);
+      expect({ locale, keys: Object.keys(messages) }).toEqual({ locale, keys: Object.keys(reference) });
+
+      const mismatched = Object.keys(reference)
+        .filter((key) => placeholders(messages[key]).join() !== placeholders(reference[key]).join());
+      expect({ locale, mismatched }).toEqual({ locale, mismatched: [] });
+    });
+  });
+
+  it('should translate every error code and role', () => {
+    expect(Object.keys(locales.en.errors)).toEqual(Object.keys(ERROR_CODES));
+    expect(Object.keys(locales.en.roles)).toEqual(ROLES);
+  });
+});
+
+describe('Localized responses', () => {
+  it('should answer in the language of Accept-Language', async () => {
+    const response = await request(app)
+      .post('/api/v2/users/register')
+      .set('Accept-Language', 'pt-BR,pt;q=0.9,en;q=0.5')
+      .send({ email: 'not-an-email' })
+      .expect(400);
+
+    expect(response.headers['content-language']).toBe('pt');
+    expect(response.body.detail).toBe(locales.pt.errors.VALIDATION_FAILED);
+    expect(response.body.details.email).toBe('"email" deve ser um email válido');
+    // El código y el título no cambian con el idioma
+    expect(response.body).toMatchObject({ code: 'VALIDATION_FAILED', title: ERROR_CODES.VALIDATION_FAILED.title });
+  });
+
+  it('should keep the legacy error format untranslated', async () => {
+    const response = await request(app)
+      .post('/api/v1/users/register')
+      .set('Accept-Language', 'es')
+      .send({ email: 'not-an-email' })
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation failed');
+    expect(response.body.details.email).toBe('"email" must be a valid email');
+  });
+
+  it('should fall back to the default language', async () => {
+    const response = await request(app).get('/api/v2/users/nowhere').set('Accept-Language', 'fr').expect(404);
+
+    expect(response.headers['content-language']).toBe(config.i18n.defaultLocale);
+    expect(response.body.detail).toBe(locales[config.i18n.defaultLocale].errors.ROUTE_NOT_FOUND);
+  });
+
+  it('should prefer the language of the authenticated user', async () => {
+    await User.deleteMany({ email: 'hablante@example.com' });
+    const user = await User.create({
+      email: 'hablante@example.com',
+      password: 'password123',
+      firstName: 'Test',
+      lastName: 'User',
+      preferences: { language: 'es' },
+    });
+    const { accessToken: token } = await userService.generateTokens(user);
+
+    const response = await request(app)
+      .put('/api/v2/users/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Accept-Language', 'en')
+      .send({ username: 'a' })
+      .expect(400);
+
+    expect(response.body.detail).toBe(locales.es.errors.VALIDATION_FAILED);
+    expect(response.body.details.username).toBe('"username" debe tener al menos 3 caracteres');
+
+    // Un cambio de preferencia se aplica con el mismo token, sin renovarlo
+    await request(app)
+      .put('/api/v2/users/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ preferences: { language: 'pt' } })
+      .expect(200);
+
+    const changed = await request(app)
+      .put('/api/v2/users/profile')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ username: 'a' })
+      .expect(400);
+
+    expect(changed.headers['content-language']).toBe('pt');
+    expect(changed.body.detail).toBe(locales.pt.errors.VALIDATION_FAILED);
+  });
+});
+
+describe('Localized emails', () => {
+  const sent = [];
+
+  beforeAll(() => {
+    mailService.setTransport({
+      send: async (message) => {
+        sent.push(message);
+      },
+    });
+  });
+
+  it('should write emails in the language of the recipient', async () => {
+    const user = { email: 'learner@example.com', firstName: 'Ana', preferences: { language: 'es' } };
+    await mailService.sendVerificationEmail(user, 'abc123');
+    await mailService.sendVerificationEmail({ ...user, preferences: { language: 'xx' } }, 'abc123');
+
+    expect(sent[0].subject).toBe(locales.es.emails.verification.subject);
+    expect(sent[0].text).toContain('Hola, Ana:');
+    expect(sent[0].text).toMatch(/verify-email\/abc123/);
+    expect(sent[1].subject).toBe(locales[config.i18n.defaultLocale].emails.verification.subject);
+  });
+});
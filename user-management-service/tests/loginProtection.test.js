@@ -0,0 +1,66 @@
+const loginProtectionService = require('../src/services/loginProtectionService');
+const config = require('../src/config/env');
+const { MemoryStore } = require('../src/utils/counterStore');
+
+describe('LoginProtectionService', () => {
+  const email = 'brute@example.com';
+  const { maxAttempts, maxAttemptsPerIp, backoffAfter } = config.loginProtection;
+
+  beforeEach(() => {
+    loginProtectionService.setStore(new MemoryStore());
+  });
+
+  const fail = async (times, ip = '10.0.0.1', account = email) => {
+    for (let i = 0; i < times; i += 1) {
+      await loginProtectionService.recordFailure(account, ip);
+    }
+  };
+
+  it('should allow attempts below the backoff threshold', async () => {
+    await fail(backoffAfter - 1);
+
+    await expect(loginProtectionService.assertAllowed(email, '10.0.0.1')).resolves.toBeUndefined();
+  });
+
+  it('should require waiting once the backoff threshold is reached', async () => {
+    await fail(backoffAfter);
+
+    await expect(loginProtectionService.assertAllowed(email, '10.0.0.2'))
+      .rejects.toMatchObject({ statusCode: 429, retryAfter: expect.any(Number) });
+
+    const status = await loginProtectionService.getAccountStatus(email);
+    expect(status.failedAttempts).toBe(backoffAfter);
+    expect(status.locked).toBe(false);
+  });
+
+  it('should lock the account after too many failures and unlock it on demand', async () => {
+    await fail(maxAttempts);
+
+    const status = await loginProtectionService.getAccountStatus(email);
+    expect(status.locked).toBe(true);
+    expect(status.lockedUntil).toBeInstanceOf(Date);
+
+    await loginProtectionService.unlockAccount(email);
+
+    await expect(loginProtectionService.assertAllowed(email, '10.0.0.1')).resolves.toBeUndefined();
+    expect((await loginProtectionService.getAccountStatus(email)).failedAttempts).toBe(0);
+  });
+
+  it('should reset the account counter after a successful login', async () => {
+    await fail(backoffAfter - 1);
+    await loginProtectionService.recordSuccess(email);
+
+    expect((await loginProtectionService.getAccountStatus(email)).failedAttempts).toBe(0);
+  });
+
+  it('should block an IP that fails against many accounts', async () => {
+    for (let i = 0; i < maxAttemptsPerIp; i += 1) {
+      await fail(1, '10.0.0.9', `user${i}@example.com`);
+    }
+
+    await expect(loginProtectionService.assertAllowed('other@example.com', '10.0.0.9'))
+      .rejects.toMatchObject({ statusCode: 429 });
+    await expect(loginProtectionService.assertAllowed('other@example.com', '10.0.0.10'))
+      .resolves.toBeUndefined();
+  });
+});
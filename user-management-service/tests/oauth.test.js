@@ -0,0 +1,146 @@
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config/env');
+
+/**
+ * Servidor OIDC falso que imita los endpoints de token y userinfo de Google.
+ * Verifica el code_verifier PKCE contra el code_challenge recibido en la autorización.
+ */
+const createFakeProvider = () => {
+  const challenges = new Map();
+  const provider = { profile: null };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/token') {
+        const params = new URLSearchParams(body);
+        const expected = challenges.get(params.get('code'));
+        const actual = crypto.createHash('sha256')
+          .update(params.get('code_verifier'))
+          .digest('base64url');
+
+        if (!expected || expected !== actual) {
+          res.statusCode = 400;
+          return res.end(JSON.stringify({ error: 'invalid_grant' }));
+        }
+        return res.end(JSON.stringify({ access_token: 'fake-access-token', token_type: 'Bearer' }));
+      }
+
+      if (req.url === '/userinfo') {
+        return res.end(JSON.stringify(provider.profile));
+      }
+
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+
+  provider.server = server;
+  // Simula que el usuario aprobó la autorización y el proveedor emitió un código
+  provider.authorize = (authorizationUrl) => {
+    const { searchParams } = new URL(authorizationUrl);
+    const code = crypto.randomBytes(8).toString('hex');
+    challenges.set(code, searchParams.get('code_challenge'));
+    return { code, state: searchParams.get('state') };
+  };
+
+  return provider;
+};
+
+describe('OAuth login', () => {
+  let provider;
+
+  beforeAll((done) => {
+    provider = createFakeProvider();
+    provider.server.listen(0, () => {
+      const baseUrl = `http://127.0.0.1:${provider.server.address().port}`;
+      Object.assign(config.oauth.providers.google, {
+        clientId: 'test-client',
+        clientSecret: 'test-secret',
+        authorizationUrl: `${baseUrl}/authorize`,
+        tokenUrl: `${baseUrl}/token`,
+        userInfoUrl: `${baseUrl}/userinfo`,
+      });
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    provider.server.close(done);
+  });
+
+  const loginWithGoogle = async () => {
+    const start = await request(app)
+      .get('/api/users/oauth/google')
+      .expect(302);
+    const { code, state } = provider.authorize(start.headers.location);
+
+    return request(app).get(`/api/users/oauth/google/callback?code=${code}&state=${state}`);
+  };
+
+  it('should create a user on first login and reuse it afterwards', async () => {
+    provider.profile = {
+      sub: 'google-123',
+      email: 'oauth@example.com',
+      email_verified: true,
+      given_name: 'OAuth',
+      family_name: 'User',
+    };
+
+    const first = await loginWithGoogle().then((response) => response.body);
+    expect(first.data.isNewUser).toBe(true);
+    expect(first.data.user.email).toBe('oauth@example.com');
+    expect(first.data.user.oauthProvider).toBe('google');
+    expect(first.data.tokens).toHaveProperty('accessToken');
+
+    const second = await loginWithGoogle().then((response) => response.body);
+    expect(second.data.isNewUser).toBe(false);
+    expect(second.data.user._id).toBe(first.data.user._id);
+  });
+
+  it('should link to an existing account by verified email', async () => {
+    provider.profile = {
+      sub: 'google-456',
+      email: 'oauth-link@example.com',
+      email_verified: true,
+      name: 'Linked User',
+    };
+
+    await request(app)
+      .post('/api/users/register')
+      .send({
+        email: 'oauth-link@example.com',
+        password: 'password123',
+        firstName: 'Test',
+        lastName: 'User',
+      })
+      .expect(201);
+
+    const response = await loginWithGoogle().expect(200);
+
+    expect(response.body.data.isNewUser).toBe(false);
+    expect(response.body.data.user.oauthAccounts).toEqual([
+      expect.objectContaining({ provider: 'google', email: 'oauth-link@example.com' }),
+    ]);
+  });
+
+  it('should reject a callback with an unknown state', async () => {
+    await request(app)
+      .get('/api/users/oauth/google/callback?code=abc&state=unknown')
+      .expect(400);
+  });
+
+  it('should return 404 for an unsupported provider', async () => {
+    await request(app)
+      .get('/api/users/oauth/facebook')
+      .expect(404);
+  });
+});
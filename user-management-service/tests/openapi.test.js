@@ -0,0 +1,71 @@
+const request = require('supertest');
+const app = require('../src/app');
+const userRoutes = require('../src/routes/userRoutes');
+const { listRoutes } = require('../src/utils/openapi');
+const { ROUTE_DOCS } = require('../src/config/apiDocs');
+const responseSchemas = require('../src/schemas/responseSchemas');
+const { getResponseSchema } = require('../src/middlewares/responseValidationMiddleware');
+
+describe('OpenAPI specification', () => {
+  it('should document every route and only existing routes', () => {
+    const routes = listRoutes(userRoutes).map((route) => route.key);
+
+    // Una ruta nueva necesita su entrada en config/apiDocs
+    expect(routes.filter((key) => !ROUTE_DOCS[key])).toEqual([]);
+    expect(Object.keys(ROUTE_DOCS).filter((key) => !routes.includes(key))).toEqual([]);
+  });
+
+  it('should declare a response schema for every JSON success response', async () => {
+    const response = await request(app).get('/api/docs/openapi.json').expect(200);
+    const operations = Object.values(response.body.paths).flatMap((pathOperations) => Object.values(pathOperations));
+
+    // Una respuesta 2xx en JSON necesita su schema en schemas/responseSchemas
+    const missing = operations.flatMap((operation) => Object.entries(operation.responses)
+      .filter(([status, { content }]) => status.startsWith('2') && content && content['application/json'])
+      .filter(([status]) => !getResponseSchema(operation.operationId, Number(status)))
+      .map(([status]) => `${operation.operationId} ${status}`));
+    expect(missing).toEqual([]);
+
+    const operationIds = operations.map((operation) => operation.operationId);
+    expect(Object.keys(responseSchemas).filter((operationId) => !operationIds.includes(operationId))).toEqual([]);
+
+    expect(response.body.paths['/api/v2/users/login'].post.responses['200'].content['application/json'].schema)
+      .toMatchObject({ type: 'object', required: ['success', 'data'] });
+  });
+
+  it('should serve a spec built from the route middlewares and Joi schemas', async () => {
+    const response = await request(app).get('/api/docs/openapi.json').expect(200);
+    const { openapi, paths } = response.body;
+
+    expect(openapi).toBe('3.1.0');
+    expect(Object.values(paths).reduce((count, operations) => count + Object.keys(operations).length, 0))
+      .toBe(listRoutes(userRoutes).length);
+
+    const register = paths['/api/v2/users/register'].post;
+    expect(register.security).toBeUndefined();
+    expect(register.requestBody.content['application/json'].schema).toMatchObject({
+      required: ['email', 'password', 'firstName', 'lastName'],
+      properties: { email: { type: 'string', format: 'email' } },
+    });
+    expect(Object.keys(register.responses)).toEqual(['201', '400', '409']);
+
+    const listUsers = paths['/api/v2/users/users'].get;
+    expect(listUsers.security).toEqual([{ bearerAuth: [] }]);
+    expect(listUsers['x-permissions']).toEqual(['users:read']);
+    expect(listUsers.parameters.find((parameter) => parameter.name === 'limit')).toMatchObject({
+      in: 'query',
+      schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+    });
+    expect(listUsers.parameters.find((parameter) => parameter.name === 'filter')).toMatchObject({ style: 'deepObject' });
+
+    expect(paths['/api/v2/users/webhooks/{id}/deliveries/{deliveryId}/redeliver'].post.parameters.map((parameter) => parameter.name))
+      .toEqual(['id', 'deliveryId']);
+    expect(Object.keys(paths['/api/v2/users/user-imports'].post.requestBody.content)).toEqual(['text/csv', 'application/x-ndjson']);
+  });
+
+  it('should serve the docs UI', async () => {
+    const response = await request(app).get('/api/docs/').expect(200);
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+    expect(response.text).toContain('/api/docs/openapi.json');
+  });
+});
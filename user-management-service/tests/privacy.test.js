@@ -0,0 +1,179 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config/env');
+const User = require('../src/models/userModel');
+const OutboxEvent = require('../src/models/outboxEventModel');
+const AuditEvent = require('../src/models/auditEventModel');
+const erasureWorker = require('../src/services/erasureWorker');
+const privacyService = require('../src/services/privacyService');
+const userService = require('../src/services/userService');
+
+describe('Personal data (GDPR)', () => {
+  const originalGraceMs = config.erasure.graceMs;
+  const userData = {
+    email: 'privacy@example.com',
+    password: 'password123',
+    firstName: 'Private',
+    lastName: 'Person',
+    username: 'privateperson',
+  };
+  let accessToken;
+  let userId;
+
+  beforeEach(async () => {
+    config.erasure.graceMs = originalGraceMs;
+    await User.deleteMany({ $or: [{ email: userData.email }, { username: userData.username }] });
+
+    const response = await request(app)
+      .post('/api/users/register')
+      .send(userData)
+      .expect(201);
+    ({ accessToken } = response.body.data.tokens);
+    userId = response.body.data.user._id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.erasure.graceMs = originalGraceMs;
+  });
+
+  it('should export profile, preferences, learning profile, sessions and audit entries', async () => {
+    const response = await request(app)
+      .get('/api/users/me/export')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toContain(`user-data-${userId}.json`);
+    expect(response.body.profile.email).toBe(userData.email);
+    expect(response.body.profile).not.toHaveProperty('password');
+    expect(response.body.preferences).toHaveProperty('language');
+    expect(response.body.learningProfile).toHaveProperty('level');
+    expect(response.body.sessions).toHaveLength(1);
+    expect(response.body.auditEvents.map((event) => event.action)).toContain('user.register');
+  });
+
+  it('should schedule the erasure after the grace period and allow cancelling it', async () => {
+    await request(app)
+      .post('/api/users/me/erasure')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ confirmEmail: 'someone-else@example.com' })
+      .expect(400);
+
+    const response = await request(app)
+      .post('/api/users/me/erasure')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ confirmEmail: userData.email })
+      .expect(202);
+    const scheduledAt = new Date(response.body.data.scheduledAt);
+    expect(scheduledAt.getTime()).toBeGreaterThan(Date.now() + originalGraceMs - 60000);
+
+    // Antes de que venza el periodo de gracia no se borra nada
+    await erasureWorker.processBatch();
+    expect((await User.findById(userId)).email).toBe(userData.email);
+
+    await request(app)
+      .delete('/api/users/me/erasure')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect((await User.findById(userId)).erasureScheduledAt).toBeNull();
+  });
+
+  it('should anonymize the account in place and emit user.erased', async () => {
+    config.erasure.graceMs = 0;
+    await request(app)
+      .post('/api/users/me/erasure')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ confirmEmail: userData.email })
+      .expect(202);
+
+    await erasureWorker.processBatch();
+
+    const user = await User.findById(userId).select('+password');
+    expect(user.email).toBe(`erased-${userId}@erased.invalid`);
+    expect(user.firstName).toBe('Erased');
+    expect(user.username).toBeUndefined();
+    expect(user.password).toBeUndefined();
+    expect(user.refreshTokens).toHaveLength(0);
+    expect(user.isActive).toBe(false);
+    expect(user.anonymizedAt).toBeInstanceOf(Date);
+
+    const event = await OutboxEvent.findOne({ type: 'user.erased', aggregateId: userId });
+    expect(event.data).toEqual({ id: userId, erasedAt: user.anonymizedAt.toISOString() });
+
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: userData.email, password: userData.password })
+      .expect(401);
+  });
+
+  it('should replace the email kept by failed logins in the audit log', async () => {
+    config.erasure.graceMs = 0;
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: userData.email, password: 'wrongpassword' })
+      .expect(401);
+    await request(app)
+      .post('/api/users/me/erasure')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ confirmEmail: userData.email })
+      .expect(202);
+
+    await erasureWorker.processBatch();
+
+    expect(await AuditEvent.countDocuments({ 'metadata.email': userData.email })).toBe(0);
+    expect(await AuditEvent.countDocuments({
+      action: 'auth.login',
+      outcome: 'failure',
+      'metadata.email': `erased-${userId}@erased.invalid`,
+    })).toBe(1);
+  });
+
+  it('should postpone the erasure of the last active admin instead of retrying it on every lease', async () => {
+    config.erasure.graceMs = 0;
+    await request(app)
+      .post('/api/users/me/erasure')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ confirmEmail: userData.email })
+      .expect(202);
+    // Durante el periodo de gracia pasa a ser el único administrador
+    await User.deleteMany({ role: 'admin' });
+    await User.updateOne({ _id: userId }, { role: 'admin' });
+
+    await erasureWorker.processBatch();
+
+    const user = await User.findById(userId);
+    expect(user.anonymizedAt).toBeNull();
+    expect(user.erasureBlockedAt).toBeInstanceOf(Date);
+    expect(user.erasureScheduledAt.getTime()).toBeGreaterThan(Date.now() + 60 * 60 * 1000);
+    expect(await erasureWorker.claimNext()).toBeNull();
+  });
+
+  it('should not erase an account whose request was cancelled after the worker claimed it', async () => {
+    config.erasure.graceMs = 0;
+    await request(app)
+      .post('/api/users/me/erasure')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ confirmEmail: userData.email })
+      .expect(202);
+
+    const claimed = await erasureWorker.claimNext();
+    // El usuario cancela entre la lectura de eraseUser y su escritura (una vez: la
+    // transacción puede reintentarse por el conflicto de escritura)
+    jest.spyOn(userService, 'assertNotLastAdmin').mockImplementationOnce(async () => {
+      await request(app)
+        .delete('/api/users/me/erasure')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+    });
+
+    expect(await privacyService.eraseUser(claimed._id)).toBe(false);
+
+    const user = await User.findById(userId);
+    expect(user.email).toBe(userData.email);
+    expect(user.anonymizedAt).toBeNull();
+    expect(await OutboxEvent.countDocuments({ type: 'user.erased', aggregateId: userId })).toBe(0);
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config/env');
+const User = require('../src/models/userModel');
+const OutboxEvent = require('../src/models/outboxEventModel');
+const mailService = require('../src/services/mailService');
+const adminService = require('../src/services/adminService');
+const accountPurgeWorker = require('../src/services/accountPurgeWorker');
+
+describe('Account reactivation and purge', () => {
+  const originalPurgeMode = config.accountPurge.mode;
+  const userData = {
+    email: 'reactivate@example.com',
+    password: 'password123',
+    firstName: 'Come',
+    lastName: 'Back',
+  };
+  let accessToken;
+  let userId;
+
+  const login = () => request(app)
+    .post('/api/users/login')
+    .send({ email: userData.email, password: userData.password });
+
+  const deactivateAccount = () => request(app)
+    .delete('/api/users/account')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .expect(200);
+
+  beforeEach(async () => {
+    config.accountPurge.mode = originalPurgeMode;
+    await User.deleteMany({ email: userData.email });
+
+    const response = await request(app)
+      .post('/api/users/register')
+      .send(userData)
+      .expect(201);
+    ({ accessToken } = response.body.data.tokens);
+    userId = response.body.data.user._id;
+  });
+
+  afterAll(() => {
+    config.accountPurge.mode = originalPurgeMode;
+  });
+
+  it('should offer reactivation at login and require logging in again afterwards', async () => {
+    const deactivation = await deactivateAccount();
+    expect(new Date(deactivation.body.data.reactivableUntil).getTime()).toBeGreaterThan(Date.now());
+
+    const prompt = await login().expect(200);
+    expect(prompt.body.data.reactivationRequired).toBe(true);
+    expect(prompt.body.data).not.toHaveProperty('tokens');
+
+    await request(app)
+      .post('/api/users/reactivate')
+      .send({ token: prompt.body.data.reactivationToken })
+      .expect(200);
+    // El token deja de servir una vez usado
+    await request(app)
+      .post('/api/users/reactivate')
+      .send({ token: prompt.body.data.reactivationToken })
+      .expect(400);
+
+    const response = await login().expect(200);
+    expect(response.body.data.tokens.accessToken).toBeTruthy();
+
+    const user = await User.findById(userId);
+    expect(user.deactivatedAt).toBeNull();
+    expect(user.purgeScheduledAt).toBeNull();
+    expect(await OutboxEvent.countDocuments({ type: 'user.activated', aggregateId: userId })).toBe(1);
+  });
+
+  it('should send a reactivation link by email', async () => {
+    const sentMessages = [];
+    mailService.setTransport({
+      send: async (message) => {
+        sentMessages.push(message);
+      },
+    });
+    await deactivateAccount();
+
+    await request(app)
+      .post('/api/users/reactivation/request')
+      .send({ email: userData.email })
+      .expect(200);
+
+    expect(sentMessages).toHaveLength(1);
+    const token = sentMessages[0].text.match(/token=([^\s]+)/)[1];
+    await request(app)
+      .post('/api/users/reactivate')
+      .send({ token })
+      .expect(200);
+    expect((await User.findById(userId)).isActive).toBe(true);
+  });
+
+  it('should not let users reactivate accounts deactivated by an admin', async () => {
+    await adminService.setActive(userId, false, {}, 'Spam');
+
+    await login().expect(403);
+    const user = await User.findById(userId);
+    expect(user.deactivatedBy).toBe('admin');
+    expect(user.purgeScheduledAt).toBeNull();
+  });
+
+  it('should purge accounts once the reactivation period is over', async () => {
+    await deactivateAccount();
+    await User.updateOne({ _id: userId }, { purgeScheduledAt: new Date(Date.now() - 1000) });
+
+    await login().expect(403);
+    await accountPurgeWorker.processBatch();
+
+    const user = await User.findById(userId);
+    expect(user.email).toBe(`erased-${userId}@erased.invalid`);
+    expect(user.anonymizedAt).toBeInstanceOf(Date);
+    expect(user.purgeScheduledAt).toBeNull();
+  });
+
+  it('should delete purged accounts when ACCOUNT_PURGE_MODE is delete', async () => {
+    config.accountPurge.mode = 'delete';
+    await deactivateAccount();
+    await User.updateOne({ _id: userId }, { purgeScheduledAt: new Date(Date.now() - 1000) });
+
+    await accountPurgeWorker.processBatch();
+
+    expect(await User.findById(userId)).toBeNull();
+    expect(await OutboxEvent.countDocuments({ type: 'user.deleted', aggregateId: userId })).toBe(1);
+  });
+});
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Cada worker usa su propia base de datos para que los ficheros en paralelo no se pisen
+beforeAll(async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { dbName: `test-${process.env.JEST_WORKER_ID}` });
+});
+
+// deleteMany (y no drop) para conservar los índices únicos
+afterEach(async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+});
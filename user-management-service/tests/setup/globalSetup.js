@@ -0,0 +1,8 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Un único servidor para toda la ejecución: los workers heredan MONGODB_URI
+module.exports = async () => {
+  const mongod = await MongoMemoryServer.create();
+  globalThis.__MONGOD__ = mongod;
+  process.env.MONGODB_URI = mongod.getUri();
+};
@@ -0,0 +1,42 @@
+const totp = require('../src/utils/totp');
+
+describe('TOTP utilities', () => {
+  // Vectores de prueba del RFC 6238 (apéndice B) para SHA-1, truncados a 6 dígitos
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('should generate the RFC 6238 code at T=%i', (seconds, expected) => {
+    expect(totp.generateCode(rfcSecret, totp.getTimeStep(seconds * 1000))).toBe(expected);
+  });
+
+  it('should round-trip base32 encoding', () => {
+    const buffer = Buffer.from('learning-platform');
+    expect(totp.base32Decode(totp.base32Encode(buffer)).equals(buffer)).toBe(true);
+  });
+
+  it('should accept codes within the drift window and reject others', () => {
+    const secret = totp.generateSecret();
+    const now = Date.now();
+    const previous = totp.generateCode(secret, totp.getTimeStep(now) - 1);
+    const stale = totp.generateCode(secret, totp.getTimeStep(now) - 3);
+
+    expect(totp.verifyCode(secret, previous, { timestamp: now })).toBe(totp.getTimeStep(now) - 1);
+    expect(totp.verifyCode(secret, stale, { timestamp: now })).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef', { timestamp: now })).toBeNull();
+  });
+
+  it('should build an otpauth URI with issuer and account', () => {
+    const uri = totp.buildOtpauthUri({
+      secret: 'JBSWY3DPEHPK3PXP',
+      accountName: 'user@example.com',
+      issuer: 'Learning Platform',
+    });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Learning%20Platform%3Auser%40example\.com\?/);
+    expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+  });
+});
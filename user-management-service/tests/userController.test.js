@@ -1,5 +1,13 @@
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const app = require('../src/app');
+const config = require('../src/config/env');
+const User = require('../src/models/userModel');
+const userService = require('../src/services/userService');
+const AuditEvent = require('../src/models/auditEventModel');
+const UserFilterPreset = require('../src/models/userFilterPresetModel');
+const RolePermission = require('../src/models/rolePermissionModel');
+const permissionService = require('../src/services/permissionService');
 
 describe('UserController', () => {
   describe('POST /api/users/register', () => {
@@ -78,6 +86,633 @@ describe('UserController', () => {
     });
   });
 
+  describe('POST /api/users/refresh', () => {
+    const registerUser = async (email) => {
+      const response = await request(app)
+        .post('/api/users/register')
+        .send({
+          email,
+          password: 'password123',
+          firstName: 'Test',
+          lastName: 'User',
+        });
+      return response.body.data.tokens;
+    };
+
+    it('should rotate a valid refresh token', async () => {
+      const tokens = await registerUser('refresh@example.com');
+
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.tokens).toHaveProperty('accessToken');
+      expect(response.body.data.tokens.refreshToken).not.toBe(tokens.refreshToken);
+    });
+
+    it('should revoke all tokens when a rotated refresh token is reused', async () => {
+      const tokens = await registerUser('reuse@example.com');
+
+      const rotated = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+
+      // El token emitido en la rotación también quedó revocado
+      await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: rotated.body.data.tokens.refreshToken })
+        .expect(401);
+    });
+
+    it('should return 401 for an invalid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: 'not-a-jwt' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /api/users/reset-password', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not write the reset token or the new password to the logs', async () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      const token = 'a1'.repeat(32);
+
+      // La contraseña es demasiado corta: la petición no pasa de la validación
+      await request(app)
+        .post('/api/users/reset-password')
+        .send({ token, newPassword: 'secret7' })
+        .expect(400);
+
+      const logged = log.mock.calls.flat().join('\n');
+      expect(logged).toContain('[REDACTED]');
+      expect(logged).not.toContain(token);
+      expect(logged).not.toContain('secret7');
+    });
+  });
+
+  describe('Session management', () => {
+    const userData = {
+      email: 'sessions@example.com',
+      password: 'password123',
+      firstName: 'Test',
+      lastName: 'User',
+    };
+
+    const login = (userAgent) => request(app)
+      .post('/api/users/login')
+      .set('User-Agent', userAgent)
+      .send({ email: userData.email, password: userData.password });
+
+    beforeEach(async () => {
+      await request(app).post('/api/users/register').send(userData);
+    });
+
+    it('should list sessions with device information', async () => {
+      const { body } = await login('Mozilla/5.0 (X11; Linux x86_64) Firefox/120.0');
+
+      const response = await request(app)
+        .get('/api/users/sessions')
+        .set('Authorization', `Bearer ${body.data.tokens.accessToken}`)
+        .expect(200);
+
+      const current = response.body.data.sessions.find((session) => session.current);
+      expect(current.device).toBe('Firefox on Linux');
+      expect(current).toHaveProperty('createdAt');
+      expect(current).toHaveProperty('lastUsedAt');
+    });
+
+    it('should invalidate the refresh token on logout', async () => {
+      const { body } = await login('test-agent');
+      const { accessToken, refreshToken } = body.data.tokens;
+
+      await request(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should revoke a single session by id', async () => {
+      const first = await login('first-device');
+      const second = await login('second-device');
+      const accessToken = second.body.data.tokens.accessToken;
+
+      const { body } = await request(app)
+        .get('/api/users/sessions')
+        .set('Authorization', `Bearer ${accessToken}`);
+      const other = body.data.sessions.find((session) => session.userAgent === 'first-device');
+
+      await request(app)
+        .delete(`/api/users/sessions/${other.id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/users/refresh')
+        .send({ refreshToken: first.body.data.tokens.refreshToken })
+        .expect(401);
+    });
+
+    it('should close every session on logout-all', async () => {
+      const { body } = await login('test-agent');
+
+      await request(app)
+        .post('/api/users/logout-all')
+        .set('Authorization', `Bearer ${body.data.tokens.accessToken}`)
+        .expect(200);
+
+      // El access token de la sesión cerrada deja de aceptarse sin esperar a que caduque
+      const response = await request(app)
+        .get('/api/users/sessions')
+        .set('Authorization', `Bearer ${body.data.tokens.accessToken}`)
+        .expect(401);
+
+      expect(response.body.code).toBe('AUTH_SESSION_REVOKED');
+      expect((await User.findOne({ email: userData.email })).refreshTokens).toHaveLength(0);
+    });
+
+    it('should reject access tokens without a session', async () => {
+      const user = await User.findOne({ email: userData.email });
+      const token = jwt.sign({ id: user._id, email: user.email, role: user.role }, config.jwt.secret);
+
+      const response = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.code).toBe('AUTH_SESSION_REVOKED');
+    });
+  });
+
+  describe('Permissions', () => {
+    it('should resolve the permissions of the authenticated role', async () => {
+      const { body } = await request(app)
+        .post('/api/users/register')
+        .send({
+          email: 'permissions@example.com',
+          password: 'password123',
+          firstName: 'Test',
+          lastName: 'User',
+        });
+      const accessToken = body.data.tokens.accessToken;
+
+      const response = await request(app)
+        .get('/api/users/me/permissions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ role: 'student', permissions: [] });
+
+      await request(app)
+        .get('/api/users/users')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+    });
+
+    it('should grant admin the permissions registered after its mapping was saved', async () => {
+      await RolePermission.deleteMany({ role: 'admin' });
+      // Asignación editada cuando el registro aún no tenía webhooks:manage
+      await RolePermission.create({
+        role: 'admin',
+        permissions: ['roles:manage', 'users:read'],
+        registeredPermissions: ['roles:manage', 'users:read', 'users:delete'],
+      });
+      permissionService.clearCache();
+
+      const permissions = await permissionService.getPermissionsForRole('admin');
+      expect(permissions).toContain('webhooks:manage');
+      // Lo que el administrador quitó sigue quitado
+      expect(permissions).not.toContain('users:delete');
+
+      await RolePermission.deleteMany({ role: 'admin' });
+      permissionService.clearCache();
+    });
+  });
+
+  describe('Admin user management', () => {
+    let adminToken;
+    let admin;
+    let student;
+
+    beforeEach(async () => {
+      await User.deleteMany({ email: { $in: ['admin@example.com', 'managed@example.com'] } });
+      admin = await User.create({
+        email: 'admin@example.com',
+        password: 'password123',
+        firstName: 'Admin',
+        lastName: 'User',
+        role: 'admin',
+      });
+      student = await User.create({
+        email: 'managed@example.com',
+        password: 'password123',
+        firstName: 'Managed',
+        lastName: 'User',
+      });
+      ({ accessToken: adminToken } = await userService.generateTokens(admin));
+    });
+
+    it('should change the role of a user', async () => {
+      const response = await request(app)
+        .patch(`/api/users/users/${student._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'instructor' })
+        .expect(200);
+
+      expect(response.body.data.user.role).toBe('instructor');
+    });
+
+    it('should not demote or deactivate the last active admin', async () => {
+      await request(app)
+        .patch(`/api/users/users/${admin._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'student' })
+        .expect(409);
+
+      await request(app)
+        .post(`/api/users/users/${admin._id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should deactivate and reactivate an account', async () => {
+      await request(app)
+        .post(`/api/users/users/${student._id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Spam' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/users/login')
+        .send({ email: 'managed@example.com', password: 'password123' })
+        .expect(403);
+
+      const response = await request(app)
+        .post(`/api/users/users/${student._id}/activate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.user.isActive).toBe(true);
+    });
+
+    it('should reject access tokens issued before a role change or deactivation', async () => {
+      const { accessToken: studentToken } = await userService.generateTokens(student);
+
+      await request(app)
+        .patch(`/api/users/users/${student._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'instructor' })
+        .expect(200);
+
+      const revoked = await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(401);
+      expect(revoked.body.code).toBe('AUTH_SESSION_REVOKED');
+
+      const { accessToken: instructorToken } = await userService.generateTokens(await User.findById(student._id));
+      await request(app)
+        .post(`/api/users/users/${student._id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/users/profile')
+        .set('Authorization', `Bearer ${instructorToken}`)
+        .expect(401);
+    });
+
+    it('should block password login after a forced reset', async () => {
+      await request(app)
+        .post(`/api/users/users/${student._id}/password-reset`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/users/login')
+        .send({ email: 'managed@example.com', password: 'password123' })
+        .expect(403);
+    });
+
+    it('should require the account email to hard delete a user', async () => {
+      await request(app)
+        .delete(`/api/users/users/${student._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ confirmEmail: 'someone-else@example.com' })
+        .expect(400);
+
+      await request(app)
+        .delete(`/api/users/users/${student._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ confirmEmail: 'managed@example.com' })
+        .expect(200);
+
+      expect(await User.findById(student._id)).toBeNull();
+    });
+
+    it('should ignore fields outside the profile schema', async () => {
+      const { body } = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'managed@example.com', password: 'password123' });
+
+      const response = await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${body.data.tokens.accessToken}`)
+        .send({ firstName: 'Renamed', role: 'admin' })
+        .expect(200);
+
+      expect(response.body.data.user.firstName).toBe('Renamed');
+      expect(response.body.data.user.role).toBe('student');
+    });
+
+    it('should page through users with a cursor, sort and sparse fieldsets', async () => {
+      await User.deleteMany({ email: /^listing-/ });
+      await User.create([1, 2, 3].map((n) => ({
+        email: `listing-${n}@example.com`,
+        password: 'password123',
+        firstName: 'Listing',
+        lastName: `User ${n}`,
+        lastLogin: n === 2 ? null : new Date(Date.now() - n * 60000),
+      })));
+
+      const list = (query) => request(app)
+        .get('/api/users/users')
+        .query({ search: 'listing-', sort: '-lastLogin', fields: 'email', limit: 2, ...query })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const first = await list({ includeTotal: true }).expect(200);
+      expect(first.body.data.users.map((user) => user.email)).toEqual(['listing-1@example.com', 'listing-3@example.com']);
+      expect(Object.keys(first.body.data.users[0]).sort()).toEqual(['_id', 'email']);
+      expect(first.body.data.pagination.total).toBe(3);
+
+      // Los usuarios sin lastLogin van al final en orden descendente
+      const second = await list({ cursor: first.body.data.pagination.nextCursor }).expect(200);
+      expect(second.body.data.users.map((user) => user.email)).toEqual(['listing-2@example.com']);
+      expect(second.body.data.pagination.nextCursor).toBeNull();
+      expect(second.body.data.pagination).not.toHaveProperty('total');
+
+      // El cursor solo vale para el orden con el que se generó
+      await list({ sort: 'email', cursor: first.body.data.pagination.nextCursor }).expect(400);
+      await list({ sort: 'password' }).expect(400);
+      await list({ fields: 'email,refreshTokens' }).expect(400);
+    });
+
+    it('should search by accent-insensitive prefixes ranked by relevance', async () => {
+      await User.deleteMany({ email: /^search-/ });
+      const [partial, exact] = await User.create([
+        { email: 'search-1@example.com', password: 'password123', firstName: 'Joselyn', lastName: 'Muñiz' },
+        { email: 'search-2@example.com', password: 'password123', firstName: 'José', lastName: 'Muñoz' },
+      ]);
+
+      const search = (query) => request(app)
+        .get('/api/users/users')
+        .query(query)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await search({ search: 'jose mu' });
+      expect(response.body.data.pagination.sort).toBe('relevance');
+      expect(response.body.data.users.map((user) => user._id)).toEqual([exact._id.toString(), partial._id.toString()]);
+      expect(response.body.data.users[0]).not.toHaveProperty('searchTokens');
+      expect(response.body.data.users[0]).not.toHaveProperty('password');
+
+      // Los tokens se recalculan al editar el perfil
+      await request(app)
+        .patch(`/api/users/users/${exact._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ lastName: 'Ibáñez' })
+        .expect(200);
+      expect((await search({ search: 'ibanez' })).body.data.users).toHaveLength(1);
+
+      // El texto se trata como literal, no como expresión regular
+      expect((await search({ search: '(a+)+$' })).body.data.users).toEqual([]);
+    });
+
+    it('should filter users by whitelisted fields and saved presets', async () => {
+      await User.deleteMany({ email: /^filter-/ });
+      await UserFilterPreset.deleteMany({});
+      await User.create([
+        { email: 'filter-1@example.com', password: 'password123', firstName: 'Idle', lastName: 'User', lastLogin: new Date(Date.now() - 120 * 86400000), learningProfile: { level: 'advanced' } },
+        { email: 'filter-2@example.com', password: 'password123', firstName: 'Recent', lastName: 'User', lastLogin: new Date(), learningProfile: { level: 'advanced' } },
+        { email: 'filter-3@example.com', password: 'password123', firstName: 'Verified', lastName: 'User', isEmailVerified: true, learningProfile: { level: 'beginner' } },
+      ]);
+
+      const list = (query) => request(app)
+        .get(`/api/users/users?search=filter-&sort=email&fields=email&${query}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      const emails = (response) => response.body.data.users.map((user) => user.email);
+
+      const idle = await list('filter[isEmailVerified]=false&filter[lastLogin][lt]=-90d').expect(200);
+      expect(emails(idle)).toEqual(['filter-1@example.com']);
+      const levels = await list('filter[level][in]=advanced,intermediate&filter[lastLogin][exists]=true').expect(200);
+      expect(emails(levels)).toEqual(['filter-1@example.com', 'filter-2@example.com']);
+
+      // Campos y operadores fuera de la lista blanca se rechazan en lugar de ignorarse
+      await list('filter[password]=x').expect(400);
+      await list('filter[level][regex]=adv').expect(400);
+      await list('filter[lastLogin][lt]=yesterday').expect(400);
+
+      const created = await request(app)
+        .post('/api/users/user-filter-presets')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Advanced learners', query: { filter: { level: 'advanced' } } })
+        .expect(201);
+      const presetId = created.body.data.preset._id;
+      await request(app)
+        .post('/api/users/user-filter-presets')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Advanced learners', query: { filter: { level: 'beginner' } } })
+        .expect(409);
+
+      // Los filtros de la petición se combinan con los guardados
+      const preset = await list(`preset=${presetId}&filter[lastLogin][gte]=-1d`).expect(200);
+      expect(emails(preset)).toEqual(['filter-2@example.com']);
+
+      await request(app)
+        .delete(`/api/users/user-filter-presets/${presetId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await list(`preset=${presetId}`).expect(404);
+    });
+
+    it('should stream a filtered export without sensitive fields', async () => {
+      await User.deleteMany({ email: /^export-/ });
+      await User.create([
+        { email: 'export-1@example.com', password: 'password123', firstName: '=cmd', lastName: 'One', learningProfile: { level: 'advanced', skills: [{ name: 'JavaScript', level: 'expert' }], interests: ['ai', 'web'] } },
+        { email: 'export-2@example.com', password: 'password123', firstName: 'Two', lastName: 'Beginner' },
+      ]);
+      const exportUsers = (query) => request(app)
+        .get(`/api/users/user-exports?search=export-&${query}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let body = '';
+          res.on('data', (chunk) => {
+            body += chunk;
+          });
+          res.on('end', () => callback(null, body));
+        });
+
+      const csv = await exportUsers('fields=email,firstName,learningProfile&filter[level]=advanced').expect(200);
+      expect(csv.headers['content-type']).toContain('text/csv');
+      expect(csv.headers['content-disposition']).toMatch(/attachment; filename="users-.+\.csv"/);
+      const [header, ...lines] = csv.body.trim().split('\r\n');
+      expect(header).toBe('_id,email,firstName,learningProfile.level,learningProfile.skills,learningProfile.interests');
+      expect(lines).toHaveLength(1);
+      // Las celdas que una hoja de cálculo interpretaría como fórmula se neutralizan
+      expect(lines[0]).toMatch(/,export-1@example\.com,'=cmd,advanced,JavaScript:expert,ai;web$/);
+
+      const ndjson = await exportUsers('format=ndjson').expect(200);
+      const users = ndjson.body.trim().split('\n').map((line) => JSON.parse(line));
+      expect(users.map((user) => user.email)).toEqual(['export-1@example.com', 'export-2@example.com']);
+      ['password', 'refreshTokens', 'oauthId', 'mfa', 'searchTokens'].forEach((field) => {
+        expect(users[0]).not.toHaveProperty(field);
+      });
+
+      await exportUsers('fields=email,password').expect(400);
+    });
+  });
+
+  describe('Audit log', () => {
+    let adminToken;
+    let admin;
+    let student;
+
+    beforeEach(async () => {
+      await User.deleteMany({ email: { $in: ['auditor@example.com', 'audited@example.com'] } });
+      admin = await User.create({
+        email: 'auditor@example.com',
+        password: 'password123',
+        firstName: 'Audit',
+        lastName: 'Admin',
+        role: 'admin',
+      });
+      student = await User.create({
+        email: 'audited@example.com',
+        password: 'password123',
+        firstName: 'Audited',
+        lastName: 'User',
+      });
+      ({ accessToken: adminToken } = await userService.generateTokens(admin));
+    });
+
+    it('should record failed and successful logins with the request id', async () => {
+      await request(app)
+        .post('/api/users/login')
+        .set('X-Request-Id', 'audit-test-1')
+        .send({ email: 'audited@example.com', password: 'wrongpassword' })
+        .expect(401);
+
+      const login = await request(app)
+        .post('/api/users/login')
+        .send({ email: 'audited@example.com', password: 'password123' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/users/audit-events')
+        .query({ target: String(student._id), action: 'auth.login' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const [success, failure] = response.body.data.events;
+      expect(success.outcome).toBe('success');
+      expect(success.requestId).toBe(login.headers['x-request-id']);
+      expect(failure.outcome).toBe('failure');
+      expect(failure.requestId).toBe('audit-test-1');
+      expect(failure.metadata.statusCode).toBe(401);
+    });
+
+    it('should record failed registrations', async () => {
+      await request(app)
+        .post('/api/users/register')
+        .send({ email: 'audited@example.com', password: 'password123', firstName: 'Again', lastName: 'User' })
+        .expect(409);
+
+      const response = await request(app)
+        .get('/api/users/audit-events')
+        .query({ action: 'user.register', outcome: 'failure' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.events).toHaveLength(1);
+      expect(response.body.data.events[0].metadata).toMatchObject({ email: 'audited@example.com', statusCode: 409 });
+    });
+
+    it('should record admin actions and paginate with a cursor', async () => {
+      await request(app)
+        .patch(`/api/users/users/${student._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'instructor' })
+        .expect(200);
+      await request(app)
+        .post(`/api/users/users/${student._id}/deactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const firstPage = await request(app)
+        .get('/api/users/audit-events')
+        .query({ actor: String(admin._id), target: String(student._id), limit: 1 })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(firstPage.body.data.events[0].action).toBe('admin.user_deactivate');
+      expect(firstPage.body.data.nextCursor).toBeTruthy();
+
+      const secondPage = await request(app)
+        .get('/api/users/audit-events')
+        .query({
+          actor: String(admin._id),
+          target: String(student._id),
+          limit: 1,
+          cursor: firstPage.body.data.nextCursor,
+        })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(secondPage.body.data.events[0].action).toBe('admin.role_change');
+      expect(secondPage.body.data.events[0].metadata).toMatchObject({ previousRole: 'student', role: 'instructor' });
+    });
+
+    it('should reject invalid filters and users without the audit permission', async () => {
+      await request(app)
+        .get('/api/users/audit-events')
+        .query({ action: 'unknown.action' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      const { accessToken } = await userService.generateTokens(student);
+      await request(app)
+        .get('/api/users/audit-events')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+    });
+
+    it('should not allow audit events to be modified or deleted', async () => {
+      const event = await AuditEvent.create({ action: 'auth.login', outcome: 'success', target: student._id });
+
+      await expect(AuditEvent.updateOne({ _id: event._id }, { outcome: 'failure' })).rejects.toThrow('immutable');
+      await expect(AuditEvent.deleteOne({ _id: event._id })).rejects.toThrow('immutable');
+    });
+  });
+
   describe('GET /health', () => {
     it('should return health check status', async () => {
       const response = await request(app)
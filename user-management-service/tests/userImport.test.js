@@ -0,0 +1,108 @@
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/userModel');
+const UserImportJob = require('../src/models/userImportJobModel');
+const OutboxEvent = require('../src/models/outboxEventModel');
+const userService = require('../src/services/userService');
+const mailService = require('../src/services/mailService');
+const userImportWorker = require('../src/services/userImportWorker');
+
+describe('Bulk user import', () => {
+  let adminToken;
+
+  const importFile = (content, contentType, query = {}) => request(app)
+    .post('/api/users/user-imports')
+    .query(query)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .set('Content-Type', contentType)
+    .send(content);
+
+  beforeEach(async () => {
+    await User.deleteMany({ email: /@(cohort|import-admin)\.example\.com$/ });
+    await UserImportJob.deleteMany({});
+    const admin = await User.create({
+      email: 'admin@import-admin.example.com',
+      password: 'password123',
+      firstName: 'Import',
+      lastName: 'Admin',
+      role: 'admin',
+    });
+    await User.create({
+      email: 'taken@cohort.example.com',
+      password: 'password123',
+      firstName: 'Already',
+      lastName: 'Here',
+    });
+    ({ accessToken: adminToken } = await userService.generateTokens(admin));
+  });
+
+  it('should report every row without creating users in dry run mode', async () => {
+    const csv = [
+      'Email,firstName,lastName,username',
+      'ana@cohort.example.com,Ana,"García, Jr",anagarcia',
+      'not-an-email,Bad,Row,',
+      'ANA@cohort.example.com,Ana,Again,',
+      'taken@cohort.example.com,Taken,Email,',
+    ].join('\n');
+
+    const response = await importFile(csv, 'text/csv', { dryRun: true }).expect(200);
+
+    expect(response.body.data.counts).toMatchObject({ total: 4, pending: 1, invalid: 1, duplicate: 2 });
+    expect(response.body.data.rows.map((row) => [row.line, row.status])).toEqual([
+      [2, 'pending'],
+      [3, 'invalid'],
+      [4, 'duplicate'],
+      [5, 'duplicate'],
+    ]);
+    expect(response.body.data.rows[2].reasons).toEqual(['Duplicate email in file (line 2)']);
+    expect(response.body.data.rows[3].reasons).toEqual(['Email already registered']);
+    expect(await User.exists({ email: 'ana@cohort.example.com' })).toBeNull();
+    expect(await UserImportJob.countDocuments()).toBe(0);
+
+    await importFile(csv, 'application/json').expect(415);
+  });
+
+  it('should create users in batches and invite them to choose a password', async () => {
+    const sentMessages = [];
+    mailService.setTransport({
+      send: async (message) => {
+        sentMessages.push(message);
+      },
+    });
+    const ndjson = [
+      JSON.stringify({ email: 'bea@cohort.example.com', firstName: 'Bea', lastName: 'Ruiz', password: 'ignored123' }),
+      '{ not json',
+      JSON.stringify({ email: 'carl@cohort.example.com', firstName: 'Carl', lastName: 'Gómez' }),
+    ].join('\n');
+
+    const queued = await importFile(ndjson, 'application/x-ndjson', { role: 'instructor' }).expect(202);
+    const jobId = queued.body.data.job._id;
+    expect(queued.body.data.job).toMatchObject({ status: 'pending', progress: 0 });
+
+    await userImportWorker.processBatch();
+
+    const progress = await request(app)
+      .get(`/api/users/user-imports/${jobId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(progress.body.data.job).toMatchObject({ status: 'completed', progress: 100 });
+    expect(progress.body.data.job.counts).toMatchObject({ total: 3, created: 2, invalid: 1 });
+
+    const user = await User.findOne({ email: 'bea@cohort.example.com' }).select('+password');
+    expect(user.role).toBe('instructor');
+    expect(user.password).toBeUndefined();
+    expect(await OutboxEvent.countDocuments({ type: 'user.created', aggregateId: user._id.toString() })).toBe(1);
+
+    // Hasta elegir la contraseña con el enlace del email no se puede iniciar sesión
+    const message = sentMessages.find((sent) => sent.to === 'bea@cohort.example.com');
+    const token = message.text.match(/token=([^\s]+)/)[1];
+    await request(app)
+      .post('/api/users/reset-password')
+      .send({ token, newPassword: 'chosenPassword1' })
+      .expect(200);
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'bea@cohort.example.com', password: 'chosenPassword1' })
+      .expect(200);
+  });
+});
@@ -1,5 +1,9 @@
-const User = require('../models/userModel');
-const userService = require('../services/userService');
+const User = require('../src/models/userModel');
+const userService = require('../src/services/userService');
+const mailService = require('../src/services/mailService');
+const mfaService = require('../src/services/mfaService');
+const invitationService = require('../src/services/invitationService');
+const totp = require('../src/utils/totp');
 
 describe('UserService', () => {
   describe('createUser', () => {
@@ -65,5 +69,252 @@ describe('UserService', () => {
       ).rejects.toThrow();
     });
   });
-});
 
+  describe('email verification', () => {
+    let sentMessages;
+
+    const extractToken = (message) => message.text.match(/verify-email\/([a-f0-9]+)/)[1];
+
+    beforeEach(() => {
+      sentMessages = [];
+      mailService.setTransport({
+        send: async (message) => {
+          sentMessages.push(message);
+        },
+      });
+    });
+
+    it('should send a verification email and store only the token hash', async () => {
+      const { user } = await userService.createUser({
+        email: 'verify@example.com',
+        password: 'password123',
+        firstName: 'Test',
+        lastName: 'User',
+      });
+
+      expect(sentMessages).toHaveLength(1);
+      const token = extractToken(sentMessages[0]);
+      const stored = await User.findById(user._id);
+      expect(stored.emailVerificationToken).toBeTruthy();
+      expect(stored.emailVerificationToken).not.toBe(token);
+      expect(stored.isEmailVerified).toBe(false);
+    });
+
+    it('should verify the email once and reject token reuse', async () => {
+      await userService.createUser({
+        email: 'verify2@example.com',
+        password: 'password123',
+        firstName: 'Test',
+        lastName: 'User',
+      });
+      const token = extractToken(sentMessages[0]);
+
+      const user = await userService.verifyEmail(token);
+      expect(user.isEmailVerified).toBe(true);
+
+      await expect(userService.verifyEmail(token)).rejects.toThrow('Invalid or expired verification token');
+    });
+
+    it('should throttle verification email resends', async () => {
+      await userService.createUser({
+        email: 'verify3@example.com',
+        password: 'password123',
+        firstName: 'Test',
+        lastName: 'User',
+      });
+
+      await userService.resendVerification('verify3@example.com');
+
+      // El envío del registro es reciente, así que el reenvío se descarta
+      expect(sentMessages).toHaveLength(1);
+    });
+  });
+
+  describe('password reset', () => {
+    let sentMessages;
+
+    const extractToken = (message) => message.text.match(/token=([a-f0-9]+)/)[1];
+
+    beforeEach(async () => {
+      sentMessages = [];
+      mailService.setTransport({
+        send: async (message) => {
+          sentMessages.push(message);
+        },
+      });
+      await userService.createUser({
+        email: 'reset@example.com',
+        password: 'password123',
+        firstName: 'Test',
+        lastName: 'User',
+      });
+      sentMessages = [];
+    });
+
+    it('should not reveal whether the account exists', async () => {
+      const existing = await userService.forgotPassword('reset@example.com');
+      const missing = await userService.forgotPassword('missing@example.com');
+
+      expect(existing).toEqual(missing);
+      expect(sentMessages).toHaveLength(1);
+    });
+
+    it('should answer the same when the email cannot be sent', async () => {
+      mailService.setTransport({
+        send: async () => {
+          throw new Error('SMTP unavailable');
+        },
+      });
+
+      const existing = await userService.forgotPassword('reset@example.com');
+      const missing = await userService.forgotPassword('missing@example.com');
+
+      expect(existing).toEqual(missing);
+    });
+
+    it('should reset the password once and revoke all sessions', async () => {
+      await userService.forgotPassword('reset@example.com');
+      const token = extractToken(sentMessages[0]);
+
+      await userService.resetPassword(token, 'newpassword123');
+
+      const user = await User.findOne({ email: 'reset@example.com' });
+      expect(user.refreshTokens).toHaveLength(0);
+      await expect(userService.loginUser('reset@example.com', 'newpassword123')).resolves.toHaveProperty('tokens');
+      await expect(userService.resetPassword(token, 'otherpassword123')).rejects.toThrow('Invalid or expired password reset token');
+    });
+
+    it('should keep the link usable when the new password is not saved', async () => {
+      await userService.forgotPassword('reset@example.com');
+      const token = extractToken(sentMessages[0]);
+
+      // minlength del modelo: el save falla después de encontrar el token
+      await expect(userService.resetPassword(token, 'short')).rejects.toThrow();
+
+      await expect(userService.resetPassword(token, 'newpassword123')).resolves.toHaveProperty('messageKey');
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    const userData = {
+      email: 'mfa@example.com',
+      password: 'password123',
+      firstName: 'Test',
+      lastName: 'User',
+    };
+
+    const enableMfa = async () => {
+      const { user } = await userService.createUser(userData);
+      const { secret } = await mfaService.startEnrollment(user._id);
+      const { recoveryCodes } = await mfaService.confirmEnrollment(
+        user._id,
+        totp.generateCode(secret, totp.getTimeStep())
+      );
+      return { secret, recoveryCodes };
+    };
+
+    it('should require a second step for enrolled users', async () => {
+      const { secret } = await enableMfa();
+
+      const challenge = await userService.loginUser(userData.email, userData.password);
+      expect(challenge.mfaRequired).toBe(true);
+      expect(challenge).not.toHaveProperty('tokens');
+
+      // El código usado en la confirmación no puede reutilizarse: usar el del siguiente paso
+      const code = totp.generateCode(secret, totp.getTimeStep() + 1);
+      const result = await userService.completeMfaLogin(challenge.mfaToken, { code });
+      expect(result).toHaveProperty('tokens');
+
+      await expect(userService.completeMfaLogin(challenge.mfaToken, { code })).rejects.toThrow('Invalid MFA code');
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enableMfa();
+      const { mfaToken } = await userService.loginUser(userData.email, userData.password);
+
+      await expect(
+        userService.completeMfaLogin(mfaToken, { recoveryCode: recoveryCodes[0] })
+      ).resolves.toHaveProperty('tokens');
+      await expect(
+        userService.completeMfaLogin(mfaToken, { recoveryCode: recoveryCodes[0] })
+      ).rejects.toThrow('Invalid MFA code');
+    });
+
+    it('should require enrollment for roles covered by the MFA policy', async () => {
+      const { user } = await userService.createUser({ ...userData, email: 'mfa-admin@example.com' });
+      await User.updateOne({ _id: user._id }, { role: 'admin' });
+
+      const result = await userService.loginUser('mfa-admin@example.com', userData.password);
+
+      expect(result.mfaEnrollmentRequired).toBe(true);
+      expect(userService.verifyMfaEnrollmentToken(result.mfaToken).id).toBe(String(user._id));
+    });
+  });
+
+  describe('invitations', () => {
+    let sentMessages;
+    let admin;
+
+    const tokenFromEmail = (message) => message.text.match(/token=([^\s]+)/)[1];
+
+    beforeEach(async () => {
+      sentMessages = [];
+      mailService.setTransport({
+        send: async (message) => {
+          sentMessages.push(message);
+        },
+      });
+      await User.deleteMany({ email: { $in: ['inviter@example.com', 'invitee@example.com'] } });
+      admin = await User.create({
+        email: 'inviter@example.com',
+        password: 'password123',
+        firstName: 'Admin',
+        lastName: 'User',
+        role: 'admin',
+      });
+    });
+
+    it('should always register public sign-ups as students', async () => {
+      const { user } = await userService.createUser({
+        email: 'invitee@example.com',
+        password: 'password123',
+        firstName: 'Test',
+        lastName: 'User',
+        role: 'admin',
+      });
+
+      expect(user.role).toBe('student');
+    });
+
+    it('should register the invitee with the invited role only once', async () => {
+      await invitationService.createInvitation(
+        { email: 'invitee@example.com', role: 'instructor' },
+        { actorId: admin._id }
+      );
+      const token = tokenFromEmail(sentMessages[0]);
+      const userData = { password: 'password123', firstName: 'Invited', lastName: 'User' };
+
+      await userService.acceptInvitation(token, userData);
+
+      const invitee = await User.findOne({ email: 'invitee@example.com' });
+      expect(invitee.role).toBe('instructor');
+      expect(invitee.isEmailVerified).toBe(true);
+      await expect(userService.acceptInvitation(token, userData)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject a revoked invitation', async () => {
+      const invitation = await invitationService.createInvitation(
+        { email: 'invitee@example.com', role: 'admin' },
+        { actorId: admin._id }
+      );
+      await invitationService.revokeInvitation(invitation._id, { actorId: admin._id });
+
+      await expect(userService.acceptInvitation(tokenFromEmail(sentMessages[0]), {
+        password: 'password123',
+        firstName: 'Invited',
+        lastName: 'User',
+      })).rejects.toMatchObject({ statusCode: 400 });
+      expect(await User.exists({ email: 'invitee@example.com' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config/env');
+const User = require('../src/models/userModel');
+const OutboxEvent = require('../src/models/outboxEventModel');
+const WebhookSubscription = require('../src/models/webhookSubscriptionModel');
+const WebhookDelivery = require('../src/models/webhookDeliveryModel');
+const userService = require('../src/services/userService');
+const eventService = require('../src/services/eventService');
+const webhookService = require('../src/services/webhookService');
+const outboxRelay = require('../src/services/outboxRelay');
+const webhookDispatcher = require('../src/services/webhookDispatcher');
+const { SubscriptionsTransport } = require('../src/utils/eventTransports');
+const { verifySignature } = require('../src/utils/webhookSignature');
+const { isPrivateAddress, isAllowedTargetUrl, lookup } = require('../src/utils/webhookTarget');
+
+/**
+ * Receptor HTTP local que guarda las entregas recibidas (con el body sin parsear)
+ * y responde con el código configurado en statusCode.
+ */
+const createReceiver = () => {
+  const receiver = { requests: [], statusCode: 200 };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.statusCode;
+      res.end();
+    });
+  });
+
+  return receiver;
+};
+
+describe('Outgoing webhooks', () => {
+  const receiver = createReceiver();
+  const originalWebhooksConfig = { ...config.webhooks };
+  let receiverUrl;
+  let adminToken;
+
+  const userData = {
+    email: 'webhook-user@example.com',
+    password: 'password123',
+    firstName: 'Webhook',
+    lastName: 'User',
+  };
+
+  const createSubscription = async (eventTypes) => {
+    const response = await request(app)
+      .post('/api/users/webhooks')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ url: receiverUrl, eventTypes, description: 'Test receiver' })
+      .expect(201);
+    return response.body.data;
+  };
+
+  // Publica los eventos del outbox y envía las entregas generadas
+  const flush = async () => {
+    await outboxRelay.processBatch();
+    await webhookDispatcher.processBatch();
+  };
+
+  beforeAll((done) => {
+    receiver.server.listen(0, () => {
+      receiverUrl = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    Object.assign(config.webhooks, originalWebhooksConfig);
+    eventService.setTransports(null);
+    receiver.server.close(done);
+  });
+
+  beforeEach(async () => {
+    receiver.requests = [];
+    receiver.statusCode = 200;
+    // El receptor escucha en 127.0.0.1
+    Object.assign(config.webhooks, originalWebhooksConfig, { retryBaseMs: 0, maxAttempts: 2, allowPrivateTargets: true });
+    eventService.setTransports([new SubscriptionsTransport(webhookService)]);
+
+    await User.deleteMany({ email: { $in: [userData.email, 'webhook-admin@example.com'] } });
+    await Promise.all([
+      OutboxEvent.deleteMany({}),
+      WebhookSubscription.deleteMany({}),
+      WebhookDelivery.deleteMany({}),
+    ]);
+
+    const admin = await User.create({
+      email: 'webhook-admin@example.com',
+      password: 'password123',
+      firstName: 'Webhook',
+      lastName: 'Admin',
+      role: 'admin',
+    });
+    ({ accessToken: adminToken } = await userService.generateTokens(admin));
+  });
+
+  it('should return the signing secret only when the subscription is created', async () => {
+    const { subscription, secret } = await createSubscription(['user.created']);
+    expect(secret).toMatch(/^whsec_[a-f0-9]{64}$/);
+    expect(subscription).not.toHaveProperty('secret');
+
+    const response = await request(app)
+      .get(`/api/users/webhooks/${subscription._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(response.body.data.webhook).not.toHaveProperty('secret');
+  });
+
+  it('should deliver subscribed events signed with HMAC-SHA256', async () => {
+    const { subscription, secret } = await createSubscription(['user.created']);
+
+    await userService.createUser(userData);
+    await flush();
+
+    expect(receiver.requests).toHaveLength(1);
+    const [delivery] = receiver.requests;
+    const event = JSON.parse(delivery.body);
+    expect(event.type).toBe('user.created');
+    expect(event.data.email).toBe(userData.email);
+    expect(delivery.headers['idempotency-key']).toBe(event.id);
+    expect(verifySignature(secret, delivery.headers['x-webhook-signature'], delivery.body)).toBe(true);
+    expect(verifySignature('whsec_other', delivery.headers['x-webhook-signature'], delivery.body)).toBe(false);
+
+    const log = await request(app)
+      .get(`/api/users/webhooks/${subscription._id}/deliveries`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(log.body.data.deliveries).toHaveLength(1);
+    expect(log.body.data.deliveries[0]).toMatchObject({ status: 'succeeded', eventId: event.id, lastStatusCode: 200 });
+  });
+
+  it('should not deliver event types the subscription did not choose', async () => {
+    await createSubscription(['user.deactivated']);
+
+    await userService.createUser(userData);
+    await flush();
+
+    expect(receiver.requests).toHaveLength(0);
+    expect(await WebhookDelivery.countDocuments()).toBe(0);
+  });
+
+  it('should retry failed deliveries, dead-letter them and allow redelivery', async () => {
+    const { subscription } = await createSubscription(['user.created']);
+    receiver.statusCode = 500;
+
+    await userService.createUser(userData);
+    await flush();
+
+    let delivery = await WebhookDelivery.findOne({ subscription: subscription._id });
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.lastStatusCode).toBe(500);
+
+    await webhookDispatcher.processBatch();
+    delivery = await WebhookDelivery.findById(delivery._id);
+    expect(delivery.status).toBe('dead_letter');
+    expect(delivery.attemptLog).toHaveLength(2);
+
+    receiver.statusCode = 204;
+    await request(app)
+      .post(`/api/users/webhooks/${subscription._id}/deliveries/${delivery._id}/redeliver`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(202);
+    await request(app)
+      .post(`/api/users/webhooks/${subscription._id}/deliveries/${delivery._id}/redeliver`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+
+    await webhookDispatcher.processBatch();
+    delivery = await WebhookDelivery.findById(delivery._id);
+    expect(delivery.status).toBe('succeeded');
+    expect(receiver.requests).toHaveLength(3);
+    // Todos los intentos llevan el mismo evento: el receptor puede deduplicar por Idempotency-Key
+    expect(new Set(receiver.requests.map((req) => req.headers['idempotency-key'])).size).toBe(1);
+  });
+
+  it('should not create or deliver to private targets unless they are allowed', async () => {
+    const { subscription } = await createSubscription(['user.created']);
+    config.webhooks.allowPrivateTargets = false;
+
+    const response = await request(app)
+      .post('/api/users/webhooks')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ url: 'http://169.254.169.254/latest/meta-data', eventTypes: ['user.created'] })
+      .expect(400);
+    expect(response.body.code).toBe('WEBHOOK_TARGET_FORBIDDEN');
+
+    // Una suscripción ya guardada tampoco puede alcanzar la red interna al enviar
+    await userService.createUser(userData);
+    await flush();
+
+    expect(receiver.requests).toHaveLength(0);
+    const delivery = await WebhookDelivery.findOne({ subscription: subscription._id });
+    expect(delivery.lastError).toMatch(/private address/);
+  });
+});
+
+describe('Webhook targets', () => {
+  const originalAllowPrivateTargets = config.webhooks.allowPrivateTargets;
+
+  beforeEach(() => {
+    config.webhooks.allowPrivateTargets = false;
+  });
+
+  afterAll(() => {
+    config.webhooks.allowPrivateTargets = originalAllowPrivateTargets;
+  });
+
+  it('should recognize private, loopback and link-local addresses', () => {
+    ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.20.0.1', '192.168.1.1', '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']
+      .forEach((address) => expect({ address, blocked: isPrivateAddress(address) }).toEqual({ address, blocked: true }));
+    ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946']
+      .forEach((address) => expect({ address, blocked: isPrivateAddress(address) }).toEqual({ address, blocked: false }));
+  });
+
+  it('should reject internal hosts in subscription URLs', () => {
+    expect(isAllowedTargetUrl('https://hooks.example.com/events')).toBe(true);
+    expect(isAllowedTargetUrl('http://localhost:8080/hooks')).toBe(false);
+    expect(isAllowedTargetUrl('http://[::1]/hooks')).toBe(false);
+    expect(isAllowedTargetUrl('http://10.0.0.5/hooks')).toBe(false);
+
+    config.webhooks.allowPrivateTargets = true;
+    expect(isAllowedTargetUrl('http://localhost:8080/hooks')).toBe(true);
+  });
+
+  it('should refuse to connect to names that resolve to private addresses', async () => {
+    const resolve = (hostname, options) => new Promise((done) => {
+      lookup(hostname, options, (error, address) => done({ error, address }));
+    });
+
+    const single = await resolve('localhost', { family: 4 });
+    expect(single.error.message).toMatch(/private address/);
+    const all = await resolve('localhost', { all: true });
+    expect(all.error.message).toMatch(/private address/);
+
+    config.webhooks.allowPrivateTargets = true;
+    expect((await resolve('localhost', { family: 4 })).address).toBe('127.0.0.1');
+  });
+});